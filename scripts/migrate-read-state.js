@@ -0,0 +1,144 @@
+/**
+ * One-off migration for upgrading to per-user read cursors.
+ *
+ * Older versions kept the readers of each message in a `readBy` array and did
+ * not require client message ids to be unique within a group. This script:
+ * 1. gives every duplicate `{ group, id }` message but the oldest a new id, so
+ *    the unique index the message service relies on can be built;
+ * 2. moves each reader's newest read message into a ReadState cursor;
+ * 3. removes the `readBy` arrays and builds the Message indexes.
+ *
+ * Run it once with the server stopped: `npm run migrate:read-state`.
+ * Running it again does no harm.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Message = require('../src/models/Message');
+const ReadState = require('../src/models/ReadState');
+const User = require('../src/models/User');
+const logger = require('../src/logger');
+
+/**
+ * Give duplicate client ids in a group a fresh id, keeping the oldest message's.
+ * @returns {Promise<number>} The number of messages that got a new id
+ */
+const dedupeClientIds = async () => {
+    const duplicates = await Message.collection.aggregate([
+        { $sort: { createdAt: 1, _id: 1 } },
+        { $group: { _id: { group: '$group', id: '$id' }, messages: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } },
+    ], { allowDiskUse: true }).toArray();
+
+    let renamed = 0;
+    for (const { messages } of duplicates) {
+        for (const _id of messages.slice(1)) {
+            await Message.collection.updateOne({ _id }, { $set: { id: uuidv4() } });
+            renamed += 1;
+        }
+    }
+    return renamed;
+};
+
+/**
+ * Resolve a `readBy` entry to a user ID. Entries are user IDs or, from the
+ * socket read receipts, user names; a name only resolves if exactly one user has it.
+ * @param {string} reader - The readBy entry
+ * @param {Map} cache - Resolved entries, shared across calls
+ * @returns {Promise<ObjectId|null>} The user ID, or null if it can't be resolved
+ */
+const resolveReader = async (reader, cache) => {
+    if (!cache.has(reader)) {
+        let userId = null;
+        if (mongoose.isValidObjectId(reader)) {
+            userId = new mongoose.Types.ObjectId(reader);
+        } else {
+            const users = await User.find({ name: reader }, '_id').limit(2);
+            userId = users.length === 1 ? users[0]._id : null;
+        }
+        cache.set(reader, userId);
+    }
+    return cache.get(reader);
+};
+
+/**
+ * Create a ReadState cursor for every reader at the newest message they read.
+ * An existing cursor is only ever moved forward.
+ * @returns {Promise<Object>} `{ cursors, unresolved }` counts
+ */
+const backfillReadStates = async () => {
+    const newestRead = Message.collection.aggregate([
+        { $match: { 'readBy.0': { $exists: true } } },
+        { $unwind: '$readBy' },
+        { $sort: { createdAt: -1, _id: -1 } },
+        { $group: { _id: { group: '$group', reader: '$readBy' }, message: { $first: '$_id' }, at: { $first: '$createdAt' } } },
+    ], { allowDiskUse: true });
+
+    const cache = new Map();
+    let cursors = 0;
+    let unresolved = 0;
+    for await (const { _id: { group, reader }, message, at } of newestRead) {
+        const user = await resolveReader(reader, cache);
+        if (!user || !mongoose.isValidObjectId(group)) {
+            unresolved += 1;
+            continue;
+        }
+        try {
+            await ReadState.updateOne(
+                {
+                    group,
+                    user,
+                    $or: [
+                        { lastReadMessageAt: { $lt: at } },
+                        { lastReadMessageAt: at, lastReadMessage: { $lt: message } },
+                    ],
+                },
+                { $set: { lastReadMessage: message, lastReadMessageAt: at } },
+                { upsert: true }
+            );
+            cursors += 1;
+        } catch (error) {
+            // The user already has a cursor at or past this message
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+    }
+    return { cursors, unresolved };
+};
+
+/**
+ * Run the migration.
+ */
+const migrate = async () => {
+    // The unique { group, id } index can only be built once duplicates are gone
+    await mongoose.connect(process.env.MONGO_URI, { autoIndex: false });
+    try {
+        const renamed = await dedupeClientIds();
+        logger.info(`Gave ${renamed} messages with a duplicate client id a new id`);
+
+        const { cursors, unresolved } = await backfillReadStates();
+        logger.info(`Backfilled ${cursors} read cursors; ${unresolved} readers could not be matched to a user`);
+
+        const { modifiedCount } = await Message.collection.updateMany(
+            { readBy: { $exists: true } },
+            { $unset: { readBy: '' } }
+        );
+        logger.info(`Removed readBy from ${modifiedCount} messages`);
+
+        await Promise.all([Message.createIndexes(), ReadState.createIndexes()]);
+        logger.info('Message and ReadState indexes built');
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+if (require.main === module) {
+    migrate().catch((error) => {
+        logger.error('Read state migration failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { dedupeClientIds, resolveReader, backfillReadStates };
@@ -9,9 +9,24 @@ const authRoutes = require('./routes/auth');
 const groupRoutes = require('./routes/group');
 const messageRoutes = require('./routes/message');
 const uploadRoutes = require('./routes/upload');
+const userRoutes = require('./routes/user');
+const botRoutes = require('./routes/bot');
+const groupKeyRoutes = require('./routes/groupKey');
+const inviteRoutes = require('./routes/invite');
+const joinRequestRoutes = require('./routes/joinRequest');
+const webhookRoutes = require('./routes/webhook');
+const commandRoutes = require('./routes/command');
+const pollRoutes = require('./routes/poll');
+const pinRoutes = require('./routes/pin');
+const scheduledMessageRoutes = require('./routes/scheduledMessage');
+const searchRoutes = require('./routes/search');
+const notificationRoutes = require('./routes/notification');
 const logger = require('./logger');
 const swaggerSpec = require('./swaggerConfig');
 const { setupSocket } = require('./sockets/socketManager');
+const { configureAdapter } = require('./sockets/adapter');
+const { startJobRunner } = require('./jobs/runner');
+const { startRetentionSweep } = require('./services/retention');
 
 const app = express();
 const server = http.createServer(app);
@@ -24,6 +39,18 @@ app.use(express.json());
 app.use('/api/auth', authRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/groups', messageRoutes);
+app.use('/api/groups', groupKeyRoutes);
+app.use('/api/groups', joinRequestRoutes);
+app.use('/api/groups', webhookRoutes);
+app.use('/api/groups', commandRoutes);
+app.use('/api/groups', pollRoutes);
+app.use('/api/groups', pinRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/bots', botRoutes);
+app.use('/api/scheduled-messages', scheduledMessageRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api', inviteRoutes); // Group invite management and /api/invites
 app.use('/api/upload', uploadRoutes);
 
 // Serve Swagger UI
@@ -59,6 +86,11 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  * Real-Time Communication:
  * - Socket.IO: Configured to handle WebSocket connections for real-time updates
  * - io Instance: Made available to routes for emitting events
+ * - Adapter: Chosen with SOCKET_ADAPTER; `mongo` relays events between instances sharing a database
+ *
+ * Background Jobs:
+ * - Job Runner: Runs jobs stored in MongoDB (e.g. offline notification digests) with retries and backoff
+ * - Retention Sweep: Deletes messages older than their group's retention period
  * 
  * Usage:
  * - Start the server by running `node src/app.js`
@@ -69,6 +101,9 @@ async function startServer() {
   try {
     await mongoose.connect(process.env.MONGO_URI);
     logger.info('Connected to MongoDB');
+    await configureAdapter(io);
+    startJobRunner({ io });
+    startRetentionSweep();
     const PORT = process.env.PORT || 5000;
     server.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
@@ -0,0 +1,99 @@
+const User = require('../models/User');
+const { commandError } = require('./registry');
+const { signPayload } = require('../services/webhooks');
+const { postToPublicUrl } = require('../utils/publicUrl');
+const logger = require('../logger');
+
+/**
+ * Bot Commands
+ * Runs slash commands that bots registered. The invocation is POSTed to the
+ * command's URL as `{ command, groupId, user, args, text }`, signed like webhook
+ * deliveries with X-Command-Timestamp and X-Command-Signature (`sha256=` + HMAC
+ * of `${timestamp}.${body}` keyed with the command's secret). The bot answers
+ * with `{ text, visibility }`: 'ephemeral' (the default) replies to the caller
+ * only, 'group' posts the text to the group as a system message from the bot.
+ */
+const INVOCATION_TIMEOUT_MS = 5 * 1000;
+const MAX_RESPONSE_LENGTH = 4000;
+
+/**
+ * Convert parsed arguments for the bot: users become `{ id, name }`.
+ * @param {Object} args - The parsed arguments
+ * @returns {Object} The JSON-safe arguments
+ */
+const serializeArgs = (args) => Object.fromEntries(Object.entries(args).map(([name, value]) => [
+    name,
+    value && value._id ? { id: value._id.toString(), name: value.name } : value,
+]));
+
+/**
+ * Call the bot that handles a command.
+ * @param {Object} command - The BotCommand document, with its secret
+ * @param {Object} context - The invocation (sender, group, args, input)
+ * @returns {Promise<Object>} `{ reply }`, `{ system, actor }` or `{}` if the bot had nothing to say
+ * @throws {Error} 502 if the bot is gone or didn't answer
+ */
+const invokeBotCommand = async (command, { sender, group, args, input }) => {
+    const bot = await User.findById(command.bot, 'name email isBot');
+    if (!bot || !group.roleOf(bot._id)) {
+        throw commandError(502, `The bot handling /${command.name} is no longer in this group`);
+    }
+
+    const body = JSON.stringify({
+        command: command.name,
+        groupId: group._id.toString(),
+        user: { id: sender.id.toString(), name: sender.name },
+        args: serializeArgs(args),
+        text: input,
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    let response;
+    try {
+        // The host is checked again as the request connects, in case it now resolves somewhere internal
+        response = await postToPublicUrl(command.url, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'secure-group-chat-commands/1.0',
+                'X-Command-Timestamp': String(timestamp),
+                'X-Command-Signature': signPayload(command.secret, timestamp, body),
+            },
+            body,
+            timeout: INVOCATION_TIMEOUT_MS,
+        });
+    } catch (error) {
+        logger.warn(`Bot command /${command.name} in group ${group._id} failed: ${error.message}`);
+        throw commandError(502, `${bot.name} didn't respond to /${command.name}`);
+    }
+    if (!response.ok) {
+        logger.warn(`Bot command /${command.name} in group ${group._id} answered ${response.status}`);
+        throw commandError(502, `${bot.name} couldn't run /${command.name}`);
+    }
+
+    let result;
+    try {
+        result = JSON.parse(response.text);
+    } catch (error) {
+        result = {};
+    }
+    if (!result || typeof result.text !== 'string' || !result.text.trim()) {
+        return {};
+    }
+    const text = result.text.slice(0, MAX_RESPONSE_LENGTH);
+    return result.visibility === 'group' ? { system: text, actor: bot } : { reply: text };
+};
+
+/**
+ * Turn a registered bot command into a runnable command.
+ * @param {Object} command - The BotCommand document, with its secret
+ * @returns {Object} The command, as built-ins are registered
+ */
+const toCommand = (command) => ({
+    name: command.name,
+    description: command.description,
+    args: command.args,
+    role: command.role,
+    bot: command.bot,
+    handler: (context) => invokeBotCommand(command, context),
+});
+
+module.exports = { toCommand };
@@ -0,0 +1,103 @@
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { registerCommand, commandError } = require('./registry');
+const { addMember, removeMember } = require('../services/membership');
+const { parseDuration, formatDuration } = require('../utils/duration');
+
+const MAX_TOPIC_LENGTH = 250;
+const MAX_MUTE_MS = 365 * 24 * 60 * 60 * 1000;
+
+registerCommand('topic', {
+    description: 'Set the group topic, or clear it',
+    args: [{ name: 'topic', type: 'text', required: false }],
+    role: 'moderator',
+    handler: async ({ sender, group, args }) => {
+        const topic = args.topic || '';
+        if (topic.length > MAX_TOPIC_LENGTH) {
+            throw commandError(400, `The topic can be at most ${MAX_TOPIC_LENGTH} characters`);
+        }
+        group.topic = topic || undefined;
+        await group.save();
+        return { system: topic ? `${sender.name} set the topic: ${topic}` : `${sender.name} cleared the topic` };
+    },
+});
+
+registerCommand('invite', {
+    description: 'Add a user to the group, by @name, email or ID',
+    args: [{ name: 'user', type: 'user' }],
+    role: 'admin',
+    handler: async ({ io, sender, group, args: { user } }) => {
+        if (group.roleOf(user._id)) {
+            return { reply: `${user.name} is already a member of this group` };
+        }
+        await addMember(io, group, user._id.toString(), sender.id);
+        return { system: `${sender.name} added ${user.name} to the group` };
+    },
+});
+
+registerCommand('kick', {
+    description: 'Remove a member from the group',
+    args: [{ name: 'member', type: 'member' }, { name: 'reason', type: 'text', required: false }],
+    role: 'admin',
+    handler: async ({ io, sender, group, role, args: { member, reason } }) => {
+        if (!Group.outranks(role, group.roleOf(member._id))) {
+            throw commandError(403, `You can't remove ${member.name}`);
+        }
+        await removeMember(io, group, member._id, sender.id);
+        return { system: `${sender.name} removed ${member.name} from the group${reason ? `: ${reason}` : ''}` };
+    },
+});
+
+registerCommand('poll', {
+    description: 'Start a poll: /poll [--multiple] [--anonymous] [--closes 1h] Question | Option | Option',
+    args: [{ name: 'poll', type: 'text' }],
+    handler: async ({ args }) => {
+        const poll = { options: [] };
+        let rest = args.poll;
+        let flag;
+        while ((flag = /^--(multiple|anonymous|closes)(?:\s+|$)/.exec(rest))) {
+            rest = rest.slice(flag[0].length);
+            if (flag[1] === 'multiple') poll.multipleChoice = true;
+            if (flag[1] === 'anonymous') poll.anonymous = true;
+            if (flag[1] === 'closes') {
+                const [token = ''] = rest.split(/\s+/, 1);
+                const duration = parseDuration(token);
+                if (!duration) {
+                    throw commandError(400, 'Usage: --closes <duration>, e.g. --closes 1h');
+                }
+                poll.closesAt = new Date(Date.now() + duration);
+                rest = rest.slice(token.length).trim();
+            }
+        }
+        [poll.question, ...poll.options] = rest.split('|').map(part => part.trim());
+        // Checked like any other poll when the message is sent
+        return { send: { type: 'poll', poll } };
+    },
+});
+
+registerCommand('mute', {
+    description: 'Stop notifications from this group for a while; direct mentions still notify you',
+    args: [{ name: 'duration', type: 'duration' }],
+    handler: async ({ sender, group, args: { duration } }) => {
+        if (duration > MAX_MUTE_MS) {
+            throw commandError(400, `You can mute a group for at most ${formatDuration(MAX_MUTE_MS)}`);
+        }
+        const now = new Date();
+        const until = new Date(now.getTime() + duration);
+        // Replace any earlier mute of the group and drop expired ones
+        await User.updateOne(
+            { _id: sender.id },
+            { $pull: { mutedGroups: { $or: [{ group: group._id }, { until: { $lte: now } }] } } }
+        );
+        await User.updateOne({ _id: sender.id }, { $push: { mutedGroups: { group: group._id, until } } });
+        return { reply: `Notifications from this group are muted for ${formatDuration(duration)}, until ${until.toISOString()}` };
+    },
+});
+
+registerCommand('unmute', {
+    description: 'Turn notifications from this group back on',
+    handler: async ({ sender, group }) => {
+        await User.updateOne({ _id: sender.id }, { $pull: { mutedGroups: { group: group._id } } });
+        return { reply: 'Notifications from this group are back on' };
+    },
+});
@@ -0,0 +1,90 @@
+const BotCommand = require('../models/BotCommand');
+const {
+    commands,
+    commandError,
+    registerCommand,
+    parseCommand,
+    parseArguments,
+    usage,
+    canRun,
+} = require('./registry');
+const { toCommand } = require('./botCommands');
+require('./builtins');
+
+/**
+ * Find a command available in a group: a built-in, or one a bot registered there.
+ * @param {Object} group - The group document
+ * @param {string} name - The command name
+ * @returns {Promise<Object|null>} The command
+ */
+const findCommand = async (group, name) => {
+    if (commands.has(name)) {
+        return commands.get(name);
+    }
+    const command = await BotCommand.findOne({ group: group._id, name }).select('+secret');
+    return command ? toCommand(command) : null;
+};
+
+/**
+ * List the commands available in a group.
+ * @param {Object} group - The group document
+ * @param {string} role - The caller's group role, to mark the commands they can run
+ * @returns {Promise<Array<Object>>} `{ name, description, usage, args, role, bot, allowed }`, sorted by name
+ */
+const listCommands = async (group, role) => {
+    const registered = await BotCommand.find({ group: group._id });
+    return [...commands.values(), ...registered]
+        .map(command => ({
+            name: command.name,
+            description: command.description,
+            usage: usage(command),
+            args: command.args,
+            role: command.role,
+            bot: command.bot,
+            allowed: canRun(role, command),
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Run a command typed by a group member.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} sender - The authenticated user ({ id, name, email, isBot })
+ * @param {Object} group - The group document
+ * @param {Object} parsed - The output of parseCommand
+ * @returns {Promise<Object|null>} `{ name, reply }`, `{ name, system, actor }`, `{ name, send }` or `{ name }`;
+ *   null if the group has no such command, so the text is an ordinary message
+ * @throws {Error} With a `status` of 400, 403, 404 or 502 if the command can't run
+ */
+const runCommand = async (io, sender, group, { name, input }) => {
+    const command = await findCommand(group, name);
+    if (!command) {
+        return null;
+    }
+    const role = group.roleOf(sender.id);
+    if (!canRun(role, command)) {
+        throw commandError(403, `/${name} needs the ${command.role} role or higher`);
+    }
+    const args = await parseArguments(command, input, group);
+    const result = await command.handler({ io, sender, group, role, args, input });
+    return { name, ...result };
+};
+
+registerCommand('help', {
+    description: 'List the commands you can use here',
+    handler: async ({ group, role }) => {
+        const available = (await listCommands(group, role)).filter(command => command.allowed);
+        return {
+            reply: available
+                .map(command => (command.description ? `${command.usage}: ${command.description}` : command.usage))
+                .join('\n'),
+        };
+    },
+});
+
+module.exports = {
+    commands,
+    parseCommand,
+    runCommand,
+    listCommands,
+};
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { parseMentions } = require('../utils/mentions');
+const { parseDuration } = require('../utils/duration');
+
+/**
+ * Slash Command Registry
+ * A message whose text starts with `/name` runs the command instead of being sent.
+ * Each command declares the arguments it takes and the least group role that may
+ * run it; the registry parses and checks both before calling the handler, which
+ * returns `{ reply }` for an ephemeral answer to the caller, `{ system }` for a
+ * system message to the group, or `{ send }` with a message payload to send as the caller.
+ *
+ * Argument types:
+ *   - word: one word
+ *   - text: the rest of the input
+ *   - member: a member of the group, as an @mention
+ *   - user: any user, by @name (matched like mentions), email or ID
+ *   - duration: e.g. 30m, 1h, 7d, 2w, in milliseconds
+ */
+const commands = new Map();
+
+const COMMAND_PATTERN = /^\/([a-z][\w-]*)(?:\s+([\s\S]*))?$/i;
+// How many users sharing a first name are considered when matching an @name
+const MAX_NAME_CANDIDATES = 50;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Create an error carrying the HTTP status the REST API should answer with.
+ * @param {number} status - The HTTP status code
+ * @param {string} message - The error message, shown to the caller
+ * @returns {Error} The error
+ */
+const commandError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Register a built-in command.
+ * @param {string} name - The command name, without the slash
+ * @param {Object} options - The command
+ * @param {string} options.description - Shown in /help
+ * @param {Array<Object>} [options.args] - The arguments, `{ name, type, required }` (required by default)
+ * @param {string} [options.role] - The least group role allowed to run it (default: member)
+ * @param {Function} options.handler - `async ({ io, sender, group, role, args, input })` returning `{ reply }`, `{ system }` or `{ send }`
+ */
+const registerCommand = (name, { description, args = [], role = 'member', handler }) => {
+    commands.set(name, { name, description, args, role, handler });
+};
+
+/**
+ * Split a message text into a command name and its input.
+ * @param {string} text - The message text
+ * @returns {Object|null} `{ name, input }`, or null if the text isn't a command
+ */
+const parseCommand = (text) => {
+    const match = typeof text === 'string' ? COMMAND_PATTERN.exec(text.trim()) : null;
+    return match ? { name: match[1].toLowerCase(), input: (match[2] || '').trim() } : null;
+};
+
+/**
+ * Describe how to call a command, e.g. "/kick <member> [reason]".
+ * @param {Object} command - The command
+ * @returns {string} The usage
+ */
+const usage = (command) => [`/${command.name}`, ...command.args.map(arg => (
+    arg.required === false ? `[${arg.name}]` : `<${arg.name}>`
+))].join(' ');
+
+/**
+ * Whether a group role may run a command.
+ * @param {string} role - The caller's group role
+ * @param {Object} command - The command
+ * @returns {boolean}
+ */
+const canRun = (role, command) => Group.ROLES.indexOf(role) >= Group.ROLES.indexOf(command.role);
+
+/**
+ * Find the user an `@name` at the start of the input refers to. Names are matched
+ * like mentions, so they may contain spaces and the longest matching name wins.
+ * @param {string} input - The remaining input, starting with @
+ * @returns {Promise<Object>} `{ user, rest }`, where rest is the input after the name
+ * @throws {Error} 404 if no user has that name, 400 if several do
+ */
+const findUserByName = async (input) => {
+    const [first] = input.slice(1).split(/\s+/, 1);
+    const candidates = await User.find(
+        { name: new RegExp(`^${escapeRegExp(first)}(\\s|$)`, 'i') },
+        'name email isBot'
+    ).limit(MAX_NAME_CANDIDATES);
+    const [mention] = parseMentions(input, candidates);
+    if (!mention || mention.offset !== 0 || mention.type !== 'user') {
+        throw commandError(404, `User not found: @${first}`);
+    }
+    const user = candidates.find(candidate => candidate._id.equals(mention.user));
+    if (candidates.filter(candidate => candidate.name.toLowerCase() === user.name.toLowerCase()).length > 1) {
+        throw commandError(400, `Several users are called ${user.name}; use their email instead`);
+    }
+    return { user, rest: input.slice(mention.length).trim() };
+};
+
+/**
+ * Find the user an argument names by email or ID.
+ * @param {string} token - The argument, optionally starting with @
+ * @returns {Promise<Object>} The user
+ * @throws {Error} 404 if there is no such user
+ */
+const findUser = async (token) => {
+    const id = token.replace(/^@/, '');
+    let user = null;
+    if (mongoose.isValidObjectId(id)) {
+        user = await User.findById(id, 'name email isBot');
+    } else if (id.includes('@')) {
+        user = await User.findOne({ email: id.toLowerCase() }, 'name email isBot');
+    }
+    if (!user) {
+        throw commandError(404, `User not found: ${token}`);
+    }
+    return user;
+};
+
+/**
+ * Parse a command's input into its declared arguments.
+ * @param {Object} command - The command
+ * @param {string} input - The text after the command name
+ * @param {Object} group - The group the command runs in
+ * @returns {Promise<Object>} The argument values by name; missing optional arguments are left out
+ * @throws {Error} 400 with the usage if the input doesn't match the arguments
+ */
+const parseArguments = async (command, input, group) => {
+    const values = {};
+    let rest = input;
+    let members = null;
+
+    for (const arg of command.args) {
+        if (!rest) {
+            if (arg.required !== false) {
+                throw commandError(400, `Usage: ${usage(command)}`);
+            }
+            continue;
+        }
+        if (arg.type === 'text') {
+            values[arg.name] = rest;
+            rest = '';
+            continue;
+        }
+        if (arg.type === 'member') {
+            members = members || await User.find({ _id: { $in: group.members } }, 'name email isBot');
+            const mentionText = rest.startsWith('@') ? rest : `@${rest}`;
+            const [mention] = parseMentions(mentionText, members);
+            if (!mention || mention.offset !== 0 || mention.type !== 'user') {
+                throw commandError(400, `${rest.split(/\s+/)[0]} is not a member of this group`);
+            }
+            values[arg.name] = members.find(member => member._id.equals(mention.user));
+            rest = mentionText.slice(mention.length).trim();
+            continue;
+        }
+
+        const [token] = rest.split(/\s+/, 1);
+        const handle = token.replace(/^@/, '');
+        if (arg.type === 'user' && token.startsWith('@') && !handle.includes('@') && !mongoose.isValidObjectId(handle)) {
+            ({ user: values[arg.name], rest } = await findUserByName(rest));
+            continue;
+        }
+        rest = rest.slice(token.length).trim();
+        if (arg.type === 'duration') {
+            values[arg.name] = parseDuration(token);
+            if (!values[arg.name]) {
+                throw commandError(400, `Invalid duration "${token}"; use e.g. 30m, 1h, 7d or 2w`);
+            }
+        } else if (arg.type === 'user') {
+            values[arg.name] = await findUser(token);
+        } else {
+            values[arg.name] = token;
+        }
+    }
+    if (rest) {
+        throw commandError(400, `Usage: ${usage(command)}`);
+    }
+    return values;
+};
+
+module.exports = {
+    commands,
+    commandError,
+    registerCommand,
+    parseCommand,
+    parseArguments,
+    usage,
+    canRun,
+};
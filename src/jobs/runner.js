@@ -0,0 +1,240 @@
+const Job = require('../models/Job');
+const logger = require('../logger');
+
+/**
+ * Background job runner.
+ * Jobs are stored in MongoDB and claimed atomically, so with several app
+ * instances each job still runs on one of them at a time. A claimed job holds
+ * a lease; if its instance dies mid-run the lease expires and the job is
+ * picked up again. Failed jobs are retried with exponential backoff until
+ * they run out of attempts.
+ *
+ * Handlers must be safe to run more than once, since a job whose lease
+ * expired may be retried after it actually completed.
+ */
+
+const POLL_INTERVAL_MS = 1000;
+const LEASE_MS = 60 * 1000;
+const BASE_BACKOFF_MS = 5 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+const handlers = new Map();
+let timer = null;
+let ticking = false;
+// Passed to every handler, e.g. so jobs can emit socket events
+let context = {};
+
+/**
+ * Register the handler for a job type.
+ * @param {string} name - The job type
+ * @param {Function} handler - `async (payload, job, { io }) => {}`; throwing schedules a retry
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts=5] - Default attempts for jobs of this type
+ */
+const registerJob = (name, handler, { maxAttempts = 5 } = {}) => {
+    handlers.set(name, { handler, maxAttempts });
+};
+
+/**
+ * Schedule a job.
+ * With a uniqueKey, only one pending job per key can exist: enqueueing again
+ * while one is waiting to run returns the existing job instead.
+ * @param {string} name - The job type
+ * @param {Object} payload - The job's input
+ * @param {Object} [options]
+ * @param {Date} [options.runAt] - When to run the job; now if omitted
+ * @param {string} [options.uniqueKey] - Deduplication key
+ * @param {number} [options.maxAttempts] - Overrides the job type's default
+ * @returns {Promise<Object>} `{ job, created }`
+ */
+const enqueue = async (name, payload, { runAt = new Date(), uniqueKey, maxAttempts } = {}) => {
+    const registered = handlers.get(name);
+    try {
+        const job = await Job.create({
+            name,
+            payload,
+            runAt,
+            uniqueKey,
+            maxAttempts: maxAttempts || (registered && registered.maxAttempts) || undefined,
+        });
+        return { job, created: true };
+    } catch (error) {
+        if (error.code === 11000 && uniqueKey) {
+            const job = await Job.findOne({ uniqueKey });
+            if (job) {
+                return { job, created: false };
+            }
+            // The other job was claimed in the meantime, which released the key
+            return enqueue(name, payload, { runAt, uniqueKey, maxAttempts });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Schedule many jobs of one type with a single insert.
+ * Jobs whose uniqueKey is already taken by a pending job are skipped, as with enqueue.
+ * @param {string} name - The job type
+ * @param {Array<Object>} jobs - `{ payload, runAt, uniqueKey }` for each job
+ * @returns {Promise<number>} How many jobs were created
+ */
+const enqueueMany = async (name, jobs) => {
+    if (!jobs.length) {
+        return 0;
+    }
+    const registered = handlers.get(name);
+    const docs = jobs.map(({ payload, runAt = new Date(), uniqueKey }) => ({
+        name,
+        payload,
+        runAt,
+        uniqueKey,
+        maxAttempts: (registered && registered.maxAttempts) || undefined,
+    }));
+    try {
+        const created = await Job.insertMany(docs, { ordered: false });
+        return created.length;
+    } catch (error) {
+        // Unordered inserts go on past duplicate keys; anything else is a real failure
+        const writeErrors = error.writeErrors || [];
+        if (!writeErrors.length || writeErrors.some(writeError => writeError.code !== 11000)) {
+            throw error;
+        }
+        return docs.length - writeErrors.length;
+    }
+};
+
+/**
+ * Cancel a pending job.
+ * @param {Object} filter - Extra conditions, e.g. `{ uniqueKey }` or `{ _id }`
+ * @returns {Promise<boolean>} Whether a pending job was cancelled
+ */
+const cancel = async (filter) => {
+    const result = await Job.deleteOne({ ...filter, status: 'pending' });
+    return result.deletedCount > 0;
+};
+
+/**
+ * Cancel every pending job matching a filter.
+ * @param {Object} filter - Extra conditions, e.g. `{ uniqueKey: { $in: keys } }`
+ * @returns {Promise<number>} How many pending jobs were cancelled
+ */
+const cancelAll = async (filter) => {
+    const result = await Job.deleteMany({ ...filter, status: 'pending' });
+    return result.deletedCount;
+};
+
+/**
+ * The delay before the next attempt of a job that failed.
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+const backoff = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+/**
+ * Claim the next due job: a pending job whose time has come, or a running job whose lease expired.
+ * @returns {Promise<Object|null>} The claimed job
+ */
+const claimNext = () => {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+        {
+            name: { $in: [...handlers.keys()] },
+            $or: [
+                { status: 'pending', runAt: { $lte: now } },
+                { status: 'running', lockedUntil: { $lt: now } },
+            ],
+        },
+        {
+            $set: { status: 'running', lockedUntil: new Date(now.getTime() + LEASE_MS) },
+            // Once started, the job no longer stands for the work still to do, so a new one may be enqueued
+            $unset: { uniqueKey: 1 },
+            $inc: { attempts: 1 },
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+/**
+ * Run a claimed job and record the outcome.
+ * @param {Object} job - The claimed Job document
+ */
+const runJob = async (job) => {
+    const { handler } = handlers.get(job.name);
+    try {
+        await handler(job.payload, job, context);
+        await Job.updateOne(
+            { _id: job._id },
+            { $set: { status: 'done', completedAt: new Date() }, $unset: { lockedUntil: 1, lastError: 1 } }
+        );
+    } catch (error) {
+        const message = error.message || String(error);
+        if (job.attempts >= job.maxAttempts) {
+            logger.error(`Job ${job.name} ${job._id} failed after ${job.attempts} attempts: ${message}`);
+            await Job.updateOne(
+                { _id: job._id },
+                { $set: { status: 'failed', lastError: message, completedAt: new Date() }, $unset: { lockedUntil: 1 } }
+            );
+            return;
+        }
+        const runAt = new Date(Date.now() + backoff(job.attempts));
+        logger.warn(`Job ${job.name} ${job._id} failed (attempt ${job.attempts}), retrying at ${runAt.toISOString()}: ${message}`);
+        await Job.updateOne(
+            { _id: job._id },
+            { $set: { status: 'pending', runAt, lastError: message }, $unset: { lockedUntil: 1 } }
+        );
+    }
+};
+
+/**
+ * Run every due job, one at a time.
+ */
+const tick = async () => {
+    if (ticking) {
+        return;
+    }
+    ticking = true;
+    try {
+        let job;
+        while ((job = await claimNext())) {
+            await runJob(job);
+        }
+    } catch (error) {
+        logger.error('Job runner error:', error);
+    } finally {
+        ticking = false;
+    }
+};
+
+/**
+ * Start polling for due jobs. Call once the database connection is open.
+ * @param {Object} [options]
+ * @param {Object} [options.io] - The Socket.IO server instance, handed to handlers
+ * @param {number} [options.pollInterval] - Milliseconds between polls
+ */
+const startJobRunner = ({ io, pollInterval = POLL_INTERVAL_MS } = {}) => {
+    if (timer) {
+        return;
+    }
+    context = { io };
+    timer = setInterval(tick, pollInterval);
+    timer.unref();
+    logger.info(`Job runner started (${[...handlers.keys()].join(', ') || 'no jobs registered'})`);
+};
+
+/**
+ * Stop polling. Jobs already running finish on their own.
+ */
+const stopJobRunner = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    registerJob,
+    enqueue,
+    enqueueMany,
+    cancel,
+    cancelAll,
+    startJobRunner,
+    stopJobRunner,
+};
@@ -1,13 +1,36 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { isApiToken, verifyApiToken, hasScope } = require('../services/apiTokens');
 
 /**
- * Authentication middleware to check for a valid JWT token in the request headers.
- * @param {Object} req - The request object
- * @param {Object} res - The response object
- * @param {Function} next - The next middleware function
- * @returns {Object} The decoded user information or a 401 status code if the token is invalid
+ * Verify a JWT access token and check that its session has not been revoked.
+ * Shared by the HTTP middleware and the Socket.IO handshake.
+ * @param {string} token - The raw JWT
+ * @returns {Promise<Object>} The decoded token payload
+ * @throws {Error} If the token is invalid, expired or belongs to a revoked session
+ */
+const verifyToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const active = decoded.sid && await Session.exists({
+    _id: decoded.sid,
+    user: decoded.id,
+    revokedAt: null,
+  });
+  if (!active) {
+    throw new Error('Session revoked');
+  }
+  return decoded;
+};
+
+/**
+ * Build an authentication middleware that checks for a valid token in the request headers.
+ * User JWTs are accepted on every route. Bot API tokens are only accepted when the route
+ * names a scope and the token grants it, for the group in the `groupId` or `id` route parameter.
+ * @param {string} [scope] - The API token scope the route requires
+ * @returns {function} Express middleware function
+ * @middleware
  */
-const authMiddleware = (req, res, next) => {
+const authenticate = (scope) => async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   // Expected format: "Bearer <token>"
@@ -15,15 +38,46 @@ const authMiddleware = (req, res, next) => {
     return res.status(401).json({ message: 'Missing or invalid auth token' });
   }
 
-  const token = authHeader.split(' ')[1];
+  const token = authHeader.split(' ')[1] || '';
+
+  if (isApiToken(token)) {
+    let apiToken;
+    try {
+      apiToken = await verifyApiToken(token);
+    } catch (err) {
+      console.error('Error verifying API token:', err);
+      return res.status(500).json({ message: 'Internal server error' });
+    }
+    if (!apiToken) {
+      return res.status(401).json({ message: 'Invalid, expired or revoked API token' });
+    }
+    if (!scope) {
+      return res.status(403).json({ message: 'API tokens cannot access this endpoint' });
+    }
+    if (!hasScope(apiToken, scope, req.params.groupId || req.params.id)) {
+      return res.status(403).json({ message: `API token is missing the ${scope} scope` });
+    }
+    req.user = { id: apiToken.bot.toString(), role: 'user', isBot: true, tokenId: apiToken._id };
+    return next();
+  }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Attach user info to request
-    next();
+    req.user = await verifyToken(token); // Attach user info to request
   } catch (err) {
     return res.status(401).json({ message: 'Invalid or expired token' });
   }
+  next();
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+/**
+ * Authentication middleware for routes only users can call.
+ * @param {Object} req - The request object
+ * @param {Object} res - The response object
+ * @param {Function} next - The next middleware function
+ * @returns {Object} The decoded user information or a 401 status code if the token is invalid
+ */
+const authMiddleware = authenticate();
+
+module.exports = authMiddleware;
+module.exports.verifyToken = verifyToken;
+module.exports.withScope = authenticate;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+
+/**
+ * Group-level authorization middleware to check if the user holds one of the required roles in the group.
+ * The group is read from the `groupId` or `id` route parameter and attached as `req.group`,
+ * and the user's role in it as `req.groupRole`.
+ * @param {...string} allowedRoles - Group roles allowed to access the route; any member if none are given
+ * @returns {function} Express middleware function
+ * @middleware
+ */
+const authorizeGroup = (...allowedRoles) => {
+    return async (req, res, next) => {
+        const groupId = req.params.groupId || req.params.id;
+        try {
+            const group = mongoose.isValidObjectId(groupId) ? await Group.findById(groupId) : null;
+            if (!group) {
+                return res.status(404).json({ error: 'Group not found' });
+            }
+            const role = group.roleOf(req.user.id);
+            if (!role) {
+                return res.status(403).json({ error: 'You are not a member of this group' });
+            }
+            if (allowedRoles.length && !allowedRoles.includes(role)) {
+                return res.status(403).json({ error: 'Forbidden: insufficient group role' });
+            }
+            req.group = group;
+            req.groupRole = role;
+        } catch (err) {
+            console.error('Error authorizing group access:', err);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+        next();
+    };
+};
+
+module.exports = authorizeGroup;
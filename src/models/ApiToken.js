@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * A permission granted to an API token, optionally limited to one group.
+ * @typedef {Object} Grant
+ * @property {string} scope - One of the API token scopes, e.g. 'messages:write'.
+ * @property {ObjectId} [group] - The group the scope is limited to; any group the bot belongs to if unset.
+ */
+const grantSchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        required: true,
+    },
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+    },
+}, { _id: false });
+
+/**
+ * Schema for a long-lived API token a bot account authenticates with.
+ * Only a hash of the token is stored; the token itself is shown once when it is created or rotated.
+ * @typedef {Object} ApiToken
+ * @property {ObjectId} bot - The bot account the token acts as.
+ * @property {string} name - A label chosen by the bot's owner, e.g. "CI notifier".
+ * @property {string} tokenHash - SHA-256 hash of the token.
+ * @property {string} prefix - The first characters of the token, to tell tokens apart.
+ * @property {Array<Grant>} scopes - What the token may do.
+ * @property {ObjectId} createdBy - The user who created the token.
+ * @property {Date} lastUsedAt - When the token last authenticated a request (updated at most once a minute).
+ * @property {Date} rotatedAt - When the token was last replaced.
+ * @property {Date} expiresAt - When the token stops working, if it expires.
+ * @property {Date} revokedAt - When the token was revoked, if it was.
+ */
+const apiTokenSchema = new mongoose.Schema({
+    bot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        maxlength: 100,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    prefix: {
+        type: String,
+        required: true,
+    },
+    scopes: {
+        type: [grantSchema],
+        validate: [scopes => scopes.length > 0, 'A token needs at least one scope'],
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    lastUsedAt: Date,
+    rotatedAt: Date,
+    expiresAt: Date,
+    revokedAt: Date,
+}, {
+    timestamps: true,
+});
+
+apiTokenSchema.index({ tokenHash: 1 }, { unique: true });
+apiTokenSchema.index({ bot: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
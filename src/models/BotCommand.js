@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * An argument a slash command takes.
+ * @typedef {Object} CommandArgument
+ * @property {string} name - The argument's name, shown in the usage.
+ * @property {string} type - 'word', 'text' (the rest of the input), 'member', 'user' or 'duration'.
+ * @property {boolean} required - Whether the argument must be given.
+ */
+const argumentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        match: /^[a-z][\w-]*$/i,
+    },
+    type: {
+        type: String,
+        enum: ['word', 'text', 'member', 'user', 'duration'],
+        default: 'word',
+    },
+    required: {
+        type: Boolean,
+        default: true,
+    },
+}, { _id: false });
+
+/**
+ * Schema for a slash command a bot registered in a group.
+ * When a member runs it, the parsed arguments are POSTed to the bot's URL, signed
+ * with the command's secret, and the bot's response is shown to the member or the group.
+ * @typedef {Object} BotCommand
+ * @property {ObjectId} group - The group the command is available in.
+ * @property {ObjectId} bot - The bot account that handles the command.
+ * @property {string} name - The command name, without the slash.
+ * @property {string} description - Shown in /help.
+ * @property {Array<CommandArgument>} args - The arguments the command takes.
+ * @property {string} role - The least group role allowed to run the command.
+ * @property {string} url - Where invocations are POSTed.
+ * @property {string} secret - Key for the HMAC signature of invocations.
+ */
+const botCommandSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true,
+    },
+    bot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        lowercase: true,
+        match: /^[a-z][\w-]*$/,
+        maxlength: 32,
+    },
+    description: {
+        type: String,
+        maxlength: 200,
+    },
+    args: [argumentSchema],
+    role: {
+        type: String,
+        enum: ['member', 'moderator', 'admin', 'owner'],
+        default: 'member',
+    },
+    url: {
+        type: String,
+        required: true,
+    },
+    secret: {
+        type: String,
+        required: true,
+        select: false, // Only shown to the bot when the command is registered
+    },
+}, {
+    timestamps: true,
+});
+
+botCommandSchema.index({ group: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('BotCommand', botCommandSchema);
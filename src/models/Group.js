@@ -4,21 +4,102 @@ const mongoose = require('mongoose');
  * Schema for a group in the application.
  * @typedef {Object} Group
  * @property {string} name - The name of the group.
+ * @property {string} topic - What the group is currently about, set with /topic.
  * @property {Array} members - The members of the group.
  * @property {ObjectId} creator - The creator of the group.
+ * @property {Map<string, string>} roles - Elevated member roles ('admin' or 'moderator') keyed by user ID.
+ *   The creator is always the owner and members without an entry are plain members.
+ * @property {string} visibility - 'public' (anyone can join), 'private' (joining needs approval)
+ *   or 'secret' (hidden from listings, invite only).
+ * @property {Array<string>} allowedReactions - Emoji members may react with; any emoji if empty.
+ * @property {string} retention - How long messages are kept before they are deleted, e.g. '7d'; forever if unset.
+ * @property {Array<Object>} pins - Pinned messages, oldest first: `{ message, pinnedBy, pinnedAt }`.
+ * @property {boolean} e2ee - Whether messages in the group are end-to-end encrypted.
+ * @property {string} currentKeyId - The ID of the group key messages must be encrypted with.
+ * @property {number} keyEpoch - Incremented on every key-relevant change, used to detect stale key uploads.
+ * @property {boolean} keyRotationPending - Set when membership changed and a new group key must be uploaded.
+ * @property {number} seq - The sequence number of the group's latest real-time event.
  */
 const groupSchema = new mongoose.Schema({
     name: {
         type: String,
         required: true,
     },
+    topic: {
+        type: String,
+        maxlength: 250,
+    },
     members: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
     }],
     creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    visibility: {
+        type: String,
+        enum: ['public', 'private', 'secret'],
+        default: 'public',
+    },
+    roles: {
+        type: Map,
+        of: { type: String, enum: ['admin', 'moderator'] },
+        default: {},
+    },
+    allowedReactions: [{ type: String }],
+    retention: { type: String }, // A duration (utils/duration), checked by services/retention
+    pins: [{
+        _id: false,
+        message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true },
+        pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        pinnedAt: { type: Date, default: Date.now },
+    }],
+    e2ee: { type: Boolean, default: false },
+    currentKeyId: { type: String },
+    keyEpoch: { type: Number, default: 0 },
+    keyRotationPending: { type: Boolean, default: false },
+    seq: { type: Number, default: 0 }, // Advanced atomically by emitGroupEvent
 }, {
     timestamps: true,
 });
 
+/**
+ * Group roles from least to most privileged.
+ */
+const ROLES = ['member', 'moderator', 'admin', 'owner'];
+
+/**
+ * Get the role a user holds in the group.
+ * @param {string} userId - The user ID
+ * @returns {string|null} 'owner', 'admin', 'moderator', 'member', or null if the user is not a member
+ */
+groupSchema.methods.roleOf = function (userId) {
+    if (!userId || !this.members.some(id => id.toString() === userId.toString())) {
+        return null;
+    }
+    if (this.creator && this.creator.toString() === userId.toString()) {
+        return 'owner';
+    }
+    return this.roles.get(userId.toString()) || 'member';
+};
+
+/**
+ * Get the IDs of members holding any of the given roles.
+ * @param {...string} roles - The roles to match
+ * @returns {Array<ObjectId>} The matching member IDs
+ */
+groupSchema.methods.membersWithRole = function (...roles) {
+    return this.members.filter(id => roles.includes(this.roleOf(id)));
+};
+
+/**
+ * Check whether a role outranks another, e.g. whether an actor may manage a target member.
+ * @param {string} role - The acting role
+ * @param {string} otherRole - The role being compared against
+ * @returns {boolean} True if role is strictly more privileged than otherRole
+ */
+groupSchema.statics.outranks = function (role, otherRole) {
+    return ROLES.indexOf(role) > ROLES.indexOf(otherRole);
+};
+
+groupSchema.statics.ROLES = ROLES;
+
 module.exports = mongoose.model('Group', groupSchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for an entry in a group's event log.
+ * Every real-time event sent to a group room is stored with the group's next
+ * sequence number, so a client that reconnects can ask for everything it missed.
+ * Entries expire after a week; older gaps are closed by refetching the history.
+ * @typedef {Object} GroupEvent
+ * @property {ObjectId} group - The group the event was sent to.
+ * @property {number} seq - The event's position in the group's sequence, starting at 1.
+ * @property {string} event - The Socket.IO event name.
+ * @property {Object} payload - The event payload, including `seq`.
+ * @property {Date} createdAt - When the event was sent.
+ */
+const groupEventSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true,
+    },
+    seq: {
+        type: Number,
+        required: true,
+    },
+    event: {
+        type: String,
+        required: true,
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 7 * 24 * 60 * 60,
+    },
+});
+
+groupEventSchema.index({ group: 1, seq: 1 }, { unique: true });
+
+module.exports = mongoose.model('GroupEvent', groupEventSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a group key wrapped for a single member.
+ * @typedef {Object} KeyEnvelope
+ * @property {ObjectId} user - The member the key is wrapped for.
+ * @property {string} wrappedKey - The group key encrypted to the member's public key.
+ * @property {string} nonce - The nonce used when wrapping the key.
+ * @property {string} recipientKeyId - The keyId of the member's public key used for wrapping.
+ */
+const envelopeSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    wrappedKey: {
+        type: String,
+        required: true,
+    },
+    nonce: {
+        type: String,
+    },
+    recipientKeyId: {
+        type: String,
+        required: true,
+    },
+}, { _id: false });
+
+/**
+ * Schema for a generation of a group's end-to-end encryption key.
+ * The server never sees the key itself, only one envelope per member.
+ * @typedef {Object} GroupKey
+ * @property {ObjectId} group - The group the key belongs to.
+ * @property {string} keyId - Client-chosen identifier referenced by messages.
+ * @property {number} epoch - The group key epoch this key was uploaded for.
+ * @property {string} algorithm - The wrapping/encryption algorithm used by clients.
+ * @property {ObjectId} createdBy - The member who generated and wrapped the key.
+ * @property {string} senderKeyId - The keyId of the creator's public key used for wrapping.
+ * @property {Array<KeyEnvelope>} envelopes - The key wrapped for every member.
+ * @property {Date} retiredAt - When the key stopped being valid for new messages.
+ */
+const groupKeySchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true,
+    },
+    keyId: {
+        type: String,
+        required: true,
+    },
+    epoch: {
+        type: Number,
+        required: true,
+    },
+    algorithm: {
+        type: String,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    senderKeyId: {
+        type: String,
+        required: true,
+    },
+    envelopes: [envelopeSchema],
+    retiredAt: Date,
+}, {
+    timestamps: true,
+});
+
+groupKeySchema.index({ group: 1, keyId: 1 }, { unique: true });
+
+module.exports = mongoose.model('GroupKey', groupKeySchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a group invite link.
+ * @typedef {Object} Invite
+ * @property {string} code - The secret code used in the invite link.
+ * @property {ObjectId} group - The group the invite is for.
+ * @property {ObjectId} createdBy - The admin who created the invite.
+ * @property {string} role - The role granted to users joining with the invite.
+ * @property {Date} expiresAt - When the invite stops working (optional).
+ * @property {number} maxUses - How many times the invite can be used (optional).
+ * @property {number} uses - How many times the invite has been used.
+ * @property {Array} usedBy - The users who joined with the invite and when.
+ * @property {Date} revokedAt - When the invite was revoked, if it was.
+ * @property {ObjectId} revokedBy - The admin who revoked the invite.
+ */
+const inviteSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    role: {
+        type: String,
+        enum: ['member', 'moderator', 'admin'],
+        default: 'member',
+    },
+    expiresAt: Date,
+    maxUses: {
+        type: Number,
+        min: 1,
+    },
+    uses: {
+        type: Number,
+        default: 0,
+    },
+    usedBy: [{
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        usedAt: Date,
+        _id: false,
+    }],
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true,
+});
+
+inviteSchema.index({ group: 1, createdAt: -1 });
+
+/**
+ * Query conditions matching invites that can still be used.
+ * @returns {Object} A MongoDB filter
+ */
+inviteSchema.statics.activeFilter = function () {
+    return {
+        revokedAt: null,
+        $and: [
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+            { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] },
+        ],
+    };
+};
+
+inviteSchema.methods.isActive = function () {
+    return !this.revokedAt
+        && (!this.expiresAt || this.expiresAt > new Date())
+        && (!this.maxUses || this.uses < this.maxUses);
+};
+
+module.exports = mongoose.model('Invite', inviteSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a background job run by the job runner (src/jobs/runner.js).
+ * Jobs live in the database so they survive restarts and are shared by every
+ * app instance; a job is claimed by one runner at a time with a lease.
+ * @typedef {Object} Job
+ * @property {string} name - The registered job type.
+ * @property {Object} payload - The job's input.
+ * @property {string} status - 'pending', 'running', 'done' or 'failed' (out of attempts).
+ * @property {Date} runAt - When the job should run next.
+ * @property {number} attempts - How many times the job has been started.
+ * @property {number} maxAttempts - How many times it may be started before it fails.
+ * @property {Date} lockedUntil - While running, when the lease expires and another runner may retry it.
+ * @property {string} lastError - The error of the last failed attempt.
+ * @property {string} uniqueKey - While the job is pending, no other job with the same key can be enqueued.
+ * @property {Date} completedAt - When the job finished or failed for good.
+ */
+const jobSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'done', 'failed'],
+        default: 'pending',
+    },
+    runAt: {
+        type: Date,
+        default: Date.now,
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5,
+    },
+    lockedUntil: Date,
+    lastError: String,
+    uniqueKey: String,
+    completedAt: Date,
+}, {
+    timestamps: true,
+    minimize: false,
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+// Finished jobs are kept for a week for troubleshooting
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
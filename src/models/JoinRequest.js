@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a request to join a private group.
+ * @typedef {Object} JoinRequest
+ * @property {ObjectId} group - The group the user wants to join.
+ * @property {ObjectId} user - The user asking to join.
+ * @property {string} message - An optional note to the group admins.
+ * @property {string} status - 'pending', 'approved' or 'rejected'.
+ * @property {ObjectId} decidedBy - The admin who approved or rejected the request.
+ * @property {Date} decidedAt - When the request was approved or rejected.
+ */
+const joinRequestSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    message: {
+        type: String,
+        maxlength: 500,
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending',
+    },
+    decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    decidedAt: Date,
+}, {
+    timestamps: true,
+});
+
+// A user can only have one pending request per group
+joinRequestSchema.index(
+    { group: 1, user: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+joinRequestSchema.index({ group: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('JoinRequest', joinRequestSchema);
@@ -6,6 +6,7 @@ const mongoose = require('mongoose');
  * @property {string} id - The ID of the user.
  * @property {string} name - The name of the user.
  * @property {string} email - The email of the user.
+ * @property {boolean} isBot - Whether the message was sent by a bot account.
  */
 const userSchema = new mongoose.Schema({
     id: {
@@ -20,17 +21,113 @@ const userSchema = new mongoose.Schema({
     email: {
         type: String,
         required: true,
-    }
+    },
+    isBot: {
+        type: Boolean,
+        default: false,
+    },
 }, { _id: false }); // Disable _id for subdocuments
 
+/**
+ * An entry in a message's audit trail.
+ * Edits record the content as it was before the edit; deletions record who removed the message.
+ * @typedef {Object} Revision
+ * @property {string} action - 'edit' or 'delete'.
+ * @property {string} [text] - The text before the change.
+ * @property {string} [ciphertext] - The ciphertext before the change, for encrypted messages.
+ * @property {string} [nonce] - The nonce of the previous ciphertext.
+ * @property {string} [keyId] - The group key of the previous ciphertext.
+ * @property {string} by - The ID of the user who made the change.
+ * @property {Date} at - When the change was made.
+ */
+const revisionSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['edit', 'delete'],
+        required: true,
+    },
+    text: String,
+    ciphertext: String,
+    nonce: String,
+    keyId: String,
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    at: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+/**
+ * The poll carried by a `poll` message.
+ * Votes refer to options by their index. Voters of anonymous polls are stored so
+ * votes can be changed, but are never returned by the API.
+ * @typedef {Object} Poll
+ * @property {string} question - The question asked.
+ * @property {Array<Object>} options - The choices ({ text }).
+ * @property {boolean} multipleChoice - Whether voters may pick several options.
+ * @property {boolean} anonymous - Whether who voted for what is hidden.
+ * @property {Date} closesAt - When the poll closes automatically, if it does.
+ * @property {Date} closedAt - When the poll closed.
+ * @property {ObjectId} closedBy - Who closed the poll; unset if it closed at its deadline.
+ * @property {Array<Object>} votes - One entry per chosen option ({ user, option, at }).
+ */
+const pollSchema = new mongoose.Schema({
+    question: {
+        type: String,
+        required: true,
+        maxlength: 300,
+    },
+    options: [{
+        text: { type: String, required: true, maxlength: 100 },
+        _id: false,
+    }],
+    multipleChoice: {
+        type: Boolean,
+        default: false,
+    },
+    anonymous: {
+        type: Boolean,
+        default: false,
+    },
+    closesAt: Date,
+    closedAt: Date,
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    votes: [{
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        option: { type: Number, required: true },
+        at: { type: Date, default: Date.now },
+        _id: false,
+    }],
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
     id: {
-        type: String,
+        type: String, // Client-generated id, unique per group
         required: true,
     },
     text: {
         type: String,
-        required: true,
+        required: function () { return !this.encrypted; }, // Encrypted messages carry ciphertext only
+    },
+    encrypted: {
+        type: Boolean,
+        default: false,
+    },
+    ciphertext: {
+        type: String, // Base64-encoded, encrypted with the group key identified by keyId
+    },
+    nonce: {
+        type: String,
+    },
+    keyId: {
+        type: String,
     },
     group: {
         type: String, // Assuming group is a string identifier
@@ -39,18 +136,16 @@ const messageSchema = new mongoose.Schema({
     user: userSchema, // Embed the user schema
     type: {
         type: String,
-        enum: ['text', 'image', 'file', 'system'],
+        enum: ['text', 'image', 'file', 'system', 'poll'],
         default: 'text',
     },
+    poll: pollSchema, // Set for 'poll' messages
     mediaUrl: {
         type: String,
     },
     mediaType: {
         type: String,
     },
-    readBy: [{
-        type: String, // Use String to store user identifiers
-    }],
     deleted: {
         type: Boolean,
         default: false,
@@ -59,41 +154,144 @@ const messageSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId, // Use ObjectId to reference User model
         ref: 'User',
     },
+    deletedAt: Date,
     edited: {
         type: Boolean,
         default: false,
     },
     editedAt: Date,
+    revisions: {
+        type: [revisionSchema], // Only visible to group admins; select with '+revisions'
+        select: false,
+    },
     replyTo: {
-        type: String, // Assuming replyTo is a string identifier
-    }
+        type: String, // _id of the thread's root message; replies to replies are attached to the root
+    },
+    replyCount: {
+        type: Number, // Maintained on thread roots
+        default: 0,
+    },
+    lastReplyAt: Date,
+    reactions: [{
+        emoji: { type: String, required: true },
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        createdAt: { type: Date, default: Date.now },
+        _id: false,
+    }],
+    mentions: [{
+        type: { type: String, enum: ['user', 'here', 'all'], required: true },
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Set for 'user' mentions
+        offset: Number, // Position of the mention in the text; absent for encrypted messages
+        length: Number,
+        _id: false,
+    }],
+    threadFollowers: [{
+        type: mongoose.Schema.Types.ObjectId, // Users notified of new replies in this thread
+        ref: 'User',
+    }],
 }, {
     timestamps: true,
 });
 
 messageSchema.index({ group: 1, createdAt: -1 });
+messageSchema.index({ group: 1, id: 1 }, { unique: true }); // Client ids are unique per group so retries can be deduplicated
+messageSchema.index({ group: 1, replyTo: 1, createdAt: 1 });
+messageSchema.index({ group: 1, 'mentions.user': 1, createdAt: -1 });
+messageSchema.index({ text: 'text' }); // Full-text search; encrypted messages have no text and are never indexed
 
 messageSchema.virtual('formattedDate').get(function () {
     return this.createdAt.toISOString();
 });
 
-messageSchema.methods.markAsRead = async function (userName) {
-    if (userName && !this.readBy.includes(userName)) {
-        this.readBy.push(userName);
-        await this.save();
+/**
+ * Aggregate reactions into per-emoji counts, in the order each emoji was first used.
+ * @param {Array} reactions - The message's reactions
+ * @param {string} [userId] - If given, flag the emoji this user reacted with
+ * @returns {Array<Object>} `{ emoji, count, reacted }` entries
+ */
+messageSchema.statics.summarizeReactions = function (reactions = [], userId) {
+    const summary = new Map();
+    for (const { emoji, user } of reactions) {
+        const entry = summary.get(emoji) || { emoji, count: 0 };
+        entry.count += 1;
+        if (userId) {
+            entry.reacted = entry.reacted || user.toString() === userId.toString();
+        }
+        summary.set(emoji, entry);
+    }
+    return [...summary.values()];
+};
+
+/**
+ * Count a poll's votes.
+ * Public polls list each option's voters; anonymous polls only the counts.
+ * @param {Object} poll - The message's poll
+ * @param {string} [userId] - If given, include the options this user voted for as `myVotes`
+ * @returns {Object} The poll without its raw votes, with `options: [{ text, count, voters }]`, `voterCount` and `closed`
+ */
+messageSchema.statics.summarizePoll = function (poll, userId) {
+    const votes = poll.votes || [];
+    const summary = {
+        question: poll.question,
+        options: poll.options.map(({ text }, index) => {
+            const voters = votes.filter(vote => vote.option === index).map(vote => vote.user);
+            return poll.anonymous ? { text, count: voters.length } : { text, count: voters.length, voters };
+        }),
+        multipleChoice: poll.multipleChoice,
+        anonymous: poll.anonymous,
+        closesAt: poll.closesAt,
+        closedAt: poll.closedAt,
+        closedBy: poll.closedBy,
+        closed: Boolean(poll.closedAt || (poll.closesAt && poll.closesAt <= new Date())),
+        voterCount: new Set(votes.map(vote => vote.user.toString())).size,
+    };
+    if (userId) {
+        summary.myVotes = votes.filter(vote => vote.user.toString() === userId.toString()).map(vote => vote.option);
     }
+    return summary;
+};
+
+/**
+ * Whether the message can still be edited, given the edit window in minutes.
+ * @param {number} windowMinutes - Minutes after sending during which edits are allowed; 0 for no limit
+ * @returns {boolean}
+ */
+messageSchema.methods.isEditable = function (windowMinutes) {
+    return !windowMinutes || Date.now() - this.createdAt.getTime() <= windowMinutes * 60 * 1000;
 };
 
+// The methods below append to `revisions`, so load the message with '+revisions' first
+
 messageSchema.methods.softDelete = async function (userId) {
     this.deleted = true;
     this.deletedBy = userId;
+    this.deletedAt = new Date();
+    this.revisions.push({ action: 'delete', by: userId, at: this.deletedAt });
     await this.save();
 };
 
-messageSchema.methods.edit = async function (newText) {
+messageSchema.methods.edit = async function (newText, userId) {
+    this.editedAt = new Date();
+    this.revisions.push({ action: 'edit', text: this.text, by: userId, at: this.editedAt });
     this.text = newText;
     this.edited = true;
+    await this.save();
+};
+
+messageSchema.methods.editEncrypted = async function ({ ciphertext, nonce, keyId }, userId) {
     this.editedAt = new Date();
+    this.revisions.push({
+        action: 'edit',
+        ciphertext: this.ciphertext,
+        nonce: this.nonce,
+        keyId: this.keyId,
+        by: userId,
+        at: this.editedAt,
+    });
+    this.ciphertext = ciphertext;
+    this.nonce = nonce;
+    this.keyId = keyId;
+    this.edited = true;
     await this.save();
 };
 
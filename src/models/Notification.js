@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for an entry in a user's notification inbox.
+ * @typedef {Object} Notification
+ * @property {ObjectId} user - The recipient.
+ * @property {string} type - What the notification is about; currently only 'mention'.
+ * @property {ObjectId} group - The group the message was sent in.
+ * @property {ObjectId} message - The _id of the message.
+ * @property {Object} actor - The user who triggered the notification ({ id, name }).
+ * @property {string} mentionType - How the recipient was mentioned: 'user', 'here' or 'all'.
+ * @property {string} preview - The start of the message text; empty for encrypted messages.
+ * @property {Date} readAt - When the recipient read the notification, null while unread.
+ */
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: ['mention'],
+        required: true,
+    },
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true,
+    },
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+    },
+    actor: {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        name: { type: String },
+    },
+    mentionType: {
+        type: String,
+        enum: ['user', 'here', 'all'],
+    },
+    preview: {
+        type: String,
+    },
+    readAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+notificationSchema.index({ user: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+// One notification per recipient and message, even if the message is edited to mention them again
+notificationSchema.index({ user: 1, message: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for one attempt to deliver a notification digest to a user.
+ * Kept for 30 days so users and operators can see why a notification didn't arrive.
+ * @typedef {Object} NotificationDelivery
+ * @property {ObjectId} user - The recipient.
+ * @property {string} transport - The transport used ('email', 'push', 'log'); absent when skipped before choosing one.
+ * @property {string} status - 'sent', 'failed' or 'skipped'.
+ * @property {number} attempt - Which attempt this was, starting at 1.
+ * @property {boolean} willRetry - For failures, whether another attempt is scheduled.
+ * @property {string} subject - The digest's subject line.
+ * @property {string} detail - What the transport reported, or why the delivery was skipped.
+ * @property {string} error - The error of a failed attempt.
+ * @property {ObjectId} job - The job that made the attempt.
+ */
+const notificationDeliverySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    transport: String,
+    status: {
+        type: String,
+        enum: ['sent', 'failed', 'skipped'],
+        required: true,
+    },
+    attempt: Number,
+    willRetry: Boolean,
+    subject: String,
+    detail: String,
+    error: String,
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 30 * 24 * 60 * 60,
+    },
+});
+
+notificationDeliverySchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
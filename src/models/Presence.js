@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for one connected socket of a user (one per device or tab).
+ * A user is online while they have at least one unexpired connection. Servers
+ * refresh `expiresAt` on a heartbeat, so connections of a server that stopped
+ * without cleaning up expire on their own.
+ * @typedef {Object} Presence
+ * @property {ObjectId} user - The connected user.
+ * @property {string} socketId - The Socket.IO socket ID.
+ * @property {ObjectId} session - The login session the socket authenticated with.
+ * @property {Date} expiresAt - When the connection is considered gone unless refreshed.
+ */
+const presenceSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    socketId: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session',
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+presenceSchema.index({ user: 1, expiresAt: 1 });
+presenceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Presence', presenceSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for how far a user has read in a group.
+ * The cursor is the position (createdAt and _id) of the newest message the user has read;
+ * everything at or before it counts as read. It only ever moves forward.
+ * @typedef {Object} ReadState
+ * @property {ObjectId} group - The group.
+ * @property {ObjectId} user - The reader.
+ * @property {ObjectId} lastReadMessage - The _id of the newest message the user has read.
+ * @property {Date} lastReadMessageAt - The createdAt of that message.
+ */
+const readStateSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    lastReadMessage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true,
+    },
+    lastReadMessageAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+readStateSchema.index({ group: 1, user: 1 }, { unique: true });
+// "Seen by" lookups: who has read up to a given message
+readStateSchema.index({ group: 1, lastReadMessageAt: -1, lastReadMessage: -1 });
+
+module.exports = mongoose.model('ReadState', readStateSchema);
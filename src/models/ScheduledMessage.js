@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a message a user wrote now to be sent to a group later.
+ * A `sendScheduledMessage` job (services/scheduledMessages) sends it at `sendAt`
+ * through the same path as `POST /api/groups/:groupId/messages`.
+ * @typedef {Object} ScheduledMessage
+ * @property {ObjectId} user - The author; the message is sent as them.
+ * @property {ObjectId} group - The group the message is for.
+ * @property {Date} sendAt - When to send the message.
+ * @property {string} messageId - The client id the message is sent with, so a retried send can't post it twice.
+ * @property {string} type - 'text', 'image', 'file' or 'poll'.
+ * @property {string} text - The message text.
+ * @property {string} mediaUrl - URL of an attachment.
+ * @property {string} mediaType - MIME type of the attachment.
+ * @property {string} replyTo - The _id of the message to reply to.
+ * @property {Object} poll - The poll to post, as accepted by `POST /api/groups/:groupId/messages`.
+ * @property {string} status - 'pending', 'sending', 'sent' or 'failed'.
+ * @property {ObjectId} message - The _id of the sent message.
+ * @property {string} lastError - Why sending failed.
+ * @property {Date} completedAt - When the message was sent or failed for good.
+ */
+const scheduledMessageSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true,
+    },
+    sendAt: {
+        type: Date,
+        required: true,
+    },
+    messageId: {
+        type: String,
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: ['text', 'image', 'file', 'poll'],
+        default: 'text',
+    },
+    text: String,
+    mediaUrl: String,
+    mediaType: String,
+    replyTo: String,
+    poll: mongoose.Schema.Types.Mixed,
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed'],
+        default: 'pending',
+    },
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+    },
+    lastError: String,
+    completedAt: Date,
+}, {
+    timestamps: true,
+});
+
+scheduledMessageSchema.index({ user: 1, status: 1, sendAt: 1 });
+// Sent and failed messages are kept for 30 days so their authors can see what happened
+scheduledMessageSchema.index({ completedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ScheduledMessage', scheduledMessageSchema);
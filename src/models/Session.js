@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a login session (one per device).
+ * Each session is a refresh token family: every refresh replaces the current
+ * token and remembers the old hash, so a replayed token can be detected and
+ * the whole family revoked.
+ * @typedef {Object} Session
+ * @property {ObjectId} user - The user the session belongs to.
+ * @property {string} refreshTokenHash - SHA-256 hash of the current refresh token.
+ * @property {Array<string>} usedTokenHashes - Hashes of recently rotated-out refresh tokens.
+ * @property {string} userAgent - The User-Agent of the device that logged in.
+ * @property {string} ip - The IP address the session was created from.
+ * @property {Date} lastUsedAt - When the session was last refreshed.
+ * @property {Date} expiresAt - When the refresh token expires.
+ * @property {Date} revokedAt - When the session was revoked, if it was.
+ * @property {string} revokedReason - Why the session was revoked.
+ */
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+    },
+    usedTokenHashes: [{
+        type: String,
+    }],
+    userAgent: {
+        type: String,
+    },
+    ip: {
+        type: String,
+    },
+    lastUsedAt: Date,
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+    },
+}, {
+    timestamps: true,
+});
+
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ usedTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB clean up expired sessions
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -5,7 +5,17 @@ const mongoose = require('mongoose');
  * @typedef {Object} User
  * @property {string} name - The name of the user.
  * @property {string} email - The email of the user.
- * @property {string} password - The password of the user.
+ * @property {string} password - The password of the user. Bots have none.
+ * @property {Object} publicKey - The user's public key for end-to-end encrypted groups.
+ * @property {string} status - Manually chosen status: 'available', 'away' or 'dnd' (do not disturb).
+ * @property {string} statusText - Custom status message.
+ * @property {Date} lastSeenAt - When the user's last connected device disconnected.
+ * @property {Object} notificationSettings - Which channels offline notifications may use ({ email, push }).
+ * @property {Array<Object>} pushSubscriptions - Web Push subscriptions of the user's browsers.
+ * @property {Date} lastDigestAt - Messages up to this time were covered by a notification digest.
+ * @property {Array<Object>} mutedGroups - Groups the user muted with /mute, and until when ({ group, until }).
+ * @property {boolean} isBot - Whether this is a bot account, which authenticates with API tokens only.
+ * @property {ObjectId} botOwner - The user who created the bot and manages its tokens.
  */
 const userSchema = new mongoose.Schema({
     name: {
@@ -20,7 +30,7 @@ const userSchema = new mongoose.Schema({
     },
     password: {
         type: String,
-        required: true,
+        required: function () { return !this.isBot; },
     },
     avatarUrl: {
         type: String, // Optional: For user profile images
@@ -30,8 +40,56 @@ const userSchema = new mongoose.Schema({
         enum: ['user', 'moderator', 'admin'],
         default: 'user'
     },
+    publicKey: {
+        keyId: { type: String }, // Client-chosen identifier, referenced by group key envelopes
+        key: { type: String }, // Base64-encoded public key
+        algorithm: { type: String },
+        updatedAt: { type: Date },
+    },
+    status: {
+        type: String,
+        enum: ['available', 'away', 'dnd'], // 'available' shows as online or offline depending on connections
+        default: 'available',
+    },
+    statusText: {
+        type: String,
+        maxlength: 140,
+    },
+    lastSeenAt: Date,
+    notificationSettings: {
+        email: { type: Boolean, default: true },
+        push: { type: Boolean, default: true },
+    },
+    pushSubscriptions: {
+        type: [{
+            endpoint: { type: String, required: true },
+            keys: {
+                p256dh: { type: String, required: true },
+                auth: { type: String, required: true },
+            },
+            createdAt: { type: Date, default: Date.now },
+            _id: false,
+        }],
+        select: false, // Contains the keys used to encrypt pushes; select with '+pushSubscriptions'
+    },
+    lastDigestAt: Date,
+    mutedGroups: [{
+        group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+        until: { type: Date, required: true },
+        _id: false,
+    }],
+    isBot: {
+        type: Boolean,
+        default: false,
+    },
+    botOwner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
 }, {
     timestamps: true,
 });
 
+userSchema.index({ botOwner: 1 }, { sparse: true });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
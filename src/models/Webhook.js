@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for an outgoing webhook registered on a group.
+ * @typedef {Object} Webhook
+ * @property {ObjectId} group - The group whose events are delivered.
+ * @property {string} url - Where events are POSTed.
+ * @property {Array<string>} events - The subscribed events (see WEBHOOK_EVENTS in services/webhooks).
+ * @property {string} secret - The HMAC key deliveries are signed with; only shown when created or rotated.
+ * @property {string} description - An optional note for the group admins.
+ * @property {boolean} active - Inactive webhooks receive no deliveries.
+ * @property {ObjectId} createdBy - The admin who registered the webhook.
+ */
+const webhookSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true,
+    },
+    url: {
+        type: String,
+        required: true,
+    },
+    events: [{
+        type: String,
+        required: true,
+    }],
+    secret: {
+        type: String,
+        required: true,
+        select: false, // Select with '+secret'
+    },
+    description: {
+        type: String,
+        maxlength: 200,
+    },
+    active: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true,
+});
+
+webhookSchema.index({ group: 1, active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for one event delivered (or being delivered) to a webhook.
+ * The payload is stored as sent, so a delivery can be inspected and redelivered.
+ * Deliveries are kept for 30 days.
+ * @typedef {Object} WebhookDelivery
+ * @property {ObjectId} webhook - The webhook.
+ * @property {ObjectId} group - The webhook's group.
+ * @property {string} event - The event name, e.g. 'message.created'.
+ * @property {Object} payload - The JSON body POSTed to the webhook.
+ * @property {string} status - 'pending' (being attempted or waiting for a retry), 'succeeded' or 'failed'.
+ * @property {Array<Object>} attempts - Every attempt: when, the response status or error, and how long it took.
+ * @property {ObjectId} redeliveryOf - The delivery this one repeats, for manual redeliveries.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true,
+    },
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true,
+    },
+    event: {
+        type: String,
+        required: true,
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending',
+    },
+    attempts: [{
+        at: { type: Date, default: Date.now },
+        statusCode: Number,
+        error: String,
+        durationMs: Number,
+        _id: false,
+    }],
+    redeliveryOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery',
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 30 * 24 * 60 * 60,
+    },
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
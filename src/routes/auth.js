@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const auth = require('../middleware/auth');
+const { createSession, issueAccessToken, revokeSession, rotateRefreshToken } = require('../services/sessions');
 
 /**
  * @swagger
@@ -61,7 +63,7 @@ router.post('/register', async (req, res) => {
  * @swagger
  * /api/auth/login:
  *   post:
- *     summary: Login user and return JWT token 
+ *     summary: Login user and return an access token and refresh token
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -89,7 +91,10 @@ router.post('/register', async (req, res) => {
  *               properties:
  *                 token:
  *                   type: string
- *                   description: JWT token
+ *                   description: Short-lived JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token, exchanged at /api/auth/refresh
  *                 user:
  *                   type: object
  *                   properties:
@@ -113,11 +118,222 @@ router.post('/register', async (req, res) => {
 router.post('/login', async (req, res) => {
     const { email, password } = req.body;
     const user = await User.findOne({ email });
-    if (!user || !(await bcrypt.compare(password, user.password))) {
+    // Bots have no password and authenticate with API tokens
+    if (!user || user.isBot || !(await bcrypt.compare(password, user.password))) {
         return res.status(401).json({ message: 'Invalid credentials' });
     }
-    const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1d' });
-    res.json({ token, user: { id: user._id, email: user.email, name: user.name } });
+    const { token, refreshToken } = await createSession(user, req);
+    res.json({ token, refreshToken, user: { id: user._id, email: user.email, name: user.name } });
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: Each refresh token can be used once. Reusing an old one revokes the whole session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: The refresh token from login or the previous refresh
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                   description: Short-lived JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: The replacement refresh token
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({ message: 'Missing refresh token' });
+    }
+    try {
+        const result = await rotateRefreshToken(req.app.get('io'), refreshToken);
+        if (result.error) {
+            return res.status(401).json({ message: result.error });
+        }
+        const user = await User.findById(result.session.user);
+        if (!user) {
+            return res.status(401).json({ message: 'Invalid or expired refresh token' });
+        }
+        res.json({ token: issueAccessToken(user, result.session), refreshToken: result.refreshToken });
+    } catch (err) {
+        console.error('Error refreshing token:', err);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out by revoking the current session
+ *     tags: [Auth]
+ *     responses:
+ *       204:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized access
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/logout', auth, async (req, res) => {
+    try {
+        await revokeSession(req.app.get('io'), { _id: req.user.sid }, 'logout');
+        res.status(204).end();
+    } catch (err) {
+        console.error('Error logging out:', err);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the authenticated user's active sessions
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: List of active sessions (devices)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                     description: Session ID
+ *                   userAgent:
+ *                     type: string
+ *                   ip:
+ *                     type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lastUsedAt:
+ *                     type: string
+ *                     format: date-time
+ *                   expiresAt:
+ *                     type: string
+ *                     format: date-time
+ *                   current:
+ *                     type: boolean
+ *                     description: Whether this is the session making the request
+ *       401:
+ *         description: Unauthorized access
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user.id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        }).sort({ lastUsedAt: -1 });
+        res.json(sessions.map(session => ({
+            id: session._id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: session._id.toString() === req.user.sid,
+        })));
+    } catch (err) {
+        console.error('Error listing sessions:', err);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the authenticated user's sessions
+ *     description: Signs the device out and disconnects its open sockets.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The session ID
+ *     responses:
+ *       204:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized access
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/sessions/:id', auth, async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null });
+        if (!session) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+        await revokeSession(req.app.get('io'), session, 'revoked_by_user');
+        res.status(204).end();
+    } catch (err) {
+        console.error('Error revoking session:', err);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Revoke all of the authenticated user's other sessions
+ *     tags: [Auth]
+ *     responses:
+ *       204:
+ *         description: Other sessions revoked
+ *       401:
+ *         description: Unauthorized access
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await Session.find({ user: req.user.id, revokedAt: null, _id: { $ne: req.user.sid } });
+        await Promise.all(sessions.map(session => revokeSession(req.app.get('io'), session, 'revoked_by_user')));
+        res.status(204).end();
+    } catch (err) {
+        console.error('Error revoking sessions:', err);
+        res.status(500).json({ message: 'Internal server error' });
+    }
 });
 
 module.exports = router;
\ No newline at end of file
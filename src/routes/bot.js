@@ -0,0 +1,346 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+const auth = require('../middleware/auth');
+const { generateApiToken, parseScopes } = require('../services/apiTokens');
+
+const MAX_BOTS_PER_USER = 20;
+const MAX_TOKENS_PER_BOT = 20;
+const MAX_TOKEN_LIFETIME_DAYS = 365;
+// Bots never receive email; the address only satisfies the unique user email
+const BOT_EMAIL_DOMAIN = 'bots.invalid';
+
+/**
+ * Middleware that loads a bot owned by the authenticated user from the `botId`
+ * route parameter and attaches it as `req.bot`.
+ * @param {Object} req - The request object
+ * @param {Object} res - The response object
+ * @param {Function} next - The next middleware function
+ */
+const loadOwnBot = async (req, res, next) => {
+    try {
+        const bot = mongoose.isValidObjectId(req.params.botId)
+            ? await User.findOne({ _id: req.params.botId, isBot: true, botOwner: req.user.id }, 'name email isBot botOwner createdAt')
+            : null;
+        if (!bot) {
+            return res.status(404).json({ error: 'Bot not found' });
+        }
+        req.bot = bot;
+    } catch (error) {
+        console.error('Error loading bot:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+    next();
+};
+
+/**
+ * Find a token of the bot in the request.
+ * @param {Object} req - The request object, after loadOwnBot
+ * @returns {Promise<Object|null>} The ApiToken
+ */
+const findToken = (req) => mongoose.isValidObjectId(req.params.tokenId)
+    ? ApiToken.findOne({ _id: req.params.tokenId, bot: req.bot._id })
+    : null;
+
+/**
+ * @swagger
+ * /api/bots:
+ *   post:
+ *     summary: Create a bot account
+ *     description: |
+ *       The authenticated user owns the bot and manages its API tokens. Bots can't log in;
+ *       add the bot to groups with the addMember endpoint, then authenticate as it with an API token.
+ *     tags: [Bots]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: The name shown on the bot's messages
+ *     responses:
+ *       201:
+ *         description: Bot created
+ *       400:
+ *         description: Missing name or too many bots
+ *       401:
+ *         description: Unauthorized access
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', auth, async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    try {
+        if (await User.countDocuments({ isBot: true, botOwner: req.user.id }) >= MAX_BOTS_PER_USER) {
+            return res.status(400).json({ error: `You can own at most ${MAX_BOTS_PER_USER} bots` });
+        }
+        const _id = new mongoose.Types.ObjectId();
+        const bot = await User.create({
+            _id,
+            name,
+            email: `${_id}@${BOT_EMAIL_DOMAIN}`,
+            isBot: true,
+            botOwner: req.user.id,
+        });
+        res.status(201).json({ _id: bot._id, name: bot.name, isBot: true, botOwner: bot.botOwner, createdAt: bot.createdAt });
+    } catch (error) {
+        console.error('Error creating bot:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/bots:
+ *   get:
+ *     summary: List the bots the authenticated user owns
+ *     tags: [Bots]
+ *     responses:
+ *       200:
+ *         description: The bots
+ *       401:
+ *         description: Unauthorized access
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', auth, async (req, res) => {
+    try {
+        const bots = await User.find({ isBot: true, botOwner: req.user.id }, 'name isBot botOwner createdAt')
+            .sort({ createdAt: 1 });
+        res.json(bots);
+    } catch (error) {
+        console.error('Error listing bots:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/bots/{botId}/tokens:
+ *   post:
+ *     summary: Create an API token for a bot
+ *     description: |
+ *       The response includes the token; it is not shown again. Send it as "Authorization: Bearer <token>".
+ *       Available scopes: groups:read, messages:read, messages:write, commands:write. Each scope can be limited to one group.
+ *     tags: [Bots]
+ *     parameters:
+ *       - in: path
+ *         name: botId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The bot's user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: A label for the token
+ *               scopes:
+ *                 type: array
+ *                 description: Scope names, granted for every group the bot is in, or { scope, groupId } to limit a scope to one group
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       properties:
+ *                         scope:
+ *                           type: string
+ *                         groupId:
+ *                           type: string
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Days until the token expires (max 365); never if omitted
+ *     responses:
+ *       201:
+ *         description: Token created, including the token itself
+ *       400:
+ *         description: Invalid name, scopes or expiry, or too many tokens
+ *       401:
+ *         description: Unauthorized access
+ *       404:
+ *         description: Bot not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:botId/tokens', auth, loadOwnBot, async (req, res) => {
+    const { name, expiresInDays } = req.body;
+    if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    const { scopes, error } = parseScopes(req.body.scopes);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (expiresInDays !== undefined
+        && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_TOKEN_LIFETIME_DAYS)) {
+        return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_TOKEN_LIFETIME_DAYS}` });
+    }
+    try {
+        if (await ApiToken.countDocuments({ bot: req.bot._id, revokedAt: null }) >= MAX_TOKENS_PER_BOT) {
+            return res.status(400).json({ error: `A bot can have at most ${MAX_TOKENS_PER_BOT} active tokens` });
+        }
+        const { token, tokenHash, prefix } = generateApiToken();
+        const apiToken = await ApiToken.create({
+            bot: req.bot._id,
+            name: name.trim(),
+            tokenHash,
+            prefix,
+            scopes,
+            createdBy: req.user.id,
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+        });
+        const created = apiToken.toObject();
+        delete created.tokenHash;
+        res.status(201).json({ ...created, token });
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/bots/{botId}/tokens:
+ *   get:
+ *     summary: List a bot's API tokens
+ *     description: Includes revoked tokens. Tokens themselves are never returned, only their prefix and when they were last used.
+ *     tags: [Bots]
+ *     parameters:
+ *       - in: path
+ *         name: botId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The bot's user ID
+ *     responses:
+ *       200:
+ *         description: The tokens, newest first
+ *       401:
+ *         description: Unauthorized access
+ *       404:
+ *         description: Bot not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:botId/tokens', auth, loadOwnBot, async (req, res) => {
+    try {
+        res.json(await ApiToken.find({ bot: req.bot._id }).sort({ createdAt: -1 }));
+    } catch (error) {
+        console.error('Error listing API tokens:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/bots/{botId}/tokens/{tokenId}/rotate:
+ *   post:
+ *     summary: Replace an API token with a new one
+ *     description: The old token stops working immediately. The new token keeps the name, scopes and expiry.
+ *     tags: [Bots]
+ *     parameters:
+ *       - in: path
+ *         name: botId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The bot's user ID
+ *       - in: path
+ *         name: tokenId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The token ID
+ *     responses:
+ *       200:
+ *         description: Token rotated, including the new token
+ *       401:
+ *         description: Unauthorized access
+ *       404:
+ *         description: Bot or active token not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:botId/tokens/:tokenId/rotate', auth, loadOwnBot, async (req, res) => {
+    try {
+        const apiToken = await findToken(req);
+        if (!apiToken || apiToken.revokedAt) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+        const { token, tokenHash, prefix } = generateApiToken();
+        apiToken.tokenHash = tokenHash;
+        apiToken.prefix = prefix;
+        apiToken.rotatedAt = new Date();
+        await apiToken.save();
+        const rotated = apiToken.toObject();
+        delete rotated.tokenHash;
+        res.json({ ...rotated, token });
+    } catch (error) {
+        console.error('Error rotating API token:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/bots/{botId}/tokens/{tokenId}:
+ *   delete:
+ *     summary: Revoke an API token
+ *     tags: [Bots]
+ *     parameters:
+ *       - in: path
+ *         name: botId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The bot's user ID
+ *       - in: path
+ *         name: tokenId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The token ID
+ *     responses:
+ *       204:
+ *         description: Token revoked
+ *       401:
+ *         description: Unauthorized access
+ *       404:
+ *         description: Bot or active token not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:botId/tokens/:tokenId', auth, loadOwnBot, async (req, res) => {
+    try {
+        const apiToken = await findToken(req);
+        if (!apiToken || apiToken.revokedAt) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+        apiToken.revokedAt = new Date();
+        await apiToken.save();
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
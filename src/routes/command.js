@@ -0,0 +1,276 @@
+const express = require('express');
+const router = express.Router();
+const Group = require('../models/Group');
+const BotCommand = require('../models/BotCommand');
+const auth = require('../middleware/auth');
+const authorizeGroup = require('../middleware/authorizeGroup');
+const { commands, listCommands } = require('../commands');
+const { generateSecret } = require('../services/webhooks');
+const { checkPublicUrl } = require('../utils/publicUrl');
+
+const MAX_ARGUMENTS = 10;
+const ARGUMENT_TYPES = BotCommand.schema.path('args').schema.path('type').enumValues;
+
+/**
+ * Check a bot command registration.
+ * @param {Object} body - `{ url, args, role }`
+ * @returns {string|null} An error message, or null if the registration is valid
+ */
+const validateRegistration = ({ url, args = [], role }) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        return 'A valid url is required';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'Command URLs must use http or https';
+    }
+    if (!Array.isArray(args) || args.length > MAX_ARGUMENTS) {
+        return `args must be a list of at most ${MAX_ARGUMENTS} arguments`;
+    }
+    for (const [index, arg] of args.entries()) {
+        if (!arg || typeof arg.name !== 'string' || !ARGUMENT_TYPES.includes(arg.type || 'word')) {
+            return `Each argument needs a name and a type (${ARGUMENT_TYPES.join(', ')})`;
+        }
+        if (arg.type === 'text' && index !== args.length - 1) {
+            return 'A text argument takes the rest of the input, so it must come last';
+        }
+    }
+    if (role !== undefined && !Group.ROLES.includes(role)) {
+        return `role must be one of ${Group.ROLES.join(', ')}`;
+    }
+    return null;
+};
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/commands:
+ *   get:
+ *     summary: List the slash commands available in a group
+ *     description: Built-in commands and the ones bots registered in the group, for autocompletion and /help.
+ *     tags: [Commands]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *     responses:
+ *       200:
+ *         description: The commands, sorted by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   usage:
+ *                     type: string
+ *                     description: e.g. "/kick <member> [reason]"
+ *                   args:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                   role:
+ *                     type: string
+ *                     description: The least group role allowed to run the command
+ *                   bot:
+ *                     type: string
+ *                     description: The bot that handles the command; unset for built-in commands
+ *                   allowed:
+ *                     type: boolean
+ *                     description: Whether the caller may run the command
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:groupId/commands', auth.withScope('groups:read'), authorizeGroup(), async (req, res) => {
+    try {
+        res.json(await listCommands(req.group, req.groupRole));
+    } catch (error) {
+        console.error('Error listing commands:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/commands/{name}:
+ *   put:
+ *     summary: Register or update a bot's slash command
+ *     description: |
+ *       Bots only, with the commands:write scope, and the bot must be a member of the group.
+ *       When a member runs the command, `{ command, groupId, user, args, text }` is POSTed to the url, signed with
+ *       X-Command-Timestamp and X-Command-Signature (`sha256=` + HMAC-SHA256 of `{timestamp}.{body}` keyed with the secret).
+ *       Answer within 5 seconds with `{ text, visibility }`, where visibility is `ephemeral` (only the caller sees it,
+ *       the default) or `group` (posted as a system message from the bot).
+ *     tags: [Commands]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The command name, without the slash
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               args:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [word, text, member, user, duration]
+ *                     required:
+ *                       type: boolean
+ *                       default: true
+ *               role:
+ *                 type: string
+ *                 enum: [member, moderator, admin, owner]
+ *                 default: member
+ *     responses:
+ *       201:
+ *         description: Command registered; the response includes the signing secret, shown only this once
+ *       200:
+ *         description: Command updated
+ *       400:
+ *         description: Invalid name, url or arguments
+ *       403:
+ *         description: Not a bot, or not a member of the group
+ *       409:
+ *         description: The name is taken by a built-in command or another bot
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:groupId/commands/:name', auth.withScope('commands:write'), authorizeGroup(), async (req, res) => {
+    const name = req.params.name.toLowerCase();
+    const { url, description, args, role } = req.body;
+    if (!req.user.isBot) {
+        return res.status(403).json({ error: 'Only bots can register commands' });
+    }
+    if (!/^[a-z][\w-]*$/.test(name) || name.length > 32) {
+        return res.status(400).json({ error: 'Command names start with a letter and contain letters, digits, _ and -' });
+    }
+    if (commands.has(name)) {
+        return res.status(409).json({ error: `/${name} is a built-in command` });
+    }
+    const error = validateRegistration(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const addressError = await checkPublicUrl(url);
+    if (addressError) {
+        return res.status(400).json({ error: addressError });
+    }
+    try {
+        const existing = await BotCommand.findOne({ group: req.group._id, name });
+        if (existing && existing.bot.toString() !== req.user.id) {
+            return res.status(409).json({ error: `/${name} is already registered by another bot` });
+        }
+        if (existing) {
+            existing.set({ url, description, args: args || [], role: role || 'member' });
+            await existing.save();
+            return res.json(existing);
+        }
+        const secret = generateSecret();
+        const command = await BotCommand.create({
+            group: req.group._id,
+            bot: req.user.id,
+            name,
+            url,
+            description,
+            args,
+            role,
+            secret,
+        });
+        res.status(201).json({ ...command.toObject(), secret });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ error: `/${name} is already registered by another bot` });
+        }
+        console.error('Error registering command:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/commands/{name}:
+ *   delete:
+ *     summary: Remove a bot's slash command
+ *     description: The bot that registered the command, or the group owner and admins, can remove it.
+ *     tags: [Commands]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The command name, without the slash
+ *     responses:
+ *       204:
+ *         description: Command removed
+ *       403:
+ *         description: Not allowed to remove the command
+ *       404:
+ *         description: Command not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:groupId/commands/:name', auth.withScope('commands:write'), authorizeGroup(), async (req, res) => {
+    try {
+        const command = await BotCommand.findOne({ group: req.group._id, name: req.params.name.toLowerCase() });
+        if (!command) {
+            return res.status(404).json({ error: 'Command not found' });
+        }
+        if (command.bot.toString() !== req.user.id && !['owner', 'admin'].includes(req.groupRole)) {
+            return res.status(403).json({ error: 'Forbidden: insufficient group role' });
+        }
+        await command.deleteOne();
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error removing command:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
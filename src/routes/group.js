@@ -1,14 +1,30 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Group = require('../models/Group');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const authorizeGroup = require('../middleware/authorizeGroup');
+const User = require('../models/User');
+const JoinRequest = require('../models/JoinRequest');
+const { rotateGroupKey } = require('../services/groupKeys');
+const { deleteGroup } = require('../services/groups');
+const { unreadCounts } = require('../services/readState');
+const { presenceOf } = require('../services/presence');
+const { emitGroupEvent } = require('../services/groupEvents');
+const { triggerWebhooks } = require('../services/webhooks');
+const { addMember, removeMember } = require('../services/membership');
+const { postSystemMessage } = require('../services/messageService');
+const { validateRetention, effectiveRetention, describeRetention } = require('../services/retention');
+const { parseDuration, formatDuration } = require('../utils/duration');
+const { listPins } = require('../services/pins');
 
 /**
  * @swagger
  * /api/groups:
  *   post:
  *     summary: Create a new group
+ *     description: The authenticated user becomes the group's owner.
  *     tags: [Groups]
  *     requestBody:
  *       required: true
@@ -18,14 +34,14 @@ const authorize = require('../middleware/authorize');
  *             type: object
  *             required:
  *               - name
- *               - creatorId
  *             properties:
  *               name:
  *                 type: string
  *                 description: Name of the group
- *               creatorId:
+ *               visibility:
  *                 type: string
- *                 description: ID of the group creator
+ *                 enum: [public, private, secret]
+ *                 description: Who can find and join the group (default is 'public')
  *     responses:
  *       201:
  *         description: Group created successfully
@@ -54,13 +70,22 @@ const authorize = require('../middleware/authorize');
  *         description: Internal server error
  */
 router.post("/", auth, async (req, res) => {
-    const { name, creatorId } = req.body;
-    const group = await Group.create({
-        name,
-        creator: creatorId,
-        members: [creatorId],
-    });
-    res.status(201).json(group);
+    const { name, visibility } = req.body;
+    try {
+        const group = await Group.create({
+            name,
+            visibility,
+            creator: req.user.id,
+            members: [req.user.id],
+        });
+        res.status(201).json(group);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Error creating group:", err);
+        res.status(500).json({ error: "Internal server error" });
+    }
 });
 
 /**
@@ -68,6 +93,7 @@ router.post("/", auth, async (req, res) => {
  * /api/groups/{id}:
  *   put:
  *     summary: Update group details
+ *     description: Restricted to the group's owner and admins. Membership is managed through the member endpoints.
  *     tags: [Groups]
  *     parameters:
  *       - in: path
@@ -86,11 +112,25 @@ router.post("/", auth, async (req, res) => {
  *               name:
  *                 type: string
  *                 description: Name of the group
- *               members:
+ *               topic:
+ *                 type: string
+ *                 description: What the group is currently about; an empty string clears it
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, private, secret]
+ *                 description: Who can find and join the group
+ *               allowedReactions:
  *                 type: array
  *                 items:
  *                   type: string
- *                 description: List of group member IDs
+ *                 description: Emoji members may react with; an empty list allows any emoji
+ *               retention:
+ *                 type: string
+ *                 nullable: true
+ *                 description: |
+ *                   Delete messages and their files after this long: 24h, 7d, 90d or another duration such as 30d (at least 1h).
+ *                   null keeps messages forever. Must be within the organisation's MESSAGE_RETENTION_MIN and MESSAGE_RETENTION_MAX.
+ *                   Changes are announced in the group with a system message.
  *     responses:
  *       200:
  *         description: Group updated successfully
@@ -115,23 +155,46 @@ router.post("/", auth, async (req, res) => {
  *                   description: List of group member IDs
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: Only the owner and admins can update the group
  *       404:
  *         description: Group not found
  *       500:
  *         description: Internal server error
  */
-router.put("/:id", auth, async (req, res) => {
-    const { name, members } = req.body;
-    try {
-        const group = await Group.findById(req.params.id);
-        if (!group) {
-            return res.status(404).json({ message: "Group not found" });
+router.put("/:id", auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    const { name, topic, visibility, allowedReactions } = req.body;
+    let retention;
+    if (req.body.retention !== undefined) {
+        const checked = validateRetention(req.body.retention);
+        if (checked.error) {
+            return res.status(400).json({ error: checked.error });
         }
+        retention = checked.retention;
+    }
+    try {
+        const group = req.group;
+        const retentionChanged = retention !== undefined && retention !== (group.retention || null);
         if (name) group.name = name;
-        if (members) group.members = members;
+        if (typeof topic === 'string') group.topic = topic || undefined;
+        if (visibility) group.visibility = visibility;
+        if (Array.isArray(allowedReactions)) group.allowedReactions = allowedReactions;
+        if (retentionChanged) group.retention = retention || undefined;
         await group.save();
+
+        if (retentionChanged) {
+            const user = await User.findById(req.user.id, 'name email isBot');
+            const period = effectiveRetention(group);
+            const text = period
+                ? `${user.name} set messages to disappear after ${describeRetention(period)}`
+                : `${user.name} turned off disappearing messages`;
+            await postSystemMessage(req.app.get('io'), group._id, text, user);
+        }
         res.json(group);
     } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: err.message });
+        }
         console.error("Error updating group:", err);
         res.status(500).json({ message: "Internal server error" });
     }
@@ -141,7 +204,8 @@ router.put("/:id", auth, async (req, res) => {
  * @swagger
  * /api/groups:
  *   get:
- *     summary: Get all groups
+ *     summary: Get all groups visible to the user
+ *     description: Secret groups are only listed for their members.
  *     tags: [Groups]
  *     responses:
  *       200:
@@ -170,16 +234,83 @@ router.put("/:id", auth, async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.get("/", auth, async (req, res) => {
-    const groups = await Group.find();
-    res.json(groups);
+router.get("/", auth.withScope('groups:read'), async (req, res) => {
+    try {
+        const groups = await Group.find({
+            $or: [{ visibility: { $ne: 'secret' } }, { members: req.user.id }],
+        });
+        res.json(groups);
+    } catch (error) {
+        console.error("Error fetching groups:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/my:
+ *   get:
+ *     summary: Get groups of the authenticated user
+ *     tags: [Groups]
+ *     responses:
+ *       200:
+ *         description: List of groups the user is a member of
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                     description: Group ID
+ *                   name:
+ *                     type: string
+ *                     description: Name of the group
+ *                   creator:
+ *                     type: string
+ *                     description: ID of the group creator
+ *                   members:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: List of group member IDs
+ *                   unreadCount:
+ *                     type: integer
+ *                     description: Messages from others after the user's read cursor
+ *                   mentionCount:
+ *                     type: integer
+ *                     description: Unread messages mentioning the user, @here or @all
+ *                   lastReadMessageId:
+ *                     type: string
+ *                     nullable: true
+ *                     description: The _id of the newest message the user has read
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/my", auth.withScope('groups:read'), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id, "name");
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+        const myGroups = await Group.find({ members: user._id });
+        const counts = await unreadCounts(user, myGroups);
+        res.json(myGroups.map(group => ({ ...group.toObject(), ...counts.get(group._id.toString()) })));
+    } catch (error) {
+        console.error("Error fetching user's groups:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
 });
 
 /**
  * @swagger
  * /api/groups/{id}:
- *   put:
- *     summary: Update group details
+ *   get:
+ *     summary: Get group details by ID
  *     tags: [Groups]
  *     parameters:
  *       - in: path
@@ -188,24 +319,9 @@ router.get("/", auth, async (req, res) => {
  *         schema:
  *           type: string
  *         description: The group ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 description: Name of the group
- *               members:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: List of group member IDs
  *     responses:
  *       200:
- *         description: Group updated successfully
+ *         description: Group details, including the caller's role
  *         content:
  *           application/json:
  *             schema:
@@ -219,80 +335,64 @@ router.get("/", auth, async (req, res) => {
  *                   description: Name of the group
  *                 creator:
  *                   type: string
- *                   description: ID of the group creator
+ *                   description: ID of the group owner
  *                 members:
  *                   type: array
  *                   items:
  *                     type: string
  *                   description: List of group member IDs
- *       400:
- *         description: Bad request
+ *                 roles:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *                   description: Admin and moderator roles keyed by user ID
+ *                 myRole:
+ *                   type: string
+ *                   description: The caller's role in the group
+ *                 retention:
+ *                   type: string
+ *                   description: The group's retention policy, e.g. 7d; unset if messages are kept forever
+ *                 effectiveRetention:
+ *                   type: string
+ *                   nullable: true
+ *                   description: How long messages are actually kept, after the organisation's minimum and maximum
+ *                 pins:
+ *                   type: array
+ *                   description: Pinned messages, newest pin first, as returned by GET /api/groups/{groupId}/pins
+ *                   items:
+ *                     type: object
+ *       403:
+ *         description: User is not a member of the group
  *       404:
  *         description: Group not found
  *       500:
  *         description: Internal server error
  */
-router.put("/:id", auth, async (req, res) => {
-    const { name, members } = req.body;
+router.get("/:id", auth.withScope('groups:read'), authorizeGroup(), async (req, res) => {
+    const period = effectiveRetention(req.group);
+    const ownPolicy = req.group.retention && parseDuration(req.group.retention) === period;
     try {
-        const group = await Group.findById(req.params.id);
-        if (!group) {
-            return res.status(404).json({ message: "Group not found" });
-        }
-        if (name) group.name = name;
-        if (members) group.members = members;
-        await group.save();
-        res.json(group);
+        res.json({
+            ...req.group.toJSON(),
+            myRole: req.groupRole,
+            effectiveRetention: period ? (ownPolicy ? req.group.retention : formatDuration(period)) : null,
+            // Pinned messages with their content, so clients can show them without another request
+            pins: await listPins(req.group, req.user.id),
+        });
     } catch (err) {
-        console.error("Error updating group:", err);
-        res.status(500).json({ message: "Internal server error" });
+        console.error("Error fetching group:", err);
+        res.status(500).json({ error: "Internal server error" });
     }
 });
 
-/**
- * @swagger
- * /api/groups/my:
- *   get:
- *     summary: Get groups of the authenticated user
- *     tags: [Groups]
- *     responses:
- *       200:
- *         description: List of groups the user is a member of
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   _id:
- *                     type: string
- *                     description: Group ID
- *                   name:
- *                     type: string
- *                     description: Name of the group
- *                   creator:
- *                     type: string
- *                     description: ID of the group creator
- *                   members:
- *                     type: array
- *                     items:
- *                       type: string
- *                     description: List of group member IDs
- *       500:
- *         description: Internal server error
- */
-router.get("/my", auth, async (req, res) => {
-    const userId = req.user.id; // from auth middleware
-    const myGroups = await Group.find({ members: userId });
-    res.json(myGroups);
-});
-
 /**
  * @swagger
  * /api/groups/{id}/join:
  *   post:
  *     summary: Allows a user to join a group
+ *     description: |
+ *       Public groups are joined immediately. For private groups a pending join request is created
+ *       for the owner and admins to approve. Secret groups can only be joined with an invite.
  *     tags: [Groups]
  *     parameters:
  *       - in: path
@@ -301,6 +401,16 @@ router.get("/my", auth, async (req, res) => {
  *         schema:
  *           type: string
  *         description: The group ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: Optional note to the admins of a private group
  *     responses:
  *       200:
  *         description: User joined the group successfully
@@ -323,6 +433,8 @@ router.get("/my", auth, async (req, res) => {
  *                   items:
  *                     type: string
  *                   description: List of group member IDs
+ *       202:
+ *         description: Join request created and awaiting approval (private groups)
  *       400:
  *         description: Bad request
  *       404:
@@ -331,12 +443,40 @@ router.get("/my", auth, async (req, res) => {
  *         description: Internal server error
  */
 router.post("/:id/join", auth, async (req, res) => {
-    const group = await Group.findById(req.params.id);
-    if (!group.members.includes(req.user.id)) {
+    const { message } = req.body;
+    try {
+        const group = mongoose.isValidObjectId(req.params.id) ? await Group.findById(req.params.id) : null;
+        // Secret groups are only joinable through an invite, so don't reveal they exist
+        if (!group || (group.visibility === 'secret' && !group.members.includes(req.user.id))) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        if (group.members.includes(req.user.id)) {
+            return res.json(group);
+        }
+
+        if (group.visibility === 'private') {
+            let request = await JoinRequest.findOne({ group: group._id, user: req.user.id, status: 'pending' });
+            if (!request) {
+                request = await JoinRequest.create({ group: group._id, user: req.user.id, message });
+                await request.populate('user', 'name email');
+                const admins = group.membersWithRole('owner', 'admin').map(id => `user:${id}`);
+                req.app.get('io').to(admins).emit('joinRequestCreated', { groupId: group._id, request });
+            }
+            return res.status(202).json({ status: 'pending', request });
+        }
+
         group.members.push(req.user.id);
         await group.save();
+        await rotateGroupKey(req.app.get('io'), group._id, 'member_joined');
+        await triggerWebhooks(group._id, 'member.joined', { userId: req.user.id, via: 'join' });
+        res.json(group);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ error: 'A join request is already pending' });
+        }
+        console.error("Error joining group:", err);
+        res.status(500).json({ error: "Internal server error" });
     }
-    res.json(group);
 });
 
 /**
@@ -383,17 +523,24 @@ router.post("/:id/join", auth, async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.post("/:id/leave", auth, async (req, res) => {
-    const group = await Group.findById(req.params.id);
-    if (!group) {
-        return res.status(404).json({ error: 'Group not found' });
+router.post("/:id/leave", auth, authorizeGroup(), async (req, res) => {
+    const group = req.group;
+    if (req.groupRole === 'owner') {
+        return res.status(403).json({ error: 'Owner must transfer ownership before leaving' });
     }
-    if (!group.creator) {
-        return res.status(400).json({ error: 'Group creator information is missing' });
+    try {
+        group.members = group.members.filter(id => id.toString() !== req.user.id);
+        group.roles.delete(req.user.id);
+        await group.save();
+        // Stop relaying the group's events to the user's open sockets
+        req.app.get('io').in(`user:${req.user.id}`).socketsLeave(group._id.toString());
+        await rotateGroupKey(req.app.get('io'), group._id, 'member_left');
+        await triggerWebhooks(group._id, 'member.left', { userId: req.user.id, reason: 'left' });
+        res.json(group);
+    } catch (error) {
+        console.error("Error leaving group:", error);
+        res.status(500).json({ error: "Internal server error" });
     }
-    group.members = group.members.filter(id => id.toString() !== req.user.id);
-    await group.save();
-    res.json(group);
 });
 
 /**
@@ -445,23 +592,32 @@ router.post("/:id/leave", auth, async (req, res) => {
  *                   description: List of group member IDs
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: Only the owner and admins can add members
  *       404:
- *         description: Group not found
+ *         description: Group or user not found
  *       500:
  *         description: Internal server error
  */
-router.post("/:id/addMember", auth, async (req, res) => {
+router.post("/:id/addMember", auth, authorizeGroup('owner', 'admin'), async (req, res) => {
     const { userId } = req.body;
-    const group = await Group.findById(req.params.id);
-    if (!group) {
-        return res.status(404).json({ message: "Group not found" });
+    const group = req.group;
+    if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ message: "Invalid user ID" });
     }
-    if (group.members.includes(userId)) {
-        return res.status(400).json({ message: "User is already a member of the group" });
+    try {
+        if (!(await User.exists({ _id: userId }))) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        if (group.members.includes(userId)) {
+            return res.status(400).json({ message: "User is already a member of the group" });
+        }
+        await addMember(req.app.get('io'), group, userId, req.user.id);
+        res.json(group);
+    } catch (error) {
+        console.error("Error adding member:", error);
+        res.status(500).json({ error: "Internal server error" });
     }
-    group.members.push(userId);
-    await group.save();
-    res.json(group);
 });
 
 /**
@@ -469,6 +625,7 @@ router.post("/:id/addMember", auth, async (req, res) => {
  * /api/groups/{id}:
  *   delete:
  *     summary: Delete a group
+ *     description: Everything stored for the group, such as its messages, encryption keys, invites and join requests, is deleted with it.
  *     tags: [Groups]
  *     parameters:
  *       - in: path
@@ -487,26 +644,22 @@ router.post("/:id/addMember", auth, async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.delete("/:id", auth, async (req, res) => {
-    const group = await Group.findById(req.params.id);
-    if (!group) {
-        return res.status(404).json({ error: 'Group not found' });
-    }
-    if (!group.creator) {
-        return res.status(400).json({ error: 'Group creator information is missing' });
-    }
-    if (group.creator.toString() !== req.user.id) {
-        return res.status(403).json({ error: 'You are not authorized to perform this action' });
+router.delete("/:id", auth, authorizeGroup('owner'), async (req, res) => {
+    try {
+        await deleteGroup(req.app.get('io'), req.group);
+        res.status(204).end();
+    } catch (error) {
+        console.error("Error deleting group:", error);
+        res.status(500).json({ error: "Internal server error" });
     }
-    await Group.deleteOne({ _id: req.params.id });
-    res.status(204).end();
 });
 
 /**
  * @swagger
  * /api/groups/{id}/transfer:
  *   post:
- *     summary: Transfer ownership of a group to a new user
+ *     summary: Transfer ownership of a group to another member
+ *     description: The previous owner becomes an admin.
  *     tags: [Groups]
  *     parameters:
  *       - in: path
@@ -558,21 +711,213 @@ router.delete("/:id", auth, async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.post("/:id/transfer", auth, async (req, res) => {
+router.post("/:id/transfer", auth, authorizeGroup('owner'), async (req, res) => {
     const { newOwnerId } = req.body;
-    const group = await Group.findById(req.params.id);
-    if (!group) {
-        return res.status(404).json({ error: 'Group not found' });
+    const group = req.group;
+    if (!mongoose.isValidObjectId(newOwnerId) || !group.roleOf(newOwnerId) || newOwnerId === req.user.id) {
+        return res.status(400).json({ error: 'New owner must be another member of the group' });
+    }
+    try {
+        // The previous owner stays on as an admin
+        group.creator = newOwnerId;
+        group.roles.delete(newOwnerId);
+        group.roles.set(req.user.id, 'admin');
+        await group.save();
+        await rotateGroupKey(req.app.get('io'), group._id, 'ownership_transferred');
+        await triggerWebhooks(group._id, 'group.ownership_transferred', {
+            previousOwnerId: req.user.id,
+            newOwnerId,
+        });
+        res.json(group);
+    } catch (error) {
+        console.error("Error transferring ownership:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/members/{userId}/role:
+ *   put:
+ *     summary: Promote or demote a member
+ *     description: |
+ *       The owner can assign admin, moderator or member. Admins can assign moderator or member
+ *       to members they outrank. Use the transfer endpoint to change the owner.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the member
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, moderator, member]
+ *                 description: The new role
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Invalid role
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group or member not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put("/:id/members/:userId/role", auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    const { role } = req.body;
+    const { userId } = req.params;
+    const group = req.group;
+    try {
+        if (!['admin', 'moderator', 'member'].includes(role)) {
+            return res.status(400).json({ error: 'Role must be admin, moderator or member' });
+        }
+        const currentRole = group.roleOf(userId);
+        if (!currentRole) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (!Group.outranks(req.groupRole, currentRole) || !Group.outranks(req.groupRole, role)) {
+            return res.status(403).json({ error: 'Forbidden: insufficient group role' });
+        }
+        if (role === 'member') {
+            group.roles.delete(userId);
+        } else {
+            group.roles.set(userId, role);
+        }
+        await group.save();
+
+        await emitGroupEvent(req.app.get('io'), group._id, 'memberRoleChanged', {
+            groupId: group._id,
+            userId,
+            role,
+            changedBy: req.user.id,
+        });
+        res.json(group);
+    } catch (err) {
+        console.error("Error updating member role:", err);
+        res.status(500).json({ error: "Internal server error" });
     }
-    if (!group.creator) {
-        return res.status(400).json({ error: 'Group creator information is missing' });
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a group
+ *     description: Owners and admins can remove members they outrank.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the member to remove
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group or member not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete("/:id/members/:userId", auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    const { userId } = req.params;
+    const group = req.group;
+    try {
+        const role = group.roleOf(userId);
+        if (!role) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (!Group.outranks(req.groupRole, role)) {
+            return res.status(403).json({ error: 'Forbidden: insufficient group role' });
+        }
+        await removeMember(req.app.get('io'), group, userId, req.user.id);
+        res.json(group);
+    } catch (err) {
+        console.error("Error removing member:", err);
+        res.status(500).json({ error: "Internal server error" });
     }
-    if (group.creator.toString() !== req.user.id) {
-        return res.status(403).json({ error: 'You are not authorized to perform this action' });
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/presence:
+ *   get:
+ *     summary: Get the presence of every member of a group
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *     responses:
+ *       200:
+ *         description: One entry per member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   userId:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   status:
+ *                     type: string
+ *                     enum: [online, away, dnd, offline]
+ *                   statusText:
+ *                     type: string
+ *                     nullable: true
+ *                   lastSeenAt:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                     description: When the member was last connected; null while they are online
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/:id/presence", auth.withScope('groups:read'), authorizeGroup(), async (req, res) => {
+    try {
+        res.json(await presenceOf(req.group.members));
+    } catch (error) {
+        console.error("Error fetching presence:", error);
+        res.status(500).json({ error: "Internal server error" });
     }
-    group.creator = newOwnerId;
-    await group.save();
-    res.json(group);
 });
 
 module.exports = router;
\ No newline at end of file
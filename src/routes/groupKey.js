@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+const Group = require('../models/Group');
+const GroupKey = require('../models/GroupKey');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const authorizeGroup = require('../middleware/authorizeGroup');
+const { emitGroupEvent } = require('../services/groupEvents');
+const logger = require('../logger');
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/keys:
+ *   get:
+ *     summary: Get the group's encryption state and the public keys of its members
+ *     description: Used by the member who generates the next group key to wrap it for everyone.
+ *     tags: [Encryption]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *     responses:
+ *       200:
+ *         description: Encryption state retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 e2ee:
+ *                   type: boolean
+ *                 currentKeyId:
+ *                   type: string
+ *                 epoch:
+ *                   type: integer
+ *                   description: Must be sent back when uploading the next key
+ *                 rotationPending:
+ *                   type: boolean
+ *                 members:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: string
+ *                       publicKey:
+ *                         type: object
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:groupId/keys', auth, authorizeGroup(), async (req, res) => {
+    try {
+        const group = req.group;
+
+        const users = await User.find({ _id: { $in: group.members } }, 'publicKey');
+        res.json({
+            e2ee: group.e2ee,
+            currentKeyId: group.currentKeyId,
+            epoch: group.keyEpoch,
+            rotationPending: group.keyRotationPending,
+            members: users.map(user => ({
+                userId: user._id,
+                publicKey: user.publicKey && user.publicKey.key ? user.publicKey : null,
+            })),
+        });
+    } catch (error) {
+        console.error('Error fetching group keys:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/keys/{keyId}:
+ *   get:
+ *     summary: Get the caller's envelope for a group key
+ *     description: Members can fetch envelopes for any key generation they were a member for, to decrypt history.
+ *     tags: [Encryption]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group key ID
+ *     responses:
+ *       200:
+ *         description: Envelope retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keyId:
+ *                   type: string
+ *                 epoch:
+ *                   type: integer
+ *                 algorithm:
+ *                   type: string
+ *                 createdBy:
+ *                   type: string
+ *                 senderKeyId:
+ *                   type: string
+ *                 retiredAt:
+ *                   type: string
+ *                   format: date-time
+ *                 envelope:
+ *                   type: object
+ *                   properties:
+ *                     wrappedKey:
+ *                       type: string
+ *                     nonce:
+ *                       type: string
+ *                     recipientKeyId:
+ *                       type: string
+ *       404:
+ *         description: Key not found or not wrapped for the caller
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:groupId/keys/:keyId', auth, authorizeGroup(), async (req, res) => {
+    try {
+        const groupKey = await GroupKey.findOne({
+            group: req.params.groupId,
+            keyId: req.params.keyId,
+        });
+        const envelope = groupKey && groupKey.envelopes.find(e => e.user.toString() === req.user.id);
+        if (!envelope) {
+            return res.status(404).json({ error: 'Key not found' });
+        }
+
+        res.json({
+            keyId: groupKey.keyId,
+            epoch: groupKey.epoch,
+            algorithm: groupKey.algorithm,
+            createdBy: groupKey.createdBy,
+            senderKeyId: groupKey.senderKeyId,
+            retiredAt: groupKey.retiredAt,
+            envelope,
+        });
+    } catch (error) {
+        console.error('Error fetching group key:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/keys:
+ *   post:
+ *     summary: Upload a new group key wrapped for every member
+ *     description: |
+ *       Uploading the first key turns on end-to-end encryption for the group; it cannot be turned off, so only
+ *       the owner and admins can upload it. Once the group is encrypted, any member can rotate the key.
+ *       Every member needs a registered public key first.
+ *       The upload must contain exactly one envelope per current member, wrapped to the member's
+ *       registered public key, and the epoch returned by GET /api/groups/{groupId}/keys.
+ *     tags: [Encryption]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keyId
+ *               - epoch
+ *               - senderKeyId
+ *               - envelopes
+ *             properties:
+ *               keyId:
+ *                 type: string
+ *                 description: Identifier for the new key
+ *               epoch:
+ *                 type: integer
+ *                 description: The epoch the key was generated for
+ *               algorithm:
+ *                 type: string
+ *               senderKeyId:
+ *                 type: string
+ *                 description: keyId of the uploader's public key
+ *               envelopes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     wrappedKey:
+ *                       type: string
+ *                     nonce:
+ *                       type: string
+ *                     recipientKeyId:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Key stored and activated
+ *       400:
+ *         description: Envelopes do not match the current members, or some members have no public key
+ *       403:
+ *         description: User is not a member of the group, or only an owner or admin may turn on encryption
+ *       404:
+ *         description: Group not found
+ *       409:
+ *         description: Membership or key changed since the epoch was read
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:groupId/keys', auth, authorizeGroup(), async (req, res) => {
+    const { keyId, epoch, algorithm, senderKeyId, envelopes } = req.body;
+    try {
+        const group = req.group;
+        // Encryption can't be turned off again, so only the owner and admins may turn it on
+        if (!group.e2ee && !['owner', 'admin'].includes(req.groupRole)) {
+            return res.status(403).json({ error: 'Only the owner and admins can turn on end-to-end encryption' });
+        }
+        if (!keyId || !senderKeyId || !Array.isArray(envelopes)) {
+            return res.status(400).json({ error: 'keyId, senderKeyId and envelopes are required' });
+        }
+        if (epoch !== group.keyEpoch) {
+            return res.status(409).json({ error: 'Group key epoch has changed, fetch the members again' });
+        }
+
+        // Every current member must get exactly one envelope wrapped to their current public key
+        const users = await User.find({ _id: { $in: group.members } }, 'publicKey');
+        const memberKeys = new Map(users.map(user => [user._id.toString(), user.publicKey && user.publicKey.keyId]));
+        // Nothing can be wrapped for these members until they register a key
+        const withoutKeys = [...memberKeys.keys()].filter(userId => !memberKeys.get(userId));
+        if (withoutKeys.length) {
+            return res.status(400).json({ error: 'Some members have not registered a public key', withoutKeys });
+        }
+        const seen = new Set();
+        for (const envelope of envelopes) {
+            const userId = String(envelope.userId);
+            if (!memberKeys.has(userId) || seen.has(userId)) {
+                return res.status(400).json({ error: `Unexpected envelope for user ${userId}` });
+            }
+            if (!envelope.wrappedKey || envelope.recipientKeyId !== memberKeys.get(userId)) {
+                return res.status(400).json({ error: `Envelope for user ${userId} is not wrapped to their current public key` });
+            }
+            seen.add(userId);
+        }
+        const missing = [...memberKeys.keys()].filter(userId => !seen.has(userId));
+        if (missing.length) {
+            return res.status(400).json({ error: 'Envelopes missing for some members', missing });
+        }
+
+        const groupKey = await GroupKey.create({
+            group: group._id,
+            keyId,
+            epoch: group.keyEpoch + 1,
+            algorithm,
+            createdBy: req.user.id,
+            senderKeyId,
+            envelopes: envelopes.map(envelope => ({
+                user: envelope.userId,
+                wrappedKey: envelope.wrappedKey,
+                nonce: envelope.nonce,
+                recipientKeyId: envelope.recipientKeyId,
+            })),
+        });
+
+        // Only activate if nothing changed while the envelopes were being checked
+        const updated = await Group.findOneAndUpdate(
+            { _id: group._id, keyEpoch: group.keyEpoch },
+            {
+                $set: { e2ee: true, currentKeyId: keyId, keyRotationPending: false },
+                $inc: { keyEpoch: 1 },
+            },
+            { new: true }
+        );
+        if (!updated) {
+            await GroupKey.deleteOne({ _id: groupKey._id });
+            return res.status(409).json({ error: 'Group key epoch has changed, fetch the members again' });
+        }
+
+        if (group.currentKeyId) {
+            await GroupKey.updateOne(
+                { group: group._id, keyId: group.currentKeyId, retiredAt: null },
+                { $set: { retiredAt: new Date() } }
+            );
+        }
+
+        logger.info(`Group key ${keyId} activated for group ${group._id}`);
+        await emitGroupEvent(req.app.get('io'), group._id, 'groupKeyRotated', {
+            groupId: group._id,
+            keyId,
+            epoch: updated.keyEpoch,
+        });
+
+        res.status(201).json({ keyId, epoch: updated.keyEpoch });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'A key with this keyId already exists' });
+        }
+        console.error('Error uploading group key:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,320 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const Group = require('../models/Group');
+const Invite = require('../models/Invite');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const authorizeGroup = require('../middleware/authorizeGroup');
+const { rotateGroupKey } = require('../services/groupKeys');
+const { postSystemMessage } = require('../services/messageService');
+const { triggerWebhooks } = require('../services/webhooks');
+
+/**
+ * @swagger
+ * /api/groups/{id}/invites:
+ *   post:
+ *     summary: Create an invite link for a group
+ *     description: Owners can grant admin, moderator or member; admins can grant moderator or member.
+ *     tags: [Invites]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the invite stops working (optional)
+ *               maxUses:
+ *                 type: integer
+ *                 description: How many times the invite can be used (optional)
+ *               role:
+ *                 type: string
+ *                 enum: [member, moderator, admin]
+ *                 description: Role granted to users who join (default is 'member')
+ *     responses:
+ *       201:
+ *         description: Invite created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   description: Invite ID
+ *                 code:
+ *                   type: string
+ *                   description: Code to accept at /api/invites/{code}/accept
+ *                 role:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 maxUses:
+ *                   type: integer
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/groups/:id/invites', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    const { expiresAt, maxUses, role = 'member' } = req.body;
+    try {
+        if (!['member', 'moderator', 'admin'].includes(role)) {
+            return res.status(400).json({ error: 'Role must be member, moderator or admin' });
+        }
+        if (role !== 'member' && !Group.outranks(req.groupRole, role)) {
+            return res.status(403).json({ error: 'Forbidden: insufficient group role' });
+        }
+        if (expiresAt && !(new Date(expiresAt) > new Date())) {
+            return res.status(400).json({ error: 'expiresAt must be a date in the future' });
+        }
+        if (maxUses !== undefined && maxUses !== null && !(Number.isInteger(maxUses) && maxUses > 0)) {
+            return res.status(400).json({ error: 'maxUses must be a positive integer' });
+        }
+
+        const invite = await Invite.create({
+            code: crypto.randomBytes(12).toString('base64url'),
+            group: req.group._id,
+            createdBy: req.user.id,
+            role,
+            expiresAt,
+            maxUses,
+        });
+        res.status(201).json(invite);
+    } catch (error) {
+        console.error('Error creating invite:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/invites:
+ *   get:
+ *     summary: List a group's invites and who used them
+ *     tags: [Invites]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: query
+ *         name: includeInactive
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also return expired, used up and revoked invites
+ *     responses:
+ *       200:
+ *         description: List of invites, with usedBy populated with user names
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/groups/:id/invites', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    try {
+        const filter = req.query.includeInactive === 'true' ? {} : Invite.activeFilter();
+        const invites = await Invite.find({ group: req.group._id, ...filter })
+            .sort({ createdAt: -1 })
+            .populate('createdBy', 'name')
+            .populate('usedBy.user', 'name');
+        res.json(invites.map(invite => ({ ...invite.toJSON(), active: invite.isActive() })));
+    } catch (error) {
+        console.error('Error listing invites:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/invites/{inviteId}:
+ *   delete:
+ *     summary: Revoke an invite
+ *     tags: [Invites]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The invite ID
+ *     responses:
+ *       204:
+ *         description: Invite revoked
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group or invite not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/groups/:id/invites/:inviteId', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    try {
+        const invite = await Invite.findOneAndUpdate(
+            { _id: req.params.inviteId, group: req.group._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedBy: req.user.id } }
+        );
+        if (!invite) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error revoking invite:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/invites/{code}:
+ *   get:
+ *     summary: Preview the group an invite is for
+ *     tags: [Invites]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The invite code
+ *     responses:
+ *       200:
+ *         description: Invite preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 group:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     memberCount:
+ *                       type: integer
+ *                 role:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Invite not found
+ *       410:
+ *         description: Invite expired, used up or revoked
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/invites/:code', auth, async (req, res) => {
+    try {
+        const invite = await Invite.findOne({ code: req.params.code }).populate('group', 'name members');
+        if (!invite || !invite.group) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+        if (!invite.isActive()) {
+            return res.status(410).json({ error: 'Invite is no longer valid' });
+        }
+        res.json({
+            group: { _id: invite.group._id, name: invite.group.name, memberCount: invite.group.members.length },
+            role: invite.role,
+            expiresAt: invite.expiresAt,
+        });
+    } catch (error) {
+        console.error('Error fetching invite:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/invites/{code}/accept:
+ *   post:
+ *     summary: Join a group with an invite code
+ *     tags: [Invites]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The invite code
+ *     responses:
+ *       200:
+ *         description: Joined the group successfully; returns the group
+ *       400:
+ *         description: User is already a member of the group
+ *       404:
+ *         description: Invite not found
+ *       410:
+ *         description: Invite expired, used up or revoked
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/invites/:code/accept', auth, async (req, res) => {
+    try {
+        const invite = await Invite.findOne({ code: req.params.code });
+        const group = invite && await Group.findById(invite.group);
+        if (!group) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+        if (group.members.includes(req.user.id)) {
+            return res.status(400).json({ error: 'User is already a member of the group' });
+        }
+
+        // Consume a use atomically so maxUses holds under concurrent accepts
+        const consumed = await Invite.findOneAndUpdate(
+            { _id: invite._id, ...Invite.activeFilter() },
+            { $inc: { uses: 1 }, $push: { usedBy: { user: req.user.id, usedAt: new Date() } } }
+        );
+        if (!consumed) {
+            return res.status(410).json({ error: 'Invite is no longer valid' });
+        }
+
+        const update = { $addToSet: { members: req.user.id } };
+        if (invite.role !== 'member') {
+            update.$set = { [`roles.${req.user.id}`]: invite.role };
+        }
+        const updated = await Group.findByIdAndUpdate(group._id, update, { new: true });
+
+        const io = req.app.get('io');
+        await rotateGroupKey(io, group._id, 'member_joined');
+        const user = await User.findById(req.user.id, 'name email');
+        await postSystemMessage(io, group._id, `${user.name} joined the group via an invite link`, user);
+        await triggerWebhooks(group._id, 'member.joined', { userId: req.user.id, via: 'invite', inviteId: invite._id });
+
+        res.json(updated);
+    } catch (error) {
+        console.error('Error accepting invite:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const Group = require('../models/Group');
+const JoinRequest = require('../models/JoinRequest');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const authorizeGroup = require('../middleware/authorizeGroup');
+const { rotateGroupKey } = require('../services/groupKeys');
+const { postSystemMessage } = require('../services/messageService');
+const { triggerWebhooks } = require('../services/webhooks');
+
+/**
+ * Tell the requester and the group's admins that a join request was decided.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} group - The group document
+ * @param {Object} request - The decided JoinRequest document
+ */
+const emitResolved = (io, group, request) => {
+    const rooms = [request.user, ...group.membersWithRole('owner', 'admin')].map(id => `user:${id}`);
+    io.to(rooms).emit('joinRequestResolved', {
+        groupId: group._id,
+        requestId: request._id,
+        userId: request.user,
+        status: request.status,
+        decidedBy: request.decidedBy,
+    });
+};
+
+/**
+ * Mark a pending join request as decided. Atomic, so two admins can't decide the same request.
+ * @param {Object} req - The request object
+ * @param {string} status - 'approved' or 'rejected'
+ * @returns {Promise<Object|null>} The updated JoinRequest, or null if it was not pending
+ */
+const decide = (req, status) => JoinRequest.findOneAndUpdate(
+    { _id: req.params.requestId, group: req.group._id, status: 'pending' },
+    { $set: { status, decidedBy: req.user.id, decidedAt: new Date() } },
+    { new: true }
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/join-requests:
+ *   get:
+ *     summary: List join requests for a private group
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *         description: Filter requests by status
+ *     responses:
+ *       200:
+ *         description: List of join requests, with the requesting user's name and email
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/join-requests', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    const { status = 'pending' } = req.query;
+    try {
+        const requests = await JoinRequest.find({ group: req.group._id, status })
+            .sort({ createdAt: -1 })
+            .populate('user', 'name email');
+        res.json(requests);
+    } catch (error) {
+        console.error('Error listing join requests:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/join-requests/{requestId}/approve:
+ *   post:
+ *     summary: Approve a pending join request
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The join request ID
+ *     responses:
+ *       200:
+ *         description: Request approved and user added to the group
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group or pending request not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/join-requests/:requestId/approve', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    try {
+        const request = await decide(req, 'approved');
+        if (!request) {
+            return res.status(404).json({ error: 'Join request not found' });
+        }
+        const group = await Group.findByIdAndUpdate(
+            req.group._id,
+            { $addToSet: { members: request.user } },
+            { new: true }
+        );
+
+        const io = req.app.get('io');
+        await rotateGroupKey(io, group._id, 'member_joined');
+        const user = await User.findById(request.user, 'name email');
+        if (user) {
+            await postSystemMessage(io, group._id, `${user.name} joined the group`, user);
+        }
+        emitResolved(io, group, request);
+        await triggerWebhooks(group._id, 'member.joined', {
+            userId: request.user,
+            via: 'join_request',
+            approvedBy: req.user.id,
+        });
+
+        res.json(request);
+    } catch (error) {
+        console.error('Error approving join request:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/join-requests/{requestId}/reject:
+ *   post:
+ *     summary: Reject a pending join request
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The join request ID
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group or pending request not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/join-requests/:requestId/reject', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    try {
+        const request = await decide(req, 'rejected');
+        if (!request) {
+            return res.status(404).json({ error: 'Join request not found' });
+        }
+        emitResolved(req.app.get('io'), req.group, request);
+        res.json(request);
+    } catch (error) {
+        console.error('Error rejecting join request:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -1,13 +1,56 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Message = require('../models/Message');
-const Group = require('../models/Group');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const authorizeGroup = require('../middleware/authorizeGroup');
+const { validateEncryptedPayload } = require('../services/groupKeys');
+const { serializeMessage, sendMessage, findThreadRoot, validateMessageText } = require('../services/messageService');
+const { markRead, seenBy } = require('../services/readState');
+const { emitGroupEvent } = require('../services/groupEvents');
+const { resolveMentions, notifyMentions } = require('../services/notifications');
+const { triggerWebhooks } = require('../services/webhooks');
+const { cancelPollClose } = require('../services/polls');
+const { unpinMessages } = require('../services/pins');
+const { encodeMessageCursor, decodeMessageCursor, olderThan, newerThan } = require('../utils/cursor');
+
+const MAX_PAGE_SIZE = 100;
+// Minutes after sending during which the author may edit a message; 0 disables the limit
+const EDIT_WINDOW_MINUTES = process.env.MESSAGE_EDIT_WINDOW_MINUTES !== undefined
+    ? parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 0
+    : 15;
+
+/**
+ * Attach the latest reply to every thread root in a page of messages.
+ * @param {string} groupId - The group ID
+ * @param {Array} messages - Serialized messages
+ * @param {string} userId - The user the response is for
+ * @returns {Promise<Array>} The messages, thread roots with a `latestReply`
+ */
+const withLatestReplies = async (groupId, messages, userId) => {
+    const rootIds = messages.filter(message => message.replyCount > 0).map(message => message._id.toString());
+    const latest = rootIds.length ? await Message.aggregate([
+        { $match: { group: groupId, replyTo: { $in: rootIds }, deleted: false } },
+        { $sort: { createdAt: -1 } },
+        { $group: { _id: '$replyTo', reply: { $first: '$$ROOT' } } },
+    ]) : [];
+    const latestByRoot = new Map(latest.map(({ _id, reply }) => [_id, reply]));
+    return messages.map(message => {
+        const reply = latestByRoot.get(message._id.toString());
+        return { ...message, latestReply: reply && serializeMessage(reply, userId) };
+    });
+};
+
 /**
  * @swagger
  * /api/groups/{groupId}/messages:
  *   get:
  *     summary: Get messages for a group
+ *     description: |
+ *       Returns messages oldest first. Without a cursor the latest page is returned.
+ *       Use `prevCursor` as `before` to load older messages and `nextCursor` as `after` to load newer ones;
+ *       a null cursor means there is nothing more in that direction.
  *     tags: [Messages]
  *     parameters:
  *       - in: path
@@ -17,19 +60,40 @@ const auth = require('../middleware/auth');
  *           type: string
  *         description: The group ID
  *       - in: query
- *         name: page
+ *         name: before
  *         required: false
  *         schema:
- *           type: integer
- *           default: 1
- *         description: The page number for pagination
+ *           type: string
+ *         description: Cursor; return messages older than this position (pass a prevCursor)
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Cursor; return messages newer than this position (pass a nextCursor)
+ *       - in: query
+ *         name: around
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Message ID; return the message with up to `limit` messages on each side
  *       - in: query
  *         name: limit
  *         required: false
  *         schema:
  *           type: integer
  *           default: 50
- *         description: The number of messages per page
+ *         description: The number of messages per page (per side in `around` mode, max 100)
+ *       - in: query
+ *         name: threads
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [include, exclude, collapse]
+ *           default: include
+ *         description: |
+ *           How to treat thread replies: inline them, leave them out, or leave them out and attach
+ *           each thread root's latest reply as `latestReply`
  *     responses:
  *       200:
  *         description: Messages retrieved successfully
@@ -63,72 +127,104 @@ const auth = require('../middleware/auth');
  *                         type: string
  *                         format: date-time
  *                         description: Message update timestamp
+ *                 seq:
+ *                   type: integer
+ *                   description: The group's latest event sequence number; pass it as lastSeq to joinGroup to receive later events
  *                 pagination:
  *                   type: object
  *                   properties:
- *                     total:
- *                       type: integer
- *                       description: Total number of messages
- *                     page:
- *                       type: integer
- *                       description: Current page number
- *                     pages:
- *                       type: integer
- *                       description: Total number of pages
  *                     limit:
  *                       type: integer
  *                       description: Number of messages per page
+ *                     prevCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor for older messages, null if there are none
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor for newer messages, null if there are none
+ *       400:
+ *         description: Invalid cursor
  *       404:
- *         description: Group not found
+ *         description: Group or message not found
  *       403:
  *         description: User is not a member of the group
  *       500:
  *         description: Failed to fetch messages
  */
-router.get('/:groupId/messages', auth, async (req, res) => {
+router.get('/:groupId/messages', auth.withScope('messages:read'), authorizeGroup(), async (req, res) => {
     try {
         const { groupId } = req.params;
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 50;
-        const skip = (page - 1) * limit;
-
-        // Verify user is a member of the group
-        const group = await Group.findById(groupId);
-        if (!group) {
-            return res.status(404).json({ error: 'Group not found' });
+        const { before, after, around } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+        const { threads = 'include' } = req.query;
+        const timeline = { group: groupId, deleted: false };
+        if (threads !== 'include') {
+            timeline.replyTo = null; // Only top-level messages and thread roots
         }
 
-        if (!group.members.includes(req.user.id)) {
-            return res.status(403).json({ error: 'You are not a member of this group' });
+        // Fetch one extra message in each direction to know whether there are more
+        const fetchOlder = (position) => Message.find({ ...timeline, ...(position && olderThan(position)) })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1);
+        const fetchNewer = (position) => Message.find({ ...timeline, ...newerThan(position) })
+            .sort({ createdAt: 1, _id: 1 })
+            .limit(limit + 1);
+
+        let older = [];
+        let newer = [];
+        let anchor = null;
+        if (around) {
+            anchor = mongoose.isValidObjectId(around) && await Message.findOne({ ...timeline, _id: around });
+            if (!anchor) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+            const position = { createdAt: anchor.createdAt, id: anchor._id };
+            [older, newer] = await Promise.all([fetchOlder(position), fetchNewer(position)]);
+        } else if (after) {
+            const position = decodeMessageCursor(after);
+            if (!position) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            newer = await fetchNewer(position);
+        } else {
+            const position = before ? decodeMessageCursor(before) : null;
+            if (before && !position) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            older = await fetchOlder(position);
         }
 
-        const [messages, total] = await Promise.all([
-            Message.find({
-                group: groupId,
-                deleted: false
-            })
-                // .populate('sender', 'name avatarUrl')
-                // .populate('replyTo', 'content sender')
-                .sort({ createdAt: 1 })
-                .skip(skip)
-                .limit(limit),
-
-            Message.countDocuments({
-                group: groupId,
-                deleted: false
-            })
-        ]);
+        const hasOlder = older.length > limit;
+        const hasNewer = newer.length > limit;
+        const messages = [
+            ...older.slice(0, limit).reverse(),
+            ...(anchor ? [anchor] : []),
+            ...newer.slice(0, limit),
+        ];
+        const first = messages[0];
+        const last = messages[messages.length - 1];
 
-        // Mark messages as read for the current user
-        await Promise.all(messages.map(message => message.readBy.includes(req.user.name) ? null : message.markAsRead(req.user.name)));
+        // Paging with a cursor implies there is more on the side the cursor came from
+        const prevCursor = first && (hasOlder || after) ? encodeMessageCursor(first) : null;
+        const nextCursor = last && (hasNewer || before) ? encodeMessageCursor(last) : null;
+
+        // Reading a page moves the caller's read cursor to its newest message; it never moves back
+        if (last) {
+            await markRead(req.app.get('io'), req.user.id, last);
+        }
+        const serialized = messages.map(message => serializeMessage(message, req.user.id));
 
         res.json({
-            messages,
+            messages: threads === 'collapse'
+                ? await withLatestReplies(groupId, serialized, req.user.id)
+                : serialized,
+            seq: req.group.seq,
             pagination: {
-                total,
-                page,
-                pages: Math.ceil(total / limit),
-                limit
+                limit,
+                prevCursor,
+                nextCursor
             }
         });
     } catch (error) {
@@ -138,55 +234,261 @@ router.get('/:groupId/messages', auth, async (req, res) => {
 });
 
 /**
- * POST /api/groups/:groupId/messages
- * Send a new message to the group
+ * @swagger
+ * /api/groups/{groupId}/messages/{messageId}/thread:
+ *   get:
+ *     summary: Get a thread
+ *     description: Returns the thread's root message and its replies, oldest first. Pass `nextCursor` as `after` for more replies.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the thread's root message (or any reply in it)
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Cursor; return replies newer than this position
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: The number of replies per page (max 100)
+ *     responses:
+ *       200:
+ *         description: Thread retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 root:
+ *                   type: object
+ *                   description: The root message, with replyCount and lastReplyAt
+ *                 replies:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 following:
+ *                   type: boolean
+ *                   description: Whether the caller follows the thread
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Invalid cursor
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Failed to fetch thread
  */
-router.post('/:groupId/messages', auth, async (req, res) => {
+router.get('/:groupId/messages/:messageId/thread', auth.withScope('messages:read'), authorizeGroup(), async (req, res) => {
     try {
-        const { groupId } = req.params;
-        const { content, type = 'text', metadata, replyTo } = req.body;
-
-        // Verify user is a member of the group
-        const group = await Group.findById(groupId);
-        if (!group) {
-            return res.status(404).json({ error: 'Group not found' });
-        }
-
-        if (!group.members.includes(req.user.id)) {
-            return res.status(403).json({ error: 'You are not a member of this group' });
+        const { groupId, messageId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+        const position = req.query.after ? decodeMessageCursor(req.query.after) : null;
+        if (req.query.after && !position) {
+            return res.status(400).json({ error: 'Invalid cursor' });
         }
 
-        // If replying to a message, verify it exists and belongs to the group
-        if (replyTo) {
-            const parentMessage = await Message.findOne({
-                _id: replyTo,
-                group: groupId,
-                deleted: false
-            });
-            if (!parentMessage) {
-                return res.status(404).json({ error: 'Parent message not found' });
-            }
+        const root = await findThreadRoot(groupId, messageId);
+        if (!root) {
+            return res.status(404).json({ error: 'Message not found' });
         }
 
-        const message = await Message.create({
-            content,
+        const found = await Message.find({
             group: groupId,
-            sender: req.user.id,
-            readBy: [req.user.id],
-            type,
-            metadata,
-            replyTo
+            replyTo: root._id.toString(),
+            deleted: false,
+            ...(position && newerThan(position)),
+        })
+            .sort({ createdAt: 1, _id: 1 })
+            .limit(limit + 1);
+        const replies = found.slice(0, limit);
+
+        res.json({
+            root: serializeMessage(root, req.user.id),
+            replies: replies.map(reply => serializeMessage(reply, req.user.id)),
+            following: root.threadFollowers.some(id => id.toString() === req.user.id),
+            pagination: {
+                limit,
+                nextCursor: found.length > limit ? encodeMessageCursor(replies[replies.length - 1]) : null
+            }
         });
+    } catch (error) {
+        console.error('Error fetching thread:', error);
+        res.status(500).json({ error: 'Failed to fetch thread' });
+    }
+});
 
-        // Populate sender and reply info before sending response
-        await message.populate('sender', 'name avatarUrl');
-        await message.populate('replyTo', 'content sender');
+/**
+ * POST /api/groups/:groupId/messages/:messageId/thread/follow
+ * Follow a thread to get `threadReply` events for new replies
+ */
+router.post('/:groupId/messages/:messageId/thread/follow', auth, authorizeGroup(), async (req, res) => {
+    try {
+        const root = await findThreadRoot(req.params.groupId, req.params.messageId);
+        if (!root) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        await Message.updateOne({ _id: root._id }, { $addToSet: { threadFollowers: req.user.id } });
+        res.json({ rootId: root._id, following: true });
+    } catch (error) {
+        console.error('Error following thread:', error);
+        res.status(500).json({ error: 'Failed to follow thread' });
+    }
+});
 
-        // Emit socket event for real-time updates
-        req.app.get('io').to(groupId).emit('newMessage', message);
+/**
+ * DELETE /api/groups/:groupId/messages/:messageId/thread/follow
+ * Stop following a thread
+ */
+router.delete('/:groupId/messages/:messageId/thread/follow', auth, authorizeGroup(), async (req, res) => {
+    try {
+        const root = await findThreadRoot(req.params.groupId, req.params.messageId);
+        if (!root) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        await Message.updateOne({ _id: root._id }, { $pull: { threadFollowers: req.user.id } });
+        res.json({ rootId: root._id, following: false });
+    } catch (error) {
+        console.error('Error unfollowing thread:', error);
+        res.status(500).json({ error: 'Failed to unfollow thread' });
+    }
+});
 
-        res.status(201).json(message);
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages:
+ *   post:
+ *     summary: Send a message to a group
+ *     description: |
+ *       Equivalent to the `chat message` socket event; the message is broadcast to the group as `chat message`.
+ *       Sending again with the same `id` returns the original message instead of creating a duplicate.
+ *       Text starting with `/name` runs a slash command instead (see GET /api/groups/{groupId}/commands);
+ *       start with `//` to send such text as a message.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: Client-generated message id used to deduplicate retries; generated if omitted
+ *               text:
+ *                 type: string
+ *                 description: The message text; required unless the group is end-to-end encrypted or this is a poll
+ *               type:
+ *                 type: string
+ *                 enum: [text, image, file, poll]
+ *                 default: text
+ *               poll:
+ *                 type: object
+ *                 description: Required for polls; not available in end-to-end encrypted groups
+ *                 properties:
+ *                   question:
+ *                     type: string
+ *                   options:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: 2 to 10 options
+ *                   multipleChoice:
+ *                     type: boolean
+ *                     default: false
+ *                   anonymous:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Only expose vote counts, never who voted
+ *                   closesAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: When the poll closes automatically; at most 90 days ahead
+ *               mediaUrl:
+ *                 type: string
+ *               mediaType:
+ *                 type: string
+ *               replyTo:
+ *                 type: string
+ *                 description: The _id of the message to reply to
+ *               ciphertext:
+ *                 type: string
+ *                 description: Encrypted groups only
+ *               nonce:
+ *                 type: string
+ *                 description: Encrypted groups only
+ *               keyId:
+ *                 type: string
+ *                 description: Encrypted groups only; must be the group's current key
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *       200:
+ *         description: |
+ *           A message with this id was already sent and the original is returned, or the text was a command:
+ *           `{ command, reply, message }`, where reply is only for the caller and message is the system message posted to the group
+ *       400:
+ *         description: Invalid message, or unknown command or invalid arguments
+ *       403:
+ *         description: User is not a member of the group, or lacks the role the command needs
+ *       404:
+ *         description: Group or parent message not found
+ *       409:
+ *         description: The id is already used by another user's message
+ *       502:
+ *         description: The bot handling the command didn't answer
+ *       500:
+ *         description: Failed to send message
+ */
+router.post('/:groupId/messages', auth.withScope('messages:write'), authorizeGroup(), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id, 'name email isBot');
+        if (!user) {
+            return res.status(401).json({ error: 'User not found' });
+        }
+        const sender = { id: req.user.id, name: user.name, email: user.email, isBot: user.isBot };
+        const { message, duplicate, command } = await sendMessage(req.app.get('io'), sender, req.params.groupId, req.body);
+        if (command) {
+            return res.json({
+                command: command.name,
+                reply: command.reply,
+                message: command.message && serializeMessage(command.message, req.user.id),
+            });
+        }
+        res.status(duplicate ? 200 : 201).json(serializeMessage(message, req.user.id));
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Error sending message:', error);
         res.status(500).json({ error: 'Failed to send message' });
     }
@@ -194,64 +496,173 @@ router.post('/:groupId/messages', auth, async (req, res) => {
 
 /**
  * PUT /api/groups/:groupId/messages/:messageId
- * Edit a message
+ * Edit a message. Only the author can edit, and only within the edit window
+ * (MESSAGE_EDIT_WINDOW_MINUTES). The previous content is kept in the message's revisions.
  */
-router.put('/:groupId/messages/:messageId', auth, async (req, res) => {
+router.put('/:groupId/messages/:messageId', auth.withScope('messages:write'), authorizeGroup(), async (req, res) => {
     try {
         const { groupId, messageId } = req.params;
-        const { content } = req.body;
+        const text = req.body.text !== undefined ? req.body.text : req.body.content;
+
+        const group = req.group;
 
-        const message = await Message.findOne({
+        const inputError = validateEncryptedPayload(group, { ...req.body, text })
+            || (group.e2ee ? null : validateMessageText(text));
+        if (inputError) {
+            return res.status(400).json({ error: inputError });
+        }
+
+        // Only the author can edit a message
+        const message = mongoose.isValidObjectId(messageId) ? await Message.findOne({
             _id: messageId,
             group: groupId,
-            sender: req.user.id,
+            'user.id': req.user.id,
             deleted: false
-        });
+        }).select('+revisions') : null;
 
         if (!message) {
             return res.status(404).json({ error: 'Message not found or unauthorized' });
         }
+        if (message.type === 'system' || message.type === 'poll') {
+            return res.status(400).json({ error: `${message.type === 'poll' ? 'Polls' : 'System messages'} cannot be edited` });
+        }
+        if (!message.isEditable(EDIT_WINDOW_MINUTES)) {
+            return res.status(403).json({ error: 'The edit window for this message has expired' });
+        }
 
-        await message.edit(content);
-        await message.populate('sender', 'name avatarUrl');
-        await message.populate('replyTo', 'content sender');
+        message.mentions = await resolveMentions(group, { ...req.body, text });
+        if (group.e2ee) {
+            await message.editEncrypted(req.body, req.user.id);
+        } else {
+            await message.edit(text, req.user.id);
+        }
 
-        // Emit socket event for real-time updates
-        req.app.get('io').to(groupId).emit('messageEdited', message);
+        // Emit socket event for real-time updates; the room and webhooks get reaction counts without anyone's own flags
+        const shared = serializeMessage(message);
+        await emitGroupEvent(req.app.get('io'), groupId, 'messageEdited', shared);
+        // Members the edit newly mentions are notified; earlier notifications are not repeated
+        await notifyMentions(req.app.get('io'), group, message);
+        await triggerWebhooks(groupId, 'message.edited', shared);
 
-        res.json(message);
+        res.json(serializeMessage(message, req.user.id));
     } catch (error) {
         console.error('Error editing message:', error);
         res.status(500).json({ error: 'Failed to edit message' });
     }
 });
 
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages/{messageId}/revisions:
+ *   get:
+ *     summary: Get the edit and deletion history of a message
+ *     description: Includes deleted messages. Only the group owner and admins can read revisions.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The message ID
+ *     responses:
+ *       200:
+ *         description: The current message and its revisions, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: object
+ *                   description: The message as it is now
+ *                 revisions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       action:
+ *                         type: string
+ *                         enum: [edit, delete]
+ *                       text:
+ *                         type: string
+ *                         description: The text before the edit
+ *                       ciphertext:
+ *                         type: string
+ *                         description: The ciphertext before the edit, for encrypted messages
+ *                       by:
+ *                         type: object
+ *                         description: The user who made the change (_id, name, email)
+ *                       at:
+ *                         type: string
+ *                         format: date-time
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Failed to fetch revisions
+ */
+router.get('/:groupId/messages/:messageId/revisions', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    try {
+        const { groupId, messageId } = req.params;
+        const message = mongoose.isValidObjectId(messageId)
+            ? await Message.findOne({ _id: messageId, group: groupId })
+                .select('+revisions')
+                .populate('revisions.by', 'name email')
+            : null;
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        res.json({
+            message: serializeMessage(message, req.user.id),
+            revisions: message.revisions,
+        });
+    } catch (error) {
+        console.error('Error fetching revisions:', error);
+        res.status(500).json({ error: 'Failed to fetch revisions' });
+    }
+});
+
 /**
  * DELETE /api/groups/:groupId/messages/:messageId
- * Delete a message (soft delete)
+ * Delete a message (soft delete). Authors can delete their own messages,
+ * moderators, admins and the owner can delete anyone's.
  */
-router.delete('/:groupId/messages/:messageId', auth, async (req, res) => {
+router.delete('/:groupId/messages/:messageId', auth.withScope('messages:write'), authorizeGroup(), async (req, res) => {
     try {
         const { groupId, messageId } = req.params;
 
-        const message = await Message.findOne({
+        const canModerate = ['owner', 'admin', 'moderator'].includes(req.groupRole);
+        const message = mongoose.isValidObjectId(messageId) ? await Message.findOne({
             _id: messageId,
             group: groupId,
-            sender: req.user.id,
+            ...(canModerate ? {} : { 'user.id': req.user.id }),
             deleted: false
-        });
+        }).select('+revisions') : null;
 
         if (!message) {
             return res.status(404).json({ error: 'Message not found or unauthorized' });
         }
 
         await message.softDelete(req.user.id);
+        if (message.type === 'poll') {
+            await cancelPollClose(message);
+        }
 
         // Emit socket event for real-time updates
-        req.app.get('io').to(groupId).emit('messageDeleted', {
+        await emitGroupEvent(req.app.get('io'), groupId, 'messageDeleted', {
             messageId,
             deletedBy: req.user.id
         });
+        await triggerWebhooks(groupId, 'message.deleted', { messageId, deletedBy: req.user.id });
+        await unpinMessages(req.app.get('io'), groupId, [messageId]);
 
         res.json({ success: true });
     } catch (error) {
@@ -261,40 +672,355 @@ router.delete('/:groupId/messages/:messageId', auth, async (req, res) => {
 });
 
 /**
- * POST /api/groups/:groupId/messages/:messageId/read
- * Mark a message as read
+ * @swagger
+ * /api/groups/{groupId}/messages/{messageId}/read:
+ *   post:
+ *     summary: Mark a group read up to a message
+ *     description: |
+ *       Moves the caller's read cursor to the message, marking it and everything before it read.
+ *       The cursor never moves back. Emits `messageRead` to the group and the caller's other devices.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The _id of the newest message read
+ *     responses:
+ *       200:
+ *         description: Read cursor updated (or already past the message)
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Failed to mark message as read
  */
-router.post('/:groupId/messages/:messageId/read', auth, async (req, res) => {
+router.post('/:groupId/messages/:messageId/read', auth.withScope('messages:read'), authorizeGroup(), async (req, res) => {
     try {
         const { groupId, messageId } = req.params;
 
-        // Verify user is a member of the group
-        const group = await Group.findById(groupId);
-        if (!group) {
-            return res.status(404).json({ error: 'Group not found' });
+        const message = mongoose.isValidObjectId(messageId)
+            ? await Message.findOne({ _id: messageId, group: groupId })
+            : null;
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
         }
 
-        if (!group.members.includes(req.user.id)) {
-            return res.status(403).json({ error: 'You are not a member of this group' });
+        await markRead(req.app.get('io'), req.user.id, message);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error marking message as read:', error);
+        res.status(500).json({ error: 'Failed to mark message as read' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages/{messageId}/seen:
+ *   get:
+ *     summary: List the members who have read a message
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The message ID
+ *     responses:
+ *       200:
+ *         description: Members whose read cursor is at or past the message, excluding its author
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Failed to fetch readers
+ */
+router.get('/:groupId/messages/:messageId/seen', auth.withScope('messages:read'), authorizeGroup(), async (req, res) => {
+    try {
+        const { groupId, messageId } = req.params;
+
+        const message = mongoose.isValidObjectId(messageId)
+            ? await Message.findOne({ _id: messageId, group: groupId, deleted: false })
+            : null;
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
         }
 
-        const message = await Message.findById(messageId);
+        res.json(await seenBy(message));
+    } catch (error) {
+        console.error('Error fetching readers:', error);
+        res.status(500).json({ error: 'Failed to fetch readers' });
+    }
+});
+
+/**
+ * Check that an emoji is well formed and allowed in the group.
+ * @param {Object} group - The group document
+ * @param {string} emoji - The emoji sent by the client
+ * @returns {string|null} An error message, or null if the emoji is acceptable
+ */
+const validateReaction = (group, emoji) => {
+    if (typeof emoji !== 'string' || !emoji || emoji.length > 32 || /\s/.test(emoji)) {
+        return 'Invalid emoji';
+    }
+    if (group.allowedReactions.length && !group.allowedReactions.includes(emoji)) {
+        return 'This emoji is not allowed in this group';
+    }
+    return null;
+};
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages/{messageId}/reactions:
+ *   get:
+ *     summary: List who reacted to a message with which emoji
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The message ID
+ *     responses:
+ *       200:
+ *         description: Reactions grouped by emoji
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   emoji:
+ *                     type: string
+ *                   count:
+ *                     type: integer
+ *                   users:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Failed to fetch reactions
+ */
+router.get('/:groupId/messages/:messageId/reactions', auth.withScope('messages:read'), authorizeGroup(), async (req, res) => {
+    try {
+        const { groupId, messageId } = req.params;
+        const message = mongoose.isValidObjectId(messageId)
+            ? await Message.findOne({ _id: messageId, group: groupId, deleted: false }, 'reactions')
+                .populate('reactions.user', 'name')
+            : null;
         if (!message) {
             return res.status(404).json({ error: 'Message not found' });
         }
 
-        await message.markAsRead(req.user.id);
+        const byEmoji = new Map();
+        for (const { emoji, user } of message.reactions) {
+            const entry = byEmoji.get(emoji) || { emoji, count: 0, users: [] };
+            entry.count += 1;
+            if (user) entry.users.push(user);
+            byEmoji.set(emoji, entry);
+        }
+        res.json([...byEmoji.values()]);
+    } catch (error) {
+        console.error('Error fetching reactions:', error);
+        res.status(500).json({ error: 'Failed to fetch reactions' });
+    }
+});
 
-        // Emit socket event for real-time updates
-        req.app.get('io').to(groupId).emit('messageRead', {
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages/{messageId}/reactions:
+ *   post:
+ *     summary: React to a message
+ *     description: Each user can react once with each emoji; reacting again with the same emoji is a no-op.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The message ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emoji
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reaction added; returns the message's aggregated reactions
+ *       400:
+ *         description: Invalid or disallowed emoji
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Failed to add reaction
+ */
+router.post('/:groupId/messages/:messageId/reactions', auth.withScope('messages:write'), authorizeGroup(), async (req, res) => {
+    try {
+        const { groupId, messageId } = req.params;
+        const { emoji } = req.body;
+        if (!mongoose.isValidObjectId(messageId)) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        const reactionError = validateReaction(req.group, emoji);
+        if (reactionError) {
+            return res.status(400).json({ error: reactionError });
+        }
+
+        // The $elemMatch guard makes the one-reaction-per-emoji rule hold under concurrent requests
+        const message = await Message.findOneAndUpdate(
+            {
+                _id: messageId,
+                group: groupId,
+                deleted: false,
+                reactions: { $not: { $elemMatch: { emoji, user: req.user.id } } },
+            },
+            { $push: { reactions: { emoji, user: req.user.id, createdAt: new Date() } } },
+            { new: true }
+        );
+        if (!message) {
+            const existing = await Message.findOne({ _id: messageId, group: groupId, deleted: false }, 'reactions');
+            if (!existing) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+            return res.json(Message.summarizeReactions(existing.reactions, req.user.id));
+        }
+
+        await emitGroupEvent(req.app.get('io'), groupId, 'reactionAdded', {
+            groupId,
             messageId,
-            userId: req.user.id
+            emoji,
+            userId: req.user.id,
+            reactions: Message.summarizeReactions(message.reactions),
         });
 
-        res.json({ success: true });
+        res.json(Message.summarizeReactions(message.reactions, req.user.id));
     } catch (error) {
-        console.error('Error marking message as read:', error);
-        res.status(500).json({ error: 'Failed to mark message as read' });
+        console.error('Error adding reaction:', error);
+        res.status(500).json({ error: 'Failed to add reaction' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages/{messageId}/reactions/{emoji}:
+ *   delete:
+ *     summary: Remove your reaction from a message
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The message ID
+ *       - in: path
+ *         name: emoji
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The URL-encoded emoji
+ *     responses:
+ *       200:
+ *         description: Reaction removed; returns the message's aggregated reactions
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Failed to remove reaction
+ */
+router.delete('/:groupId/messages/:messageId/reactions/:emoji', auth.withScope('messages:write'), authorizeGroup(), async (req, res) => {
+    try {
+        const { groupId, messageId, emoji } = req.params;
+        const before = mongoose.isValidObjectId(messageId) ? await Message.findOneAndUpdate(
+            { _id: messageId, group: groupId, deleted: false },
+            { $pull: { reactions: { emoji, user: req.user.id } } }
+        ) : null;
+        if (!before) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        const reactions = before.reactions.filter(r => !(r.emoji === emoji && r.user.toString() === req.user.id));
+
+        if (reactions.length !== before.reactions.length) {
+            await emitGroupEvent(req.app.get('io'), groupId, 'reactionRemoved', {
+                groupId,
+                messageId,
+                emoji,
+                userId: req.user.id,
+                reactions: Message.summarizeReactions(reactions),
+            });
+        }
+
+        res.json(Message.summarizeReactions(reactions, req.user.id));
+    } catch (error) {
+        console.error('Error removing reaction:', error);
+        res.status(500).json({ error: 'Failed to remove reaction' });
     }
 });
 
@@ -0,0 +1,300 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const auth = require('../middleware/auth');
+const { encodeMessageCursor, decodeMessageCursor, olderThan } = require('../utils/cursor');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List the authenticated user's notifications, newest first
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Cursor from a previous page's nextCursor
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: The number of notifications per page (max 100)
+ *     responses:
+ *       200:
+ *         description: A page of notifications and the total number of unread ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                         enum: [mention]
+ *                       group:
+ *                         type: object
+ *                         description: The group (_id, name)
+ *                       message:
+ *                         type: string
+ *                         description: The _id of the message
+ *                       actor:
+ *                         type: object
+ *                         description: The user who mentioned you (id, name)
+ *                       mentionType:
+ *                         type: string
+ *                         enum: [user, here, all]
+ *                       preview:
+ *                         type: string
+ *                       readAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 unreadCount:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor for older notifications, null if there are none
+ *       400:
+ *         description: Invalid cursor
+ *       500:
+ *         description: Failed to fetch notifications
+ */
+router.get('/', auth, async (req, res) => {
+    const { unread, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_PAGE_SIZE);
+    const position = before ? decodeMessageCursor(before) : null;
+    if (before && !position) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    try {
+        const filter = { user: req.user.id };
+        if (unread === 'true') filter.readAt = null;
+        if (position) Object.assign(filter, olderThan(position));
+
+        const [found, unreadCount] = await Promise.all([
+            Notification.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .limit(limit + 1)
+                .populate('group', 'name'),
+            Notification.countDocuments({ user: req.user.id, readAt: null }),
+        ]);
+        const page = found.slice(0, limit);
+
+        res.json({
+            notifications: page,
+            unreadCount,
+            pagination: {
+                limit,
+                nextCursor: found.length > limit ? encodeMessageCursor(page[page.length - 1]) : null,
+            },
+        });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/notifications/deliveries:
+ *   get:
+ *     summary: List recent attempts to notify the authenticated user while offline
+ *     description: Shows which digests were sent by email or push, which failed and why, and which were skipped. Kept for 30 days.
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: The number of attempts to return (max 100)
+ *     responses:
+ *       200:
+ *         description: Delivery attempts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   transport:
+ *                     type: string
+ *                     enum: [email, push, log]
+ *                   status:
+ *                     type: string
+ *                     enum: [sent, failed, skipped]
+ *                   attempt:
+ *                     type: integer
+ *                   willRetry:
+ *                     type: boolean
+ *                   subject:
+ *                     type: string
+ *                   detail:
+ *                     type: string
+ *                   error:
+ *                     type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *       500:
+ *         description: Failed to fetch deliveries
+ */
+router.get('/deliveries', auth, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+    try {
+        const deliveries = await NotificationDelivery.find({ user: req.user.id })
+            .sort({ createdAt: -1 })
+            .limit(limit);
+        res.json(deliveries);
+    } catch (error) {
+        console.error('Error fetching notification deliveries:', error);
+        res.status(500).json({ error: 'Failed to fetch deliveries' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/notifications/push/public-key:
+ *   get:
+ *     summary: Get the VAPID public key browsers need to subscribe to Web Push
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: The public key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 publicKey:
+ *                   type: string
+ *       404:
+ *         description: Web Push is not configured
+ */
+router.get('/push/public-key', auth, (req, res) => {
+    if (!process.env.VAPID_PUBLIC_KEY) {
+        return res.status(404).json({ error: 'Web Push is not configured' });
+    }
+    res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+});
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all notifications read
+ *     tags: [Notifications]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               groupId:
+ *                 type: string
+ *                 description: Only mark this group's notifications read
+ *     responses:
+ *       200:
+ *         description: The number of notifications marked read
+ *       400:
+ *         description: Invalid group ID
+ *       500:
+ *         description: Failed to mark notifications as read
+ */
+router.post('/read-all', auth, async (req, res) => {
+    const { groupId } = req.body || {};
+    if (groupId && !mongoose.isValidObjectId(groupId)) {
+        return res.status(400).json({ error: 'Invalid group ID' });
+    }
+    try {
+        const filter = { user: req.user.id, readAt: null };
+        if (groupId) filter.group = groupId;
+        const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+
+        // Let the user's other devices clear their badges
+        req.app.get('io').to(`user:${req.user.id}`).emit('notificationsRead', { all: true, groupId: groupId || null });
+        res.json({ updated: result.modifiedCount });
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        res.status(500).json({ error: 'Failed to mark notifications as read' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification read
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The notification ID
+ *     responses:
+ *       200:
+ *         description: The updated notification
+ *       404:
+ *         description: Notification not found
+ *       500:
+ *         description: Failed to mark notification as read
+ */
+router.post('/:id/read', auth, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Notification not found' });
+    }
+    try {
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, user: req.user.id },
+            [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+            { new: true }
+        );
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        req.app.get('io').to(`user:${req.user.id}`).emit('notificationsRead', { ids: [notification._id] });
+        res.json(notification);
+    } catch (error) {
+        console.error('Error marking notification as read:', error);
+        res.status(500).json({ error: 'Failed to mark notification as read' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorizeGroup = require('../middleware/authorizeGroup');
+const { listPins, pinMessage, unpinMessages } = require('../services/pins');
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/pins:
+ *   get:
+ *     summary: List a group's pinned messages, newest pin first
+ *     description: The same list comes with the group details (GET /api/groups/{id}) as `pins`.
+ *     tags: [Pins]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *     responses:
+ *       200:
+ *         description: The pinned messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   message:
+ *                     type: object
+ *                     description: The pinned message, as in the message history
+ *                   pinnedBy:
+ *                     type: string
+ *                     description: ID of the member who pinned it
+ *                   pinnedAt:
+ *                     type: string
+ *                     format: date-time
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Failed to fetch pinned messages
+ */
+router.get('/:groupId/pins', auth.withScope('messages:read'), authorizeGroup(), async (req, res) => {
+    try {
+        res.json(await listPins(req.group, req.user.id));
+    } catch (error) {
+        console.error('Error fetching pinned messages:', error);
+        res.status(500).json({ error: 'Failed to fetch pinned messages' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/pins:
+ *   post:
+ *     summary: Pin a message
+ *     description: |
+ *       Moderators, admins and the owner can pin messages; a group can have at most MAX_PINNED_MESSAGES pins (default 25).
+ *       The group gets `messagePinned` with the message.
+ *     tags: [Pins]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - messageId
+ *             properties:
+ *               messageId:
+ *                 type: string
+ *                 description: The _id of the message to pin
+ *     responses:
+ *       201:
+ *         description: Message pinned
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group or message not found
+ *       409:
+ *         description: The message is already pinned, or the group has reached its pin limit
+ *       500:
+ *         description: Failed to pin message
+ */
+router.post('/:groupId/pins', auth.withScope('messages:write'), authorizeGroup('owner', 'admin', 'moderator'), async (req, res) => {
+    try {
+        const pin = await pinMessage(req.app.get('io'), req.group, req.body.messageId, req.user.id);
+        res.status(201).json(pin);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error pinning message:', error);
+        res.status(500).json({ error: 'Failed to pin message' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/pins/{messageId}:
+ *   delete:
+ *     summary: Unpin a message
+ *     description: Moderators, admins and the owner can unpin messages. The group gets `messageUnpinned`.
+ *     tags: [Pins]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The _id of the pinned message
+ *     responses:
+ *       200:
+ *         description: Message unpinned
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group not found, or the message isn't pinned
+ *       500:
+ *         description: Failed to unpin message
+ */
+router.delete('/:groupId/pins/:messageId', auth.withScope('messages:write'), authorizeGroup('owner', 'admin', 'moderator'), async (req, res) => {
+    try {
+        const removed = await unpinMessages(req.app.get('io'), req.group._id, [req.params.messageId], req.user.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'This message is not pinned' });
+        }
+        res.json({ messageId: req.params.messageId, pinned: false });
+    } catch (error) {
+        console.error('Error unpinning message:', error);
+        res.status(500).json({ error: 'Failed to unpin message' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,256 @@
+const express = require('express');
+const router = express.Router();
+const Message = require('../models/Message');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const authorizeGroup = require('../middleware/authorizeGroup');
+const { findPoll, castVote, canClosePoll, closePoll } = require('../services/polls');
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages/{messageId}/poll:
+ *   get:
+ *     summary: Get a poll's current tallies
+ *     description: Public polls list each option's voters with their names; anonymous polls only the counts.
+ *     tags: [Polls]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The _id of the poll message
+ *     responses:
+ *       200:
+ *         description: The poll
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 question:
+ *                   type: string
+ *                 options:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       text:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *                       voters:
+ *                         type: array
+ *                         description: Public polls only
+ *                         items:
+ *                           type: object
+ *                 multipleChoice:
+ *                   type: boolean
+ *                 anonymous:
+ *                   type: boolean
+ *                 closesAt:
+ *                   type: string
+ *                   format: date-time
+ *                 closed:
+ *                   type: boolean
+ *                 voterCount:
+ *                   type: integer
+ *                 myVotes:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   description: The indexes of the options the caller voted for
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Poll not found
+ *       500:
+ *         description: Failed to fetch poll
+ */
+router.get('/:groupId/messages/:messageId/poll', auth.withScope('messages:read'), authorizeGroup(), async (req, res) => {
+    try {
+        const message = await findPoll(req.params.groupId, req.params.messageId);
+        const poll = Message.summarizePoll(message.poll, req.user.id);
+        if (!poll.anonymous) {
+            const ids = [...new Set(poll.options.flatMap(option => option.voters.map(String)))];
+            const users = new Map((await User.find({ _id: { $in: ids } }, 'name')).map(user => [user._id.toString(), user]));
+            poll.options.forEach(option => {
+                option.voters = option.voters.map(id => users.get(id.toString()) || { _id: id });
+            });
+        }
+        res.json(poll);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error fetching poll:', error);
+        res.status(500).json({ error: 'Failed to fetch poll' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages/{messageId}/poll/votes:
+ *   post:
+ *     summary: Vote in a poll, or change your vote
+ *     description: Replaces your previous vote. The group gets `pollUpdated` with the new tallies.
+ *     tags: [Polls]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The _id of the poll message
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - options
+ *             properties:
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Indexes of the chosen options; one unless the poll is multiple choice
+ *     responses:
+ *       200:
+ *         description: Vote recorded; returns the poll's tallies
+ *       400:
+ *         description: Invalid options
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Poll not found
+ *       409:
+ *         description: The poll is closed
+ *       500:
+ *         description: Failed to vote
+ */
+router.post('/:groupId/messages/:messageId/poll/votes', auth.withScope('messages:write'), authorizeGroup(), async (req, res) => {
+    const { options } = req.body;
+    if (!Array.isArray(options) || !options.length) {
+        return res.status(400).json({ error: 'Choose at least one option; withdraw a vote with DELETE' });
+    }
+    try {
+        res.json(await castVote(req.app.get('io'), req.user.id, req.params.groupId, req.params.messageId, options));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error voting in poll:', error);
+        res.status(500).json({ error: 'Failed to vote' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages/{messageId}/poll/votes:
+ *   delete:
+ *     summary: Withdraw your vote from a poll
+ *     tags: [Polls]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The _id of the poll message
+ *     responses:
+ *       200:
+ *         description: Vote withdrawn; returns the poll's tallies
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Poll not found
+ *       409:
+ *         description: The poll is closed
+ *       500:
+ *         description: Failed to withdraw vote
+ */
+router.delete('/:groupId/messages/:messageId/poll/votes', auth.withScope('messages:write'), authorizeGroup(), async (req, res) => {
+    try {
+        res.json(await castVote(req.app.get('io'), req.user.id, req.params.groupId, req.params.messageId, []));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error withdrawing vote:', error);
+        res.status(500).json({ error: 'Failed to withdraw vote' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages/{messageId}/poll/close:
+ *   post:
+ *     summary: Close a poll before its deadline
+ *     description: The poll's author, moderators, admins and the owner can close it. The group gets `pollClosed` with the final tallies.
+ *     tags: [Polls]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The _id of the poll message
+ *     responses:
+ *       200:
+ *         description: Poll closed; returns the final tallies
+ *       403:
+ *         description: Not allowed to close the poll
+ *       404:
+ *         description: Poll not found
+ *       409:
+ *         description: The poll is already closed
+ *       500:
+ *         description: Failed to close poll
+ */
+router.post('/:groupId/messages/:messageId/poll/close', auth.withScope('messages:write'), authorizeGroup(), async (req, res) => {
+    try {
+        const message = await findPoll(req.params.groupId, req.params.messageId);
+        if (!canClosePoll(req.group, message, req.user.id)) {
+            return res.status(403).json({ error: 'Only the poll author and moderators can close a poll' });
+        }
+        const closed = await closePoll(req.app.get('io'), message, req.user.id);
+        if (!closed) {
+            return res.status(409).json({ error: 'This poll is already closed' });
+        }
+        res.json(Message.summarizePoll(closed.poll, req.user.id));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error closing poll:', error);
+        res.status(500).json({ error: 'Failed to close poll' });
+    }
+});
+
+module.exports = router;
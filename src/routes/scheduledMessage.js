@@ -0,0 +1,348 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const router = express.Router();
+const Group = require('../models/Group');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const auth = require('../middleware/auth');
+const { findThreadRoot } = require('../services/messageService');
+const {
+    pickContent,
+    validateScheduledMessage,
+    scheduleDelivery,
+    unscheduleDelivery,
+} = require('../services/scheduledMessages');
+
+const MAX_PENDING_PER_USER = 100;
+const STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+/**
+ * Find one of the authenticated user's scheduled messages.
+ * @param {Object} req - The request object
+ * @returns {Promise<Object|null>} The scheduled message
+ */
+const findScheduledMessage = (req) => mongoose.isValidObjectId(req.params.id)
+    ? ScheduledMessage.findOne({ _id: req.params.id, user: req.user.id })
+    : null;
+
+/**
+ * Check a scheduled message against its group, which the user must still belong to.
+ * @param {string} userId - The author
+ * @param {string} groupId - The group ID
+ * @param {Date} sendAt - When to send the message
+ * @param {Object} content - The message content
+ * @returns {Promise<Object|null>} `{ status, error }` if the message can't be scheduled, or null
+ */
+const checkScheduledMessage = async (userId, groupId, sendAt, content) => {
+    const group = mongoose.isValidObjectId(groupId) ? await Group.findOne({ _id: groupId, members: userId }) : null;
+    if (!group) {
+        return { status: 403, error: 'You are not a member of this group' };
+    }
+    const error = validateScheduledMessage(group, sendAt, content);
+    if (error) {
+        return { status: 400, error };
+    }
+    if (content.replyTo && !(await findThreadRoot(group._id, content.replyTo))) {
+        return { status: 404, error: 'Parent message not found' };
+    }
+    return null;
+};
+
+/**
+ * @swagger
+ * /api/scheduled-messages:
+ *   post:
+ *     summary: Schedule a message to be sent to a group later
+ *     description: |
+ *       At `sendAt` the message is sent as if posted with POST /api/groups/{groupId}/messages, and broadcast to the group
+ *       as `chat message`. The author's devices then get `scheduledMessageSent`, or `scheduledMessageFailed` with the reason
+ *       if it couldn't be sent (e.g. the author left the group). Not available in end-to-end encrypted groups.
+ *     tags: [Scheduled Messages]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - groupId
+ *               - sendAt
+ *             properties:
+ *               groupId:
+ *                 type: string
+ *               sendAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When to send the message; at most a year ahead
+ *               text:
+ *                 type: string
+ *                 description: The message text; slash commands can't be scheduled
+ *               type:
+ *                 type: string
+ *                 enum: [text, image, file, poll]
+ *                 default: text
+ *               mediaUrl:
+ *                 type: string
+ *               mediaType:
+ *                 type: string
+ *               replyTo:
+ *                 type: string
+ *                 description: The _id of the message to reply to
+ *               poll:
+ *                 type: object
+ *                 description: For polls, as for POST /api/groups/{groupId}/messages; closesAt must be after sendAt
+ *     responses:
+ *       201:
+ *         description: Message scheduled
+ *       400:
+ *         description: Invalid message or time, or too many pending scheduled messages
+ *       403:
+ *         description: User is not a member of the group
+ *       404:
+ *         description: Parent message not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', auth, async (req, res) => {
+    const { groupId } = req.body;
+    const sendAt = new Date(req.body.sendAt);
+    const content = pickContent(req.body);
+    try {
+        const problem = await checkScheduledMessage(req.user.id, groupId, sendAt, content);
+        if (problem) {
+            return res.status(problem.status).json({ error: problem.error });
+        }
+        if (await ScheduledMessage.countDocuments({ user: req.user.id, status: 'pending' }) >= MAX_PENDING_PER_USER) {
+            return res.status(400).json({ error: `You can have at most ${MAX_PENDING_PER_USER} scheduled messages` });
+        }
+        const scheduled = await ScheduledMessage.create({
+            ...content,
+            user: req.user.id,
+            group: groupId,
+            sendAt,
+            messageId: uuidv4(),
+        });
+        await scheduleDelivery(scheduled);
+        res.status(201).json(scheduled);
+    } catch (error) {
+        console.error('Error scheduling message:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scheduled-messages:
+ *   get:
+ *     summary: List the authenticated user's scheduled messages, soonest first
+ *     tags: [Scheduled Messages]
+ *     parameters:
+ *       - in: query
+ *         name: groupId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only messages for this group
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, failed]
+ *         description: Only messages in this state; pending and sending ones if omitted. Sent and failed messages are kept for 30 days
+ *     responses:
+ *       200:
+ *         description: The scheduled messages
+ *       400:
+ *         description: Invalid filter
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', auth, async (req, res) => {
+    const { groupId, status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status' });
+    }
+    if (groupId && !mongoose.isValidObjectId(groupId)) {
+        return res.status(400).json({ error: 'Invalid groupId' });
+    }
+    try {
+        const filter = { user: req.user.id, status: status || { $in: ['pending', 'sending'] } };
+        if (groupId) filter.group = groupId;
+        const scheduled = await ScheduledMessage.find(filter).sort({ sendAt: 1 }).limit(MAX_PENDING_PER_USER);
+        res.json(scheduled);
+    } catch (error) {
+        console.error('Error listing scheduled messages:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scheduled-messages/{id}:
+ *   get:
+ *     summary: Get one of your scheduled messages
+ *     tags: [Scheduled Messages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The scheduled message ID
+ *     responses:
+ *       200:
+ *         description: The scheduled message, with the sent message's _id or the error once it was processed
+ *       404:
+ *         description: Scheduled message not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const scheduled = await findScheduledMessage(req);
+        if (!scheduled) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+        res.json(scheduled);
+    } catch (error) {
+        console.error('Error fetching scheduled message:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scheduled-messages/{id}:
+ *   put:
+ *     summary: Change a pending scheduled message's content or time
+ *     description: Omitted fields keep their value. The group can't be changed.
+ *     tags: [Scheduled Messages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The scheduled message ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sendAt:
+ *                 type: string
+ *                 format: date-time
+ *               text:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [text, image, file, poll]
+ *               mediaUrl:
+ *                 type: string
+ *               mediaType:
+ *                 type: string
+ *               replyTo:
+ *                 type: string
+ *               poll:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Scheduled message updated
+ *       400:
+ *         description: Invalid message or time
+ *       403:
+ *         description: User is no longer a member of the group
+ *       404:
+ *         description: Scheduled message or parent message not found
+ *       409:
+ *         description: The message is being sent or was already processed
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', auth, async (req, res) => {
+    try {
+        const scheduled = await findScheduledMessage(req);
+        if (!scheduled) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+        if (scheduled.status !== 'pending') {
+            return res.status(409).json({ error: `This message is already ${scheduled.status}` });
+        }
+
+        const sendAt = req.body.sendAt !== undefined ? new Date(req.body.sendAt) : scheduled.sendAt;
+        const content = { ...pickContent(scheduled.toObject()), ...pickContent(req.body) };
+        if (content.type !== 'poll') {
+            delete content.poll;
+        }
+        const problem = await checkScheduledMessage(req.user.id, scheduled.group, sendAt, content);
+        if (problem) {
+            return res.status(problem.status).json({ error: problem.error });
+        }
+
+        // Only while pending, so a message the job already started sending can't change under it
+        const $unset = {};
+        ['text', 'mediaUrl', 'mediaType', 'replyTo', 'poll'].filter(field => content[field] === undefined)
+            .forEach(field => { $unset[field] = 1; });
+        const updated = await ScheduledMessage.findOneAndUpdate(
+            { _id: scheduled._id, status: 'pending' },
+            { $set: { ...content, sendAt }, $unset },
+            { new: true }
+        );
+        if (!updated) {
+            return res.status(409).json({ error: 'This message is already being sent' });
+        }
+        if (updated.sendAt.getTime() !== scheduled.sendAt.getTime()) {
+            await scheduleDelivery(updated);
+        }
+        res.json(updated);
+    } catch (error) {
+        console.error('Error updating scheduled message:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scheduled-messages/{id}:
+ *   delete:
+ *     summary: Cancel a scheduled message, or remove a sent or failed one from the list
+ *     tags: [Scheduled Messages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The scheduled message ID
+ *     responses:
+ *       204:
+ *         description: Scheduled message deleted
+ *       404:
+ *         description: Scheduled message not found
+ *       409:
+ *         description: The message is being sent
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const scheduled = await findScheduledMessage(req);
+        if (!scheduled) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+        const deleted = await ScheduledMessage.findOneAndDelete({ _id: scheduled._id, status: { $ne: 'sending' } });
+        if (!deleted) {
+            return res.status(409).json({ error: 'This message is already being sent' });
+        }
+        await unscheduleDelivery(deleted);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting scheduled message:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const auth = require('../middleware/auth');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { highlightSnippet } = require('../utils/highlight');
+const { serializeMessage } = require('../services/messageService');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Decode a search cursor: the score, createdAt and _id of the last result.
+ * @param {string} cursor - The cursor
+ * @returns {Object|null} `{ score, createdAt, id }`, or null if the cursor is malformed
+ */
+const decodeSearchCursor = (cursor) => {
+    const values = decodeCursor(cursor);
+    if (!values || values.length !== 3 || typeof values[0] !== 'number' || !mongoose.isValidObjectId(values[2])) {
+        return null;
+    }
+    const createdAt = new Date(values[1]);
+    if (isNaN(createdAt)) {
+        return null;
+    }
+    return { score: values[0], createdAt, id: new mongoose.Types.ObjectId(values[2]) };
+};
+
+/**
+ * @swagger
+ * /api/search/messages:
+ *   get:
+ *     summary: Search messages in the groups the user belongs to
+ *     description: |
+ *       Results are ranked by relevance, then newest first. Deleted and end-to-end encrypted messages are never returned.
+ *       Pass `nextCursor` as `after` to load the next page, as with the message history.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search terms; supports "quoted phrases" and -excluded words
+ *       - in: query
+ *         name: groupId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only search this group
+ *       - in: query
+ *         name: sender
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only messages sent by this user ID
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent at or after this time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent before this time
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [text, image, file, system]
+ *         description: Only messages of this type
+ *       - in: query
+ *         name: hasAttachment
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Only messages with (true) or without (false) an attachment
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Cursor from a previous page's nextCursor
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: The number of results per page (max 100)
+ *     responses:
+ *       200:
+ *         description: Search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       message:
+ *                         type: object
+ *                         description: The matching message
+ *                       group:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                       score:
+ *                         type: number
+ *                         description: Relevance score
+ *                       snippet:
+ *                         type: string
+ *                         description: HTML-escaped excerpt with matches wrapped in <mark>
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor for the next page, null if there are no more results
+ *       400:
+ *         description: Missing query or invalid filter
+ *       403:
+ *         description: User is not a member of the group
+ *       500:
+ *         description: Search failed
+ */
+router.get('/messages', auth, async (req, res) => {
+    const { q, groupId, sender, from, to, type, hasAttachment, after } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_PAGE_SIZE);
+
+    if (typeof q !== 'string' || !q.trim()) {
+        return res.status(400).json({ error: 'Missing search query' });
+    }
+    // Repeated (?type=a&type=b) or nested (?type[$ne]=a) parameters arrive as arrays and objects
+    if ([groupId, sender, from, to, type, hasAttachment, after].some(value => value !== undefined && typeof value !== 'string')) {
+        return res.status(400).json({ error: 'Invalid search filter' });
+    }
+    if (sender && !mongoose.isValidObjectId(sender)) {
+        return res.status(400).json({ error: 'Invalid sender' });
+    }
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+        return res.status(400).json({ error: 'Invalid date range' });
+    }
+    const position = after ? decodeSearchCursor(after) : null;
+    if (after && !position) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    try {
+        // Only ever search groups the caller belongs to
+        const groups = await Group.find({ members: req.user.id }, 'name');
+        const groupNames = new Map(groups.map(group => [group._id.toString(), group.name]));
+        if (groupId && !groupNames.has(groupId)) {
+            return res.status(403).json({ error: 'You are not a member of this group' });
+        }
+
+        const match = {
+            $text: { $search: q },
+            group: { $in: groupId ? [groupId] : [...groupNames.keys()] },
+            deleted: false,
+        };
+        if (sender) match['user.id'] = new mongoose.Types.ObjectId(sender);
+        if (type) match.type = type;
+        if (from || to) {
+            match.createdAt = {};
+            if (from) match.createdAt.$gte = new Date(from);
+            if (to) match.createdAt.$lt = new Date(to);
+        }
+        if (hasAttachment === 'true') match.mediaUrl = { $nin: [null, ''] };
+        if (hasAttachment === 'false') match.mediaUrl = { $in: [null, ''] };
+
+        const pipeline = [
+            { $match: match },
+            { $addFields: { score: { $meta: 'textScore' } } },
+        ];
+        if (position) {
+            const { score, createdAt, id } = position;
+            pipeline.push({
+                $match: {
+                    $or: [
+                        { score: { $lt: score } },
+                        { score, createdAt: { $lt: createdAt } },
+                        { score, createdAt, _id: { $lt: id } },
+                    ],
+                },
+            });
+        }
+        pipeline.push(
+            { $sort: { score: -1, createdAt: -1, _id: -1 } },
+            { $limit: limit + 1 },
+        );
+
+        const found = await Message.aggregate(pipeline);
+        const page = found.slice(0, limit);
+        const last = page[page.length - 1];
+
+        res.json({
+            results: page.map(({ score, ...message }) => ({
+                message: serializeMessage(message, req.user.id),
+                group: { _id: message.group, name: groupNames.get(message.group) },
+                score,
+                snippet: highlightSnippet(message.text, q),
+            })),
+            pagination: {
+                limit,
+                nextCursor: found.length > limit
+                    ? encodeCursor([last.score, last.createdAt.toISOString(), last._id.toString()])
+                    : null,
+            },
+        });
+    } catch (error) {
+        console.error('Error searching messages:', error);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
-const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const { v4: uuidv4 } = require('uuid');
 const auth = require('../middleware/auth');
+const { s3, fileUrl } = require('../services/storage');
 
 const router = express.Router();
 
@@ -14,13 +15,7 @@ const router = express.Router();
  * - Pre-signed URL generation for secure direct-to-S3 uploads
  * - Authentication middleware to protect upload endpoints
  * - UUID generation for unique file names
- * - S3 client configuration and bucket management
- * 
- * Environment Variables Required:
- * - AWS_REGION: AWS region for S3 bucket
- * - AWS_ACCESS_KEY_ID: AWS access key credential
- * - AWS_SECRET_ACCESS_KEY: AWS secret key credential
- * - S3_BUCKET_NAME: Name of S3 bucket for file storage
+ * - The S3 client and bucket settings come from services/storage.js
  * 
  * Security Features:
  * - Pre-signed URLs expire after 60 seconds
@@ -28,14 +23,6 @@ const router = express.Router();
  * - Files stored with unique UUIDs to prevent collisions
  * - Content-Type verification on upload
  */
-const s3 = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
-
 /**
  * @swagger
  * /api/upload/presigned-upload-url:
@@ -93,7 +80,7 @@ router.get('/presigned-upload-url', auth, async (req, res) => {
 
     res.json({
       uploadURL,
-      fileURL: `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`,
+      fileURL: fileUrl(key),
     });
   } catch (err) {
     console.error('Error generating presigned URL:', err);
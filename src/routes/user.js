@@ -0,0 +1,302 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Group = require('../models/Group');
+const auth = require('../middleware/auth');
+const { rotateGroupKey } = require('../services/groupKeys');
+const { setStatus } = require('../services/presence');
+
+/**
+ * @swagger
+ * /api/users/me/public-key:
+ *   put:
+ *     summary: Register or replace the authenticated user's public key
+ *     description: Replacing a key forces a group key rotation in every encrypted group the user belongs to.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keyId
+ *               - key
+ *             properties:
+ *               keyId:
+ *                 type: string
+ *                 description: Client-chosen identifier for the key
+ *               key:
+ *                 type: string
+ *                 description: Base64-encoded public key
+ *               algorithm:
+ *                 type: string
+ *                 description: Key algorithm, e.g. X25519
+ *     responses:
+ *       200:
+ *         description: Public key registered successfully
+ *       400:
+ *         description: Bad request
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/me/public-key', auth, async (req, res) => {
+    const { keyId, key, algorithm } = req.body;
+    if (!keyId || !key) {
+        return res.status(400).json({ error: 'keyId and key are required' });
+    }
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const changed = user.publicKey.keyId && user.publicKey.keyId !== keyId;
+        user.publicKey = { keyId, key, algorithm, updatedAt: new Date() };
+        await user.save();
+
+        // Existing envelopes were wrapped to the old key, so the user's groups need a new one
+        if (changed) {
+            const groups = await Group.find({ members: req.user.id, e2ee: true }, '_id');
+            await Promise.all(groups.map(group => rotateGroupKey(req.app.get('io'), group._id, 'member_key_changed')));
+        }
+
+        res.json({ publicKey: user.publicKey });
+    } catch (error) {
+        console.error('Error registering public key:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/public-key:
+ *   get:
+ *     summary: Get a user's public key
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: Public key retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keyId:
+ *                   type: string
+ *                 key:
+ *                   type: string
+ *                 algorithm:
+ *                   type: string
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: User or key not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/public-key', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id, 'publicKey');
+        if (!user || !user.publicKey.key) {
+            return res.status(404).json({ error: 'Public key not found' });
+        }
+        res.json(user.publicKey);
+    } catch (error) {
+        console.error('Error fetching public key:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/me/status:
+ *   put:
+ *     summary: Set the authenticated user's status
+ *     description: The change is broadcast to the user's groups as `presenceUpdated`.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [available, away, dnd]
+ *                 description: Manual status; `available` shows as online while connected
+ *               statusText:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Custom status message (max 140 characters); null clears it
+ *     responses:
+ *       204:
+ *         description: Status updated
+ *       400:
+ *         description: Invalid status
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/me/status', auth, async (req, res) => {
+    try {
+        const error = await setStatus(req.app.get('io'), req.user.id, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error setting status:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/me/notification-settings:
+ *   put:
+ *     summary: Choose how you are notified while offline
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: boolean
+ *                 description: Receive email digests
+ *               push:
+ *                 type: boolean
+ *                 description: Receive Web Push notifications
+ *     responses:
+ *       200:
+ *         description: The updated settings
+ *       400:
+ *         description: Invalid settings
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/me/notification-settings', auth, async (req, res) => {
+    const update = {};
+    for (const channel of ['email', 'push']) {
+        if (req.body[channel] === undefined) continue;
+        if (typeof req.body[channel] !== 'boolean') {
+            return res.status(400).json({ error: `${channel} must be a boolean` });
+        }
+        update[`notificationSettings.${channel}`] = req.body[channel];
+    }
+    try {
+        const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true, projection: 'notificationSettings' });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(user.notificationSettings);
+    } catch (error) {
+        console.error('Error updating notification settings:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/me/push-subscriptions:
+ *   post:
+ *     summary: Register a browser's Web Push subscription
+ *     description: Send the JSON of the browser's PushSubscription. Registering the same endpoint again replaces its keys.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - endpoint
+ *               - keys
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *               keys:
+ *                 type: object
+ *                 properties:
+ *                   p256dh:
+ *                     type: string
+ *                   auth:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Subscription registered
+ *       400:
+ *         description: Invalid subscription
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/me/push-subscriptions', auth, async (req, res) => {
+    const { endpoint, keys } = req.body;
+    if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint) || !keys || !keys.p256dh || !keys.auth) {
+        return res.status(400).json({ error: 'A push subscription needs an https endpoint and p256dh and auth keys' });
+    }
+    try {
+        await User.updateOne({ _id: req.user.id }, { $pull: { pushSubscriptions: { endpoint } } });
+        await User.updateOne(
+            { _id: req.user.id },
+            { $push: { pushSubscriptions: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth }, createdAt: new Date() } } }
+        );
+        res.status(201).json({ endpoint });
+    } catch (error) {
+        console.error('Error registering push subscription:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/me/push-subscriptions:
+ *   delete:
+ *     summary: Remove a browser's Web Push subscription
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - endpoint
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Subscription removed
+ *       400:
+ *         description: Missing endpoint
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/me/push-subscriptions', auth, async (req, res) => {
+    const { endpoint } = req.body || {};
+    if (typeof endpoint !== 'string' || !endpoint) {
+        return res.status(400).json({ error: 'endpoint is required' });
+    }
+    try {
+        await User.updateOne({ _id: req.user.id }, { $pull: { pushSubscriptions: { endpoint } } });
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error removing push subscription:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
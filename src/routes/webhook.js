@@ -0,0 +1,444 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const auth = require('../middleware/auth');
+const authorizeGroup = require('../middleware/authorizeGroup');
+const { WEBHOOK_EVENTS, generateSecret, redeliver } = require('../services/webhooks');
+const { checkPublicUrl } = require('../utils/publicUrl');
+
+const MAX_WEBHOOKS_PER_GROUP = 10;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Check a webhook's URL and event list.
+ * @param {Object} fields - `{ url, events }`; omitted fields are not checked
+ * @returns {string|null} An error message, or null if the fields are valid
+ */
+const validateWebhook = ({ url, events }) => {
+    if (url !== undefined) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (err) {
+            return 'Invalid URL';
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return 'Webhook URLs must use http or https';
+        }
+    }
+    if (events !== undefined) {
+        if (!Array.isArray(events) || !events.length) {
+            return 'Subscribe to at least one event';
+        }
+        const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length) {
+            return `Unknown events: ${unknown.join(', ')}`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Find a webhook of the group in the request.
+ * @param {Object} req - The request object, after authorizeGroup
+ * @returns {Promise<Object|null>} The webhook
+ */
+const findWebhook = (req) => mongoose.isValidObjectId(req.params.webhookId)
+    ? Webhook.findOne({ _id: req.params.webhookId, group: req.group._id })
+    : null;
+
+/**
+ * @swagger
+ * /api/groups/{id}/webhooks:
+ *   post:
+ *     summary: Register a webhook on a group
+ *     description: |
+ *       The response includes the signing secret; it is not shown again. Available events:
+ *       message.created, message.edited, message.deleted, member.joined, member.left, group.ownership_transferred.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: Where events are POSTed; must resolve to a public address
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Webhook registered, with its secret
+ *       400:
+ *         description: Invalid URL or events, or too many webhooks
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/webhooks', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    const { url, events, description } = req.body;
+    const error = !url || !events ? 'url and events are required' : validateWebhook({ url, events });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const addressError = await checkPublicUrl(url);
+    if (addressError) {
+        return res.status(400).json({ error: addressError });
+    }
+    try {
+        if (await Webhook.countDocuments({ group: req.group._id }) >= MAX_WEBHOOKS_PER_GROUP) {
+            return res.status(400).json({ error: `A group can have at most ${MAX_WEBHOOKS_PER_GROUP} webhooks` });
+        }
+        const secret = generateSecret();
+        const webhook = await Webhook.create({
+            group: req.group._id,
+            url,
+            events: [...new Set(events)],
+            description,
+            secret,
+            createdBy: req.user.id,
+        });
+        res.status(201).json({ ...webhook.toObject(), secret });
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/webhooks:
+ *   get:
+ *     summary: List a group's webhooks
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *     responses:
+ *       200:
+ *         description: The webhooks, without their secrets
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/webhooks', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    try {
+        res.json(await Webhook.find({ group: req.group._id }).sort({ createdAt: 1 }));
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/webhooks/{webhookId}:
+ *   put:
+ *     summary: Update a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The webhook ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *                 description: Pause or resume deliveries
+ *     responses:
+ *       200:
+ *         description: The updated webhook
+ *       400:
+ *         description: Invalid URL or events
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group or webhook not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/webhooks/:webhookId', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    const { url, events, description, active } = req.body;
+    const error = validateWebhook({ url, events });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const addressError = url !== undefined ? await checkPublicUrl(url) : null;
+    if (addressError) {
+        return res.status(400).json({ error: addressError });
+    }
+    try {
+        const webhook = await findWebhook(req);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        if (url !== undefined) webhook.url = url;
+        if (events !== undefined) webhook.events = [...new Set(events)];
+        if (description !== undefined) webhook.description = description;
+        if (typeof active === 'boolean') webhook.active = active;
+        await webhook.save();
+        res.json(webhook);
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Pending retries are dropped.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The webhook ID
+ *     responses:
+ *       204:
+ *         description: Webhook deleted
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group or webhook not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/webhooks/:webhookId', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    try {
+        const webhook = await findWebhook(req);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        await webhook.deleteOne();
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/webhooks/{webhookId}/rotate-secret:
+ *   post:
+ *     summary: Replace a webhook's signing secret
+ *     description: Deliveries are signed with the new secret from now on, including retries of earlier events.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The webhook ID
+ *     responses:
+ *       200:
+ *         description: The new secret
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group or webhook not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/webhooks/:webhookId/rotate-secret', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    try {
+        const webhook = await findWebhook(req);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        const secret = generateSecret();
+        webhook.secret = secret;
+        await webhook.save();
+        res.json({ secret });
+    } catch (error) {
+        console.error('Error rotating webhook secret:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: List a webhook's recent deliveries, newest first
+ *     description: Each delivery lists every attempt with its response status or error. Deliveries are kept for 30 days.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The webhook ID
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         description: Only deliveries with this status
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: The number of deliveries to return (max 100)
+ *     responses:
+ *       200:
+ *         description: The deliveries
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group or webhook not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/webhooks/:webhookId/deliveries', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+    try {
+        const webhook = await findWebhook(req);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        const filter = { webhook: webhook._id };
+        if (req.query.status) filter.status = req.query.status;
+        res.json(await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit));
+    } catch (error) {
+        console.error('Error listing webhook deliveries:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/groups/{id}/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery's payload again
+ *     description: Creates a new delivery with the same payload, retried like any other.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The webhook ID
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The delivery to repeat
+ *     responses:
+ *       202:
+ *         description: The new delivery, scheduled
+ *       400:
+ *         description: The webhook is disabled
+ *       403:
+ *         description: Insufficient group role
+ *       404:
+ *         description: Group, webhook or delivery not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver', auth, authorizeGroup('owner', 'admin'), async (req, res) => {
+    try {
+        const webhook = await findWebhook(req);
+        const delivery = webhook && mongoose.isValidObjectId(req.params.deliveryId)
+            ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+            : null;
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        if (!webhook.active) {
+            return res.status(400).json({ error: 'Webhook is disabled' });
+        }
+        res.status(202).json(await redeliver(delivery));
+    } catch (error) {
+        console.error('Error redelivering webhook:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const { hashToken } = require('./sessions');
+const logger = require('../logger');
+
+/**
+ * API Token Service
+ * Bot accounts authenticate with long-lived API tokens instead of passwords and JWTs.
+ * A token is sent like an access token ("Authorization: Bearer sgc_...") and carries
+ * scopes, each optionally limited to one group. Routes declare the scope they need
+ * with `auth.withScope(scope)`; every other route rejects API tokens.
+ */
+const TOKEN_PREFIX = 'sgc_';
+const API_TOKEN_SCOPES = ['groups:read', 'messages:read', 'messages:write', 'commands:write'];
+// Shown in token listings so owners can tell tokens apart
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 8;
+// lastUsedAt is only written once per interval, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Whether a bearer token is an API token rather than a JWT.
+ * @param {string} token - The bearer token
+ * @returns {boolean} True for API tokens
+ */
+const isApiToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Generate a new API token.
+ * @returns {Object} `{ token, tokenHash, prefix }`; only the hash and prefix are stored
+ */
+const generateApiToken = () => {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    return { token, tokenHash: hashToken(token), prefix: token.slice(0, DISPLAY_PREFIX_LENGTH) };
+};
+
+/**
+ * Validate and normalize requested scopes. Each entry is either a scope name,
+ * granting it for every group the bot belongs to, or `{ scope, groupId }`.
+ * @param {Array} scopes - The requested scopes
+ * @returns {Object} `{ scopes }` with the grants to store, or `{ error }`
+ */
+const parseScopes = (scopes) => {
+    if (!Array.isArray(scopes) || !scopes.length) {
+        return { error: 'At least one scope is required' };
+    }
+    const grants = [];
+    for (const entry of scopes) {
+        const { scope, groupId } = typeof entry === 'string' ? { scope: entry } : (entry || {});
+        if (!API_TOKEN_SCOPES.includes(scope)) {
+            return { error: `Unknown scope: ${scope}. Available scopes: ${API_TOKEN_SCOPES.join(', ')}` };
+        }
+        if (groupId !== undefined && !mongoose.isValidObjectId(groupId)) {
+            return { error: `Invalid groupId for scope ${scope}` };
+        }
+        grants.push({ scope, group: groupId });
+    }
+    return { scopes: grants };
+};
+
+/**
+ * Whether a token grants a scope. Routes without a group (such as listing the
+ * bot's groups) need the scope for every group.
+ * @param {Object} apiToken - The ApiToken document
+ * @param {string} scope - The scope the route requires
+ * @param {string} [groupId] - The group the request is about
+ * @returns {boolean} True if the token grants the scope
+ */
+const hasScope = (apiToken, scope, groupId) => apiToken.scopes.some(grant =>
+    grant.scope === scope && (!grant.group || (groupId !== undefined && grant.group.toString() === groupId)));
+
+/**
+ * Look up the active token matching a raw API token and record that it was used.
+ * @param {string} token - The raw API token
+ * @returns {Promise<Object|null>} The ApiToken, or null if it is unknown, revoked or expired
+ */
+const verifyApiToken = async (token) => {
+    const now = new Date();
+    const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token), revokedAt: null });
+    if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt <= now)) {
+        return null;
+    }
+    if (!apiToken.lastUsedAt || now - apiToken.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+        ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: now } })
+            .catch(error => logger.error(`Error recording use of API token ${apiToken._id}:`, error));
+    }
+    return apiToken;
+};
+
+module.exports = {
+    API_TOKEN_SCOPES,
+    isApiToken,
+    generateApiToken,
+    parseScopes,
+    hasScope,
+    verifyApiToken,
+};
@@ -0,0 +1,76 @@
+const Group = require('../models/Group');
+const GroupEvent = require('../models/GroupEvent');
+const logger = require('../logger');
+
+/**
+ * Group Event Service
+ * Every event sent to a group room goes through emitGroupEvent, which stamps it
+ * with the group's next sequence number and appends it to the group's event log.
+ * Clients remember the last `seq` they saw; after a reconnect they pass it to
+ * `joinGroup` and get the missed events replayed, in order.
+ *
+ * Sequence numbers have no gaps, but two events sent at the same moment may
+ * arrive out of order, so clients should apply events by `seq`.
+ */
+
+// Beyond this many missed events, refetching the history is cheaper than replaying
+const MAX_REPLAY_EVENTS = 500;
+
+/**
+ * Send an event to a group room and record it in the group's event log.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {string} groupId - The group ID
+ * @param {string} event - The event name
+ * @param {Object} payload - The event payload
+ * @param {Array<string>} [alsoTo] - Other rooms (e.g. personal rooms) that should get the same event
+ * @returns {Promise<Object>} The payload as sent, with `seq`
+ */
+const emitGroupEvent = async (io, groupId, event, payload, alsoTo = []) => {
+    groupId = groupId.toString();
+    const group = await Group.findByIdAndUpdate(groupId, { $inc: { seq: 1 } }, { new: true, projection: { seq: 1 } });
+    if (!group) {
+        // The group is gone, so there is nobody to replay to
+        io.to([groupId, ...alsoTo]).emit(event, payload);
+        return payload;
+    }
+
+    // Serialize through JSON so the log stores exactly what clients receive
+    const stamped = JSON.parse(JSON.stringify({ ...payload, seq: group.seq }));
+    await GroupEvent.create({ group: groupId, seq: group.seq, event, payload: stamped });
+    io.to([groupId, ...alsoTo]).emit(event, stamped);
+    return stamped;
+};
+
+/**
+ * Find the events a client missed since the last sequence number it saw.
+ * @param {Object} group - The group document
+ * @param {number} lastSeq - The last sequence number the client saw
+ * @returns {Promise<Object>} `{ events }` in sequence order, or `{ refetch: true }` if
+ *   the gap can't be replayed (too many events, or the log no longer covers it)
+ */
+const missedEvents = async (group, lastSeq) => {
+    const current = group.seq || 0;
+    if (lastSeq > current) {
+        // The client is ahead of the server, so its state came from somewhere else
+        return { refetch: true };
+    }
+    if (current - lastSeq > MAX_REPLAY_EVENTS) {
+        return { refetch: true };
+    }
+    if (lastSeq === current) {
+        return { events: [] };
+    }
+
+    const events = await GroupEvent.find({ group: group._id, seq: { $gt: lastSeq, $lte: current } }).sort({ seq: 1 });
+    // Expired entries leave a hole at the start of the range
+    if (!events.length || events[0].seq !== lastSeq + 1 || events.length !== current - lastSeq) {
+        logger.debug(`Event log for group ${group._id} does not cover seq ${lastSeq + 1}-${current}`);
+        return { refetch: true };
+    }
+    return { events };
+};
+
+module.exports = {
+    emitGroupEvent,
+    missedEvents,
+};
@@ -0,0 +1,93 @@
+const Group = require('../models/Group');
+const GroupKey = require('../models/GroupKey');
+const logger = require('../logger');
+const { emitGroupEvent } = require('./groupEvents');
+
+/**
+ * Group Key Service
+ * Server-side bookkeeping for end-to-end encrypted groups.
+ *
+ * The server never holds group keys. Clients generate a key, wrap it for every
+ * member's public key and upload the envelopes. When membership changes the
+ * server retires the current key and asks members to upload a new one; until
+ * that happens, encrypted messages are refused so a departed member can never
+ * read anything sent after they left.
+ */
+
+/**
+ * Retire the current key of an encrypted group and ask members to rotate.
+ * Does nothing for groups that are not end-to-end encrypted.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {string} groupId - The group ID
+ * @param {string} reason - Why the key is being rotated (e.g. 'member_left')
+ * @returns {Promise<Object|null>} The updated group, or null if it is not encrypted
+ */
+const rotateGroupKey = async (io, groupId, reason) => {
+    const group = await Group.findOneAndUpdate(
+        { _id: groupId, e2ee: true },
+        { $set: { keyRotationPending: true }, $inc: { keyEpoch: 1 } },
+        { new: true }
+    );
+    if (!group) {
+        return null;
+    }
+
+    await GroupKey.updateOne(
+        { group: group._id, keyId: group.currentKeyId, retiredAt: null },
+        { $set: { retiredAt: new Date() } }
+    );
+
+    logger.info(`Group key rotation required for group ${group._id}: ${reason}`);
+    await emitGroupEvent(io, group._id, 'groupKeyRotationRequired', {
+        groupId: group._id,
+        epoch: group.keyEpoch,
+        reason,
+    });
+    return group;
+};
+
+/**
+ * Check that a message payload matches the group's encryption mode.
+ * @param {Object} group - The group the message is sent to
+ * @param {Object} payload - The message payload
+ * @returns {string|null} An error message, or null if the payload is acceptable
+ */
+const validateEncryptedPayload = (group, payload) => {
+    const hasCiphertext = Boolean(payload.ciphertext || payload.nonce || payload.keyId);
+
+    if (!group.e2ee) {
+        return hasCiphertext ? 'Group is not end-to-end encrypted' : null;
+    }
+    if (payload.text) {
+        return 'Plaintext messages are not allowed in end-to-end encrypted groups';
+    }
+    if (!payload.ciphertext || !payload.nonce || !payload.keyId) {
+        return 'Encrypted messages require ciphertext, nonce and keyId';
+    }
+    if (group.keyRotationPending) {
+        return 'Group key rotation pending, upload a new group key before sending';
+    }
+    if (payload.keyId !== group.currentKeyId) {
+        return 'Message was encrypted with a retired group key';
+    }
+    return null;
+};
+
+/**
+ * Pick the encrypted message fields out of a payload.
+ * @param {Object} payload - The message payload
+ * @returns {Object} The fields to store on the Message document
+ */
+const encryptedFields = (payload) => {
+    if (!payload.ciphertext) {
+        return {};
+    }
+    return {
+        encrypted: true,
+        ciphertext: payload.ciphertext,
+        nonce: payload.nonce,
+        keyId: payload.keyId,
+    };
+};
+
+module.exports = { rotateGroupKey, validateEncryptedPayload, encryptedFields };
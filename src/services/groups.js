@@ -0,0 +1,57 @@
+const BotCommand = require('../models/BotCommand');
+const Group = require('../models/Group');
+const GroupEvent = require('../models/GroupEvent');
+const GroupKey = require('../models/GroupKey');
+const Invite = require('../models/Invite');
+const JoinRequest = require('../models/JoinRequest');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const ReadState = require('../models/ReadState');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { cancelAll } = require('../jobs/runner');
+const { closeJobKey } = require('./polls');
+const { deliveryJobKey } = require('./scheduledMessages');
+const logger = require('../logger');
+
+/**
+ * Group Service
+ * Deleting a group removes everything that belongs to it, so nothing of the
+ * group outlives it in the database.
+ */
+
+/**
+ * Delete a group and everything stored for it.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} group - The group document
+ */
+const deleteGroup = async (io, group) => {
+    const groupId = group._id.toString();
+    await Group.deleteOne({ _id: group._id });
+    io.in(groupId).socketsLeave(groupId);
+
+    // Drop the jobs still waiting to send the group's scheduled messages or close its polls
+    const [scheduled, polls] = await Promise.all([
+        ScheduledMessage.find({ group: group._id, status: 'pending' }, '_id'),
+        Message.find({ group: groupId, type: 'poll', 'poll.closedAt': null }, '_id'),
+    ]);
+    await cancelAll({ uniqueKey: { $in: [...scheduled.map(deliveryJobKey), ...polls.map(closeJobKey)] } });
+
+    await Promise.all([
+        Message.deleteMany({ group: groupId }),
+        GroupKey.deleteMany({ group: group._id }),
+        Invite.deleteMany({ group: group._id }),
+        JoinRequest.deleteMany({ group: group._id }),
+        ReadState.deleteMany({ group: group._id }),
+        GroupEvent.deleteMany({ group: group._id }),
+        Notification.deleteMany({ group: group._id }),
+        Webhook.deleteMany({ group: group._id }),
+        WebhookDelivery.deleteMany({ group: group._id }),
+        BotCommand.deleteMany({ group: group._id }),
+        ScheduledMessage.deleteMany({ group: group._id }),
+    ]);
+    logger.info(`Group ${groupId} deleted`);
+};
+
+module.exports = { deleteGroup };
@@ -0,0 +1,51 @@
+const BotCommand = require('../models/BotCommand');
+const { rotateGroupKey } = require('./groupKeys');
+const { emitGroupEvent } = require('./groupEvents');
+const { triggerWebhooks } = require('./webhooks');
+
+/**
+ * Membership Service
+ * Adds and removes group members on behalf of an admin. Shared by the member
+ * routes and the /invite and /kick commands, so both have the same side effects.
+ */
+
+/**
+ * Add a user to a group.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} group - The group document
+ * @param {string} userId - The user to add
+ * @param {string} addedBy - The ID of the admin adding them
+ */
+const addMember = async (io, group, userId, addedBy) => {
+    group.members.push(userId);
+    await group.save();
+    await rotateGroupKey(io, group._id, 'member_added');
+    await triggerWebhooks(group._id, 'member.joined', { userId, via: 'added', addedBy });
+};
+
+/**
+ * Remove a member from a group, disconnecting them from its room.
+ * Commands a removed bot registered in the group are dropped.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} group - The group document
+ * @param {string} userId - The member to remove
+ * @param {string} removedBy - The ID of the admin removing them
+ */
+const removeMember = async (io, group, userId, removedBy) => {
+    userId = userId.toString();
+    group.members = group.members.filter(id => id.toString() !== userId);
+    group.roles.delete(userId);
+    await group.save();
+
+    io.in(`user:${userId}`).socketsLeave(group._id.toString());
+    await emitGroupEvent(io, group._id, 'memberRemoved', {
+        groupId: group._id,
+        userId,
+        removedBy,
+    });
+    await BotCommand.deleteMany({ group: group._id, bot: userId });
+    await rotateGroupKey(io, group._id, 'member_removed');
+    await triggerWebhooks(group._id, 'member.left', { userId, reason: 'removed', removedBy });
+};
+
+module.exports = { addMember, removeMember };
@@ -0,0 +1,358 @@
+const { v4: uuidv4 } = require('uuid');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const { validateEncryptedPayload, encryptedFields } = require('./groupKeys');
+const { emitGroupEvent } = require('./groupEvents');
+const { resolveMentions, notifyMentions } = require('./notifications');
+const { scheduleDigests } = require('./notificationDispatcher');
+const { triggerWebhooks } = require('./webhooks');
+const { parseCommand, runCommand } = require('../commands');
+const { validatePoll, buildPoll, schedulePollClose } = require('./polls');
+const logger = require('../logger');
+
+// Message types clients may send; `system` messages are only created by the server
+const CLIENT_MESSAGE_TYPES = ['text', 'image', 'file', 'poll'];
+const MAX_TEXT_LENGTH = 10000;
+const MAX_CLIENT_ID_LENGTH = 128;
+
+/**
+ * Create an error carrying the HTTP status the REST API should answer with.
+ * The socket handlers only use the message.
+ * @param {number} status - The HTTP status code
+ * @param {string} message - The error message
+ * @returns {Error} The error
+ */
+const messageError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Build the `chat message` socket payload for a saved message.
+ * Encrypted messages only ever carry ciphertext.
+ * @param {Object} message - The saved Message document
+ * @returns {Object} The payload emitted to the group room
+ */
+const toChatPayload = (message) => ({
+    id: message.id,
+    groupId: message.group,
+    user: message.user,
+    type: message.type,
+    text: message.encrypted ? undefined : message.text,
+    mediaUrl: message.mediaUrl,
+    mediaType: message.mediaType,
+    mentions: message.mentions,
+    encrypted: message.encrypted || undefined,
+    ciphertext: message.ciphertext,
+    nonce: message.nonce,
+    keyId: message.keyId,
+    replyTo: message.replyTo,
+    poll: message.poll ? Message.summarizePoll(message.poll) : undefined,
+    timestamp: message.createdAt,
+});
+
+/**
+ * Convert a message for an API response, aggregating reactions and poll votes into counts.
+ * The revision history is never included; admins read it from the revisions endpoint.
+ * @param {Object} message - A Message document or plain object
+ * @param {string} [userId] - The user the response is for; without one, e.g. for broadcasts, only counts are included
+ * @returns {Object} The plain message object
+ */
+const serializeMessage = (message, userId) => {
+    const plain = typeof message.toJSON === 'function' ? message.toJSON() : { ...message };
+    plain.reactions = Message.summarizeReactions(plain.reactions, userId);
+    if (plain.poll) {
+        plain.poll = Message.summarizePoll(plain.poll, userId);
+    }
+    delete plain.revisions;
+    return plain;
+};
+
+/**
+ * Check the text of a message in a group without end-to-end encryption.
+ * @param {*} text - The text sent by the client
+ * @returns {string|null} An error message, or null if the text is valid
+ */
+const validateMessageText = (text) => {
+    if (typeof text !== 'string' || !text.trim()) {
+        return 'Message text is required';
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+        return `Message text is longer than ${MAX_TEXT_LENGTH} characters`;
+    }
+    return null;
+};
+
+/**
+ * Check a client's message payload.
+ * @param {Object} group - The group the message is sent to
+ * @param {Object} data - The payload
+ * @returns {string|null} An error message, or null if the payload is valid
+ */
+const validateMessageInput = (group, data) => {
+    if (data.id !== undefined && (typeof data.id !== 'string' || !data.id || data.id.length > MAX_CLIENT_ID_LENGTH)) {
+        return 'Invalid message id';
+    }
+    if (data.type !== undefined && !CLIENT_MESSAGE_TYPES.includes(data.type)) {
+        return 'Invalid message type';
+    }
+    if (data.type === 'poll') {
+        const pollError = validatePoll(group, data.poll);
+        if (pollError) {
+            return pollError;
+        }
+    }
+    const encryptionError = validateEncryptedPayload(group, data);
+    if (encryptionError) {
+        return encryptionError;
+    }
+    // A poll's text is its question
+    if (!group.e2ee && data.type !== 'poll') {
+        const textError = validateMessageText(data.text);
+        if (textError) {
+            return textError;
+        }
+    }
+    if (data.mediaUrl !== undefined && typeof data.mediaUrl !== 'string') {
+        return 'Invalid media URL';
+    }
+    return null;
+};
+
+/**
+ * Find the message a client already sent with the given id.
+ * @param {string} groupId - The group ID
+ * @param {string} id - The client-supplied message id
+ * @param {Object} sender - The sending user
+ * @returns {Promise<Object|null>} The existing message, or null if there is none
+ * @throws {Error} 409 if the id belongs to another user's message
+ */
+const findDuplicate = async (groupId, id, sender) => {
+    const existing = await Message.findOne({ group: groupId, id });
+    if (existing && existing.user.id.toString() !== sender.id.toString()) {
+        throw messageError(409, 'Message id already in use');
+    }
+    return existing;
+};
+
+/**
+ * Run a slash command and post the message it produces, if any: a system message,
+ * or a message sent on the caller's behalf (e.g. the poll /poll creates).
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} sender - The authenticated user
+ * @param {Object} group - The group document
+ * @param {Object} parsed - The output of parseCommand
+ * @returns {Promise<Object|null>} `{ name, reply, message }`, where reply is only for the sender;
+ *   null if the group has no such command
+ */
+const executeCommand = async (io, sender, group, parsed) => {
+    const result = await runCommand(io, sender, group, parsed);
+    if (!result) {
+        return null;
+    }
+    const { name, reply, system, actor, send } = result;
+    let message;
+    if (system) {
+        message = await postSystemMessage(io, group._id, system, actor || sender);
+    } else if (send) {
+        ({ message } = await sendMessage(io, sender, group._id, send));
+    }
+    logger.info(`Command /${name} run by ${sender.id} in group ${group._id}`);
+    return { name, reply, message };
+};
+
+/**
+ * Send a message from a user to a group. Both the socket `chat message` handler
+ * and `POST /api/groups/:groupId/messages` go through here, so every message is
+ * validated, stored and broadcast the same way.
+ *
+ * Text starting with `/name` runs the group's slash command of that name instead of
+ * being sent, and the result comes back as `command`; text naming no command is sent
+ * as it is. Start with `//` to send a command as a message.
+ *
+ * The client-supplied `id` makes sends idempotent: retrying with the same id
+ * returns the original message instead of storing and broadcasting it again.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} sender - The authenticated user ({ id, name, email, isBot })
+ * @param {string} groupId - The group ID
+ * @param {Object} data - The message payload (id, text, type, mediaUrl, mediaType, replyTo, poll, and encrypted fields and mentions)
+ * @returns {Promise<Object>} `{ message, duplicate }`, or `{ command }` if the text was a command
+ * @throws {Error} With a `status` of 400, 403, 404 or 409 if the message can't be sent,
+ *   or the status of a command that failed
+ */
+const sendMessage = async (io, sender, groupId, data = {}) => {
+    const group = mongoose.isValidObjectId(groupId)
+        ? await Group.findOne({ _id: groupId, members: sender.id })
+        : null;
+    if (!group) {
+        throw messageError(403, 'You are not a member of this group');
+    }
+    groupId = group._id.toString();
+
+    const escaped = typeof data.text === 'string' && data.text.startsWith('//') && parseCommand(data.text.slice(1));
+    if (escaped) {
+        data = { ...data, text: data.text.slice(1) };
+    }
+
+    // Checked before any command runs: encrypted groups reject plaintext, so commands never run there
+    const inputError = validateMessageInput(group, data);
+    if (inputError) {
+        throw messageError(400, inputError);
+    }
+
+    const command = escaped ? null : parseCommand(data.text);
+    if (command) {
+        const result = await executeCommand(io, sender, group, command);
+        if (result) {
+            return { command: result };
+        }
+    }
+
+    if (data.id) {
+        const existing = await findDuplicate(groupId, data.id, sender);
+        if (existing) {
+            return { message: existing, duplicate: true };
+        }
+    }
+
+    const threadRoot = data.replyTo ? await findThreadRoot(groupId, data.replyTo) : null;
+    if (data.replyTo && !threadRoot) {
+        throw messageError(404, 'Parent message not found');
+    }
+
+    const mentions = await resolveMentions(group, data);
+
+    let message;
+    try {
+        message = await Message.create({
+            id: data.id || uuidv4(),
+            text: group.e2ee ? undefined : (data.type === 'poll' ? data.poll.question.trim() : data.text),
+            group: groupId,
+            // The sender always comes from the authenticated user, never from the payload
+            user: { id: sender.id, name: sender.name, email: sender.email, isBot: Boolean(sender.isBot) },
+            type: data.type || 'text',
+            mediaUrl: data.mediaUrl,
+            mediaType: data.mediaType,
+            replyTo: threadRoot ? threadRoot._id.toString() : undefined,
+            poll: data.type === 'poll' ? buildPoll(data.poll) : undefined,
+            mentions,
+            ...encryptedFields(data),
+        });
+    } catch (error) {
+        // A concurrent retry with the same id won the race
+        if (error.code === 11000 && data.id) {
+            const existing = await findDuplicate(groupId, data.id, sender);
+            if (existing) {
+                return { message: existing, duplicate: true };
+            }
+        }
+        throw error;
+    }
+    logger.info(`Message ${message.id} saved to group ${groupId}`);
+    await schedulePollClose(message);
+
+    await emitGroupEvent(io, groupId, 'chat message', toChatPayload(message));
+    if (threadRoot) {
+        await recordThreadReply(io, threadRoot, message);
+    }
+    await notifyMentions(io, group, message);
+    // Offline delivery is best effort and the send doesn't wait for it; the message was sent either way
+    scheduleDigests(group, message).catch(error => logger.error('Error scheduling notification digests:', error));
+    await triggerWebhooks(groupId, 'message.created', toChatPayload(message));
+
+    return { message, duplicate: false };
+};
+
+/**
+ * Post a server-generated `system` message to a group, e.g. "Alice joined the group".
+ * @param {Object} io - The Socket.IO server instance
+ * @param {string} groupId - The group ID
+ * @param {string} text - The message text
+ * @param {Object} actor - The user the event is about ({ _id or id, name, email, isBot })
+ * @returns {Promise<Object>} The saved Message document
+ */
+const postSystemMessage = async (io, groupId, text, actor) => {
+    const message = await Message.create({
+        id: uuidv4(),
+        text,
+        group: groupId.toString(),
+        user: {
+            id: actor._id || actor.id,
+            name: actor.name,
+            email: actor.email,
+            isBot: Boolean(actor.isBot),
+        },
+        type: 'system',
+    });
+    logger.info(`System message posted to group ${groupId}`);
+    await emitGroupEvent(io, groupId, 'chat message', toChatPayload(message));
+    return message;
+};
+
+/**
+ * Find the root of the thread a new message replies to.
+ * Replying to a reply attaches the new message to the same root, so threads are one level deep.
+ * @param {string} groupId - The group ID
+ * @param {string} replyTo - The _id of the message being replied to
+ * @returns {Promise<Object|null>} The root message, or null if the parent doesn't exist in the group
+ */
+const findThreadRoot = async (groupId, replyTo) => {
+    if (!mongoose.isValidObjectId(replyTo)) {
+        return null;
+    }
+    const parent = await Message.findOne({ _id: replyTo, group: groupId.toString(), deleted: false });
+    if (!parent || !parent.replyTo) {
+        return parent;
+    }
+    return Message.findOne({ _id: parent.replyTo, group: groupId.toString() });
+};
+
+/**
+ * Update a thread root after a reply was saved and notify the thread's followers.
+ * The root's author and everyone who replies follow the thread automatically.
+ * Followers get `threadReply` on their personal room even if they are not viewing
+ * the group; the group room gets `threadUpdated` so timelines can refresh reply counts.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} root - The thread root Message document
+ * @param {Object} reply - The saved reply Message document
+ */
+const recordThreadReply = async (io, root, reply) => {
+    const followers = [root.user && root.user.id, reply.user.id].filter(Boolean);
+    const updated = await Message.findByIdAndUpdate(
+        root._id,
+        {
+            $inc: { replyCount: 1 },
+            $max: { lastReplyAt: reply.createdAt },
+            $addToSet: { threadFollowers: { $each: followers } },
+        },
+        { new: true }
+    );
+    if (!updated) {
+        return;
+    }
+
+    const groupId = reply.group.toString();
+    const thread = {
+        groupId,
+        rootId: updated._id,
+        replyCount: updated.replyCount,
+        lastReplyAt: updated.lastReplyAt,
+    };
+    await emitGroupEvent(io, groupId, 'threadUpdated', thread);
+
+    const rooms = updated.threadFollowers
+        .filter(id => id.toString() !== reply.user.id.toString())
+        .map(id => `user:${id}`);
+    if (rooms.length) {
+        io.to(rooms).emit('threadReply', { ...thread, message: toChatPayload(reply) });
+    }
+};
+
+module.exports = {
+    toChatPayload,
+    sendMessage,
+    serializeMessage,
+    validateMessageText,
+    validateMessageInput,
+    postSystemMessage,
+    findThreadRoot,
+    recordThreadReply,
+};
@@ -0,0 +1,179 @@
+const Group = require('../models/Group');
+const User = require('../models/User');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { registerJob, enqueue, enqueueMany } = require('../jobs/runner');
+const { connectedUsers } = require('./presence');
+const { unreadCounts } = require('./readState');
+const { getTransport, enabledTransports } = require('./transports');
+const logger = require('../logger');
+
+/**
+ * Notification Dispatcher
+ * Tells members who aren't connected about activity in their groups.
+ *
+ * When a message is sent, every offline member gets a digest scheduled
+ * NOTIFICATION_DIGEST_MINUTES later; further messages in that time join the
+ * same digest ("5 new messages in #ops") instead of sending one notification
+ * each. When the digest job runs, members who came back online are skipped,
+ * and the digest is handed to each enabled transport the member accepts as a
+ * separate delivery job, so a failing transport is retried with backoff
+ * without resending through the others. Every attempt is recorded as a
+ * NotificationDelivery.
+ */
+
+const DIGEST_DELAY_MS = (parseInt(process.env.NOTIFICATION_DIGEST_MINUTES) || 5) * 60 * 1000;
+const DELIVERY_ATTEMPTS = 5;
+
+/**
+ * Record a delivery attempt.
+ * @param {Object} fields - The NotificationDelivery fields
+ */
+const recordDelivery = (fields) => NotificationDelivery.create(fields).catch(error => {
+    logger.error('Error recording notification delivery:', error);
+});
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Summarize a user's unread activity since their last digest.
+ * @param {Object} user - The User document
+ * @param {Date} until - Only messages sent up to this time are included
+ * @returns {Promise<Object>} `{ total, mentions, groups: [{ groupId, name, count, mentions }], subject, text }`
+ */
+const buildDigest = async (user, until) => {
+    // Groups muted with /mute are left out
+    const muted = (user.mutedGroups || []).filter(mute => mute.until > until).map(mute => mute.group);
+    const groups = await Group.find({ members: user._id, _id: { $nin: muted } }, 'name');
+    const counts = await unreadCounts(user, groups, { since: user.lastDigestAt, until });
+
+    const active = groups
+        .map(group => {
+            const { unreadCount, mentionCount } = counts.get(group._id.toString());
+            return { groupId: group._id, name: group.name, count: unreadCount, mentions: mentionCount };
+        })
+        .filter(group => group.count > 0)
+        .sort((a, b) => b.mentions - a.mentions || b.count - a.count);
+    const total = active.reduce((sum, group) => sum + group.count, 0);
+    const mentions = active.reduce((sum, group) => sum + group.mentions, 0);
+
+    const subject = active.length === 1
+        ? `${plural(total, 'new message')} in #${active[0].name}`
+        : `${plural(total, 'new message')} in ${active.length} groups`;
+    const text = active
+        .map(group => `${plural(group.count, 'new message')} in #${group.name}${group.mentions ? ` (${plural(group.mentions, 'mention')})` : ''}`)
+        .join('\n');
+
+    return { total, mentions, groups: active, subject: mentions ? `${subject}, ${plural(mentions, 'mention')}` : subject, text };
+};
+
+/**
+ * Schedule digests for the members of a group who are offline when a message is sent.
+ * This only queues one job per message; the job looks up the offline members, so
+ * sending doesn't wait on work that grows with the size of the group.
+ * @param {Object} group - The group document
+ * @param {Object} message - The saved Message document
+ */
+const scheduleDigests = (group, message) => enqueue('scheduleDigests', {
+    groupId: group._id.toString(),
+    senderId: message.user.id.toString(),
+});
+
+// Members who already have a digest scheduled keep it; the message will be part of it
+registerJob('scheduleDigests', async ({ groupId, senderId }) => {
+    const group = await Group.findById(groupId, 'members');
+    if (!group) {
+        return;
+    }
+    const members = group.members.map(id => id.toString()).filter(id => id !== senderId);
+    if (!members.length) {
+        return;
+    }
+    const online = await connectedUsers(members);
+    const runAt = new Date(Date.now() + DIGEST_DELAY_MS);
+    await enqueueMany('notificationDigest', members
+        .filter(id => !online.has(id))
+        .map(userId => ({ payload: { userId }, runAt, uniqueKey: `notificationDigest:${userId}` })));
+});
+
+registerJob('notificationDigest', async ({ userId }, job) => {
+    const user = await User.findById(userId, 'name email isBot notificationSettings lastDigestAt mutedGroups +pushSubscriptions');
+    if (!user || user.isBot) {
+        return;
+    }
+    const until = new Date();
+
+    // Members who came back online see the messages in the app
+    if ((await connectedUsers([userId])).size) {
+        await User.updateOne({ _id: userId }, { $set: { lastDigestAt: until } });
+        await recordDelivery({ user: userId, status: 'skipped', attempt: job.attempts, detail: 'User is online', job: job._id });
+        return;
+    }
+
+    const digest = await buildDigest(user, until);
+    if (!digest.total) {
+        // Everything was read (or deleted) in the meantime
+        return;
+    }
+    await User.updateOne({ _id: userId }, { $set: { lastDigestAt: until } });
+
+    const transports = enabledTransports().filter(transport => transport.accepts(user));
+    if (!transports.length) {
+        await recordDelivery({
+            user: userId,
+            status: 'skipped',
+            attempt: job.attempts,
+            subject: digest.subject,
+            detail: 'No enabled transport can reach this user',
+            job: job._id,
+        });
+        return;
+    }
+    await Promise.all(transports.map(transport => enqueue(
+        'deliverNotification',
+        { userId, transport: transport.name, digest },
+        { maxAttempts: DELIVERY_ATTEMPTS }
+    )));
+});
+
+registerJob('deliverNotification', async ({ userId, transport: name, digest }, job) => {
+    const user = await User.findById(userId, 'name email notificationSettings +pushSubscriptions');
+    const transport = getTransport(name);
+    if (!user || !transport) {
+        return;
+    }
+    // Settings and subscriptions may have changed since the digest was built
+    if (!transport.accepts(user)) {
+        await recordDelivery({
+            user: userId,
+            transport: name,
+            status: 'skipped',
+            attempt: job.attempts,
+            subject: digest.subject,
+            detail: 'User can no longer be reached with this transport',
+            job: job._id,
+        });
+        return;
+    }
+
+    try {
+        const { detail } = await transport.send(user, digest);
+        await recordDelivery({ user: userId, transport: name, status: 'sent', attempt: job.attempts, subject: digest.subject, detail, job: job._id });
+    } catch (error) {
+        await recordDelivery({
+            user: userId,
+            transport: name,
+            status: 'failed',
+            attempt: job.attempts,
+            willRetry: job.attempts < job.maxAttempts,
+            subject: digest.subject,
+            error: error.message || String(error),
+            job: job._id,
+        });
+        throw error;
+    }
+}, { maxAttempts: DELIVERY_ATTEMPTS });
+
+module.exports = {
+    scheduleDigests,
+    buildDigest,
+};
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { parseMentions, KEYWORDS } = require('../utils/mentions');
+const { connectedUsers } = require('./presence');
+const logger = require('../logger');
+
+const PREVIEW_LENGTH = 140;
+const MAX_CLIENT_MENTIONS = 50;
+
+/**
+ * Work out who a message mentions.
+ * Plaintext messages are parsed for `@name`, `@here` and `@all`. The server can't
+ * read encrypted messages, so their senders list the mentions instead, as
+ * `mentions: ['here' | 'all' | userId, ...]`; entries that aren't members are dropped.
+ * @param {Object} group - The group document
+ * @param {Object} data - The message payload (text, or mentions for encrypted groups)
+ * @returns {Promise<Array<Object>>} Mention entities to store on the message
+ */
+const resolveMentions = async (group, data) => {
+    if (group.e2ee) {
+        if (!Array.isArray(data.mentions)) {
+            return [];
+        }
+        const members = new Set(group.members.map(id => id.toString()));
+        return data.mentions.slice(0, MAX_CLIENT_MENTIONS)
+            .filter(entry => typeof entry === 'string')
+            .filter(entry => KEYWORDS.includes(entry) || (mongoose.isValidObjectId(entry) && members.has(entry)))
+            .map(entry => (KEYWORDS.includes(entry) ? { type: entry } : { type: 'user', user: entry }));
+    }
+    if (typeof data.text !== 'string' || !data.text.includes('@')) {
+        return [];
+    }
+    const members = await User.find({ _id: { $in: group.members } }, 'name');
+    return parseMentions(data.text, members);
+};
+
+/**
+ * Find which of a group's members muted it.
+ * @param {Object} group - The group document
+ * @param {Array<string>} userIds - The members to check
+ * @returns {Promise<Set<string>>} The IDs of the members who muted the group
+ */
+const mutedMembers = async (group, userIds) => {
+    const muted = await User.find({
+        _id: { $in: userIds },
+        mutedGroups: { $elemMatch: { group: group._id, until: { $gt: new Date() } } },
+    }, '_id');
+    return new Set(muted.map(user => user._id.toString()));
+};
+
+/**
+ * Work out which members a message notifies, and how.
+ * Direct mentions win over `@all`, which wins over `@here`; `@here` only reaches
+ * members who are connected, and neither reaches members who muted the group.
+ * The sender is never notified.
+ * @param {Object} group - The group document
+ * @param {Object} message - The Message document
+ * @returns {Promise<Map<string, string>>} Recipient user ID => mention type
+ */
+const mentionRecipients = async (group, message) => {
+    const members = group.members.map(id => id.toString());
+    const isMember = new Set(members);
+    const recipients = new Map();
+
+    for (const mention of message.mentions) {
+        if (mention.type === 'user' && isMember.has(mention.user.toString())) {
+            recipients.set(mention.user.toString(), 'user');
+        }
+    }
+    const types = new Set(message.mentions.map(mention => mention.type));
+    if (types.has('all')) {
+        members.forEach(id => recipients.has(id) || recipients.set(id, 'all'));
+    }
+    if (types.has('here')) {
+        const online = await connectedUsers(members);
+        online.forEach(id => recipients.has(id) || recipients.set(id, 'here'));
+    }
+    recipients.delete(message.user.id.toString());
+
+    const broadcast = [...recipients].filter(([, type]) => type !== 'user').map(([id]) => id);
+    if (broadcast.length) {
+        const muted = await mutedMembers(group, broadcast);
+        muted.forEach(id => recipients.delete(id));
+    }
+    return recipients;
+};
+
+/**
+ * Create notifications for the members a message mentions and alert them with a
+ * `notification` event on their personal room. Members already notified about
+ * the message (e.g. before it was edited) are skipped.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} group - The group document
+ * @param {Object} message - The saved Message document
+ * @returns {Promise<Array<Object>>} The new notifications
+ */
+const notifyMentions = async (io, group, message) => {
+    if (!message.mentions || !message.mentions.length) {
+        return [];
+    }
+    const recipients = await mentionRecipients(group, message);
+    if (!recipients.size) {
+        return [];
+    }
+
+    const docs = [...recipients].map(([userId, mentionType]) => ({
+        user: userId,
+        type: 'mention',
+        group: group._id,
+        message: message._id,
+        actor: { id: message.user.id, name: message.user.name },
+        mentionType,
+        preview: message.encrypted ? '' : (message.text || '').slice(0, PREVIEW_LENGTH),
+    }));
+
+    let created;
+    try {
+        created = await Notification.insertMany(docs, { ordered: false });
+    } catch (error) {
+        // Duplicates are members notified before; keep the ones that were inserted
+        if (error.code !== 11000 || !error.insertedDocs) {
+            throw error;
+        }
+        created = error.insertedDocs;
+    }
+
+    for (const notification of created) {
+        io.to(`user:${notification.user}`).emit('notification', notification.toJSON());
+    }
+    logger.debug(`Created ${created.length} mention notifications for message ${message._id}`);
+    return created;
+};
+
+module.exports = {
+    resolveMentions,
+    notifyMentions,
+};
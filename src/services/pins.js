@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const Message = require('../models/Message');
+const { emitGroupEvent } = require('./groupEvents');
+const { toChatPayload, serializeMessage } = require('./messageService');
+const logger = require('../logger');
+
+/**
+ * Pinned Messages
+ * Moderators and above can pin messages, e.g. announcements, so clients can
+ * show them in a banner. Pins are kept on the group, capped at
+ * MAX_PINNED_MESSAGES per group, and come with the group details. Pins of
+ * messages that are deleted or expire are removed with them.
+ */
+
+const MAX_PINNED_MESSAGES = parseInt(process.env.MAX_PINNED_MESSAGES) || 25;
+
+const pinError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * A group's pinned messages, newest pin first.
+ * @param {Object} group - The group document
+ * @param {string} userId - The user the list is for
+ * @returns {Promise<Array<Object>>} `{ message, pinnedBy, pinnedAt }` entries
+ */
+const listPins = async (group, userId) => {
+    if (!group.pins || !group.pins.length) {
+        return [];
+    }
+    const messages = await Message.find({
+        _id: { $in: group.pins.map(pin => pin.message) },
+        group: group._id.toString(),
+        deleted: false,
+    });
+    const byId = new Map(messages.map(message => [message._id.toString(), message]));
+    return group.pins
+        .filter(pin => byId.has(pin.message.toString()))
+        .reverse()
+        .map(pin => ({
+            message: serializeMessage(byId.get(pin.message.toString()), userId),
+            pinnedBy: pin.pinnedBy,
+            pinnedAt: pin.pinnedAt,
+        }));
+};
+
+/**
+ * Pin a message and broadcast `messagePinned`.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} group - The group document
+ * @param {string} messageId - The _id of the message
+ * @param {string} pinnedBy - The moderator pinning it
+ * @returns {Promise<Object>} The pin, `{ message, pinnedBy, pinnedAt }`
+ * @throws {Error} 404 if there is no such message, 409 if it is already pinned or the group is at the cap
+ */
+const pinMessage = async (io, group, messageId, pinnedBy) => {
+    const message = mongoose.isValidObjectId(messageId)
+        ? await Message.findOne({ _id: messageId, group: group._id.toString(), deleted: false })
+        : null;
+    if (!message) {
+        throw pinError(404, 'Message not found');
+    }
+
+    const pin = { message: message._id, pinnedBy, pinnedAt: new Date() };
+    // The conditions make the duplicate check and the cap atomic with the push
+    const updated = await Group.findOneAndUpdate(
+        {
+            _id: group._id,
+            'pins.message': { $ne: message._id },
+            [`pins.${MAX_PINNED_MESSAGES - 1}`]: { $exists: false },
+        },
+        { $push: { pins: pin } },
+        { new: true }
+    );
+    if (!updated) {
+        const current = await Group.findById(group._id, 'pins');
+        if (current && current.pins.some(existing => existing.message.equals(message._id))) {
+            throw pinError(409, 'This message is already pinned');
+        }
+        throw pinError(409, `A group can have at most ${MAX_PINNED_MESSAGES} pinned messages; unpin one first`);
+    }
+
+    logger.info(`Message ${message._id} pinned in group ${group._id}`);
+    await emitGroupEvent(io, group._id, 'messagePinned', {
+        groupId: group._id,
+        messageId: message._id,
+        message: toChatPayload(message),
+        pinnedBy,
+        pinnedAt: pin.pinnedAt,
+    });
+    return { message: serializeMessage(message, pinnedBy), pinnedBy, pinnedAt: pin.pinnedAt };
+};
+
+/**
+ * Unpin messages and broadcast `messageUnpinned` for each one that was pinned.
+ * Also used when pinned messages are deleted or expire.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {string} groupId - The group ID
+ * @param {Array<string>} messageIds - The _ids of the messages
+ * @param {string} [unpinnedBy] - Who unpinned them; omitted when they were removed with their messages
+ * @returns {Promise<number>} How many pins were removed
+ */
+const unpinMessages = async (io, groupId, messageIds, unpinnedBy) => {
+    const ids = messageIds.filter(id => mongoose.isValidObjectId(id)).map(id => id.toString());
+    if (!ids.length) {
+        return 0;
+    }
+    // Without `new`, this returns the pins from before the update, to tell which were removed
+    const before = await Group.findOneAndUpdate(
+        { _id: groupId, 'pins.message': { $in: ids } },
+        { $pull: { pins: { message: { $in: ids } } } }
+    );
+    if (!before) {
+        return 0;
+    }
+    const removed = before.pins.filter(pin => ids.includes(pin.message.toString()));
+    for (const pin of removed) {
+        await emitGroupEvent(io, groupId, 'messageUnpinned', {
+            groupId,
+            messageId: pin.message,
+            unpinnedBy: unpinnedBy || null,
+        });
+    }
+    return removed.length;
+};
+
+module.exports = {
+    MAX_PINNED_MESSAGES,
+    listPins,
+    pinMessage,
+    unpinMessages,
+};
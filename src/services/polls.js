@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { emitGroupEvent } = require('./groupEvents');
+const { registerJob, enqueue, cancel } = require('../jobs/runner');
+const logger = require('../logger');
+
+/**
+ * Poll Service
+ * Polls are messages of type `poll`. Members vote by option index; voting again
+ * replaces the previous vote. Every change is broadcast to the group as
+ * `pollUpdated` with the new tallies, and `pollClosed` when the poll closes,
+ * either early by its author or a moderator, or at its deadline through a
+ * `closePoll` background job.
+ */
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+const MAX_POLL_DURATION_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Create an error carrying the HTTP status the REST API should answer with.
+ * @param {number} status - The HTTP status code
+ * @param {string} message - The error message
+ * @returns {Error} The error
+ */
+const pollError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Check the poll of a new `poll` message.
+ * @param {Object} group - The group the poll is posted to
+ * @param {Object} poll - `{ question, options, multipleChoice, anonymous, closesAt }`
+ * @returns {string|null} An error message, or null if the poll is valid
+ */
+const validatePoll = (group, poll) => {
+    if (group.e2ee) {
+        return 'Polls are not available in end-to-end encrypted groups';
+    }
+    if (!poll || typeof poll !== 'object') {
+        return 'Poll messages need a poll';
+    }
+    if (typeof poll.question !== 'string' || !poll.question.trim() || poll.question.length > MAX_QUESTION_LENGTH) {
+        return `The poll question is required and can be at most ${MAX_QUESTION_LENGTH} characters`;
+    }
+    const { options } = poll;
+    if (!Array.isArray(options) || options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+        return `Polls have between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`;
+    }
+    if (options.some(option => typeof option !== 'string' || !option.trim() || option.length > MAX_OPTION_LENGTH)) {
+        return `Poll options can't be empty or longer than ${MAX_OPTION_LENGTH} characters`;
+    }
+    if (new Set(options.map(option => option.trim().toLowerCase())).size !== options.length) {
+        return 'Poll options must be different';
+    }
+    if (poll.closesAt !== undefined && poll.closesAt !== null) {
+        const closesAt = new Date(poll.closesAt);
+        if (isNaN(closesAt) || closesAt <= new Date()) {
+            return 'closesAt must be in the future';
+        }
+        if (closesAt - Date.now() > MAX_POLL_DURATION_MS) {
+            return 'Polls can stay open for at most 90 days';
+        }
+    }
+    return null;
+};
+
+/**
+ * Build the poll to store from a validated payload.
+ * @param {Object} poll - The poll payload
+ * @returns {Object} The poll subdocument
+ */
+const buildPoll = (poll) => ({
+    question: poll.question.trim(),
+    options: poll.options.map(text => ({ text: text.trim() })),
+    multipleChoice: Boolean(poll.multipleChoice),
+    anonymous: Boolean(poll.anonymous),
+    closesAt: poll.closesAt ? new Date(poll.closesAt) : undefined,
+});
+
+/**
+ * The uniqueKey of the job that closes a poll at its deadline.
+ * @param {Object} message - The poll Message document
+ * @returns {string} The key
+ */
+const closeJobKey = (message) => `closePoll:${message._id}`;
+
+/**
+ * Schedule the automatic close of a new poll with a deadline.
+ * @param {Object} message - The saved poll Message document
+ */
+const schedulePollClose = async (message) => {
+    if (message.poll && message.poll.closesAt) {
+        await enqueue('closePoll', { messageId: message._id.toString() }, {
+            runAt: message.poll.closesAt,
+            uniqueKey: closeJobKey(message),
+        });
+    }
+};
+
+/**
+ * Cancel the pending automatic close of a poll, e.g. because it was deleted.
+ * @param {Object} message - The poll Message document
+ */
+const cancelPollClose = async (message) => {
+    await cancel({ uniqueKey: closeJobKey(message) });
+};
+
+/**
+ * Find an open-or-closed poll in a group.
+ * @param {string} groupId - The group ID
+ * @param {string} messageId - The _id of the poll message
+ * @returns {Promise<Object>} The poll Message document
+ * @throws {Error} 404 if there is no such poll
+ */
+const findPoll = async (groupId, messageId) => {
+    const message = mongoose.isValidObjectId(messageId)
+        ? await Message.findOne({ _id: messageId, group: groupId.toString(), type: 'poll', deleted: false })
+        : null;
+    if (!message) {
+        throw pollError(404, 'Poll not found');
+    }
+    return message;
+};
+
+/**
+ * Vote in a poll, replacing the user's previous vote. An empty list withdraws the vote.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {string} userId - The voter
+ * @param {string} groupId - The group ID
+ * @param {string} messageId - The _id of the poll message
+ * @param {Array<number>} options - Indexes of the chosen options
+ * @returns {Promise<Object>} The poll summary, with the voter's votes
+ * @throws {Error} 400 for invalid choices, 404 if there is no such poll, 409 if it is closed
+ */
+const castVote = async (io, userId, groupId, messageId, options) => {
+    const message = await findPoll(groupId, messageId);
+    const { poll } = message;
+    if (!Array.isArray(options)
+        || options.some(option => !Number.isInteger(option) || option < 0 || option >= poll.options.length)) {
+        throw pollError(400, 'options must be a list of option indexes');
+    }
+    const choices = [...new Set(options)];
+    if (!poll.multipleChoice && choices.length > 1) {
+        throw pollError(400, 'This poll allows only one choice');
+    }
+
+    const now = new Date();
+    const voter = new mongoose.Types.ObjectId(userId);
+    // One atomic update replaces the voter's previous choices, so concurrent votes can't leave both
+    const updated = await Message.findOneAndUpdate(
+        {
+            _id: message._id,
+            'poll.closedAt': null,
+            $or: [{ 'poll.closesAt': null }, { 'poll.closesAt': { $gt: now } }],
+        },
+        [{
+            $set: {
+                'poll.votes': {
+                    $concatArrays: [
+                        { $filter: { input: { $ifNull: ['$poll.votes', []] }, cond: { $ne: ['$$this.user', voter] } } },
+                        { $literal: choices.map(option => ({ user: voter, option, at: now })) },
+                    ],
+                },
+            },
+        }],
+        { new: true }
+    );
+    if (!updated) {
+        throw pollError(409, 'This poll is closed');
+    }
+
+    await emitGroupEvent(io, groupId, 'pollUpdated', {
+        groupId: groupId.toString(),
+        messageId: updated._id,
+        poll: Message.summarizePoll(updated.poll),
+    });
+    return Message.summarizePoll(updated.poll, userId);
+};
+
+/**
+ * Whether a member may close a poll early: its author, moderators, admins and the owner can.
+ * @param {Object} group - The group document
+ * @param {Object} message - The poll Message document
+ * @param {string} userId - The member
+ * @returns {boolean}
+ */
+const canClosePoll = (group, message, userId) =>
+    message.user.id.toString() === userId.toString()
+    || ['owner', 'admin', 'moderator'].includes(group.roleOf(userId));
+
+/**
+ * Close a poll and broadcast the final tallies as `pollClosed`.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} message - The poll Message document
+ * @param {string} [closedBy] - Who closed it; omit when it closes at its deadline
+ * @returns {Promise<Object|null>} The closed poll message, or null if it was already closed
+ */
+const closePoll = async (io, message, closedBy) => {
+    const closedAt = closedBy ? new Date() : message.poll.closesAt;
+    const updated = await Message.findOneAndUpdate(
+        { _id: message._id, 'poll.closedAt': null },
+        { $set: { 'poll.closedAt': closedAt, ...(closedBy ? { 'poll.closedBy': closedBy } : {}) } },
+        { new: true }
+    );
+    if (!updated) {
+        return null;
+    }
+    if (closedBy) {
+        await cancelPollClose(message);
+    }
+    logger.info(`Poll ${message._id} closed in group ${message.group}`);
+    await emitGroupEvent(io, message.group, 'pollClosed', {
+        groupId: message.group,
+        messageId: updated._id,
+        poll: Message.summarizePoll(updated.poll),
+    });
+    return updated;
+};
+
+registerJob('closePoll', async ({ messageId }, job, { io }) => {
+    const message = await Message.findOne({ _id: messageId, type: 'poll', deleted: false });
+    if (!message || message.poll.closedAt) {
+        return;
+    }
+    await closePoll(io, message);
+});
+
+module.exports = {
+    validatePoll,
+    buildPoll,
+    schedulePollClose,
+    cancelPollClose,
+    closeJobKey,
+    findPoll,
+    castVote,
+    canClosePoll,
+    closePoll,
+};
@@ -0,0 +1,159 @@
+const Presence = require('../models/Presence');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const logger = require('../logger');
+
+// Connections are refreshed every HEARTBEAT_MS and expire after CONNECTION_TTL_MS without a refresh
+const HEARTBEAT_MS = 30 * 1000;
+const CONNECTION_TTL_MS = 90 * 1000;
+
+const STATUSES = ['available', 'away', 'dnd'];
+
+/**
+ * Work out how a user appears to others.
+ * @param {Object} user - The User document (status, statusText, lastSeenAt)
+ * @param {boolean} connected - Whether the user has a live connection
+ * @returns {Object} `{ userId, status, statusText, lastSeenAt }` where status is 'online', 'away', 'dnd' or 'offline'
+ */
+const describePresence = (user, connected) => ({
+    userId: user._id,
+    status: !connected ? 'offline' : (user.status === 'available' || !user.status ? 'online' : user.status),
+    statusText: user.statusText || null,
+    lastSeenAt: connected ? null : user.lastSeenAt || null,
+});
+
+/**
+ * Find which of the given users have a live connection.
+ * @param {Array<string>} userIds - The user IDs
+ * @returns {Promise<Set<string>>} The IDs of connected users
+ */
+const connectedUsers = async (userIds) => {
+    const ids = await Presence.distinct('user', { user: { $in: userIds }, expiresAt: { $gt: new Date() } });
+    return new Set(ids.map(id => id.toString()));
+};
+
+/**
+ * Get the presence of a list of users.
+ * @param {Array<string>} userIds - The user IDs
+ * @returns {Promise<Array<Object>>} Presence entries with the user's name
+ */
+const presenceOf = async (userIds) => {
+    const [users, connected] = await Promise.all([
+        User.find({ _id: { $in: userIds } }, 'name status statusText lastSeenAt'),
+        connectedUsers(userIds),
+    ]);
+    return users.map(user => ({
+        ...describePresence(user, connected.has(user._id.toString())),
+        name: user.name,
+    }));
+};
+
+/**
+ * Tell every group the user belongs to about their current presence.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {string} userId - The user ID
+ */
+const broadcastPresence = async (io, userId) => {
+    const [user, connected, groups] = await Promise.all([
+        User.findById(userId, 'status statusText lastSeenAt'),
+        connectedUsers([userId]),
+        Group.find({ members: userId }, '_id'),
+    ]);
+    if (!user || !groups.length) {
+        return;
+    }
+    const presence = describePresence(user, connected.has(userId.toString()));
+    io.to(groups.map(group => group._id.toString())).emit('presenceUpdated', presence);
+};
+
+/**
+ * Record a new socket connection. Announces the user as online if this is their first device.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} socket - The authenticated socket
+ */
+const trackConnection = async (io, socket) => {
+    const { id: userId, sessionId } = socket.user;
+    await Presence.create({
+        user: userId,
+        socketId: socket.id,
+        session: sessionId,
+        expiresAt: new Date(Date.now() + CONNECTION_TTL_MS),
+    });
+    const devices = await Presence.countDocuments({ user: userId, expiresAt: { $gt: new Date() } });
+    if (devices === 1) {
+        await broadcastPresence(io, userId);
+    }
+};
+
+/**
+ * Record a socket disconnecting. When the user's last device goes, their
+ * `lastSeenAt` is updated and they are announced as offline.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} socket - The disconnected socket
+ */
+const trackDisconnect = async (io, socket) => {
+    const userId = socket.user.id;
+    await Presence.deleteOne({ socketId: socket.id });
+    const devices = await Presence.countDocuments({ user: userId, expiresAt: { $gt: new Date() } });
+    if (devices === 0) {
+        await User.updateOne({ _id: userId }, { $set: { lastSeenAt: new Date() } });
+        await broadcastPresence(io, userId);
+    }
+};
+
+/**
+ * Set a user's manual status and announce it.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {string} userId - The user ID
+ * @param {Object} update - `{ status, statusText }`; omitted fields are left unchanged, a null statusText clears it
+ * @returns {Promise<string|null>} An error message, or null if the status was updated
+ */
+const setStatus = async (io, userId, { status, statusText }) => {
+    if (status !== undefined && !STATUSES.includes(status)) {
+        return `Status must be one of ${STATUSES.join(', ')}`;
+    }
+    if (statusText !== undefined && statusText !== null && (typeof statusText !== 'string' || statusText.length > 140)) {
+        return 'Status text must be a string of at most 140 characters';
+    }
+    const update = { $set: {} };
+    if (status !== undefined) update.$set.status = status;
+    if (statusText) update.$set.statusText = statusText;
+    if (statusText === null || statusText === '') update.$unset = { statusText: 1 };
+    await User.updateOne({ _id: userId }, update);
+    await broadcastPresence(io, userId);
+    return null;
+};
+
+/**
+ * Keep this server's connections alive by refreshing their expiry on an interval.
+ * @param {Object} io - The Socket.IO server instance
+ * @returns {Object} The interval timer
+ */
+const startHeartbeat = (io) => {
+    const timer = setInterval(async () => {
+        const socketIds = [...io.of('/').sockets.keys()];
+        if (!socketIds.length) {
+            return;
+        }
+        try {
+            await Presence.updateMany(
+                { socketId: { $in: socketIds } },
+                { $set: { expiresAt: new Date(Date.now() + CONNECTION_TTL_MS) } }
+            );
+        } catch (error) {
+            logger.error('Error refreshing presence:', error);
+        }
+    }, HEARTBEAT_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    connectedUsers,
+    presenceOf,
+    broadcastPresence,
+    trackConnection,
+    trackDisconnect,
+    setStatus,
+    startHeartbeat,
+};
@@ -0,0 +1,124 @@
+const Message = require('../models/Message');
+const ReadState = require('../models/ReadState');
+const { emitGroupEvent } = require('./groupEvents');
+const { newerThan } = require('../utils/cursor');
+
+/**
+ * Filter for read states whose cursor is strictly before a message.
+ * @param {Object} message - The message
+ * @returns {Object} A MongoDB filter
+ */
+const cursorBefore = (message) => ({
+    $or: [
+        { lastReadMessageAt: { $lt: message.createdAt } },
+        { lastReadMessageAt: message.createdAt, lastReadMessage: { $lt: message._id } },
+    ],
+});
+
+/**
+ * Filter for read states whose cursor is at or after a message.
+ * @param {Object} message - The message
+ * @returns {Object} A MongoDB filter
+ */
+const cursorAtOrAfter = (message) => ({
+    $or: [
+        { lastReadMessageAt: { $gt: message.createdAt } },
+        { lastReadMessageAt: message.createdAt, lastReadMessage: { $gte: message._id } },
+    ],
+});
+
+/**
+ * Mark a group read up to and including a message.
+ * The cursor only moves forward, so marking an older message read is a no-op.
+ * Emits `messageRead` to the group and to the reader's personal room, so their
+ * other devices can clear the group's unread badge.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {string} userId - The reader's user ID
+ * @param {Object} message - The Message document read up to
+ * @returns {Promise<Object|null>} The updated ReadState, or null if the user had already read further
+ */
+const markRead = async (io, userId, message) => {
+    let state;
+    try {
+        state = await ReadState.findOneAndUpdate(
+            { group: message.group, user: userId, ...cursorBefore(message) },
+            { $set: { lastReadMessage: message._id, lastReadMessageAt: message.createdAt } },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // The filter didn't match an existing cursor at or past the message, so the upsert collided with it
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+
+    await emitGroupEvent(io, message.group, 'messageRead', {
+        groupId: message.group,
+        userId,
+        messageId: message._id,
+        id: message.id,
+    }, [`user:${userId}`]);
+    return state;
+};
+
+/**
+ * Count unread messages and unread mentions for a user in each of their groups.
+ * The user's own messages are never unread.
+ * @param {Object} user - The User document
+ * @param {Array<Object>} groups - The user's groups
+ * @param {Object} [window] - Only count messages sent in this time window
+ * @param {Date} [window.since] - Exclusive lower bound
+ * @param {Date} [window.until] - Inclusive upper bound
+ * @returns {Promise<Map>} Group ID => `{ unreadCount, mentionCount, lastReadMessageId }`
+ */
+const unreadCounts = async (user, groups, { since, until } = {}) => {
+    const states = await ReadState.find({ user: user._id, group: { $in: groups.map(group => group._id) } });
+    const stateByGroup = new Map(states.map(state => [state.group.toString(), state]));
+    const mentioned = {
+        type: { $ne: 'system' },
+        $or: [{ 'mentions.user': user._id }, { 'mentions.type': { $in: ['here', 'all'] } }],
+    };
+
+    const counts = await Promise.all(groups.map(async (group) => {
+        const groupId = group._id.toString();
+        const state = stateByGroup.get(groupId);
+        const unread = {
+            group: groupId,
+            deleted: false,
+            'user.id': { $ne: user._id },
+            ...(state ? newerThan({ createdAt: state.lastReadMessageAt, id: state.lastReadMessage }) : {}),
+        };
+        if (since || until) {
+            unread.createdAt = {};
+            if (since) unread.createdAt.$gt = since;
+            if (until) unread.createdAt.$lte = until;
+        }
+        const [unreadCount, mentionCount] = await Promise.all([
+            Message.countDocuments(unread),
+            Message.countDocuments({ $and: [unread, mentioned] }),
+        ]);
+        return [groupId, { unreadCount, mentionCount, lastReadMessageId: state ? state.lastReadMessage : null }];
+    }));
+    return new Map(counts);
+};
+
+/**
+ * List the members who have read a message, derived from their read cursors.
+ * @param {Object} message - The Message document
+ * @returns {Promise<Array<Object>>} The readers (`_id` and `name`), excluding the author
+ */
+const seenBy = async (message) => {
+    const states = await ReadState.find({
+        group: message.group,
+        user: { $ne: message.user.id },
+        ...cursorAtOrAfter(message),
+    }).populate('user', 'name');
+    return states.map(state => state.user).filter(Boolean);
+};
+
+module.exports = {
+    markRead,
+    unreadCounts,
+    seenBy,
+};
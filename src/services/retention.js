@@ -0,0 +1,199 @@
+const Group = require('../models/Group');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const GroupEvent = require('../models/GroupEvent');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const { emitGroupEvent } = require('./groupEvents');
+const { keyFromUrl, deleteObjects } = require('./storage');
+const { unpinMessages } = require('./pins');
+const { registerJob, enqueue, enqueueMany } = require('../jobs/runner');
+const { parseDuration, formatDuration } = require('../utils/duration');
+const logger = require('../logger');
+
+/**
+ * Message Retention
+ * Group owners and admins can make a group's messages disappear after a
+ * period (`retention` on the group, e.g. `7d`). Every few minutes a sweep job
+ * queues one purge job per group, which hard-deletes expired messages: first
+ * their uploaded files in S3, then the Message documents and the notifications
+ * pointing at them. Other records from before the cutoff that carry message
+ * content are deleted with them: the group's event log entries, webhook
+ * deliveries and sent or failed scheduled messages. Expired messages that were
+ * pinned are unpinned. Notification digests only hold counts and group names.
+ *
+ * The organisation can bound every group's policy with MESSAGE_RETENTION_MIN
+ * and MESSAGE_RETENTION_MAX. Groups can't choose a period outside the bounds,
+ * and groups whose period fell outside them (e.g. after the bounds changed)
+ * are swept with the nearest bound. With a maximum, groups without a policy
+ * keep messages for the maximum instead of forever.
+ */
+
+const RETENTION_PRESETS = ['24h', '7d', '90d'];
+const MIN_RETENTION_MS = 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 500;
+// Keeps a purge job well within the job runner's lease; a group with more to delete gets another job
+const MAX_BATCHES_PER_JOB = 20;
+
+const ORG_MIN_MS = parseDuration(process.env.MESSAGE_RETENTION_MIN);
+const ORG_MAX_MS = parseDuration(process.env.MESSAGE_RETENTION_MAX);
+
+const UNIT_NAMES = { m: 'minute', h: 'hour', d: 'day', w: 'week' };
+
+/**
+ * Describe a retention period for people, e.g. `7d` as "7 days".
+ * @param {number} ms - The period in milliseconds
+ * @returns {string} The description
+ */
+const describeRetention = (ms) => {
+    const [, count, unit] = /^(\d+)([mhdw])$/.exec(formatDuration(ms));
+    return `${count} ${UNIT_NAMES[unit]}${count === '1' ? '' : 's'}`;
+};
+
+/**
+ * Check a retention period a group admin asked for against the organisation's bounds.
+ * @param {string|null} value - A duration such as `24h`, `7d`, `90d` or `30d`; null or `off` keeps messages forever
+ * @returns {Object} `{ retention }` with the duration to store (null to keep messages forever), or `{ error }`
+ */
+const validateRetention = (value) => {
+    if (value === null || value === '' || value === 'off') {
+        if (ORG_MAX_MS) {
+            return { error: `Messages can be kept for at most ${describeRetention(ORG_MAX_MS)}` };
+        }
+        return { retention: null };
+    }
+    const period = parseDuration(value);
+    if (!period) {
+        return { error: `retention must be ${RETENTION_PRESETS.join(', ')}, another duration such as 30d, or null to keep messages` };
+    }
+    if (period < MIN_RETENTION_MS) {
+        return { error: `Messages must be kept for at least ${describeRetention(MIN_RETENTION_MS)}` };
+    }
+    if (ORG_MIN_MS && period < ORG_MIN_MS) {
+        return { error: `Messages must be kept for at least ${describeRetention(ORG_MIN_MS)}` };
+    }
+    if (ORG_MAX_MS && period > ORG_MAX_MS) {
+        return { error: `Messages can be kept for at most ${describeRetention(ORG_MAX_MS)}` };
+    }
+    return { retention: String(value).replace(/\s+/g, '').toLowerCase() };
+};
+
+/**
+ * The retention period a group's messages are actually swept with: its own policy
+ * within the organisation's bounds.
+ * @param {Object} group - The group document
+ * @returns {number|null} The period in milliseconds, or null if messages are kept forever
+ */
+const effectiveRetention = (group) => {
+    let period = group.retention ? parseDuration(group.retention) : null;
+    if (ORG_MAX_MS && (!period || period > ORG_MAX_MS)) {
+        period = ORG_MAX_MS;
+    }
+    if (ORG_MIN_MS && period && period < ORG_MIN_MS) {
+        period = ORG_MIN_MS;
+    }
+    return period;
+};
+
+/**
+ * Hard-delete a group's messages older than its retention period, with their files.
+ * Files are deleted before the messages, so a failure leaves the messages to be retried.
+ * Clients get `messagesExpired` with the cutoff to drop older messages they hold.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} group - The group document
+ * @returns {Promise<Object>} `{ purged, done }`: how many messages were deleted, and
+ *   whether all expired messages were, or the batch limit was reached first
+ */
+const purgeExpiredMessages = async (io, group) => {
+    const period = effectiveRetention(group);
+    if (!period) {
+        return { purged: 0, done: true };
+    }
+    const before = new Date(Date.now() - period);
+    const filter = { group: group._id.toString(), createdAt: { $lt: before } };
+
+    let purged = 0;
+    let batches = 0;
+    let batch;
+    do {
+        batch = await Message.find(filter, 'mediaUrl').limit(BATCH_SIZE).lean();
+        if (!batch.length) {
+            break;
+        }
+        const keys = batch.map(message => keyFromUrl(message.mediaUrl)).filter(Boolean);
+        if (keys.length) {
+            await deleteObjects(keys);
+        }
+        const ids = batch.map(message => message._id);
+        const { deletedCount } = await Message.deleteMany({ _id: { $in: ids } });
+        await Notification.deleteMany({ message: { $in: ids } });
+        await unpinMessages(io, group._id, ids);
+        purged += deletedCount;
+        batches += 1;
+    } while (batch.length === BATCH_SIZE && batches < MAX_BATCHES_PER_JOB);
+    const done = batch.length < BATCH_SIZE;
+
+    // These carry copies of the deleted messages' content. Clients replaying past the
+    // deleted log entries refetch the history instead.
+    await GroupEvent.deleteMany({ group: group._id, createdAt: { $lt: before } });
+    await WebhookDelivery.deleteMany({ group: group._id, createdAt: { $lt: before } });
+    await ScheduledMessage.deleteMany({
+        group: group._id,
+        status: { $in: ['sent', 'failed'] },
+        completedAt: { $lt: before },
+    });
+
+    if (purged) {
+        logger.info(`Deleted ${purged} expired messages from group ${group._id}`);
+        await emitGroupEvent(io, group._id, 'messagesExpired', { groupId: group._id, before, count: purged });
+    }
+    return { purged, done };
+};
+
+// One job per group, so a group failing (e.g. S3 refusing a delete) doesn't hold up the others
+// and no job runs longer than its lease
+registerJob('purgeExpiredMessages', async () => {
+    const groups = await Group.find(ORG_MAX_MS ? {} : { retention: { $ne: null } }, '_id');
+    await enqueueMany('purgeGroupMessages', groups.map(group => ({
+        payload: { groupId: group._id.toString() },
+        uniqueKey: `purgeGroupMessages:${group._id}`,
+    })));
+}, { maxAttempts: 1 });
+
+registerJob('purgeGroupMessages', async ({ groupId }, job, { io }) => {
+    const group = await Group.findById(groupId, 'retention');
+    if (!group) {
+        return;
+    }
+    const { done } = await purgeExpiredMessages(io, group);
+    if (!done) {
+        await enqueue('purgeGroupMessages', { groupId }, { uniqueKey: `purgeGroupMessages:${groupId}` });
+    }
+}, { maxAttempts: 3 });
+
+/**
+ * Queue a retention sweep every few minutes. Every instance does this; the unique
+ * key keeps it to one waiting sweep, which the job runner runs on one of them.
+ * @returns {Object} The interval timer
+ */
+const startRetentionSweep = () => {
+    if (ORG_MIN_MS && ORG_MAX_MS && ORG_MIN_MS > ORG_MAX_MS) {
+        logger.warn('MESSAGE_RETENTION_MIN is longer than MESSAGE_RETENTION_MAX; messages are kept for the minimum');
+    }
+    const queueSweep = () => enqueue('purgeExpiredMessages', {}, { uniqueKey: 'purgeExpiredMessages' })
+        .catch(error => logger.error('Error scheduling retention sweep:', error));
+    queueSweep();
+    const timer = setInterval(queueSweep, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    RETENTION_PRESETS,
+    describeRetention,
+    validateRetention,
+    effectiveRetention,
+    purgeExpiredMessages,
+    startRetentionSweep,
+};
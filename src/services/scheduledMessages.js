@@ -0,0 +1,163 @@
+const User = require('../models/User');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const { sendMessage, validateMessageInput, toChatPayload } = require('./messageService');
+const { parseCommand } = require('../commands');
+const { registerJob, enqueue, cancel } = require('../jobs/runner');
+const logger = require('../logger');
+
+/**
+ * Scheduled Messages
+ * A scheduled message is stored with its content and a `sendScheduledMessage`
+ * job due at `sendAt`. The job runner claims each job on one instance at a
+ * time, and the job moves the message from `pending` to `sending` atomically,
+ * so a message that was edited or cancelled in the meantime is left alone.
+ * The message is sent with a client id fixed when it was scheduled, so a job
+ * retried after a crash finds the message it already sent instead of posting
+ * it again.
+ */
+
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const SEND_ATTEMPTS = 5;
+
+// The message fields a schedule stores and sends
+const CONTENT_FIELDS = ['type', 'text', 'mediaUrl', 'mediaType', 'replyTo', 'poll'];
+
+/**
+ * Pick the message content out of a request body.
+ * @param {Object} data - The request body
+ * @returns {Object} The content fields that were given
+ */
+const pickContent = (data) => Object.fromEntries(
+    CONTENT_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+/**
+ * Check a scheduled message before storing it.
+ * The content is validated like a message sent right away; it is checked again when it is sent.
+ * @param {Object} group - The group the message is for
+ * @param {Date} sendAt - When to send it
+ * @param {Object} content - The message content (type, text, mediaUrl, mediaType, replyTo, poll)
+ * @returns {string|null} An error message, or null if the message can be scheduled
+ */
+const validateScheduledMessage = (group, sendAt, content) => {
+    // Ciphertext is tied to the group key of the moment, which may be rotated before the message goes out
+    if (group.e2ee) {
+        return 'Messages can\'t be scheduled in end-to-end encrypted groups';
+    }
+    if (!(sendAt instanceof Date) || isNaN(sendAt) || sendAt <= new Date()) {
+        return 'sendAt must be a time in the future';
+    }
+    if (sendAt - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+        return 'Messages can be scheduled at most a year ahead';
+    }
+    if (parseCommand(content.text)) {
+        return 'Commands can\'t be scheduled; start with // to schedule the text as a message';
+    }
+    const inputError = validateMessageInput(group, content);
+    if (inputError) {
+        return inputError;
+    }
+    if (content.type === 'poll' && content.poll.closesAt && new Date(content.poll.closesAt) <= sendAt) {
+        return 'The poll must close after it is sent';
+    }
+    return null;
+};
+
+/**
+ * The uniqueKey of the job that sends a scheduled message.
+ * @param {Object} scheduled - The ScheduledMessage document
+ * @returns {string} The key
+ */
+const deliveryJobKey = (scheduled) => `scheduledMessage:${scheduled._id}`;
+
+/**
+ * Queue the job that sends a scheduled message, replacing one queued earlier.
+ * @param {Object} scheduled - The ScheduledMessage document
+ */
+const scheduleDelivery = async (scheduled) => {
+    const uniqueKey = deliveryJobKey(scheduled);
+    await cancel({ uniqueKey });
+    await enqueue('sendScheduledMessage', { scheduledMessageId: scheduled._id.toString() }, {
+        runAt: scheduled.sendAt,
+        uniqueKey,
+        maxAttempts: SEND_ATTEMPTS,
+    });
+};
+
+/**
+ * Drop the job of a scheduled message that was deleted.
+ * @param {Object} scheduled - The ScheduledMessage document
+ */
+const unscheduleDelivery = (scheduled) => cancel({ uniqueKey: deliveryJobKey(scheduled) });
+
+/**
+ * Record that a scheduled message won't be sent and tell its author's devices.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} scheduled - The ScheduledMessage document
+ * @param {string} reason - Why it failed
+ */
+const markFailed = async (io, scheduled, reason) => {
+    await ScheduledMessage.updateOne(
+        { _id: scheduled._id },
+        { $set: { status: 'failed', lastError: reason, completedAt: new Date() } }
+    );
+    logger.warn(`Scheduled message ${scheduled._id} failed: ${reason}`);
+    io.to(`user:${scheduled.user}`).emit('scheduledMessageFailed', {
+        scheduledMessageId: scheduled._id,
+        groupId: scheduled.group,
+        error: reason,
+    });
+};
+
+registerJob('sendScheduledMessage', async ({ scheduledMessageId }, job, { io }) => {
+    // 'sending' is claimed again when a previous attempt failed or its instance died mid-send
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+        { _id: scheduledMessageId, status: { $in: ['pending', 'sending'] }, sendAt: { $lte: new Date() } },
+        { $set: { status: 'sending' } },
+        { new: true }
+    );
+    if (!scheduled) {
+        // Deleted, already sent, or moved to a later time with a job of its own
+        return;
+    }
+    const user = await User.findById(scheduled.user, 'name email isBot');
+    if (!user) {
+        await markFailed(io, scheduled, 'The author no longer exists');
+        return;
+    }
+
+    const sender = { id: user._id.toString(), name: user.name, email: user.email, isBot: user.isBot };
+    const data = { ...pickContent(scheduled.toObject()), id: scheduled.messageId };
+    let message;
+    try {
+        ({ message } = await sendMessage(io, sender, scheduled.group, data));
+    } catch (error) {
+        // Errors with a status (e.g. the author left the group) won't go away by retrying
+        if (error.status || job.attempts >= job.maxAttempts) {
+            await markFailed(io, scheduled, error.message);
+        }
+        if (error.status) {
+            return;
+        }
+        throw error;
+    }
+
+    await ScheduledMessage.updateOne(
+        { _id: scheduled._id },
+        { $set: { status: 'sent', message: message._id, completedAt: new Date() }, $unset: { lastError: 1 } }
+    );
+    logger.info(`Scheduled message ${scheduled._id} sent as ${message.id}`);
+    io.to(`user:${scheduled.user}`).emit('scheduledMessageSent', {
+        scheduledMessageId: scheduled._id,
+        groupId: scheduled.group,
+        message: toChatPayload(message),
+    });
+}, { maxAttempts: SEND_ATTEMPTS });
+
+module.exports = {
+    pickContent,
+    validateScheduledMessage,
+    scheduleDelivery,
+    unscheduleDelivery,
+    deliveryJobKey,
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const logger = require('../logger');
+
+/**
+ * Session Service
+ * Issues short-lived access tokens and rotating refresh tokens.
+ *
+ * Environment Variables:
+ * - ACCESS_TOKEN_TTL: Lifetime of access tokens in jsonwebtoken notation (default: 15m)
+ * - REFRESH_TOKEN_TTL_DAYS: Days a refresh token stays valid after its last use (default: 30)
+ */
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Old refresh token hashes kept per session for reuse detection
+const USED_TOKEN_HISTORY = 100;
+
+/**
+ * Hash a refresh token for storage. Tokens are random, so a plain SHA-256 is enough.
+ * @param {string} token - The raw refresh token
+ * @returns {string} The hex-encoded hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Sign an access token bound to a session.
+ * @param {Object} user - The user document
+ * @param {Object} session - The session document
+ * @returns {string} The signed JWT
+ */
+const issueAccessToken = (user, session) => jwt.sign(
+    { id: user._id, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Start a new session for a user that just logged in.
+ * @param {Object} user - The user document
+ * @param {Object} req - The login request, used to record the device
+ * @returns {Promise<Object>} The session, access token and refresh token
+ */
+const createSession = async (user, req) => {
+    const refreshToken = generateRefreshToken();
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    });
+    return { session, token: issueAccessToken(user, session), refreshToken };
+};
+
+/**
+ * Revoke a session and disconnect any sockets opened with it.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {Object} session - The session document
+ * @param {string} reason - Why the session is being revoked
+ */
+const revokeSession = async (io, session, reason) => {
+    await Session.updateOne(
+        { _id: session._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    io.in(`session:${session._id}`).disconnectSockets(true);
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Presenting a token that was already rotated out revokes the whole session.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {string} refreshToken - The refresh token presented by the client
+ * @returns {Promise<Object>} `{ session, refreshToken }` on success, or `{ error }`
+ */
+const rotateRefreshToken = async (io, refreshToken) => {
+    const hash = hashToken(refreshToken);
+    const newToken = generateRefreshToken();
+    const now = new Date();
+
+    // Atomic swap, so two concurrent refreshes with the same token cannot both succeed
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(newToken),
+                lastUsedAt: now,
+                expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+            },
+            $push: { usedTokenHashes: { $each: [hash], $slice: -USED_TOKEN_HISTORY } },
+        },
+        { new: true }
+    );
+    if (session) {
+        return { session, refreshToken: newToken };
+    }
+
+    const reused = await Session.findOne({ usedTokenHashes: hash });
+    if (reused) {
+        logger.warn(`Refresh token reuse detected for session ${reused._id}, revoking`);
+        await revokeSession(io, reused, 'refresh_token_reuse');
+        return { error: 'Refresh token reuse detected' };
+    }
+    return { error: 'Invalid or expired refresh token' };
+};
+
+module.exports = {
+    hashToken,
+    issueAccessToken,
+    createSession,
+    revokeSession,
+    rotateRefreshToken,
+};
@@ -0,0 +1,86 @@
+const { S3Client, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+const logger = require('../logger');
+
+/**
+ * File Storage
+ * Uploaded files live in the S3 bucket named by S3_BUCKET_NAME. Clients upload
+ * them directly with presigned URLs (routes/upload.js) and put the file's URL
+ * in a message's `mediaUrl`; the server deletes them again when the messages
+ * expire.
+ *
+ * Environment Variables Required:
+ * - AWS_REGION: AWS region for S3 bucket
+ * - AWS_ACCESS_KEY_ID: AWS access key credential
+ * - AWS_SECRET_ACCESS_KEY: AWS secret key credential
+ * - S3_BUCKET_NAME: Name of S3 bucket for file storage
+ */
+
+// Uploads are stored under this prefix; nothing else in the bucket is ever deleted
+const UPLOAD_PREFIX = 'uploads/';
+// The most keys S3 accepts in one DeleteObjects request
+const MAX_DELETE_BATCH = 1000;
+
+const s3 = new S3Client({
+    region: process.env.AWS_REGION,
+    credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    },
+});
+
+/**
+ * The public URL of an uploaded file.
+ * @param {string} key - The object key
+ * @returns {string} The URL
+ */
+const fileUrl = (key) => `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+
+/**
+ * Find the object key of an uploaded file from its URL.
+ * @param {string} url - A message's mediaUrl
+ * @returns {string|null} The key, or null if the URL doesn't point to an upload in our bucket
+ */
+const keyFromUrl = (url) => {
+    if (!url || !process.env.S3_BUCKET_NAME) {
+        return null;
+    }
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        return null;
+    }
+    if (parsed.host !== new URL(fileUrl('')).host) {
+        return null;
+    }
+    const key = decodeURIComponent(parsed.pathname.slice(1));
+    return key.startsWith(UPLOAD_PREFIX) ? key : null;
+};
+
+/**
+ * Delete objects from the bucket. Keys that don't exist are ignored.
+ * @param {Array<string>} keys - The object keys
+ * @throws {Error} If any object could not be deleted
+ */
+const deleteObjects = async (keys) => {
+    const unique = [...new Set(keys)];
+    for (let i = 0; i < unique.length; i += MAX_DELETE_BATCH) {
+        const batch = unique.slice(i, i + MAX_DELETE_BATCH);
+        const result = await s3.send(new DeleteObjectsCommand({
+            Bucket: process.env.S3_BUCKET_NAME,
+            Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true },
+        }));
+        if (result.Errors && result.Errors.length) {
+            const [first] = result.Errors;
+            throw new Error(`Failed to delete ${result.Errors.length} objects, e.g. ${first.Key}: ${first.Code} ${first.Message}`);
+        }
+        logger.info(`Deleted ${batch.length} objects from ${process.env.S3_BUCKET_NAME}`);
+    }
+};
+
+module.exports = {
+    s3,
+    fileUrl,
+    keyFromUrl,
+    deleteObjects,
+};
@@ -0,0 +1,39 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Email transport: sends digests over SMTP.
+ * Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and SMTP_FROM.
+ * The defaults point at a local SMTP sink (e.g. MailHog or smtp4dev on port 1025).
+ */
+
+let transporter;
+
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT) || 1025,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined,
+        });
+    }
+    return transporter;
+};
+
+module.exports = {
+    name: 'email',
+
+    accepts: (user) => Boolean(user.email) && user.notificationSettings.email !== false,
+
+    send: async (user, digest) => {
+        const info = await getTransporter().sendMail({
+            from: process.env.SMTP_FROM || 'Group Chat <no-reply@localhost>',
+            to: user.email,
+            subject: digest.subject,
+            text: `Hi ${user.name},\n\n${digest.text}\n`,
+        });
+        return { detail: info.messageId };
+    },
+};
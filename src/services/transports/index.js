@@ -0,0 +1,44 @@
+const logger = require('../../logger');
+
+/**
+ * Notification transports.
+ * A transport delivers a digest to a user through one channel:
+ *   - `name`: identifies the transport in NOTIFICATION_TRANSPORTS and delivery records
+ *   - `accepts(user)`: whether the user can be reached this way and wants to be
+ *   - `send(user, digest)`: delivers the digest, resolving to `{ detail }`; throws to have the delivery retried
+ * Enable transports with NOTIFICATION_TRANSPORTS, a comma-separated list (default `log`).
+ */
+const transports = new Map([
+    require('./log'),
+    require('./email'),
+    require('./webPush'),
+].map(transport => [transport.name, transport]));
+
+/**
+ * Get a transport by name.
+ * @param {string} name - The transport name
+ * @returns {Object|undefined} The transport
+ */
+const getTransport = (name) => transports.get(name);
+
+/**
+ * The transports enabled by NOTIFICATION_TRANSPORTS.
+ * @returns {Array<Object>} The transports
+ */
+const enabledTransports = () => (process.env.NOTIFICATION_TRANSPORTS || 'log')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+        const transport = transports.get(name);
+        if (!transport) {
+            logger.warn(`Unknown notification transport "${name}" in NOTIFICATION_TRANSPORTS`);
+        }
+        return transport;
+    })
+    .filter(Boolean);
+
+module.exports = {
+    getTransport,
+    enabledTransports,
+};
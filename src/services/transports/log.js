@@ -0,0 +1,16 @@
+const logger = require('../../logger');
+
+/**
+ * Log transport: writes notifications to the application log instead of
+ * delivering them. The default, for development and tests.
+ */
+module.exports = {
+    name: 'log',
+
+    accepts: () => true,
+
+    send: async (user, digest) => {
+        logger.info(`Notification for user ${user._id}: ${digest.subject}\n${digest.text}`);
+        return { detail: 'logged' };
+    },
+};
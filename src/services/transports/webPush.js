@@ -0,0 +1,61 @@
+const webpush = require('web-push');
+const User = require('../../models/User');
+
+/**
+ * Web Push transport: sends digests to the browsers a user subscribed with.
+ * Configured with VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT
+ * (a mailto: or https: URL); generate keys with `npx web-push generate-vapid-keys`.
+ */
+
+// Push services keep undelivered notifications for a day at most
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+let configured = false;
+
+const configure = () => {
+    if (configured) {
+        return;
+    }
+    const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+    if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+        throw new Error('Web Push is not configured: set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY');
+    }
+    webpush.setVapidDetails(VAPID_SUBJECT || 'mailto:admin@localhost', VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+    configured = true;
+};
+
+module.exports = {
+    name: 'push',
+
+    accepts: (user) => user.notificationSettings.push !== false && user.pushSubscriptions.length > 0,
+
+    send: async (user, digest) => {
+        configure();
+        const payload = JSON.stringify({ title: digest.subject, body: digest.text, groups: digest.groups });
+        const subscriptions = user.pushSubscriptions.map(({ endpoint, keys }) => ({ endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } }));
+        const results = await Promise.allSettled(
+            subscriptions.map(subscription => webpush.sendNotification(subscription, payload, { TTL: PUSH_TTL_SECONDS }))
+        );
+
+        // 404 and 410 mean the browser unsubscribed; forget those subscriptions
+        const gone = [];
+        const errors = [];
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') return;
+            if ([404, 410].includes(result.reason.statusCode)) {
+                gone.push(subscriptions[i].endpoint);
+            } else {
+                errors.push(result.reason);
+            }
+        });
+        if (gone.length) {
+            await User.updateOne({ _id: user._id }, { $pull: { pushSubscriptions: { endpoint: { $in: gone } } } });
+        }
+
+        const sent = results.length - gone.length - errors.length;
+        if (!sent && errors.length) {
+            throw errors[0];
+        }
+        return { detail: `Sent to ${sent} of ${results.length} subscriptions` };
+    },
+};
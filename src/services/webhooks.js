@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { registerJob, enqueue } = require('../jobs/runner');
+const { postToPublicUrl } = require('../utils/publicUrl');
+const logger = require('../logger');
+
+/**
+ * Webhook Service
+ * Delivers group events to the URLs group admins registered.
+ *
+ * Each delivery is a JSON POST of `{ id, event, groupId, createdAt, data }`, where `id`
+ * identifies the event and stays the same when it is redelivered, with headers:
+ *   - X-Webhook-Event: the event name
+ *   - X-Webhook-Delivery: the delivery ID (stable across retries, new for redeliveries)
+ *   - X-Webhook-Timestamp: Unix time in seconds when the request was signed
+ *   - X-Webhook-Signature: `sha256=` + hex HMAC-SHA256 of `${timestamp}.${body}` keyed with the webhook's secret
+ * Receivers should recompute the signature and reject stale timestamps.
+ * Any non-2xx response or network error is retried with exponential backoff.
+ */
+
+const WEBHOOK_EVENTS = [
+    'message.created',
+    'message.edited',
+    'message.deleted',
+    'member.joined',
+    'member.left',
+    'group.ownership_transferred',
+];
+const DELIVERY_ATTEMPTS = 6;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Generate a webhook signing secret.
+ * @returns {string} The secret
+ */
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Sign a webhook request body.
+ * @param {string} secret - The webhook's secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - The raw request body
+ * @returns {string} The X-Webhook-Signature header value
+ */
+const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Save a new delivery and schedule it.
+ * @param {Object} delivery - An unsaved WebhookDelivery document
+ * @returns {Promise<Object>} The delivery
+ */
+const scheduleDelivery = async (delivery) => {
+    await delivery.save();
+    await enqueue('deliverWebhook', { deliveryId: delivery._id.toString() }, { maxAttempts: DELIVERY_ATTEMPTS });
+    return delivery;
+};
+
+/**
+ * Send an event to every active webhook of a group subscribed to it.
+ * Never throws: webhook failures must not break the action that caused the event.
+ * @param {string} groupId - The group ID
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - The event data
+ */
+const triggerWebhooks = async (groupId, event, data) => {
+    try {
+        const webhooks = await Webhook.find({ group: groupId, active: true, events: event }, '_id');
+        await Promise.all(webhooks.map(async (webhook) => {
+            const delivery = new WebhookDelivery({ webhook: webhook._id, group: groupId, event, payload: {} });
+            delivery.payload = {
+                id: delivery._id.toString(),
+                event,
+                groupId: groupId.toString(),
+                createdAt: delivery.createdAt.toISOString(),
+                data: JSON.parse(JSON.stringify(data)),
+            };
+            await scheduleDelivery(delivery);
+        }));
+    } catch (error) {
+        logger.error(`Error triggering ${event} webhooks for group ${groupId}:`, error);
+    }
+};
+
+/**
+ * Deliver an existing delivery's payload again, as a new delivery.
+ * @param {Object} delivery - The WebhookDelivery to repeat
+ * @returns {Promise<Object>} The new delivery
+ */
+const redeliver = (delivery) => scheduleDelivery(new WebhookDelivery({
+    webhook: delivery.webhook,
+    group: delivery.group,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id,
+}));
+
+registerJob('deliverWebhook', async ({ deliveryId }, job) => {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status !== 'pending') {
+        return;
+    }
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!webhook || !webhook.active) {
+        delivery.status = 'failed';
+        delivery.attempts.push({ error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' });
+        await delivery.save();
+        return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const attempt = {};
+    try {
+        // The host is checked again as the request connects, in case it now resolves somewhere internal
+        const response = await postToPublicUrl(webhook.url, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'secure-group-chat-webhooks/1.0',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery._id.toString(),
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+            },
+            body,
+            timeout: REQUEST_TIMEOUT_MS,
+        });
+        attempt.statusCode = response.status;
+        if (!response.ok) {
+            attempt.error = `Unexpected response status ${response.status}`;
+        }
+    } catch (error) {
+        attempt.error = error.message;
+    }
+    attempt.durationMs = Date.now() - started;
+
+    delivery.attempts.push(attempt);
+    if (!attempt.error) {
+        delivery.status = 'succeeded';
+    } else if (job.attempts >= job.maxAttempts) {
+        delivery.status = 'failed';
+    }
+    await delivery.save();
+
+    if (attempt.error) {
+        throw new Error(attempt.error);
+    }
+}, { maxAttempts: DELIVERY_ATTEMPTS });
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    generateSecret,
+    signPayload,
+    triggerWebhooks,
+    redeliver,
+};
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+const logger = require('../logger');
+
+/**
+ * Socket.IO broadcast adapters.
+ * With the default in-memory adapter, events only reach sockets connected to
+ * the same process. When several app instances run behind a load balancer,
+ * the `mongo` adapter relays every broadcast (room emits, socketsLeave,
+ * disconnectSockets, ...) through a collection in the shared database, so a
+ * message sent on one instance reaches clients connected to any other.
+ * It uses MongoDB change streams, so the database must be a replica set.
+ */
+
+const ADAPTER_COLLECTION = 'socket.io-adapter-events';
+// Adapter events are only needed while they are being relayed
+const EVENT_TTL_SECONDS = 3600;
+
+const adapters = {
+    // The Socket.IO default; nothing to configure. Suitable for a single instance and for tests.
+    memory: async () => null,
+
+    mongo: async () => {
+        const db = mongoose.connection.db;
+        const exists = await db.listCollections({ name: ADAPTER_COLLECTION }).hasNext();
+        if (!exists) {
+            await db.createCollection(ADAPTER_COLLECTION);
+        }
+        const collection = db.collection(ADAPTER_COLLECTION);
+        await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: EVENT_TTL_SECONDS });
+        return createAdapter(collection, { addCreatedAtField: true });
+    },
+};
+
+/**
+ * Install the broadcast adapter selected by SOCKET_ADAPTER (`memory` or `mongo`, default `memory`).
+ * Must run after the database connection is open.
+ * @param {Object} io - The Socket.IO server instance
+ * @param {string} [name] - The adapter to use, overriding SOCKET_ADAPTER
+ */
+const configureAdapter = async (io, name = process.env.SOCKET_ADAPTER || 'memory') => {
+    const build = adapters[name];
+    if (!build) {
+        throw new Error(`Unknown socket adapter "${name}", expected one of: ${Object.keys(adapters).join(', ')}`);
+    }
+    const adapter = await build();
+    if (adapter) {
+        io.adapter(adapter);
+    }
+    logger.info(`Socket.IO using the ${name} adapter`);
+};
+
+module.exports = { configureAdapter };
@@ -0,0 +1,42 @@
+const User = require('../models/User');
+const { verifyToken } = require('../middleware/auth');
+
+/**
+ * Socket.IO handshake middleware that authenticates the connection with the
+ * same JWT used by the REST API. The token is read from `auth.token` in the
+ * handshake, or from a "Bearer <token>" Authorization header.
+ *
+ * On success the authenticated user is attached as `socket.user`; event
+ * handlers must use it as the sender instead of anything in the payload.
+ * @param {Object} socket - The connecting socket
+ * @param {Function} next - Callback to accept or reject the connection
+ */
+const socketAuth = async (socket, next) => {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const authHeader = headers.authorization;
+    const token = auth.token || (authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+
+    if (!token) {
+        return next(new Error('Missing or invalid auth token'));
+    }
+
+    try {
+        const decoded = await verifyToken(token);
+        const user = await User.findById(decoded.id, 'name email role');
+        if (!user) {
+            return next(new Error('Invalid or expired token'));
+        }
+        socket.user = {
+            id: user._id.toString(),
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            sessionId: decoded.sid,
+        };
+        next();
+    } catch (err) {
+        next(new Error('Invalid or expired token'));
+    }
+};
+
+module.exports = socketAuth;
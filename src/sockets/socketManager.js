@@ -1,5 +1,12 @@
 const { Server } = require('socket.io');
 const Message = require('../models/Message');
+const Group = require('../models/Group');
+const { sendMessage } = require('../services/messageService');
+const { markRead } = require('../services/readState');
+const { findPoll, castVote, canClosePoll, closePoll } = require('../services/polls');
+const { missedEvents } = require('../services/groupEvents');
+const { trackConnection, trackDisconnect, setStatus, startHeartbeat } = require('../services/presence');
+const socketAuth = require('./socketAuth');
 const mongoose = require('mongoose');
 const logger = require('../logger');
 
@@ -9,6 +16,32 @@ const logger = require('../logger');
  */
 let io;
 
+/**
+ * Find a group the given user is a member of.
+ * @param {string} groupId - The group ID sent by the client
+ * @param {string} userId - The authenticated user's ID
+ * @returns {Promise<Object|null>} The group, or null if it does not exist or the user is not a member
+ */
+const findMemberGroup = async (groupId, userId) => {
+    if (!mongoose.isValidObjectId(groupId)) {
+        return null;
+    }
+    return Group.findOne({ _id: groupId, members: userId });
+};
+
+/**
+ * Call a client acknowledgement callback if one was provided.
+ * @param {Function} ack - The acknowledgement callback
+ * @param {Object} payload - The payload to acknowledge with
+ */
+const reply = (ack, payload) => {
+    if (typeof ack === 'function') {
+        ack(payload);
+    }
+};
+
+const NOT_A_MEMBER = { error: 'You are not a member of this group' };
+
 /**
  * Setup Socket.IO server with CORS support and create instance
  * io will be used throughout the application for real-time communication
@@ -23,92 +56,181 @@ const setupSocket = (server) => {
         },
     });
 
+    // Every connection must present a valid JWT
+    io.use(socketAuth);
+    startHeartbeat(io);
+
     io.on('connection', (socket) => {
-        logger.debug(`Socket connected: ${socket.id}`);
+        const sender = socket.user;
+        logger.debug(`Socket connected: ${socket.id} (user ${sender.id})`);
+
+        // Personal room, used to reach all of a user's sockets regardless of the groups they joined
+        socket.join(`user:${sender.id}`);
+        // Session room, used to disconnect the socket when its session is revoked
+        socket.join(`session:${sender.sessionId}`);
 
-        // Join a specific group
-        socket.on('joinGroup', (groupId) => {
-            logger.debug(`Socket ${socket.id} joining group: ${groupId}`);
-            socket.join(groupId);
+        trackConnection(io, socket).catch(error => logger.error('Error tracking presence:', error));
+
+        // Join a specific group. Pass { groupId, lastSeq } after a reconnect to replay missed events:
+        // they are re-sent to this socket in order, or the ack says `refetch` if the gap is too large.
+        socket.on('joinGroup', async (options, ack) => {
+            const { groupId, lastSeq } = typeof options === 'object' && options !== null ? options : { groupId: options };
+            try {
+                const group = await findMemberGroup(groupId, sender.id);
+                if (!group) {
+                    return reply(ack, NOT_A_MEMBER);
+                }
+                logger.debug(`Socket ${socket.id} joining group: ${group._id}`);
+                // Rooms are named by the canonical ID, the one events are sent to
+                socket.join(group._id.toString());
+
+                if (!Number.isInteger(lastSeq)) {
+                    return reply(ack, { ok: true, seq: group.seq });
+                }
+                const { events, refetch } = await missedEvents(group, lastSeq);
+                if (refetch) {
+                    return reply(ack, { ok: true, seq: group.seq, refetch: true });
+                }
+                for (const { event, payload } of events) {
+                    socket.emit(event, payload);
+                }
+                reply(ack, { ok: true, seq: group.seq, replayed: events.length });
+            } catch (error) {
+                logger.error('Error joining group:', error);
+                reply(ack, { error: 'Failed to join group' });
+            }
         });
 
         // Leave a specific group
         socket.on('leaveGroup', (groupId) => {
+            if (!mongoose.isValidObjectId(groupId)) {
+                return;
+            }
             logger.debug(`Socket ${socket.id} leaving group: ${groupId}`);
-            socket.leave(groupId);
+            socket.leave(new mongoose.Types.ObjectId(groupId).toString());
         });
 
         // Handle chat messages within a group
-        socket.on('chat message', async (data) => {
+        socket.on('chat message', async (data = {}, ack) => {
             logger.info(`Message received for group: ${data.groupId}`);
 
-            // Save the message to the database
-            const message = new Message({
-                id: data.id,
-                text: data.text,
-                group: data.groupId,
-                user: {
-                    id: data.user.id, // Use the user's ObjectId
-                    name: data.user.name,
-                    email: data.user.email
-                },
-                type: data.type || 'text',
-                mediaUrl: data.mediaUrl,
-                mediaType: data.mediaType,
-            });
-
             try {
-                await message.save();
-                logger.info('Message saved to database');
-
-                // Emit the message to all clients in the group
-                io.to(data.groupId).emit('chat message', {
-                    ...data,
-                    timestamp: message.createdAt,
-                });
+                const { message, duplicate, command } = await sendMessage(io, sender, data.groupId, data);
+                if (command) {
+                    // The reply is only ever sent to the caller, never to the group
+                    return reply(ack, { ok: true, command: command.name, reply: command.reply, _id: command.message && command.message._id });
+                }
+                reply(ack, { ok: true, id: message.id, _id: message._id, duplicate });
             } catch (error) {
+                if (error.status) {
+                    return reply(ack, { error: error.message });
+                }
                 logger.error('Error saving message:', error);
+                reply(ack, { error: 'Failed to send message' });
             }
         });
 
         // Typing indicator within a group
-        socket.on('user typing', (data) => {
+        socket.on('user typing', async (data = {}, ack) => {
             logger.debug(`Typing in group: ${data.groupId}`);
-            socket.to(data.groupId).emit('user typing', { user: data.user, groupId: data.groupId });
+            try {
+                const group = await findMemberGroup(data.groupId, sender.id);
+                if (!group) {
+                    return reply(ack, NOT_A_MEMBER);
+                }
+                socket.to(group._id.toString()).emit('user typing', {
+                    user: { id: sender.id, name: sender.name },
+                    groupId: group._id.toString(),
+                });
+                reply(ack, { ok: true });
+            } catch (error) {
+                logger.error('Error sending typing indicator:', error);
+                reply(ack, { error: 'Failed to send typing indicator' });
+            }
         });
 
-        // Read receipt within a group
-        socket.on('read receipt', async (data) => {
-            logger.info(`Read receipt in group: ${data.groupId}`);
+        // Read receipt within a group: marks the group read up to the given message
+        socket.on('read receipt', async (data = {}, ack) => {
+            logger.debug(`Read receipt in group: ${data.groupId}`);
 
             try {
-                // Find the message by its custom string ID
-                const message = await Message.findOne({ id: data.messageId });
-
-                if (message) {
-                    // Mark the message as read by the user
-                    await message.markAsRead(data.user);
-
-                    // Emit the read receipt to all clients in the group
-                    io.to(data.groupId).emit('messageRead', {
-                        messageId: data.messageId,
-                        user: data.user,
-                        groupId: data.groupId
-                    });
-                } else {
-                    logger.error(`Message not found: ${data.messageId}`);
+                const group = await findMemberGroup(data.groupId, sender.id);
+                if (!group) {
+                    return reply(ack, NOT_A_MEMBER);
                 }
+
+                // Find the message by its client id
+                const message = await Message.findOne({ id: data.messageId, group: group._id.toString() });
+                if (!message) {
+                    return reply(ack, { error: 'Message not found' });
+                }
+
+                await markRead(io, sender.id, message);
+                reply(ack, { ok: true });
             } catch (error) {
                 logger.error('Error updating read receipt:', error);
+                reply(ack, { error: 'Failed to update read receipt' });
+            }
+        });
+
+        // Vote in a poll: { groupId, messageId, options: [indexes] }; an empty list withdraws the vote
+        socket.on('votePoll', async (data = {}, ack) => {
+            try {
+                const group = await findMemberGroup(data.groupId, sender.id);
+                if (!group) {
+                    return reply(ack, NOT_A_MEMBER);
+                }
+                const poll = await castVote(io, sender.id, group._id, data.messageId, data.options);
+                reply(ack, { ok: true, poll });
+            } catch (error) {
+                if (error.status) {
+                    return reply(ack, { error: error.message });
+                }
+                logger.error('Error voting in poll:', error);
+                reply(ack, { error: 'Failed to vote' });
+            }
+        });
+
+        // Close a poll early: { groupId, messageId }; only its author and moderators can
+        socket.on('closePoll', async (data = {}, ack) => {
+            try {
+                const group = await findMemberGroup(data.groupId, sender.id);
+                if (!group) {
+                    return reply(ack, NOT_A_MEMBER);
+                }
+                const message = await findPoll(group._id, data.messageId);
+                if (!canClosePoll(group, message, sender.id)) {
+                    return reply(ack, { error: 'Only the poll author and moderators can close a poll' });
+                }
+                const closed = await closePoll(io, message, sender.id);
+                reply(ack, closed ? { ok: true, poll: Message.summarizePoll(closed.poll, sender.id) } : { error: 'This poll is already closed' });
+            } catch (error) {
+                if (error.status) {
+                    return reply(ack, { error: error.message });
+                }
+                logger.error('Error closing poll:', error);
+                reply(ack, { error: 'Failed to close poll' });
+            }
+        });
+
+        // Manual status: { status: 'available' | 'away' | 'dnd', statusText }
+        socket.on('setStatus', async (data = {}, ack) => {
+            try {
+                const error = await setStatus(io, sender.id, data);
+                reply(ack, error ? { error } : { ok: true });
+            } catch (error) {
+                logger.error('Error setting status:', error);
+                reply(ack, { error: 'Failed to set status' });
             }
         });
 
         socket.on('disconnect', () => {
             logger.info(`Socket disconnected: ${socket.id}`);
+            trackDisconnect(io, socket).catch(error => logger.error('Error tracking presence:', error));
         });
     });
 
     return io;
 };
 
-module.exports = { setupSocket };
\ No newline at end of file
+module.exports = { setupSocket };
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Opaque pagination cursors.
+ * A cursor encodes the sort key of the last item a client has seen (for
+ * messages, `createdAt` and `_id`) so the next page can be fetched with a
+ * range query instead of skip/limit, which stays fast on large groups and
+ * does not shift when new messages arrive.
+ */
+
+/**
+ * Encode a list of sort key values as an opaque cursor string.
+ * @param {Array} values - The sort key values
+ * @returns {string} The cursor
+ */
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeCursor.
+ * @param {string} cursor - The cursor
+ * @returns {Array|null} The sort key values, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        return Array.isArray(values) ? values : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Encode the position of a message in a timeline.
+ * @param {Object} message - A message with createdAt and _id
+ * @returns {string} The cursor
+ */
+const encodeMessageCursor = (message) => encodeCursor([new Date(message.createdAt).toISOString(), message._id.toString()]);
+
+/**
+ * Decode a message cursor.
+ * @param {string} cursor - The cursor
+ * @returns {Object|null} `{ createdAt, id }`, or null if the cursor is malformed
+ */
+const decodeMessageCursor = (cursor) => {
+    const values = decodeCursor(cursor);
+    if (!values || values.length !== 2 || !mongoose.isValidObjectId(values[1])) {
+        return null;
+    }
+    const createdAt = new Date(values[0]);
+    if (isNaN(createdAt)) {
+        return null;
+    }
+    return { createdAt, id: new mongoose.Types.ObjectId(values[1]) };
+};
+
+/**
+ * Filter for messages strictly older than a cursor position.
+ * @param {Object} position - A decoded message cursor
+ * @returns {Object} A MongoDB filter
+ */
+const olderThan = ({ createdAt, id }) => ({
+    $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: id } }],
+});
+
+/**
+ * Filter for messages strictly newer than a cursor position.
+ * @param {Object} position - A decoded message cursor
+ * @returns {Object} A MongoDB filter
+ */
+const newerThan = ({ createdAt, id }) => ({
+    $or: [{ createdAt: { $gt: createdAt } }, { createdAt, _id: { $gt: id } }],
+});
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    encodeMessageCursor,
+    decodeMessageCursor,
+    olderThan,
+    newerThan,
+};
@@ -0,0 +1,36 @@
+/**
+ * Human-friendly durations such as `30m`, `1h`, `7d` or `2w`,
+ * used by slash command arguments.
+ */
+
+const UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration.
+ * @param {string} text - A positive whole number followed by m (minutes), h (hours), d (days) or w (weeks)
+ * @returns {number|null} The duration in milliseconds, or null if the text isn't a duration
+ */
+const parseDuration = (text) => {
+    const match = /^(\d+)\s*([mhdw])$/i.exec(String(text).trim());
+    if (!match || !parseInt(match[1])) {
+        return null;
+    }
+    return parseInt(match[1]) * UNITS[match[2].toLowerCase()];
+};
+
+/**
+ * Format a duration with its largest whole unit, e.g. 90 minutes as "90m" and 48 hours as "2d".
+ * @param {number} ms - The duration in milliseconds
+ * @returns {string} The formatted duration
+ */
+const formatDuration = (ms) => {
+    const [unit, size] = Object.entries(UNITS).reverse().find(([, size]) => ms % size === 0) || ['m', UNITS.m];
+    return `${Math.round(ms / size)}${unit}`;
+};
+
+module.exports = { parseDuration, formatDuration };
@@ -0,0 +1,64 @@
+/**
+ * Search result highlighting.
+ * Builds a short, HTML-escaped snippet of a message around the first matched
+ * search term, with every matched term wrapped in <mark> tags.
+ */
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extract the terms to highlight from a MongoDB $text search string.
+ * Negated terms ("-word") are dropped and quoted phrases are split into words.
+ * @param {string} query - The search string
+ * @returns {Array<string>} The terms
+ */
+const searchTerms = (query) => query
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/^"+|"+$/g, ''))
+    .filter(Boolean);
+
+/**
+ * Build a highlighted snippet of text.
+ * Terms match at the start of words, so "deploy" also highlights "deployment",
+ * roughly like the stemming done by the text index.
+ * @param {string} text - The message text
+ * @param {string} query - The search string
+ * @param {number} [radius=60] - Characters of context to keep on each side of the first match
+ * @returns {string} The HTML-escaped snippet with <mark> around matches
+ */
+const highlightSnippet = (text, query, radius = 60) => {
+    if (!text) {
+        return '';
+    }
+    const terms = searchTerms(query);
+    if (!terms.length) {
+        return escapeHtml(text.slice(0, radius * 2));
+    }
+    const pattern = new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+
+    const firstMatch = text.search(pattern);
+    const start = Math.max(0, (firstMatch === -1 ? 0 : firstMatch) - radius);
+    const end = Math.min(text.length, start + radius * 2 + (firstMatch === -1 ? 0 : 20));
+    const excerpt = text.slice(start, end);
+
+    // Escape the pieces between matches separately so <mark> tags survive
+    let snippet = '';
+    let last = 0;
+    for (const match of excerpt.matchAll(pattern)) {
+        snippet += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    snippet += escapeHtml(excerpt.slice(last));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = { highlightSnippet, searchTerms };
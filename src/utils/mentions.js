@@ -0,0 +1,52 @@
+/**
+ * @mention parsing.
+ * A mention is `@` at the start of the text or after a non-word character
+ * (so e-mail addresses don't count), followed by `here`, `all` or the name
+ * of a group member. Names may contain spaces; the longest matching name wins.
+ */
+
+const KEYWORDS = ['here', 'all'];
+
+/**
+ * Whether a name ends at the given position of the text.
+ * @param {string} text - The text
+ * @param {number} end - The position right after the name
+ * @returns {boolean}
+ */
+const endsWord = (text, end) => end >= text.length || !/\w/.test(text[end]);
+
+/**
+ * Find the mentions in a message text.
+ * @param {string} text - The message text
+ * @param {Array<Object>} members - The group's members ({ _id, name })
+ * @returns {Array<Object>} Mention entities `{ type, user, offset, length }` in text order;
+ *   type is 'user', 'here' or 'all' and user is only set for 'user'
+ */
+const parseMentions = (text, members) => {
+    if (!text || !text.includes('@')) {
+        return [];
+    }
+    const byLength = members
+        .filter(member => member.name)
+        .sort((a, b) => b.name.length - a.name.length);
+    const lower = text.toLowerCase();
+    const mentions = [];
+
+    for (const match of text.matchAll(/(^|[^\w@])@/g)) {
+        const offset = match.index + match[1].length;
+        const start = offset + 1;
+
+        const keyword = KEYWORDS.find(word => lower.startsWith(word, start) && endsWord(text, start + word.length));
+        if (keyword) {
+            mentions.push({ type: keyword, offset, length: keyword.length + 1 });
+            continue;
+        }
+        const member = byLength.find(({ name }) => lower.startsWith(name.toLowerCase(), start) && endsWord(text, start + name.length));
+        if (member) {
+            mentions.push({ type: 'user', user: member._id, offset, length: member.name.length + 1 });
+        }
+    }
+    return mentions;
+};
+
+module.exports = { parseMentions, KEYWORDS };
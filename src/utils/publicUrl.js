@@ -0,0 +1,167 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Outgoing request guard.
+ * Webhooks and bot commands make the server POST to URLs that group admins
+ * and bots choose. Those URLs must not reach the server's own network:
+ * loopback, private, link-local (including cloud metadata at 169.254.169.254)
+ * or unique-local addresses. The host is resolved and every address it
+ * resolves to is checked when the URL is registered. Requests are sent with
+ * postToPublicUrl, which checks the addresses again as it connects and connects
+ * to the checked address itself, so a DNS record changed in between (or
+ * between the check and the connection) can't redirect the request inward.
+ */
+
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+const blocked = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10], // Carrier-grade NAT
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4], // Multicast
+    ['240.0.0.0', 4], // Reserved and broadcast
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b::', 96], // NAT64, which embeds IPv4 addresses
+    ['2002::', 16], // 6to4, likewise
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8],
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is one the server must not send requests to.
+ * IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry.
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    if (!family) {
+        return true;
+    }
+    return blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Check that a URL's host only resolves to public addresses.
+ * @param {string} url - An http or https URL
+ * @returns {Promise<string|null>} An error message, or null if the server may send requests to it
+ */
+const checkPublicUrl = async (url) => {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    } catch (err) {
+        return 'Invalid URL';
+    }
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (err) {
+        return `Could not resolve ${hostname}`;
+    }
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+        return `${hostname} resolves to a private or loopback address`;
+    }
+    return null;
+};
+
+/**
+ * A `lookup` for http.request that fails instead of returning private addresses.
+ * The socket connects to the address returned here, so nothing can change between
+ * the check and the connection.
+ * @param {string} hostname - The host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(new Error(`${hostname} resolves to a private or loopback address`));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * POST a JSON body to a URL that must only resolve to public addresses.
+ * Redirects are not followed and at most 64 KiB of the response is read.
+ * @param {string} url - An http or https URL
+ * @param {Object} options
+ * @param {Object} options.headers - Request headers
+ * @param {string} options.body - The request body
+ * @param {number} options.timeout - Milliseconds before the request is abandoned
+ * @returns {Promise<Object>} `{ status, ok, text }`
+ * @throws {Error} If the host is private, can't be reached or doesn't answer in time
+ */
+const postToPublicUrl = (url, { headers, body, timeout }) => new Promise((resolve, reject) => {
+    let target;
+    try {
+        target = new URL(url);
+    } catch (err) {
+        return reject(new Error('Invalid URL'));
+    }
+    // IP literals are connected to without a lookup, so check them here
+    const literal = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(literal) && isPrivateAddress(literal)) {
+        return reject(new Error(`${literal} is a private or loopback address`));
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: publicLookup,
+    }, (res) => {
+        const chunks = [];
+        let size = 0;
+        const finish = () => {
+            clearTimeout(timer);
+            resolve({
+                status: res.statusCode,
+                ok: res.statusCode >= 200 && res.statusCode < 300,
+                text: Buffer.concat(chunks).toString('utf8'),
+            });
+        };
+        res.on('data', (chunk) => {
+            chunks.push(chunk);
+            size += chunk.length;
+            if (size > MAX_RESPONSE_BYTES) {
+                res.destroy();
+                finish();
+            }
+        });
+        res.on('end', finish);
+        res.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+    const timer = setTimeout(() => req.destroy(new Error(`Timed out after ${timeout} ms`)), timeout);
+    req.on('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+    });
+    req.end(body);
+});
+
+module.exports = { isPrivateAddress, checkPublicUrl, postToPublicUrl };
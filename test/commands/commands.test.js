@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, objectId } = require('../helpers');
+const BotCommand = require('../../src/models/BotCommand');
+const Group = require('../../src/models/Group');
+const Job = require('../../src/models/Job');
+const Message = require('../../src/models/Message');
+const User = require('../../src/models/User');
+const Webhook = require('../../src/models/Webhook');
+const { sendMessage } = require('../../src/services/messageService');
+
+/**
+ * A fake Socket.IO server that drops everything sent through it.
+ * @returns {Object} The server
+ */
+const fakeIo = () => {
+    const io = { emit: () => {}, socketsLeave: () => {} };
+    io.to = () => io;
+    io.in = () => io;
+    return io;
+};
+
+/**
+ * Stub a group with a moderator and a member, and the writes a send makes.
+ * @param {Object} t - The test context
+ * @param {Object} [fields] - Extra group fields
+ * @returns {Object} `{ group, moderator, member, create }`; create is the Message.create mock
+ */
+const setup = (t, fields = {}) => {
+    const [owner, moderator, member] = [objectId(), objectId(), objectId()];
+    const group = new Group({
+        name: 'General',
+        creator: owner,
+        members: [owner, moderator, member],
+        roles: { [moderator]: 'moderator' },
+        ...fields,
+    });
+    stub(t, Group, 'findOne', group);
+    stub(t, Group, 'findByIdAndUpdate', null);
+    stub(t, BotCommand, 'findOne', null);
+    stub(t, Webhook, 'find', []);
+    stub(t, Job, 'create', {});
+    const create = stub(t, Message, 'create', fields => new Message(fields));
+    return {
+        group,
+        moderator: { id: moderator, name: 'Mo', email: 'mo@example.com' },
+        member: { id: member, name: 'Mia', email: 'mia@example.com' },
+        create,
+    };
+};
+
+describe('slash commands', () => {
+    it('runs a built-in and posts its system message', async (t) => {
+        const { group, moderator, create } = setup(t);
+        const save = stub(t, group, 'save', group);
+        const { command } = await sendMessage(fakeIo(), moderator, group._id, { text: '/topic Release week' });
+
+        assert.equal(command.name, 'topic');
+        assert.equal(group.topic, 'Release week');
+        assert.equal(save.mock.callCount(), 1);
+        assert.equal(create.mock.calls[0].arguments[0].type, 'system');
+        assert.equal(command.message.text, 'Mo set the topic: Release week');
+    });
+
+    it('checks the role a command needs', async (t) => {
+        const { group, member } = setup(t);
+        await assert.rejects(sendMessage(fakeIo(), member, group._id, { text: '/topic Mine now' }), { status: 403 });
+    });
+
+    it('sends text naming no command as a message', async (t) => {
+        const { group, member, create } = setup(t);
+        const { message } = await sendMessage(fakeIo(), member, group._id, { text: '/usr/bin is on the PATH' });
+        assert.equal(message.text, '/usr/bin is on the PATH');
+        assert.equal(create.mock.calls[0].arguments[0].type, 'text');
+    });
+
+    it('sends a command escaped with // as a message', async (t) => {
+        const { group, moderator } = setup(t);
+        const { message } = await sendMessage(fakeIo(), moderator, group._id, { text: '//topic is how you set it' });
+        assert.equal(message.text, '/topic is how you set it');
+        assert.equal(group.topic, undefined);
+    });
+
+    it('never runs in end-to-end encrypted groups', async (t) => {
+        const { group, moderator, create } = setup(t, { e2ee: true, currentKeyId: 'k1' });
+        const save = stub(t, group, 'save', group);
+        await assert.rejects(sendMessage(fakeIo(), moderator, group._id, { text: '/topic Plaintext' }), { status: 400 });
+        assert.equal(save.mock.callCount(), 0);
+        assert.equal(create.mock.callCount(), 0);
+    });
+});
+
+describe('bot commands', () => {
+    it("won't call a bot whose URL points inside the network", async (t) => {
+        const { group, member } = setup(t);
+        const bot = new User({ name: 'deploybot', email: 'deploy@bots.invalid', password: 'x', isBot: true });
+        group.members.push(bot._id);
+        stub(t, BotCommand, 'findOne', new BotCommand({
+            group: group._id, bot: bot._id, name: 'deploy', url: 'http://127.0.0.1:9000/deploy', secret: 's', args: [],
+        }));
+        stub(t, User, 'findById', bot);
+        await assert.rejects(sendMessage(fakeIo(), member, group._id, { text: '/deploy' }), { status: 502 });
+    });
+});
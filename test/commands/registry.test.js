@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub } = require('../helpers');
+const User = require('../../src/models/User');
+const { parseArguments } = require('../../src/commands/registry');
+
+const invite = { name: 'invite', args: [{ name: 'user', type: 'user' }] };
+const users = ['Ann', 'Ann Lee', 'Bob', 'bob'].map((name, i) => new User({ name, email: `user${i}@example.com` }));
+
+/**
+ * Stub User.find to search the users above by the name pattern it's given.
+ * @param {Object} t - The test context
+ */
+const withUsers = (t) => stub(t, User, 'find', ({ name }) => users.filter(user => name.test(user.name)));
+
+describe('parseArguments', () => {
+    it('resolves a user by @name', async (t) => {
+        withUsers(t);
+        const { user } = await parseArguments(invite, '@ann', {});
+        assert.equal(user.name, 'Ann');
+    });
+
+    it('prefers the longest matching name', async (t) => {
+        withUsers(t);
+        const { user } = await parseArguments(invite, '@Ann Lee', {});
+        assert.equal(user.name, 'Ann Lee');
+    });
+
+    it('refuses a name several users share', async (t) => {
+        withUsers(t);
+        await assert.rejects(parseArguments(invite, '@Bob', {}), { status: 400 });
+    });
+
+    it('reports an unknown name', async (t) => {
+        withUsers(t);
+        await assert.rejects(parseArguments(invite, '@Zed', {}), { status: 404 });
+    });
+
+    it('still resolves users by email', async (t) => {
+        stub(t, User, 'findOne', ({ email }) => users.find(user => user.email.toLowerCase() === email));
+        const { user } = await parseArguments(invite, 'User3@example.com', {});
+        assert.equal(user.name, 'bob');
+    });
+});
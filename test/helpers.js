@@ -0,0 +1,146 @@
+/**
+ * Test helpers.
+ * Routers are mounted on a bare Express app and requests go over a real HTTP socket.
+ * There is no database: models are stubbed per test with `stub`, and any query that
+ * isn't stubbed fails straight away instead of waiting for a connection.
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Job = require('../src/models/Job');
+const Session = require('../src/models/Session');
+const { startJobRunner, stopJobRunner } = require('../src/jobs/runner');
+
+mongoose.set('bufferCommands', false);
+
+/**
+ * Build an Express app with the given routers mounted, as in src/app.js.
+ * @param {Object} mounts - A router or list of routers by mount path, e.g. `{ '/api/groups': groupRoutes }`
+ * @returns {Object} The app; `app.emitted` collects the Socket.IO events sent through it
+ */
+const createApp = (mounts) => {
+    const app = express();
+    app.emitted = [];
+    const io = {
+        to: () => io,
+        in: () => io,
+        emit: (event, payload) => app.emitted.push({ event, payload }),
+        socketsLeave: () => {},
+        disconnectSockets: () => {},
+    };
+    app.set('io', io);
+    app.use(express.json());
+    for (const [path, routers] of Object.entries(mounts)) {
+        app.use(path, routers);
+    }
+    return app;
+};
+
+/**
+ * Send a request to an app.
+ * @param {Object} app - The Express app
+ * @param {string} method - The HTTP method
+ * @param {string} path - The path, with query string
+ * @param {Object} [options] - `token` to send as a bearer token, `body` to send as JSON
+ * @returns {Promise<Object>} `{ status, body }`
+ */
+const request = async (app, method, path, { token, body } = {}) => {
+    const server = app.listen(0);
+    try {
+        const { port } = server.address();
+        const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+            method,
+            headers: {
+                ...(token ? { authorization: `Bearer ${token}` } : {}),
+                ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    } finally {
+        server.close();
+    }
+};
+
+/**
+ * Replace a model method for the duration of a test.
+ * @param {Object} t - The test context
+ * @param {Object} target - The model, or a prototype
+ * @param {string} method - The method name
+ * @param {*} result - What the method resolves to, or a function computing it from the arguments
+ * @returns {Object} The mock, with `mock.calls`
+ */
+const stub = (t, target, method, result) => t.mock.method(target, method,
+    (...args) => query(typeof result === 'function' ? result(...args) : result));
+
+/**
+ * A stand-in for a Mongoose query: chainable, and awaitable for its result.
+ * @param {*} result - What the query resolves to
+ * @returns {Object} The query
+ */
+const query = (result) => {
+    const chain = {
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+        catch: (reject) => Promise.resolve(result).catch(reject),
+    };
+    for (const method of ['select', 'sort', 'limit', 'skip', 'lean', 'populate', 'exec']) {
+        chain[method] = () => chain;
+    }
+    return chain;
+};
+
+/**
+ * Sign an access token for a user with an active session.
+ * @param {Object} t - The test context
+ * @param {string} userId - The user ID
+ * @returns {string} The token
+ */
+const signIn = (t, userId) => {
+    if (!Session.exists.mock) {
+        stub(t, Session, 'exists', true);
+    }
+    return jwt.sign({ id: userId.toString(), sid: new mongoose.Types.ObjectId().toString() }, process.env.JWT_SECRET);
+};
+
+/**
+ * Have the job runner claim and run one job, as if it had come due in the database.
+ * @param {Object} t - The test context
+ * @param {Object} job - The Job document the runner claims
+ * @param {Object} [io] - The Socket.IO server handed to the job's handler
+ * @returns {Promise<Object>} `{ claim, outcome }`: the Job.findOneAndUpdate mock and the
+ *   Job.updateOne mock recording how the job ended
+ */
+const runJob = async (t, job, io) => {
+    const due = [job];
+    const claim = stub(t, Job, 'findOneAndUpdate', () => due.shift() || null);
+    const outcome = stub(t, Job, 'updateOne', { modifiedCount: 1 });
+    const deadline = Date.now() + 2000;
+    startJobRunner({ io, pollInterval: 5 });
+    try {
+        while (!outcome.mock.calls.length && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    } finally {
+        stopJobRunner();
+    }
+    return { claim, outcome };
+};
+
+/**
+ * A new ObjectId as a string.
+ * @returns {string} The ID
+ */
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+module.exports = {
+    createApp,
+    request,
+    stub,
+    query,
+    signIn,
+    runJob,
+    objectId,
+};
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, runJob } = require('../helpers');
+const Job = require('../../src/models/Job');
+const { registerJob, enqueue, enqueueMany } = require('../../src/jobs/runner');
+
+registerJob('test.job', async (payload) => {
+    if (payload.fail) {
+        throw new Error('boom');
+    }
+});
+
+/**
+ * Build a claimed test job.
+ * @param {Object} payload - The job's input
+ * @param {Object} [fields] - Other job fields
+ * @returns {Object} The Job document
+ */
+const claimedJob = (payload, fields = {}) => new Job({ name: 'test.job', payload, status: 'running', attempts: 1, ...fields });
+
+describe('job runner', () => {
+    it('claims due pending jobs and running jobs whose lease expired, taking a new lease', async (t) => {
+        const { claim, outcome } = await runJob(t, claimedJob({}));
+        const [filter, update] = claim.mock.calls[0].arguments;
+        assert.ok(filter.name.$in.includes('test.job'));
+        assert.equal(filter.$or[0].status, 'pending');
+        assert.ok(filter.$or[0].runAt.$lte instanceof Date);
+        assert.equal(filter.$or[1].status, 'running');
+        assert.ok(filter.$or[1].lockedUntil.$lt instanceof Date);
+        assert.ok(update.$set.lockedUntil > filter.$or[1].lockedUntil.$lt);
+        assert.deepEqual(update.$inc, { attempts: 1 });
+        assert.equal(outcome.mock.calls[0].arguments[1].$set.status, 'done');
+    });
+
+    it('retries a failed job with exponential backoff', async (t) => {
+        const before = Date.now();
+        const { outcome } = await runJob(t, claimedJob({ fail: true }, { attempts: 3, maxAttempts: 5 }));
+        const { $set } = outcome.mock.calls[0].arguments[1];
+        assert.equal($set.status, 'pending');
+        assert.equal($set.lastError, 'boom');
+        const delay = $set.runAt.getTime() - before;
+        assert.ok(delay >= 20 * 1000 && delay < 21 * 1000);
+    });
+
+    it('fails a job for good once it is out of attempts', async (t) => {
+        const { outcome } = await runJob(t, claimedJob({ fail: true }, { attempts: 5, maxAttempts: 5 }));
+        const { $set } = outcome.mock.calls[0].arguments[1];
+        assert.equal($set.status, 'failed');
+        assert.ok($set.completedAt);
+    });
+});
+
+describe('enqueue', () => {
+    it('returns the pending job with the same unique key instead of a second one', async (t) => {
+        const pending = new Job({ name: 'test.job', uniqueKey: 'k' });
+        stub(t, Job, 'create', () => {
+            throw Object.assign(new Error('duplicate key'), { code: 11000 });
+        });
+        stub(t, Job, 'findOne', pending);
+        assert.deepEqual(await enqueue('test.job', {}, { uniqueKey: 'k' }), { job: pending, created: false });
+    });
+});
+
+describe('enqueueMany', () => {
+    it('counts the jobs whose unique key was free', async (t) => {
+        stub(t, Job, 'insertMany', () => {
+            throw Object.assign(new Error('duplicate key'), { writeErrors: [{ code: 11000 }] });
+        });
+        const created = await enqueueMany('test.job', [{ payload: {}, uniqueKey: 'a' }, { payload: {}, uniqueKey: 'b' }]);
+        assert.equal(created, 1);
+    });
+});
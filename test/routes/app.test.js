@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { createApp, request, objectId } = require('../helpers');
+
+// Mounted as in src/app.js
+const app = createApp({
+    '/api/groups': [
+        require('../../src/routes/group'),
+        require('../../src/routes/message'),
+        require('../../src/routes/groupKey'),
+        require('../../src/routes/joinRequest'),
+        require('../../src/routes/webhook'),
+        require('../../src/routes/command'),
+        require('../../src/routes/poll'),
+        require('../../src/routes/pin'),
+    ],
+    '/api/users': require('../../src/routes/user'),
+    '/api/bots': require('../../src/routes/bot'),
+    '/api/scheduled-messages': require('../../src/routes/scheduledMessage'),
+    '/api/search': require('../../src/routes/search'),
+    '/api/notifications': require('../../src/routes/notification'),
+    '/api': require('../../src/routes/invite'),
+});
+
+const groupId = objectId();
+const messageId = objectId();
+
+describe('authentication', () => {
+    const routes = [
+        ['GET', '/api/groups/my'],
+        ['GET', `/api/groups/${groupId}/messages`],
+        ['GET', `/api/groups/${groupId}/messages/${messageId}/thread`],
+        ['GET', `/api/groups/${groupId}/keys`],
+        ['GET', `/api/groups/${groupId}/join-requests`],
+        ['GET', `/api/groups/${groupId}/webhooks`],
+        ['GET', `/api/groups/${groupId}/commands`],
+        ['GET', `/api/groups/${groupId}/messages/${messageId}/poll`],
+        ['GET', `/api/groups/${groupId}/pins`],
+        ['PUT', '/api/users/me/status'],
+        ['GET', '/api/bots'],
+        ['GET', '/api/scheduled-messages'],
+        ['GET', '/api/search/messages?q=hello'],
+        ['GET', '/api/notifications'],
+        ['GET', '/api/invites/abc'],
+    ];
+    for (const [method, path] of routes) {
+        it(`is required for ${method} ${path.replace(/[0-9a-f]{24}/g, ':id')}`, async () => {
+            const res = await request(app, method, path);
+            assert.equal(res.status, 401);
+        });
+    }
+
+    it('rejects a token signed with another secret', async () => {
+        const token = jwt.sign({ id: objectId(), sid: objectId() }, 'another-secret');
+        const res = await request(app, 'GET', '/api/groups/my', { token });
+        assert.equal(res.status, 401);
+    });
+});
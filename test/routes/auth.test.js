@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { createApp, request, stub, signIn, objectId } = require('../helpers');
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const authRoutes = require('../../src/routes/auth');
+
+const app = createApp({ '/api/auth': authRoutes });
+
+describe('POST /api/auth/refresh', () => {
+    for (const refreshToken of [undefined, '', 42, { $ne: null }]) {
+        it(`rejects ${JSON.stringify(refreshToken)} as a refresh token`, async () => {
+            const res = await request(app, 'POST', '/api/auth/refresh', { body: { refreshToken } });
+            assert.equal(res.status, 400);
+        });
+    }
+
+    it('returns a new access token and refresh token', async (t) => {
+        const user = new User({ name: 'Ann', email: 'ann@example.com', password: 'x' });
+        const session = new Session({ user: user._id, refreshTokenHash: 'h', expiresAt: new Date(Date.now() + 60000) });
+        stub(t, Session, 'findOneAndUpdate', session);
+        stub(t, User, 'findById', user);
+        const res = await request(app, 'POST', '/api/auth/refresh', { body: { refreshToken: 'old' } });
+        assert.equal(res.status, 200);
+        assert.ok(res.body.refreshToken && res.body.refreshToken !== 'old');
+        assert.equal(jwt.verify(res.body.token, process.env.JWT_SECRET).sid, session._id.toString());
+    });
+
+    it('refuses a reused refresh token', async (t) => {
+        stub(t, Session, 'findOneAndUpdate', null);
+        stub(t, Session, 'findOne', new Session({ user: objectId() }));
+        stub(t, Session, 'updateOne', {});
+        const res = await request(app, 'POST', '/api/auth/refresh', { body: { refreshToken: 'old' } });
+        assert.equal(res.status, 401);
+    });
+});
+
+describe('POST /api/auth/logout', () => {
+    it("revokes the caller's session", async (t) => {
+        const token = signIn(t, objectId());
+        const revoke = stub(t, Session, 'updateOne', {});
+        const res = await request(app, 'POST', '/api/auth/logout', { token });
+        assert.equal(res.status, 204);
+        assert.equal(revoke.mock.calls[0].arguments[0]._id, jwt.decode(token).sid);
+    });
+});
+
+describe('access tokens', () => {
+    it('stop working once their session is revoked', async (t) => {
+        stub(t, Session, 'exists', null);
+        const token = jwt.sign({ id: objectId(), sid: objectId() }, process.env.JWT_SECRET);
+        const res = await request(app, 'GET', '/api/auth/sessions', { token });
+        assert.equal(res.status, 401);
+    });
+
+    it('without a session are refused', async () => {
+        const token = jwt.sign({ id: objectId() }, process.env.JWT_SECRET);
+        const res = await request(app, 'GET', '/api/auth/sessions', { token });
+        assert.equal(res.status, 401);
+    });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, request, stub, signIn, objectId } = require('../helpers');
+const ApiToken = require('../../src/models/ApiToken');
+const Group = require('../../src/models/Group');
+const User = require('../../src/models/User');
+const botRoutes = require('../../src/routes/bot');
+const groupRoutes = require('../../src/routes/group');
+const { generateApiToken } = require('../../src/services/apiTokens');
+const { hashToken } = require('../../src/services/sessions');
+
+const app = createApp({ '/api/bots': botRoutes, '/api/groups': groupRoutes });
+
+/**
+ * Stub a bot with an API token and a group it belongs to.
+ * @param {Object} t - The test context
+ * @param {Array<Object>} scopes - The token's grants
+ * @returns {Object} `{ token, group }`
+ */
+const botWithToken = (t, scopes) => {
+    const bot = objectId();
+    const group = new Group({ name: 'General', creator: objectId(), members: [bot] });
+    const { token, tokenHash } = generateApiToken();
+    stub(t, ApiToken, 'findOne', filter => (
+        filter.tokenHash === tokenHash ? new ApiToken({ bot, tokenHash, scopes, lastUsedAt: new Date() }) : null
+    ));
+    stub(t, Group, 'findById', group);
+    return { token, group };
+};
+
+describe('API token authentication', () => {
+    it('lets a token use the routes its scopes cover', async (t) => {
+        const { token, group } = botWithToken(t, [{ scope: 'groups:read' }]);
+        const res = await request(app, 'GET', `/api/groups/${group._id}`, { token });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.name, 'General');
+    });
+
+    it('rejects a scope limited to another group', async (t) => {
+        const { token, group } = botWithToken(t, [{ scope: 'groups:read', group: objectId() }]);
+        const res = await request(app, 'GET', `/api/groups/${group._id}`, { token });
+        assert.equal(res.status, 403);
+    });
+
+    it('rejects routes that take no scope', async (t) => {
+        const { token } = botWithToken(t, [{ scope: 'groups:read' }]);
+        const res = await request(app, 'POST', '/api/groups', { token, body: { name: 'Bots' } });
+        assert.equal(res.status, 403);
+    });
+
+    it('rejects unknown tokens', async (t) => {
+        botWithToken(t, [{ scope: 'groups:read' }]);
+        const res = await request(app, 'GET', '/api/groups', { token: generateApiToken().token });
+        assert.equal(res.status, 401);
+    });
+});
+
+describe('POST /api/bots/:botId/tokens', () => {
+    it('returns the token once and only stores its hash', async (t) => {
+        const owner = objectId();
+        const bot = new User({ name: 'ci', email: 'ci@bots.invalid', password: 'x', isBot: true, botOwner: owner });
+        stub(t, User, 'findOne', bot);
+        stub(t, ApiToken, 'countDocuments', 0);
+        const create = stub(t, ApiToken, 'create', fields => new ApiToken(fields));
+        const res = await request(app, 'POST', `/api/bots/${bot._id}/tokens`, {
+            token: signIn(t, owner),
+            body: { name: 'CI', scopes: ['messages:write'] },
+        });
+        assert.equal(res.status, 201);
+        assert.ok(res.body.token.startsWith(res.body.prefix));
+        assert.equal(res.body.tokenHash, undefined);
+        assert.equal(create.mock.calls[0].arguments[0].tokenHash, hashToken(res.body.token));
+    });
+
+    it("rejects another user's bot", async (t) => {
+        stub(t, User, 'findOne', null);
+        const res = await request(app, 'POST', `/api/bots/${objectId()}/tokens`, {
+            token: signIn(t, objectId()),
+            body: { name: 'CI', scopes: ['messages:write'] },
+        });
+        assert.equal(res.status, 404);
+    });
+});
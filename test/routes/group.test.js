@@ -0,0 +1,260 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, request, stub, signIn, objectId } = require('../helpers');
+const BotCommand = require('../../src/models/BotCommand');
+const Group = require('../../src/models/Group');
+const GroupEvent = require('../../src/models/GroupEvent');
+const GroupKey = require('../../src/models/GroupKey');
+const Invite = require('../../src/models/Invite');
+const Job = require('../../src/models/Job');
+const JoinRequest = require('../../src/models/JoinRequest');
+const Message = require('../../src/models/Message');
+const Notification = require('../../src/models/Notification');
+const ReadState = require('../../src/models/ReadState');
+const ScheduledMessage = require('../../src/models/ScheduledMessage');
+const User = require('../../src/models/User');
+const Webhook = require('../../src/models/Webhook');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const groupRoutes = require('../../src/routes/group');
+
+const app = createApp({ '/api/groups': groupRoutes });
+
+/**
+ * Stub Group.findById to return a group with an owner, an admin, a moderator and a member.
+ * @param {Object} t - The test context
+ * @returns {Object} `{ group, owner, admin, moderator, member }`
+ */
+const setup = (t) => {
+    const [owner, admin, moderator, member] = [objectId(), objectId(), objectId(), objectId()];
+    const group = new Group({
+        name: 'General',
+        creator: owner,
+        members: [owner, admin, moderator, member],
+        roles: { [admin]: 'admin', [moderator]: 'moderator' },
+    });
+    stub(t, Group, 'findById', group);
+    stub(t, Group, 'findOneAndUpdate', null);
+    return { group, owner, admin, moderator, member };
+};
+
+describe('POST /api/groups/:id/addMember', () => {
+    it('rejects a malformed user ID', async (t) => {
+        const { group, owner } = setup(t);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/addMember`, {
+            token: signIn(t, owner),
+            body: { userId: 'not-an-id' },
+        });
+        assert.equal(res.status, 400);
+    });
+
+    it('returns 404 for an unknown user', async (t) => {
+        const { group, owner } = setup(t);
+        stub(t, User, 'exists', null);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/addMember`, {
+            token: signIn(t, owner),
+            body: { userId: objectId() },
+        });
+        assert.equal(res.status, 404);
+    });
+
+    it('adds the user to the group', async (t) => {
+        const { group, admin } = setup(t);
+        const userId = objectId();
+        stub(t, User, 'exists', { _id: userId });
+        const save = stub(t, Group.prototype, 'save', group);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/addMember`, {
+            token: signIn(t, admin),
+            body: { userId },
+        });
+        assert.equal(res.status, 200);
+        assert.ok(res.body.members.includes(userId));
+        assert.equal(save.mock.callCount(), 1);
+    });
+
+    it('is forbidden to moderators and members', async (t) => {
+        const { group, moderator } = setup(t);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/addMember`, {
+            token: signIn(t, moderator),
+            body: { userId: objectId() },
+        });
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('PUT /api/groups/:id', () => {
+    it('rejects a retention period shorter than an hour', async (t) => {
+        const { group, admin } = setup(t);
+        const save = stub(t, Group.prototype, 'save', group);
+        const res = await request(app, 'PUT', `/api/groups/${group._id}`, {
+            token: signIn(t, admin),
+            body: { retention: '10m' },
+        });
+        assert.equal(res.status, 400);
+        assert.equal(save.mock.callCount(), 0);
+    });
+
+    it('sets the retention period and announces it in the group', async (t) => {
+        const { group, admin } = setup(t);
+        stub(t, Group.prototype, 'save', group);
+        stub(t, User, 'findById', new User({ _id: admin, name: 'Avery', email: 'avery@example.com' }));
+        stub(t, Group, 'findByIdAndUpdate', null);
+        const post = stub(t, Message, 'create', fields => new Message(fields));
+        const res = await request(app, 'PUT', `/api/groups/${group._id}`, {
+            token: signIn(t, admin),
+            body: { retention: '7D' },
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.retention, '7d');
+        const [message] = post.mock.calls[0].arguments;
+        assert.equal(message.type, 'system');
+        assert.equal(message.text, 'Avery set messages to disappear after 1 week');
+    });
+
+    it('does not announce an unchanged retention period', async (t) => {
+        const { group, owner } = setup(t);
+        group.retention = '7d';
+        stub(t, Group.prototype, 'save', group);
+        const post = stub(t, Message, 'create', fields => new Message(fields));
+        const res = await request(app, 'PUT', `/api/groups/${group._id}`, {
+            token: signIn(t, owner),
+            body: { retention: '7d', topic: 'Weekly sync' },
+        });
+        assert.equal(res.status, 200);
+        assert.equal(post.mock.callCount(), 0);
+    });
+});
+
+describe('PUT /api/groups/:id/members/:userId/role', () => {
+    it('lets the owner appoint admins', async (t) => {
+        const { group, owner, member } = setup(t);
+        stub(t, Group.prototype, 'save', group);
+        const res = await request(app, 'PUT', `/api/groups/${group._id}/members/${member}/role`, {
+            token: signIn(t, owner),
+            body: { role: 'admin' },
+        });
+        assert.equal(res.status, 200);
+        assert.equal(group.roleOf(member), 'admin');
+    });
+
+    it('does not let admins appoint admins', async (t) => {
+        const { group, admin, member } = setup(t);
+        const res = await request(app, 'PUT', `/api/groups/${group._id}/members/${member}/role`, {
+            token: signIn(t, admin),
+            body: { role: 'admin' },
+        });
+        assert.equal(res.status, 403);
+    });
+
+    it('lets admins promote members to moderator', async (t) => {
+        const { group, admin, member } = setup(t);
+        stub(t, Group.prototype, 'save', group);
+        const res = await request(app, 'PUT', `/api/groups/${group._id}/members/${member}/role`, {
+            token: signIn(t, admin),
+            body: { role: 'moderator' },
+        });
+        assert.equal(res.status, 200);
+        assert.equal(group.roleOf(member), 'moderator');
+    });
+});
+
+describe('DELETE /api/groups/:id/members/:userId', () => {
+    it('does not let admins remove the owner', async (t) => {
+        const { group, owner, admin } = setup(t);
+        const res = await request(app, 'DELETE', `/api/groups/${group._id}/members/${owner}`, { token: signIn(t, admin) });
+        assert.equal(res.status, 403);
+    });
+
+    it('removes a member the caller outranks', async (t) => {
+        const { group, admin, moderator } = setup(t);
+        stub(t, Group.prototype, 'save', group);
+        const dropCommands = stub(t, BotCommand, 'deleteMany', { deletedCount: 0 });
+        const res = await request(app, 'DELETE', `/api/groups/${group._id}/members/${moderator}`, { token: signIn(t, admin) });
+        assert.equal(res.status, 200);
+        assert.equal(group.roleOf(moderator), null);
+        assert.deepEqual(dropCommands.mock.calls[0].arguments[0], { group: group._id, bot: moderator });
+    });
+});
+
+describe('POST /api/groups/:id/leave', () => {
+    it('makes the owner transfer ownership first', async (t) => {
+        const { group, owner } = setup(t);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/leave`, { token: signIn(t, owner) });
+        assert.equal(res.status, 403);
+    });
+
+    it('answers with 500 when saving fails', async (t) => {
+        const { group, member } = setup(t);
+        stub(t, Group.prototype, 'save', () => Promise.reject(new Error('connection lost')));
+        t.mock.method(console, 'error', () => {});
+        const res = await request(app, 'POST', `/api/groups/${group._id}/leave`, { token: signIn(t, member) });
+        assert.equal(res.status, 500);
+    });
+});
+
+describe('POST /api/groups/:id/transfer', () => {
+    it('rejects a malformed new owner ID', async (t) => {
+        const { group, owner } = setup(t);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/transfer`, {
+            token: signIn(t, owner),
+            body: { newOwnerId: 'not-an-id' },
+        });
+        assert.equal(res.status, 400);
+    });
+
+    it('keeps the previous owner on as an admin', async (t) => {
+        const { group, owner, member } = setup(t);
+        stub(t, Group.prototype, 'save', group);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/transfer`, {
+            token: signIn(t, owner),
+            body: { newOwnerId: member },
+        });
+        assert.equal(res.status, 200);
+        assert.equal(group.roleOf(member), 'owner');
+        assert.equal(group.roleOf(owner), 'admin');
+    });
+});
+
+describe('DELETE /api/groups/:id', () => {
+    it('is reserved to the owner', async (t) => {
+        const { group, admin } = setup(t);
+        const res = await request(app, 'DELETE', `/api/groups/${group._id}`, { token: signIn(t, admin) });
+        assert.equal(res.status, 403);
+    });
+
+    it('deletes everything stored for the group and cancels its pending jobs', async (t) => {
+        const { group, owner } = setup(t);
+        const deletions = [
+            Group, Message, GroupKey, Invite, JoinRequest, ReadState, GroupEvent,
+            Notification, Webhook, WebhookDelivery, BotCommand, ScheduledMessage,
+        ].map(model => stub(t, model, model === Group ? 'deleteOne' : 'deleteMany', { deletedCount: 1 }));
+        const [scheduled, poll] = [objectId(), objectId()];
+        stub(t, ScheduledMessage, 'find', [{ _id: scheduled }]);
+        stub(t, Message, 'find', [{ _id: poll }]);
+        const cancel = stub(t, Job, 'deleteMany', { deletedCount: 2 });
+        const res = await request(app, 'DELETE', `/api/groups/${group._id}`, { token: signIn(t, owner) });
+        assert.equal(res.status, 204);
+        for (const deletion of deletions) {
+            assert.equal(String(Object.values(deletion.mock.calls[0].arguments[0])[0]), group._id.toString());
+        }
+        assert.deepEqual(cancel.mock.calls[0].arguments[0], {
+            uniqueKey: { $in: [`scheduledMessage:${scheduled}`, `closePoll:${poll}`] },
+            status: 'pending',
+        });
+    });
+});
+
+describe('GET /api/groups/my', () => {
+    it("adds the caller's unread and mention counts to each group", async (t) => {
+        const { group, member } = setup(t);
+        stub(t, User, 'findById', new User({ _id: member, name: 'Dee', email: 'dee@example.com', password: 'x' }));
+        stub(t, Group, 'find', [group]);
+        stub(t, ReadState, 'find', []);
+        stub(t, Message, 'countDocuments', filter => (filter.$and ? 1 : 3));
+        const res = await request(app, 'GET', '/api/groups/my', { token: signIn(t, member) });
+        assert.equal(res.status, 200);
+        assert.equal(res.body[0].name, 'General');
+        assert.equal(res.body[0].unreadCount, 3);
+        assert.equal(res.body[0].mentionCount, 1);
+        assert.equal(res.body[0].lastReadMessageId, null);
+    });
+});
@@ -0,0 +1,138 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, request, stub, signIn, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const GroupEvent = require('../../src/models/GroupEvent');
+const GroupKey = require('../../src/models/GroupKey');
+const User = require('../../src/models/User');
+const groupKeyRoutes = require('../../src/routes/groupKey');
+
+const app = createApp({ '/api/groups': groupKeyRoutes });
+
+/**
+ * Stub a group whose members all registered a public key.
+ * @param {Object} t - The test context
+ * @param {Object} [fields] - Extra group fields
+ * @returns {Object} `{ group, owner, member, users }`
+ */
+const setup = (t, fields = {}) => {
+    const owner = objectId();
+    const member = objectId();
+    const group = new Group({ name: 'General', creator: owner, members: [owner, member], ...fields });
+    const users = [owner, member].map(id => new User({ _id: id, publicKey: { keyId: `pk-${id}`, key: 'AAAA' } }));
+    stub(t, Group, 'findById', group);
+    stub(t, User, 'find', users);
+    return { group, owner, member, users };
+};
+
+/**
+ * Build one envelope per user, wrapped to their current public key.
+ * @param {Array<Object>} users - The members
+ * @returns {Array<Object>} The envelopes
+ */
+const envelopesFor = (users) => users.map(user => ({
+    userId: user._id.toString(),
+    wrappedKey: 'd3JhcHBlZA==',
+    nonce: 'bm9uY2U=',
+    recipientKeyId: user.publicKey.keyId,
+}));
+
+describe('POST /api/groups/:groupId/keys', () => {
+    it('only lets the owner and admins turn on end-to-end encryption', async (t) => {
+        const { group, member, users } = setup(t);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/keys`, {
+            token: signIn(t, member),
+            body: { keyId: 'k1', epoch: 0, senderKeyId: 's1', envelopes: envelopesFor(users) },
+        });
+        assert.equal(res.status, 403);
+    });
+
+    it('lets an admin turn on encryption with an envelope for every member', async (t) => {
+        const { group, member, users } = setup(t);
+        group.roles.set(member, 'admin');
+        const create = stub(t, GroupKey, 'create', (fields) => new GroupKey(fields));
+        stub(t, Group, 'findOneAndUpdate', () => new Group({ ...group.toObject(), e2ee: true, keyEpoch: 1 }));
+        stub(t, GroupEvent, 'create', {});
+        const res = await request(app, 'POST', `/api/groups/${group._id}/keys`, {
+            token: signIn(t, member),
+            body: { keyId: 'k1', epoch: 0, senderKeyId: 's1', envelopes: envelopesFor(users) },
+        });
+        assert.equal(res.status, 201);
+        assert.deepEqual(res.body, { keyId: 'k1', epoch: 1 });
+        assert.equal(create.mock.calls[0].arguments[0].envelopes.length, 2);
+        assert.ok(app.emitted.some(({ event, payload }) => event === 'groupKeyRotated' && payload.keyId === 'k1'));
+    });
+
+    it('names the members without a public key', async (t) => {
+        const { group, owner, member, users } = setup(t);
+        users[1].publicKey = undefined;
+        const res = await request(app, 'POST', `/api/groups/${group._id}/keys`, {
+            token: signIn(t, owner),
+            body: { keyId: 'k1', epoch: 0, senderKeyId: 's1', envelopes: envelopesFor(users.slice(0, 1)) },
+        });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.withoutKeys, [member]);
+    });
+
+    it('refuses an envelope wrapped to an old public key', async (t) => {
+        const { group, owner, users } = setup(t);
+        const envelopes = envelopesFor(users);
+        envelopes[1].recipientKeyId = 'pk-old';
+        const res = await request(app, 'POST', `/api/groups/${group._id}/keys`, {
+            token: signIn(t, owner),
+            body: { keyId: 'k1', epoch: 0, senderKeyId: 's1', envelopes },
+        });
+        assert.equal(res.status, 400);
+    });
+
+    it('requires an envelope for every member', async (t) => {
+        const { group, owner, member, users } = setup(t);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/keys`, {
+            token: signIn(t, owner),
+            body: { keyId: 'k1', epoch: 0, senderKeyId: 's1', envelopes: envelopesFor(users.slice(0, 1)) },
+        });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.missing, [member]);
+    });
+
+    it('lets members rotate the key of an encrypted group, at the current epoch', async (t) => {
+        const { group, member, users } = setup(t, { e2ee: true, currentKeyId: 'k1', keyEpoch: 2 });
+        const res = await request(app, 'POST', `/api/groups/${group._id}/keys`, {
+            token: signIn(t, member),
+            body: { keyId: 'k2', epoch: 1, senderKeyId: 's1', envelopes: envelopesFor(users) },
+        });
+        assert.equal(res.status, 409);
+    });
+});
+
+describe('GET /api/groups/:groupId/keys/:keyId', () => {
+    it("returns only the caller's envelope", async (t) => {
+        const { group, owner, member, users } = setup(t);
+        const groupKey = new GroupKey({
+            group: group._id,
+            keyId: 'k1',
+            epoch: 1,
+            createdBy: owner,
+            senderKeyId: 's1',
+            envelopes: envelopesFor(users).map(({ userId, ...envelope }) => ({ user: userId, ...envelope })),
+        });
+        stub(t, GroupKey, 'findOne', groupKey);
+        const res = await request(app, 'GET', `/api/groups/${group._id}/keys/k1`, { token: signIn(t, member) });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.envelope.user, member);
+        assert.equal(res.body.envelopes, undefined);
+    });
+
+    it('returns 404 to members without an envelope', async (t) => {
+        const { group, member } = setup(t);
+        stub(t, GroupKey, 'findOne', null);
+        const res = await request(app, 'GET', `/api/groups/${group._id}/keys/k1`, { token: signIn(t, member) });
+        assert.equal(res.status, 404);
+    });
+
+    it('is forbidden to non-members', async (t) => {
+        const { group } = setup(t);
+        const res = await request(app, 'GET', `/api/groups/${group._id}/keys/k1`, { token: signIn(t, objectId()) });
+        assert.equal(res.status, 403);
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, request, stub, signIn, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const GroupEvent = require('../../src/models/GroupEvent');
+const Invite = require('../../src/models/Invite');
+const Message = require('../../src/models/Message');
+const User = require('../../src/models/User');
+const inviteRoutes = require('../../src/routes/invite');
+
+const app = createApp({ '/api': inviteRoutes });
+
+/**
+ * Stub a group with an owner and an admin, and an invite to it.
+ * @param {Object} t - The test context
+ * @param {Object} [fields] - Invite fields
+ * @returns {Object} `{ group, invite, owner, admin }`
+ */
+const setup = (t, fields = {}) => {
+    const [owner, admin] = [objectId(), objectId()];
+    const group = new Group({ name: 'General', creator: owner, members: [owner, admin], roles: { [admin]: 'admin' } });
+    const invite = new Invite({ code: 'abc', group: group._id, createdBy: owner, ...fields });
+    stub(t, Group, 'findById', group);
+    stub(t, Invite, 'findOne', invite);
+    return { group, invite, owner, admin };
+};
+
+describe('POST /api/groups/:id/invites', () => {
+    it('creates an invite with a random code', async (t) => {
+        const { group, admin } = setup(t);
+        stub(t, Invite, 'create', (fields) => new Invite(fields));
+        const res = await request(app, 'POST', `/api/groups/${group._id}/invites`, {
+            token: signIn(t, admin),
+            body: { maxUses: 5 },
+        });
+        assert.equal(res.status, 201);
+        assert.ok(res.body.code.length >= 16);
+        assert.equal(res.body.maxUses, 5);
+    });
+
+    it('does not let admins hand out the admin role', async (t) => {
+        const { group, admin } = setup(t);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/invites`, {
+            token: signIn(t, admin),
+            body: { role: 'admin' },
+        });
+        assert.equal(res.status, 403);
+    });
+
+    it('rejects an expiry in the past', async (t) => {
+        const { group, owner } = setup(t);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/invites`, {
+            token: signIn(t, owner),
+            body: { expiresAt: new Date(Date.now() - 1000).toISOString() },
+        });
+        assert.equal(res.status, 400);
+    });
+});
+
+describe('GET /api/invites/:code', () => {
+    it('reports an expired invite as gone', async (t) => {
+        setup(t, { expiresAt: new Date(Date.now() - 1000) });
+        const res = await request(app, 'GET', '/api/invites/abc', { token: signIn(t, objectId()) });
+        assert.equal(res.status, 410);
+    });
+});
+
+describe('POST /api/invites/:code/accept', () => {
+    it('adds the user with the role the invite grants', async (t) => {
+        const { group, invite } = setup(t);
+        invite.role = 'moderator';
+        const consume = stub(t, Invite, 'findOneAndUpdate', invite);
+        const addMember = stub(t, Group, 'findByIdAndUpdate', group);
+        stub(t, Group, 'findOneAndUpdate', null);
+        stub(t, GroupEvent, 'create', {});
+        const userId = objectId();
+        stub(t, User, 'findById', new User({ _id: userId, name: 'Bea', email: 'bea@example.com' }));
+        stub(t, Message, 'create', (fields) => new Message(fields));
+        const res = await request(app, 'POST', '/api/invites/abc/accept', { token: signIn(t, userId) });
+        assert.equal(res.status, 200);
+        assert.ok(consume.mock.calls[0].arguments[0].revokedAt === null);
+        const [, update] = addMember.mock.calls[0].arguments;
+        assert.equal(update.$addToSet.members, userId);
+        assert.equal(update.$set[`roles.${userId}`], 'moderator');
+        assert.ok(app.emitted.some(({ payload }) => payload.type === 'system' && /Bea joined/.test(payload.text)));
+    });
+
+    it('refuses an invite that is used up, expired or revoked', async (t) => {
+        setup(t);
+        stub(t, Invite, 'findOneAndUpdate', null);
+        const res = await request(app, 'POST', '/api/invites/abc/accept', { token: signIn(t, objectId()) });
+        assert.equal(res.status, 410);
+    });
+
+    it('refuses members of the group', async (t) => {
+        const { admin } = setup(t);
+        const res = await request(app, 'POST', '/api/invites/abc/accept', { token: signIn(t, admin) });
+        assert.equal(res.status, 400);
+    });
+});
+
+describe('Invite#isActive', () => {
+    it('is false once the invite is used up', () => {
+        assert.equal(new Invite({ maxUses: 2, uses: 1 }).isActive(), true);
+        assert.equal(new Invite({ maxUses: 2, uses: 2 }).isActive(), false);
+        assert.equal(new Invite({ revokedAt: new Date() }).isActive(), false);
+    });
+});
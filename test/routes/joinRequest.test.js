@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, request, stub, signIn, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const GroupEvent = require('../../src/models/GroupEvent');
+const JoinRequest = require('../../src/models/JoinRequest');
+const Message = require('../../src/models/Message');
+const User = require('../../src/models/User');
+const groupRoutes = require('../../src/routes/group');
+const joinRequestRoutes = require('../../src/routes/joinRequest');
+
+const app = createApp({ '/api/groups': [groupRoutes, joinRequestRoutes] });
+
+/**
+ * Stub a group with an owner and an admin.
+ * @param {Object} t - The test context
+ * @param {string} visibility - 'public', 'private' or 'secret'
+ * @returns {Object} `{ group, owner, admin }`
+ */
+const setup = (t, visibility) => {
+    const [owner, admin] = [objectId(), objectId()];
+    const group = new Group({ name: 'General', creator: owner, members: [owner, admin], roles: { [admin]: 'admin' }, visibility });
+    stub(t, Group, 'findById', group);
+    stub(t, Group, 'findOneAndUpdate', null);
+    return { group, owner, admin };
+};
+
+describe('GET /api/groups', () => {
+    it('hides secret groups from non-members', async (t) => {
+        const userId = objectId();
+        const find = stub(t, Group, 'find', []);
+        const res = await request(app, 'GET', '/api/groups', { token: signIn(t, userId) });
+        assert.equal(res.status, 200);
+        assert.deepEqual(find.mock.calls[0].arguments[0], {
+            $or: [{ visibility: { $ne: 'secret' } }, { members: userId }],
+        });
+    });
+});
+
+describe('POST /api/groups/:id/join', () => {
+    it('joins a public group straight away', async (t) => {
+        const { group } = setup(t, 'public');
+        const save = stub(t, group, 'save', group);
+        const userId = objectId();
+        const res = await request(app, 'POST', `/api/groups/${group._id}/join`, { token: signIn(t, userId) });
+        assert.equal(res.status, 200);
+        assert.equal(save.mock.callCount(), 1);
+        assert.ok(res.body.members.includes(userId));
+    });
+
+    it('creates a pending request for a private group and tells the admins', async (t) => {
+        const { group } = setup(t, 'private');
+        const userId = objectId();
+        stub(t, JoinRequest, 'findOne', null);
+        const create = stub(t, JoinRequest, 'create', (fields) => {
+            const joinRequest = new JoinRequest(fields);
+            joinRequest.populate = async () => joinRequest;
+            return joinRequest;
+        });
+        const res = await request(app, 'POST', `/api/groups/${group._id}/join`, {
+            token: signIn(t, userId),
+            body: { message: 'Hi!' },
+        });
+        assert.equal(res.status, 202);
+        assert.equal(res.body.status, 'pending');
+        assert.equal(create.mock.calls[0].arguments[0].message, 'Hi!');
+        assert.equal(group.members.length, 2);
+        assert.ok(app.emitted.some(({ event }) => event === 'joinRequestCreated'));
+    });
+
+    it('returns the pending request instead of creating another', async (t) => {
+        const { group } = setup(t, 'private');
+        const userId = objectId();
+        stub(t, JoinRequest, 'findOne', new JoinRequest({ group: group._id, user: userId }));
+        const create = stub(t, JoinRequest, 'create', null);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/join`, { token: signIn(t, userId) });
+        assert.equal(res.status, 202);
+        assert.equal(create.mock.callCount(), 0);
+    });
+
+    it('does not reveal secret groups', async (t) => {
+        const { group } = setup(t, 'secret');
+        const res = await request(app, 'POST', `/api/groups/${group._id}/join`, { token: signIn(t, objectId()) });
+        assert.equal(res.status, 404);
+    });
+});
+
+describe('join request decisions', () => {
+    it('approves a request and adds the user', async (t) => {
+        const { group, admin } = setup(t, 'private');
+        const userId = objectId();
+        const joinRequest = new JoinRequest({ group: group._id, user: userId, status: 'approved' });
+        const decide = stub(t, JoinRequest, 'findOneAndUpdate', joinRequest);
+        const addMember = stub(t, Group, 'findByIdAndUpdate', group);
+        stub(t, GroupEvent, 'create', {});
+        stub(t, User, 'findById', new User({ _id: userId, name: 'Bea', email: 'bea@example.com' }));
+        stub(t, Message, 'create', (fields) => new Message(fields));
+        const res = await request(app, 'POST', `/api/groups/${group._id}/join-requests/${joinRequest._id}/approve`, {
+            token: signIn(t, admin),
+        });
+        assert.equal(res.status, 200);
+        assert.equal(decide.mock.calls[0].arguments[0].status, 'pending');
+        assert.equal(addMember.mock.calls[0].arguments[1].$addToSet.members.toString(), userId);
+        assert.ok(app.emitted.some(({ payload }) => payload.type === 'system' && /Bea joined/.test(payload.text)));
+        assert.ok(app.emitted.some(({ event, payload }) => event === 'joinRequestResolved' && payload.status === 'approved'));
+    });
+
+    it('returns 404 for a request that was already decided', async (t) => {
+        const { group, admin } = setup(t, 'private');
+        stub(t, JoinRequest, 'findOneAndUpdate', null);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/join-requests/${objectId()}/reject`, {
+            token: signIn(t, admin),
+        });
+        assert.equal(res.status, 404);
+    });
+
+    it('only lets the owner and admins decide', async (t) => {
+        const { group } = setup(t, 'private');
+        group.members.push(objectId());
+        const res = await request(app, 'POST', `/api/groups/${group._id}/join-requests/${objectId()}/reject`, {
+            token: signIn(t, group.members[2].toString()),
+        });
+        assert.equal(res.status, 403);
+    });
+});
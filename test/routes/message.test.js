@@ -0,0 +1,364 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, request, stub, signIn, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const Job = require('../../src/models/Job');
+const Message = require('../../src/models/Message');
+const ReadState = require('../../src/models/ReadState');
+const User = require('../../src/models/User');
+const Webhook = require('../../src/models/Webhook');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const messageRoutes = require('../../src/routes/message');
+const { encodeMessageCursor } = require('../../src/utils/cursor');
+
+const app = createApp({ '/api/groups': messageRoutes });
+
+/**
+ * Stub a group with an owner, a moderator and two members.
+ * @param {Object} t - The test context
+ * @param {Object} [fields] - Extra group fields
+ * @returns {Object} `{ group, owner, moderator, member, other }`
+ */
+const setup = (t, fields = {}) => {
+    const [owner, moderator, member, other] = [objectId(), objectId(), objectId(), objectId()];
+    const group = new Group({
+        name: 'General',
+        creator: owner,
+        members: [owner, moderator, member, other],
+        roles: { [moderator]: 'moderator' },
+        ...fields,
+    });
+    stub(t, Group, 'findById', group);
+    stub(t, Group, 'findByIdAndUpdate', null);
+    return { group, owner, moderator, member, other };
+};
+
+/**
+ * Build an unsaved message by a user.
+ * @param {Object} group - The group
+ * @param {string} userId - The author
+ * @param {Object} [fields] - Other message fields
+ * @returns {Object} The Message document
+ */
+const messageBy = (group, userId, fields = {}) => new Message({
+    id: objectId(),
+    text: 'Hello',
+    group: group._id.toString(),
+    user: { id: userId, name: 'Ann', email: 'ann@example.com' },
+    createdAt: new Date(),
+    ...fields,
+});
+
+/**
+ * Build messages one second apart, oldest first.
+ * @param {Object} group - The group
+ * @param {string} userId - The author
+ * @param {number} count - How many messages
+ * @returns {Array} The Message documents
+ */
+const timeline = (group, userId, count) => Array.from({ length: count }, (_, i) => (
+    messageBy(group, userId, { text: `#${i}`, createdAt: new Date(Date.UTC(2024, 0, 1, 0, 0, i)) })
+));
+
+describe('GET /api/groups/:groupId/messages', () => {
+    it('returns the latest page oldest first with a cursor for older messages', async (t) => {
+        const { group, member } = setup(t);
+        const messages = timeline(group, member, 4);
+        stub(t, ReadState, 'findOneAndUpdate', null);
+        const find = stub(t, Message, 'find', messages.slice().reverse());
+        const res = await request(app, 'GET', `/api/groups/${group._id}/messages?limit=3`, { token: signIn(t, member) });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.messages.map(message => message.text), ['#1', '#2', '#3']);
+        assert.equal(res.body.pagination.prevCursor, encodeMessageCursor(messages[1]));
+        assert.equal(res.body.pagination.nextCursor, null);
+        assert.equal(find.mock.calls[0].arguments[0].$or, undefined);
+        const [readFilter, readUpdate] = ReadState.findOneAndUpdate.mock.calls[0].arguments;
+        assert.equal(readFilter.user, member);
+        assert.equal(readUpdate.$set.lastReadMessage, messages[3]._id);
+    });
+
+    it('pages forward from a cursor', async (t) => {
+        const { group, member } = setup(t);
+        const messages = timeline(group, member, 3);
+        stub(t, ReadState, 'findOneAndUpdate', null);
+        const find = stub(t, Message, 'find', messages.slice(1));
+        const res = await request(app, 'GET', `/api/groups/${group._id}/messages?after=${encodeMessageCursor(messages[0])}`, {
+            token: signIn(t, member),
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.messages.map(message => message.text), ['#1', '#2']);
+        assert.equal(res.body.pagination.prevCursor, encodeMessageCursor(messages[1]));
+        assert.equal(res.body.pagination.nextCursor, null);
+        assert.equal(find.mock.calls[0].arguments[0].$or[0].createdAt.$gt.toISOString(), messages[0].createdAt.toISOString());
+    });
+
+    it('returns a message with its neighbours in around mode', async (t) => {
+        const { group, member } = setup(t);
+        const messages = timeline(group, member, 5);
+        stub(t, ReadState, 'findOneAndUpdate', null);
+        stub(t, Message, 'findOne', messages[2]);
+        stub(t, Message, 'find', (filter) => (filter.$or[0].createdAt.$lt ? [messages[1], messages[0]] : [messages[3], messages[4]]));
+        const res = await request(app, 'GET', `/api/groups/${group._id}/messages?around=${messages[2]._id}&limit=1`, {
+            token: signIn(t, member),
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.messages.map(message => message.text), ['#1', '#2', '#3']);
+        assert.ok(res.body.pagination.prevCursor);
+        assert.ok(res.body.pagination.nextCursor);
+    });
+
+    it('rejects a malformed cursor', async (t) => {
+        const { group, member } = setup(t);
+        const res = await request(app, 'GET', `/api/groups/${group._id}/messages?before=garbage`, { token: signIn(t, member) });
+        assert.equal(res.status, 400);
+    });
+});
+
+describe('GET /api/groups/:groupId/messages/:messageId/thread', () => {
+    it('returns the thread root and its replies', async (t) => {
+        const { group, member } = setup(t);
+        const root = messageBy(group, member);
+        const reply = messageBy(group, member, { text: 'Hi back', replyTo: root._id.toString() });
+        stub(t, Message, 'findOne', root);
+        stub(t, Message, 'find', [reply]);
+        const res = await request(app, 'GET', `/api/groups/${group._id}/messages/${root._id}/thread`, {
+            token: signIn(t, member),
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.root._id, root._id.toString());
+        assert.deepEqual(res.body.replies.map(message => message.text), ['Hi back']);
+        assert.equal(res.body.pagination.nextCursor, null);
+    });
+
+    it('returns 404 for an unknown message', async (t) => {
+        const { group, member } = setup(t);
+        stub(t, Message, 'findOne', null);
+        const res = await request(app, 'GET', `/api/groups/${group._id}/messages/${objectId()}/thread`, {
+            token: signIn(t, member),
+        });
+        assert.equal(res.status, 404);
+    });
+});
+
+describe('POST /api/groups/:groupId/messages', () => {
+    it('sends the message as the signed-in user and answers a retry with the original', async (t) => {
+        const { group, member } = setup(t);
+        stub(t, Group, 'findOne', group);
+        stub(t, User, 'findById', new User({ _id: member, name: 'Ann', email: 'ann@example.com' }));
+        let saved = null;
+        stub(t, Message, 'findOne', () => saved);
+        stub(t, Message, 'create', (fields) => (saved = new Message(fields)));
+        const send = () => request(app, 'POST', `/api/groups/${group._id}/messages`, {
+            token: signIn(t, member),
+            body: { id: 'client-1', text: 'Hello', user: { id: objectId(), name: 'Mallory' } },
+        });
+
+        const first = await send();
+        assert.equal(first.status, 201);
+        assert.equal(first.body.user.name, 'Ann');
+        const retry = await send();
+        assert.equal(retry.status, 200);
+        assert.equal(retry.body._id, first.body._id);
+        assert.equal(Message.create.mock.callCount(), 1);
+    });
+
+    it('attaches a reply to a reply to the thread root', async (t) => {
+        const { group, member, other } = setup(t);
+        const root = messageBy(group, other);
+        const reply = messageBy(group, other, { replyTo: root._id.toString() });
+        stub(t, Group, 'findOne', group);
+        stub(t, User, 'findById', new User({ _id: member, name: 'Ann', email: 'ann@example.com' }));
+        stub(t, Message, 'findOne', (filter) => (filter._id === reply._id.toString() ? reply : root));
+        const create = stub(t, Message, 'create', (fields) => new Message(fields));
+        stub(t, Message, 'findByIdAndUpdate', root);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/messages`, {
+            token: signIn(t, member),
+            body: { text: 'Me too', replyTo: reply._id.toString() },
+        });
+        assert.equal(res.status, 201);
+        assert.equal(create.mock.calls[0].arguments[0].replyTo, root._id.toString());
+        assert.ok(app.emitted.some(({ event }) => event === 'threadUpdated'));
+    });
+});
+
+describe('message routes', () => {
+    for (const [method, path] of [['PUT', ''], ['GET', '/revisions'], ['DELETE', ''], ['POST', '/read'], ['GET', '/seen'], ['GET', '/reactions'], ['POST', '/reactions'], ['DELETE', '/reactions/👍']]) {
+        it(`return 404 for ${method} :messageId${path} with a malformed ID`, async (t) => {
+            const { group, owner } = setup(t);
+            const res = await request(app, method, `/api/groups/${group._id}/messages/nope${path}`, {
+                token: signIn(t, owner),
+                body: method === 'GET' ? undefined : { content: 'Hi', emoji: '👍' },
+            });
+            assert.equal(res.status, 404);
+        });
+    }
+});
+
+describe('DELETE /api/groups/:groupId/messages/:messageId', () => {
+    it("lets moderators delete other people's messages", async (t) => {
+        const { group, moderator, member } = setup(t);
+        const message = messageBy(group, member);
+        const findOne = stub(t, Message, 'findOne', message);
+        stub(t, Message.prototype, 'save', message);
+        const unpin = stub(t, Group, 'findOneAndUpdate', null);
+        const res = await request(app, 'DELETE', `/api/groups/${group._id}/messages/${message._id}`, {
+            token: signIn(t, moderator),
+        });
+        assert.equal(res.status, 200);
+        assert.equal(message.deleted, true);
+        assert.equal(findOne.mock.calls[0].arguments[0]['user.id'], undefined);
+        assert.ok(app.emitted.some(({ event }) => event === 'messageDeleted'));
+        assert.deepEqual(unpin.mock.calls[0].arguments[1], { $pull: { pins: { message: { $in: [message._id.toString()] } } } });
+    });
+
+    it('only lets members delete their own messages', async (t) => {
+        const { group, other } = setup(t);
+        const findOne = stub(t, Message, 'findOne', null);
+        const res = await request(app, 'DELETE', `/api/groups/${group._id}/messages/${objectId()}`, {
+            token: signIn(t, other),
+        });
+        assert.equal(res.status, 404);
+        assert.equal(findOne.mock.calls[0].arguments[0]['user.id'], other);
+    });
+
+    it('is forbidden to non-members', async (t) => {
+        const { group } = setup(t);
+        const res = await request(app, 'DELETE', `/api/groups/${group._id}/messages/${objectId()}`, {
+            token: signIn(t, objectId()),
+        });
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('message reactions', () => {
+    it('adds a reaction and broadcasts the counts', async (t) => {
+        const { group, member, other } = setup(t);
+        const message = messageBy(group, other, { reactions: [{ emoji: '👍', user: other }, { emoji: '👍', user: member }] });
+        const update = stub(t, Message, 'findOneAndUpdate', message);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/messages/${message._id}/reactions`, {
+            token: signIn(t, member),
+            body: { emoji: '👍' },
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, [{ emoji: '👍', count: 2, reacted: true }]);
+        assert.deepEqual(update.mock.calls[0].arguments[0].reactions, { $not: { $elemMatch: { emoji: '👍', user: member } } });
+        const { payload } = app.emitted.findLast(({ event }) => event === 'reactionAdded');
+        assert.deepEqual(payload.reactions, [{ emoji: '👍', count: 2 }]);
+    });
+
+    it('does not add the same reaction twice', async (t) => {
+        const { group, member } = setup(t);
+        const message = messageBy(group, member, { reactions: [{ emoji: '👍', user: member }] });
+        stub(t, Message, 'findOneAndUpdate', null);
+        stub(t, Message, 'findOne', message);
+        const emitted = app.emitted.length;
+        const res = await request(app, 'POST', `/api/groups/${group._id}/messages/${message._id}/reactions`, {
+            token: signIn(t, member),
+            body: { emoji: '👍' },
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, [{ emoji: '👍', count: 1, reacted: true }]);
+        assert.equal(app.emitted.length, emitted);
+    });
+
+    it('only allows the emoji the group allows', async (t) => {
+        const { group, member } = setup(t, { allowedReactions: ['👍'] });
+        const res = await request(app, 'POST', `/api/groups/${group._id}/messages/${objectId()}/reactions`, {
+            token: signIn(t, member),
+            body: { emoji: '🎉' },
+        });
+        assert.equal(res.status, 400);
+    });
+
+    it('removes a reaction', async (t) => {
+        const { group, member, other } = setup(t);
+        const message = messageBy(group, other, { reactions: [{ emoji: '👍', user: member }, { emoji: '🎉', user: other }] });
+        stub(t, Message, 'findOneAndUpdate', message);
+        const res = await request(app, 'DELETE', `/api/groups/${group._id}/messages/${message._id}/reactions/${encodeURIComponent('👍')}`, {
+            token: signIn(t, member),
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, [{ emoji: '🎉', count: 1, reacted: false }]);
+        assert.ok(app.emitted.some(({ event }) => event === 'reactionRemoved'));
+    });
+});
+
+describe('PUT /api/groups/:groupId/messages/:messageId', () => {
+    for (const [label, text] of [['missing', undefined], ['blank', '   '], ['too long', 'a'.repeat(10001)], ['not a string', 42]]) {
+        it(`rejects ${label} text`, async (t) => {
+            const { group, member } = setup(t);
+            const res = await request(app, 'PUT', `/api/groups/${group._id}/messages/${objectId()}`, {
+                token: signIn(t, member),
+                body: { text },
+            });
+            assert.equal(res.status, 400);
+        });
+    }
+
+    it('edits the message and keeps the previous text', async (t) => {
+        const { group, member } = setup(t);
+        const message = messageBy(group, member);
+        stub(t, Message, 'findOne', message);
+        stub(t, Message.prototype, 'save', message);
+        const res = await request(app, 'PUT', `/api/groups/${group._id}/messages/${message._id}`, {
+            token: signIn(t, member),
+            body: { text: 'Hello again' },
+        });
+        assert.equal(res.status, 200);
+        assert.equal(message.text, 'Hello again');
+        assert.equal(message.revisions[0].text, 'Hello');
+        assert.equal(message.revisions[0].by.toString(), member);
+    });
+
+    it('refuses edits after the edit window', async (t) => {
+        const { group, member } = setup(t);
+        stub(t, Message, 'findOne', messageBy(group, member, { createdAt: new Date(Date.now() - 16 * 60 * 1000) }));
+        const res = await request(app, 'PUT', `/api/groups/${group._id}/messages/${objectId()}`, {
+            token: signIn(t, member),
+            body: { text: 'Too late' },
+        });
+        assert.equal(res.status, 403);
+    });
+
+    it("broadcasts reaction counts without the editor's own flags", async (t) => {
+        const { group, member } = setup(t);
+        const message = messageBy(group, member, { reactions: [{ emoji: '👍', user: member }] });
+        stub(t, Message, 'findOne', message);
+        stub(t, message, 'edit', null);
+        stub(t, message, 'populate', message);
+        stub(t, Webhook, 'find', [{ _id: objectId() }]);
+        const delivery = stub(t, WebhookDelivery.prototype, 'save', null);
+        stub(t, Job, 'create', {});
+        const res = await request(app, 'PUT', `/api/groups/${group._id}/messages/${message._id}`, {
+            token: signIn(t, member),
+            body: { content: 'Edited' },
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.reactions, [{ emoji: '👍', count: 1, reacted: true }]);
+        const { payload } = app.emitted.findLast(({ event }) => event === 'messageEdited');
+        assert.deepEqual(payload.reactions, [{ emoji: '👍', count: 1 }]);
+        assert.deepEqual(delivery.mock.calls[0].this.payload.data.reactions, [{ emoji: '👍', count: 1 }]);
+    });
+});
+
+describe('GET /api/groups/:groupId/messages/:messageId/revisions', () => {
+    it('returns the edit history to the owner', async (t) => {
+        const { group, owner, member } = setup(t);
+        const message = messageBy(group, member, { revisions: [{ action: 'edit', text: 'Helo', by: member, at: new Date() }] });
+        stub(t, Message, 'findOne', message);
+        const res = await request(app, 'GET', `/api/groups/${group._id}/messages/${message._id}/revisions`, {
+            token: signIn(t, owner),
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.revisions.map(revision => revision.text), ['Helo']);
+        assert.equal(res.body.message.revisions, undefined);
+    });
+
+    it('is forbidden to members', async (t) => {
+        const { group, member } = setup(t);
+        const res = await request(app, 'GET', `/api/groups/${group._id}/messages/${objectId()}/revisions`, {
+            token: signIn(t, member),
+        });
+        assert.equal(res.status, 403);
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, request, stub, signIn, objectId } = require('../helpers');
+const Notification = require('../../src/models/Notification');
+const notificationRoutes = require('../../src/routes/notification');
+
+const app = createApp({ '/api/notifications': notificationRoutes });
+
+/**
+ * Build notifications one second apart, newest first.
+ * @param {string} userId - The recipient
+ * @param {number} count - How many notifications
+ * @returns {Array} The Notification documents
+ */
+const inbox = (userId, count) => Array.from({ length: count }, (_, i) => new Notification({
+    user: userId,
+    type: 'mention',
+    group: objectId(),
+    createdAt: new Date(Date.UTC(2024, 0, 1, 0, 0, count - i)),
+}));
+
+describe('GET /api/notifications', () => {
+    it("pages through the caller's notifications with the unread count", async (t) => {
+        const user = objectId();
+        const find = stub(t, Notification, 'find', inbox(user, 3));
+        stub(t, Notification, 'countDocuments', 7);
+        const res = await request(app, 'GET', '/api/notifications?limit=2&unread=true', { token: signIn(t, user) });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.notifications.length, 2);
+        assert.equal(res.body.unreadCount, 7);
+        assert.ok(res.body.pagination.nextCursor);
+        assert.deepEqual(find.mock.calls[0].arguments[0], { user, readAt: null });
+    });
+
+    it('rejects a malformed cursor', async (t) => {
+        const res = await request(app, 'GET', '/api/notifications?before=nope', { token: signIn(t, objectId()) });
+        assert.equal(res.status, 400);
+    });
+});
+
+describe('POST /api/notifications/:id/read', () => {
+    it("only marks the caller's own notification", async (t) => {
+        const user = objectId();
+        const update = stub(t, Notification, 'findOneAndUpdate', null);
+        const id = objectId();
+        const res = await request(app, 'POST', `/api/notifications/${id}/read`, { token: signIn(t, user) });
+        assert.equal(res.status, 404);
+        assert.deepEqual(update.mock.calls[0].arguments[0], { _id: id, user });
+    });
+
+    it('returns 404 for a malformed ID', async (t) => {
+        const res = await request(app, 'POST', '/api/notifications/nope/read', { token: signIn(t, objectId()) });
+        assert.equal(res.status, 404);
+    });
+});
+
+describe('POST /api/notifications/read-all', () => {
+    it('marks unread notifications of one group as read', async (t) => {
+        const [user, groupId] = [objectId(), objectId()];
+        const update = stub(t, Notification, 'updateMany', { modifiedCount: 3 });
+        const res = await request(app, 'POST', '/api/notifications/read-all', { token: signIn(t, user), body: { groupId } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.updated, 3);
+        assert.deepEqual(update.mock.calls[0].arguments[0], { user, readAt: null, group: groupId });
+        assert.deepEqual(app.emitted.at(-1), { event: 'notificationsRead', payload: { all: true, groupId } });
+    });
+});
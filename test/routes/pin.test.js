@@ -0,0 +1,149 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, request, stub, signIn, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const Message = require('../../src/models/Message');
+const { MAX_PINNED_MESSAGES } = require('../../src/services/pins');
+const pinRoutes = require('../../src/routes/pin');
+
+const app = createApp({ '/api/groups': pinRoutes });
+
+/**
+ * Stub Group.findById to return a group with an owner, a moderator and a member.
+ * @param {Object} t - The test context
+ * @returns {Object} `{ group, owner, moderator, member }`
+ */
+const setup = (t) => {
+    const [owner, moderator, member] = [objectId(), objectId(), objectId()];
+    const group = new Group({
+        name: 'General',
+        creator: owner,
+        members: [owner, moderator, member],
+        roles: { [moderator]: 'moderator' },
+    });
+    stub(t, Group, 'findById', group);
+    stub(t, Group, 'findByIdAndUpdate', null);
+    return { group, owner, moderator, member };
+};
+
+const messageIn = (group, author) => new Message({
+    id: 'client-1',
+    text: 'Release on Friday',
+    group: group._id.toString(),
+    user: { id: author, name: 'Rowan', email: 'rowan@example.com' },
+});
+
+describe('POST /api/groups/:groupId/pins', () => {
+    it('pins a message within the cap and tells the group', async (t) => {
+        const { group, moderator } = setup(t);
+        const message = messageIn(group, moderator);
+        stub(t, Message, 'findOne', message);
+        const push = stub(t, Group, 'findOneAndUpdate', group);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/pins`, {
+            token: signIn(t, moderator),
+            body: { messageId: message._id },
+        });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.message._id, message._id.toString());
+        const [filter, update] = push.mock.calls[0].arguments;
+        assert.deepEqual(filter[`pins.${MAX_PINNED_MESSAGES - 1}`], { $exists: false });
+        assert.deepEqual(filter['pins.message'], { $ne: message._id });
+        assert.equal(update.$push.pins.message, message._id);
+        assert.equal(app.emitted.at(-1).event, 'messagePinned');
+    });
+
+    it('refuses a pin past the cap', async (t) => {
+        const { group, owner } = setup(t);
+        const message = messageIn(group, owner);
+        stub(t, Message, 'findOne', message);
+        stub(t, Group, 'findOneAndUpdate', null);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/pins`, {
+            token: signIn(t, owner),
+            body: { messageId: message._id },
+        });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error, `A group can have at most ${MAX_PINNED_MESSAGES} pinned messages; unpin one first`);
+    });
+
+    it('refuses to pin a message twice', async (t) => {
+        const { group, owner } = setup(t);
+        const message = messageIn(group, owner);
+        group.pins.push({ message: message._id, pinnedBy: owner });
+        stub(t, Message, 'findOne', message);
+        stub(t, Group, 'findOneAndUpdate', null);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/pins`, {
+            token: signIn(t, owner),
+            body: { messageId: message._id },
+        });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error, 'This message is already pinned');
+    });
+
+    it('returns 404 for a malformed message ID', async (t) => {
+        const { group, owner } = setup(t);
+        const findOne = stub(t, Message, 'findOne', null);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/pins`, {
+            token: signIn(t, owner),
+            body: { messageId: 'nope' },
+        });
+        assert.equal(res.status, 404);
+        assert.equal(findOne.mock.callCount(), 0);
+    });
+
+    it('is forbidden to members', async (t) => {
+        const { group, member } = setup(t);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/pins`, {
+            token: signIn(t, member),
+            body: { messageId: objectId() },
+        });
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('DELETE /api/groups/:groupId/pins/:messageId', () => {
+    it('unpins a pinned message and tells the group', async (t) => {
+        const { group, moderator } = setup(t);
+        const messageId = objectId();
+        group.pins.push({ message: messageId, pinnedBy: moderator });
+        const pull = stub(t, Group, 'findOneAndUpdate', group);
+        const res = await request(app, 'DELETE', `/api/groups/${group._id}/pins/${messageId}`, {
+            token: signIn(t, moderator),
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(pull.mock.calls[0].arguments[1], { $pull: { pins: { message: { $in: [messageId] } } } });
+        const { event, payload } = app.emitted.at(-1);
+        assert.equal(event, 'messageUnpinned');
+        assert.equal(payload.unpinnedBy, moderator);
+    });
+
+    it('returns 404 for a message that is not pinned', async (t) => {
+        const { group, owner } = setup(t);
+        stub(t, Group, 'findOneAndUpdate', null);
+        const res = await request(app, 'DELETE', `/api/groups/${group._id}/pins/${objectId()}`, {
+            token: signIn(t, owner),
+        });
+        assert.equal(res.status, 404);
+    });
+
+    it('returns 404 for a malformed message ID', async (t) => {
+        const { group, owner } = setup(t);
+        const pull = stub(t, Group, 'findOneAndUpdate', null);
+        const res = await request(app, 'DELETE', `/api/groups/${group._id}/pins/nope`, {
+            token: signIn(t, owner),
+        });
+        assert.equal(res.status, 404);
+        assert.equal(pull.mock.callCount(), 0);
+    });
+});
+
+describe('GET /api/groups/:groupId/pins', () => {
+    it('lists pins newest first, leaving out deleted messages', async (t) => {
+        const { group, member } = setup(t);
+        const [older, newer] = [messageIn(group, member), messageIn(group, member)];
+        group.pins.push({ message: older._id, pinnedBy: member }, { message: newer._id, pinnedBy: member }, { message: objectId(), pinnedBy: member });
+        stub(t, Message, 'find', [older, newer]);
+        const res = await request(app, 'GET', `/api/groups/${group._id}/pins`, { token: signIn(t, member) });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(pin => pin.message._id), [newer._id.toString(), older._id.toString()]);
+    });
+});
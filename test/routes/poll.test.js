@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, request, stub, signIn, runJob, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const Job = require('../../src/models/Job');
+const Message = require('../../src/models/Message');
+const messageRoutes = require('../../src/routes/message');
+const pollRoutes = require('../../src/routes/poll');
+
+const app = createApp({ '/api/groups': [messageRoutes, pollRoutes] });
+
+/**
+ * Stub a group with a single-choice poll in it.
+ * @param {Object} t - The test context
+ * @returns {Object} `{ group, poll, member, other }`; member wrote the poll
+ */
+const setup = (t) => {
+    const [member, other] = [objectId(), objectId()];
+    const group = new Group({ name: 'General', creator: objectId(), members: [member, other] });
+    const poll = new Message({
+        id: objectId(),
+        text: 'Lunch?',
+        group: group._id.toString(),
+        type: 'poll',
+        user: { id: member, name: 'Ann', email: 'ann@example.com' },
+        poll: { question: 'Lunch?', options: [{ text: 'Yes' }, { text: 'No' }] },
+    });
+    stub(t, Group, 'findById', group);
+    stub(t, Group, 'findByIdAndUpdate', null);
+    stub(t, Message, 'findOne', poll);
+    return { group, poll, member, other };
+};
+
+describe('POST /api/groups/:groupId/messages/:messageId/poll/votes', () => {
+    it('rejects an option the poll does not have', async (t) => {
+        const { group, poll, member } = setup(t);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/messages/${poll._id}/poll/votes`, {
+            token: signIn(t, member),
+            body: { options: [2] },
+        });
+        assert.equal(res.status, 400);
+    });
+
+    it('rejects several choices in a single-choice poll', async (t) => {
+        const { group, poll, member } = setup(t);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/messages/${poll._id}/poll/votes`, {
+            token: signIn(t, member),
+            body: { options: [0, 1] },
+        });
+        assert.equal(res.status, 400);
+    });
+
+    it('refuses votes once the poll is closed', async (t) => {
+        const { group, poll, member } = setup(t);
+        stub(t, Message, 'findOneAndUpdate', null);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/messages/${poll._id}/poll/votes`, {
+            token: signIn(t, member),
+            body: { options: [0] },
+        });
+        assert.equal(res.status, 409);
+    });
+
+    it('records the vote and returns the tallies', async (t) => {
+        const { group, poll, member } = setup(t);
+        stub(t, Message, 'findOneAndUpdate', () => {
+            poll.poll.votes.push({ user: member, option: 0 });
+            return poll;
+        });
+        const res = await request(app, 'POST', `/api/groups/${group._id}/messages/${poll._id}/poll/votes`, {
+            token: signIn(t, member),
+            body: { options: [0] },
+        });
+        assert.equal(res.status, 200);
+        assert.ok(app.emitted.some(({ event }) => event === 'pollUpdated'));
+    });
+});
+
+describe('POST /api/groups/:groupId/messages/:messageId/poll/close', () => {
+    it('is reserved to the author and moderators', async (t) => {
+        const { group, poll, other } = setup(t);
+        const res = await request(app, 'POST', `/api/groups/${group._id}/messages/${poll._id}/poll/close`, { token: signIn(t, other) });
+        assert.equal(res.status, 403);
+    });
+
+    it('closes the poll and cancels its scheduled close', async (t) => {
+        const { group, poll, member } = setup(t);
+        const update = stub(t, Message, 'findOneAndUpdate', () => {
+            poll.poll.closedAt = new Date();
+            return poll;
+        });
+        const cancel = stub(t, Job, 'deleteOne', { deletedCount: 1 });
+        const res = await request(app, 'POST', `/api/groups/${group._id}/messages/${poll._id}/poll/close`, { token: signIn(t, member) });
+        assert.equal(res.status, 200);
+        assert.deepEqual(update.mock.calls[0].arguments[0], { _id: poll._id, 'poll.closedAt': null });
+        assert.deepEqual(cancel.mock.calls[0].arguments[0], { uniqueKey: `closePoll:${poll._id}`, status: 'pending' });
+        assert.ok(app.emitted.some(({ event }) => event === 'pollClosed'));
+    });
+});
+
+describe('poll routes', () => {
+    for (const [method, path] of [['GET', ''], ['POST', '/votes'], ['DELETE', '/votes'], ['POST', '/close']]) {
+        it(`return 404 for ${method} poll${path} with a malformed ID`, async (t) => {
+            const { group, member } = setup(t);
+            const res = await request(app, method, `/api/groups/${group._id}/messages/nope/poll${path}`, {
+                token: signIn(t, member),
+                body: method === 'POST' ? { options: [0] } : undefined,
+            });
+            assert.equal(res.status, 404);
+        });
+    }
+});
+
+describe('DELETE /api/groups/:groupId/messages/:messageId', () => {
+    it("cancels a deleted poll's scheduled close", async (t) => {
+        const { group, poll, member } = setup(t);
+        stub(t, poll, 'softDelete', poll);
+        const cancel = stub(t, Job, 'deleteOne', { deletedCount: 1 });
+        stub(t, Group, 'findOneAndUpdate', null);
+        const res = await request(app, 'DELETE', `/api/groups/${group._id}/messages/${poll._id}`, { token: signIn(t, member) });
+        assert.equal(res.status, 200);
+        assert.deepEqual(cancel.mock.calls[0].arguments[0], { uniqueKey: `closePoll:${poll._id}`, status: 'pending' });
+    });
+});
+
+describe('closePoll job', () => {
+    it('closes the poll at its deadline', async (t) => {
+        const { poll } = setup(t);
+        poll.poll.closesAt = new Date();
+        const update = stub(t, Message, 'findOneAndUpdate', poll);
+        await runJob(t, new Job({ name: 'closePoll', payload: { messageId: poll._id.toString() }, attempts: 1 }));
+        assert.deepEqual(update.mock.calls[0].arguments[1].$set, { 'poll.closedAt': poll.poll.closesAt });
+    });
+
+    it('skips polls that were deleted', async (t) => {
+        const { poll } = setup(t);
+        const find = stub(t, Message, 'findOne', null);
+        const update = stub(t, Message, 'findOneAndUpdate', poll);
+        await runJob(t, new Job({ name: 'closePoll', payload: { messageId: poll._id.toString() }, attempts: 1 }));
+        assert.equal(find.mock.calls[0].arguments[0].deleted, false);
+        assert.equal(update.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, request, stub, signIn, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const Job = require('../../src/models/Job');
+const ScheduledMessage = require('../../src/models/ScheduledMessage');
+const scheduledMessageRoutes = require('../../src/routes/scheduledMessage');
+
+const app = createApp({ '/api/scheduled-messages': scheduledMessageRoutes });
+
+describe('POST /api/scheduled-messages', () => {
+    it('stores the message and queues its job for the send time', async (t) => {
+        const user = objectId();
+        const group = new Group({ name: 'General', creator: user, members: [user] });
+        const sendAt = new Date(Date.now() + 60 * 60 * 1000);
+        stub(t, Group, 'findOne', group);
+        stub(t, ScheduledMessage, 'countDocuments', 0);
+        stub(t, ScheduledMessage, 'create', fields => new ScheduledMessage(fields));
+        stub(t, Job, 'deleteOne', { deletedCount: 0 });
+        const enqueue = stub(t, Job, 'create', fields => new Job(fields));
+        const res = await request(app, 'POST', '/api/scheduled-messages', {
+            token: signIn(t, user),
+            body: { groupId: group._id, text: 'Standup in 5', sendAt: sendAt.toISOString() },
+        });
+        assert.equal(res.status, 201);
+        assert.ok(res.body.messageId);
+        const job = enqueue.mock.calls[0].arguments[0];
+        assert.equal(job.name, 'sendScheduledMessage');
+        assert.equal(job.runAt.getTime(), sendAt.getTime());
+        assert.equal(job.uniqueKey, `scheduledMessage:${res.body._id}`);
+    });
+
+    it('is reserved to group members', async (t) => {
+        stub(t, Group, 'findOne', null);
+        const res = await request(app, 'POST', '/api/scheduled-messages', {
+            token: signIn(t, objectId()),
+            body: { groupId: objectId(), text: 'Hi', sendAt: new Date(Date.now() + 60000).toISOString() },
+        });
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('DELETE /api/scheduled-messages/:id', () => {
+    it('refuses a message that is being sent', async (t) => {
+        const user = objectId();
+        stub(t, ScheduledMessage, 'findOne', new ScheduledMessage({ user, group: objectId(), status: 'sending' }));
+        stub(t, ScheduledMessage, 'findOneAndDelete', null);
+        const res = await request(app, 'DELETE', `/api/scheduled-messages/${objectId()}`, { token: signIn(t, user) });
+        assert.equal(res.status, 409);
+    });
+
+    it('returns 404 for a malformed ID', async (t) => {
+        const res = await request(app, 'DELETE', '/api/scheduled-messages/nope', { token: signIn(t, objectId()) });
+        assert.equal(res.status, 404);
+    });
+});
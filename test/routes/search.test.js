@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, request, stub, signIn, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const Message = require('../../src/models/Message');
+const searchRoutes = require('../../src/routes/search');
+
+const app = createApp({ '/api/search': searchRoutes });
+
+describe('GET /api/search/messages', () => {
+    it('requires a query', async (t) => {
+        const res = await request(app, 'GET', '/api/search/messages?q=%20', { token: signIn(t, objectId()) });
+        assert.equal(res.status, 400);
+    });
+
+    it('rejects a repeated query', async (t) => {
+        const res = await request(app, 'GET', '/api/search/messages?q=a&q=b', { token: signIn(t, objectId()) });
+        assert.equal(res.status, 400);
+    });
+
+    it('rejects a filter that is not a string', async (t) => {
+        const res = await request(app, 'GET', '/api/search/messages?q=lunch&type[$ne]=system', { token: signIn(t, objectId()) });
+        assert.equal(res.status, 400);
+    });
+
+    it('only searches the groups the user belongs to', async (t) => {
+        const userId = objectId();
+        const group = new Group({ name: 'General', creator: userId, members: [userId] });
+        stub(t, Group, 'find', [group]);
+        const res = await request(app, 'GET', `/api/search/messages?q=lunch&groupId=${objectId()}`, { token: signIn(t, userId) });
+        assert.equal(res.status, 403);
+    });
+
+    it('returns ranked results with snippets', async (t) => {
+        const userId = objectId();
+        const group = new Group({ name: 'General', creator: userId, members: [userId] });
+        stub(t, Group, 'find', [group]);
+        const aggregate = stub(t, Message, 'aggregate', [{
+            _id: objectId(),
+            text: 'Lunch at noon?',
+            group: group._id.toString(),
+            user: { id: userId, name: 'Ann' },
+            createdAt: new Date(),
+            score: 1.5,
+        }]);
+        const res = await request(app, 'GET', '/api/search/messages?q=lunch', { token: signIn(t, userId) });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.results.length, 1);
+        assert.equal(res.body.results[0].group.name, 'General');
+        assert.match(res.body.results[0].snippet, /<mark>Lunch<\/mark>/);
+        const [{ $match: match }] = aggregate.mock.calls[0].arguments[0];
+        assert.deepEqual(match.group.$in, [group._id.toString()]);
+    });
+});
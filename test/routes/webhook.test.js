@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, request, stub, signIn, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const Webhook = require('../../src/models/Webhook');
+const webhookRoutes = require('../../src/routes/webhook');
+
+const app = createApp({ '/api/groups': webhookRoutes });
+
+describe('POST /api/groups/:id/webhooks', () => {
+    for (const url of ['http://127.0.0.1/hook', 'http://[::1]/hook', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.5/hook']) {
+        it(`rejects ${url}`, async (t) => {
+            const owner = objectId();
+            const group = new Group({ name: 'General', creator: owner, members: [owner] });
+            stub(t, Group, 'findById', group);
+            const create = stub(t, Webhook, 'create', null);
+            const res = await request(app, 'POST', `/api/groups/${group._id}/webhooks`, {
+                token: signIn(t, owner),
+                body: { url, events: ['message.created'] },
+            });
+            assert.equal(res.status, 400);
+            assert.equal(create.mock.callCount(), 0);
+        });
+    }
+
+    it('creates a webhook for a public address and returns its secret once', async (t) => {
+        const owner = objectId();
+        const group = new Group({ name: 'General', creator: owner, members: [owner] });
+        stub(t, Group, 'findById', group);
+        stub(t, Webhook, 'countDocuments', 0);
+        stub(t, Webhook, 'create', (fields) => new Webhook(fields));
+        const res = await request(app, 'POST', `/api/groups/${group._id}/webhooks`, {
+            token: signIn(t, owner),
+            body: { url: 'https://93.184.215.14/hook', events: ['message.created'] },
+        });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.url, 'https://93.184.215.14/hook');
+        assert.ok(res.body.secret);
+    });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, objectId } = require('../helpers');
+const Message = require('../../src/models/Message');
+const ReadState = require('../../src/models/ReadState');
+const User = require('../../src/models/User');
+const { dedupeClientIds, resolveReader, backfillReadStates } = require('../../scripts/migrate-read-state');
+
+describe('read state migration', () => {
+    it('gives all but the oldest duplicate a new client id', async (t) => {
+        const [oldest, copy] = [objectId(), objectId()];
+        t.mock.method(Message.collection, 'aggregate', () => ({ toArray: async () => [{ messages: [oldest, copy], count: 2 }] }));
+        const update = t.mock.method(Message.collection, 'updateOne', async () => ({}));
+        assert.equal(await dedupeClientIds(), 1);
+        assert.equal(update.mock.calls[0].arguments[0]._id, copy);
+    });
+
+    it('resolves readers by ID, or by a name only one user has', async (t) => {
+        const userId = objectId();
+        const ann = new User({ name: 'Ann', email: 'ann@example.com', password: 'x' });
+        stub(t, User, 'find', ({ name }) => (name === 'Ann' ? [ann] : [ann, ann]));
+        const cache = new Map();
+        assert.equal((await resolveReader(userId, cache)).toString(), userId);
+        assert.equal(await resolveReader('Ann', cache), ann._id);
+        assert.equal(await resolveReader('Sam', cache), null);
+    });
+
+    it("creates each reader's cursor at the newest message they read", async (t) => {
+        const [group, message] = [objectId(), objectId()];
+        const userId = objectId();
+        const at = new Date();
+        t.mock.method(Message.collection, 'aggregate', async function* () {
+            yield { _id: { group, reader: userId }, message, at };
+            yield { _id: { group: 'not-an-id', reader: userId }, message, at };
+        });
+        const upsert = stub(t, ReadState, 'updateOne', {});
+        assert.deepEqual(await backfillReadStates(), { cursors: 1, unresolved: 1 });
+        const [filter, update] = upsert.mock.calls[0].arguments;
+        assert.equal(filter.user.toString(), userId);
+        assert.deepEqual(filter.$or[0], { lastReadMessageAt: { $lt: at } });
+        assert.deepEqual(update.$set, { lastReadMessage: message, lastReadMessageAt: at });
+    });
+});
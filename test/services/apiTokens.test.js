@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, objectId } = require('../helpers');
+const ApiToken = require('../../src/models/ApiToken');
+const { hashToken } = require('../../src/services/sessions');
+const { generateApiToken, parseScopes, hasScope, verifyApiToken } = require('../../src/services/apiTokens');
+
+describe('parseScopes', () => {
+    it('accepts scope names and group-limited scopes', () => {
+        const groupId = objectId();
+        assert.deepEqual(parseScopes(['groups:read', { scope: 'messages:write', groupId }]), {
+            scopes: [{ scope: 'groups:read', group: undefined }, { scope: 'messages:write', group: groupId }],
+        });
+    });
+
+    it('rejects unknown scopes, bad group IDs and empty lists', () => {
+        assert.ok(parseScopes(['admin']).error);
+        assert.ok(parseScopes([{ scope: 'messages:read', groupId: 'nope' }]).error);
+        assert.ok(parseScopes([]).error);
+        assert.ok(parseScopes([null]).error);
+    });
+});
+
+describe('hasScope', () => {
+    const [groupId, otherGroupId] = [objectId(), objectId()];
+    const apiToken = new ApiToken({
+        scopes: [{ scope: 'groups:read' }, { scope: 'messages:write', group: groupId }],
+    });
+
+    it('grants unlimited scopes for any group, and without one', () => {
+        assert.equal(hasScope(apiToken, 'groups:read', otherGroupId), true);
+        assert.equal(hasScope(apiToken, 'groups:read'), true);
+    });
+
+    it('only grants group-limited scopes for that group', () => {
+        assert.equal(hasScope(apiToken, 'messages:write', groupId), true);
+        assert.equal(hasScope(apiToken, 'messages:write', otherGroupId), false);
+        assert.equal(hasScope(apiToken, 'messages:write'), false);
+        assert.equal(hasScope(apiToken, 'messages:read', groupId), false);
+    });
+});
+
+describe('verifyApiToken', () => {
+    it('looks the token up by its hash', async (t) => {
+        const { token, tokenHash } = generateApiToken();
+        assert.equal(tokenHash, hashToken(token));
+        const apiToken = new ApiToken({ lastUsedAt: new Date() });
+        const find = stub(t, ApiToken, 'findOne', apiToken);
+        assert.equal(await verifyApiToken(token), apiToken);
+        assert.deepEqual(find.mock.calls[0].arguments[0], { tokenHash, revokedAt: null });
+    });
+
+    it('rejects expired tokens', async (t) => {
+        stub(t, ApiToken, 'findOne', new ApiToken({ expiresAt: new Date(Date.now() - 1000) }));
+        assert.equal(await verifyApiToken(generateApiToken().token), null);
+    });
+});
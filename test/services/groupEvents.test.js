@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const GroupEvent = require('../../src/models/GroupEvent');
+const { emitGroupEvent, missedEvents } = require('../../src/services/groupEvents');
+
+/**
+ * A fake Socket.IO server recording which rooms each event went to.
+ * @returns {Object} The server; `sent` lists `{ rooms, event, payload }`
+ */
+const fakeIo = () => {
+    const io = { sent: [] };
+    io.to = (rooms) => ({ emit: (event, payload) => io.sent.push({ rooms, event, payload }) });
+    return io;
+};
+
+/**
+ * Build the event log entries for a range of sequence numbers.
+ * @param {Object} group - The group
+ * @param {Array<number>} seqs - The sequence numbers
+ * @returns {Array<Object>} GroupEvent documents
+ */
+const logged = (group, seqs) => seqs.map(seq => new GroupEvent({ group: group._id, seq, event: 'chat message', payload: { seq } }));
+
+describe('emitGroupEvent', () => {
+    it('stamps the next sequence number and logs the event', async (t) => {
+        const groupId = objectId();
+        const increment = stub(t, Group, 'findByIdAndUpdate', { seq: 7 });
+        const create = stub(t, GroupEvent, 'create', {});
+        const io = fakeIo();
+        const sent = await emitGroupEvent(io, groupId, 'chat message', { text: 'Hi', at: new Date(0) }, ['user:1']);
+
+        assert.deepEqual(increment.mock.calls[0].arguments[1], { $inc: { seq: 1 } });
+        assert.deepEqual(sent, { text: 'Hi', at: '1970-01-01T00:00:00.000Z', seq: 7 });
+        assert.deepEqual(create.mock.calls[0].arguments[0], { group: groupId, seq: 7, event: 'chat message', payload: sent });
+        assert.deepEqual(io.sent, [{ rooms: [groupId, 'user:1'], event: 'chat message', payload: sent }]);
+    });
+
+    it('just emits when the group is gone', async (t) => {
+        stub(t, Group, 'findByIdAndUpdate', null);
+        const create = stub(t, GroupEvent, 'create', {});
+        const io = fakeIo();
+        await emitGroupEvent(io, objectId(), 'groupDeleted', {});
+        assert.equal(create.mock.callCount(), 0);
+        assert.equal(io.sent.length, 1);
+    });
+});
+
+describe('missedEvents', () => {
+    const group = new Group({ name: 'General', creator: objectId(), seq: 10 });
+
+    it('replays the events after lastSeq in order', async (t) => {
+        const find = stub(t, GroupEvent, 'find', logged(group, [9, 10]));
+        const { events } = await missedEvents(group, 8);
+        assert.deepEqual(events.map(({ seq }) => seq), [9, 10]);
+        assert.deepEqual(find.mock.calls[0].arguments[0].seq, { $gt: 8, $lte: 10 });
+    });
+
+    it('has nothing to replay for an up-to-date client', async () => {
+        assert.deepEqual(await missedEvents(group, 10), { events: [] });
+    });
+
+    it('asks for a refetch when the log has expired entries', async (t) => {
+        stub(t, GroupEvent, 'find', logged(group, [8, 9, 10]));
+        assert.deepEqual(await missedEvents(group, 5), { refetch: true });
+    });
+
+    it('asks for a refetch for a large gap or a client ahead of the server', async () => {
+        assert.deepEqual(await missedEvents(new Group({ seq: 1000 }), 1), { refetch: true });
+        assert.deepEqual(await missedEvents(group, 11), { refetch: true });
+    });
+});
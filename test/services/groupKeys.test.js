@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const GroupEvent = require('../../src/models/GroupEvent');
+const GroupKey = require('../../src/models/GroupKey');
+const { rotateGroupKey, validateEncryptedPayload } = require('../../src/services/groupKeys');
+
+const encrypted = { e2ee: true, currentKeyId: 'k1', keyRotationPending: false };
+const ciphertext = { ciphertext: 'Y2lwaGVy', nonce: 'bm9uY2U=', keyId: 'k1' };
+
+describe('validateEncryptedPayload', () => {
+    it('refuses ciphertext in a group without encryption', () => {
+        assert.ok(validateEncryptedPayload({ e2ee: false }, ciphertext));
+        assert.equal(validateEncryptedPayload({ e2ee: false }, { text: 'Hello' }), null);
+    });
+
+    it('refuses plaintext in an encrypted group', () => {
+        assert.ok(validateEncryptedPayload(encrypted, { ...ciphertext, text: 'Hello' }));
+    });
+
+    it('refuses messages while a rotation is pending', () => {
+        assert.ok(validateEncryptedPayload({ ...encrypted, keyRotationPending: true }, ciphertext));
+    });
+
+    it('refuses messages encrypted with a retired key', () => {
+        assert.ok(validateEncryptedPayload(encrypted, { ...ciphertext, keyId: 'k0' }));
+        assert.equal(validateEncryptedPayload(encrypted, ciphertext), null);
+    });
+});
+
+describe('rotateGroupKey', () => {
+    it('does nothing for groups without encryption', async (t) => {
+        stub(t, Group, 'findOneAndUpdate', null);
+        const retire = stub(t, GroupKey, 'updateOne', {});
+        assert.equal(await rotateGroupKey(null, objectId(), 'member_left'), null);
+        assert.equal(retire.mock.callCount(), 0);
+    });
+
+    it('retires the current key and asks members to rotate', async (t) => {
+        const group = new Group({ name: 'General', creator: objectId(), ...encrypted, keyEpoch: 3 });
+        stub(t, Group, 'findOneAndUpdate', group);
+        stub(t, GroupEvent, 'create', {});
+        const retire = stub(t, GroupKey, 'updateOne', {});
+        const emitted = [];
+        const io = { to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) };
+        await rotateGroupKey(io, group._id, 'member_left');
+        assert.equal(retire.mock.calls[0].arguments[0].keyId, 'k1');
+        assert.deepEqual(emitted.map(({ event, payload }) => [event, payload.epoch, payload.reason]),
+            [['groupKeyRotationRequired', 3, 'member_left']]);
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const Message = require('../../src/models/Message');
+const { findThreadRoot, recordThreadReply } = require('../../src/services/messageService');
+
+const groupId = objectId();
+
+/**
+ * Build an unsaved message.
+ * @param {Object} fields - Message fields
+ * @returns {Object} The Message document
+ */
+const message = (fields) => new Message({
+    id: objectId(),
+    text: 'Hello',
+    group: groupId,
+    user: { id: objectId(), name: 'Ann', email: 'ann@example.com' },
+    createdAt: new Date(),
+    ...fields,
+});
+
+/**
+ * A fake Socket.IO server recording which rooms each event went to.
+ * @returns {Object} The server; `sent` lists `{ rooms, event, payload }`
+ */
+const fakeIo = () => {
+    const io = { sent: [] };
+    io.to = (rooms) => ({ emit: (event, payload) => io.sent.push({ rooms, event, payload }) });
+    return io;
+};
+
+describe('findThreadRoot', () => {
+    it('attaches replies to a reply to the same root', async (t) => {
+        const root = message({});
+        const reply = message({ replyTo: root._id.toString() });
+        const findOne = stub(t, Message, 'findOne', (filter) => (filter._id === reply._id.toString() ? reply : root));
+        assert.equal(await findThreadRoot(groupId, reply._id.toString()), root);
+        assert.equal(findOne.mock.calls[1].arguments[0]._id, root._id.toString());
+    });
+
+    it('ignores IDs that are not ObjectIds', async () => {
+        assert.equal(await findThreadRoot(groupId, 'nope'), null);
+    });
+});
+
+describe('recordThreadReply', () => {
+    it('counts the reply and notifies followers except the author', async (t) => {
+        const root = message({});
+        const reply = message({ replyTo: root._id.toString() });
+        const follower = objectId();
+        const updated = message({ _id: root._id, replyCount: 1, threadFollowers: [root.user.id, reply.user.id, follower] });
+        const update = stub(t, Message, 'findByIdAndUpdate', updated);
+        stub(t, Group, 'findByIdAndUpdate', null);
+        const io = fakeIo();
+        await recordThreadReply(io, root, reply);
+
+        assert.deepEqual(update.mock.calls[0].arguments[1].$addToSet.threadFollowers.$each, [root.user.id, reply.user.id]);
+        assert.deepEqual(io.sent.map(({ event }) => event), ['threadUpdated', 'threadReply']);
+        assert.deepEqual(io.sent[1].rooms, [`user:${root.user.id}`, `user:${follower}`]);
+        assert.equal(io.sent[1].payload.replyCount, 1);
+    });
+});
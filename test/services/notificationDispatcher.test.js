@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, runJob, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const Job = require('../../src/models/Job');
+const Message = require('../../src/models/Message');
+const NotificationDelivery = require('../../src/models/NotificationDelivery');
+const Presence = require('../../src/models/Presence');
+const ReadState = require('../../src/models/ReadState');
+const User = require('../../src/models/User');
+const { buildDigest } = require('../../src/services/notificationDispatcher');
+
+const user = new User({ name: 'Bea', email: 'bea@example.com', password: 'x', lastDigestAt: new Date('2024-05-01T12:00:00Z') });
+
+describe('buildDigest', () => {
+    it('sums unread messages since the last digest, groups with mentions first', async (t) => {
+        const [ops, random, quiet] = ['ops', 'random', 'quiet'].map(name => new Group({ name, creator: objectId() }));
+        stub(t, Group, 'find', [random, ops, quiet]);
+        stub(t, ReadState, 'find', []);
+        const counts = { [random._id]: [4, 0], [ops._id]: [1, 1], [quiet._id]: [0, 0] };
+        const count = stub(t, Message, 'countDocuments', filter => (
+            filter.$and ? counts[filter.$and[0].group][1] : counts[filter.group][0]
+        ));
+        const until = new Date('2024-05-01T12:05:00Z');
+        const digest = await buildDigest(user, until);
+
+        assert.equal(digest.subject, '5 new messages in 2 groups, 1 mention');
+        assert.equal(digest.text, '1 new message in #ops (1 mention)\n4 new messages in #random');
+        assert.deepEqual(digest.groups.map(group => group.name), ['ops', 'random']);
+        assert.deepEqual(count.mock.calls[0].arguments[0].createdAt, { $gt: user.lastDigestAt, $lte: until });
+    });
+});
+
+describe('scheduleDigests job', () => {
+    it('schedules one digest for each offline member except the sender', async (t) => {
+        const [sender, online, offline] = [objectId(), objectId(), objectId()];
+        stub(t, Group, 'findById', new Group({ name: 'ops', creator: sender, members: [sender, online, offline] }));
+        stub(t, Presence, 'distinct', [online]);
+        const insert = stub(t, Job, 'insertMany', docs => docs);
+        await runJob(t, new Job({ name: 'scheduleDigests', payload: { groupId: objectId(), senderId: sender }, attempts: 1 }));
+
+        const [docs] = insert.mock.calls[0].arguments;
+        assert.deepEqual(docs.map(doc => doc.payload), [{ userId: offline }]);
+        assert.equal(docs[0].uniqueKey, `notificationDigest:${offline}`);
+        assert.ok(docs[0].runAt > new Date());
+    });
+});
+
+describe('notificationDigest job', () => {
+    it('skips members who came back online', async (t) => {
+        stub(t, User, 'findById', user);
+        stub(t, Presence, 'distinct', [user._id]);
+        stub(t, User, 'updateOne', { modifiedCount: 1 });
+        const record = stub(t, NotificationDelivery, 'create', {});
+        const enqueue = stub(t, Job, 'create', {});
+        await runJob(t, new Job({ name: 'notificationDigest', payload: { userId: user._id.toString() }, attempts: 1 }));
+
+        assert.equal(record.mock.calls[0].arguments[0].status, 'skipped');
+        assert.equal(enqueue.mock.calls.length, 0);
+    });
+
+    it('hands the digest to each enabled transport as a separate delivery job', async (t) => {
+        t.after(() => delete process.env.NOTIFICATION_TRANSPORTS);
+        process.env.NOTIFICATION_TRANSPORTS = 'log,email,webPush';
+        const group = new Group({ name: 'ops', creator: objectId() });
+        stub(t, User, 'findById', user);
+        stub(t, Presence, 'distinct', []);
+        stub(t, Group, 'find', [group]);
+        stub(t, ReadState, 'find', []);
+        stub(t, Message, 'countDocuments', 2);
+        stub(t, User, 'updateOne', { modifiedCount: 1 });
+        const enqueue = stub(t, Job, 'create', doc => doc);
+        await runJob(t, new Job({ name: 'notificationDigest', payload: { userId: user._id.toString() }, attempts: 1 }));
+
+        // The user has no push subscription, so web push is left out
+        const deliveries = enqueue.mock.calls.map(call => call.arguments[0]);
+        assert.deepEqual(deliveries.map(job => job.payload.transport), ['log', 'email']);
+        assert.equal(deliveries[0].name, 'deliverNotification');
+        assert.equal(deliveries[0].payload.digest.subject, '2 new messages in #ops, 2 mentions');
+    });
+});
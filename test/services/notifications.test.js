@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const Message = require('../../src/models/Message');
+const Notification = require('../../src/models/Notification');
+const Presence = require('../../src/models/Presence');
+const User = require('../../src/models/User');
+const { resolveMentions, notifyMentions } = require('../../src/services/notifications');
+
+/**
+ * A fake Socket.IO server recording which rooms each event went to.
+ * @returns {Object} The server; `sent` lists `{ rooms, event, payload }`
+ */
+const fakeIo = () => {
+    const io = { sent: [] };
+    io.to = (rooms) => ({ emit: (event, payload) => io.sent.push({ rooms, event, payload }) });
+    return io;
+};
+
+const [sender, ann, bo, cy] = [objectId(), objectId(), objectId(), objectId()];
+const group = new Group({ name: 'General', creator: sender, members: [sender, ann, bo, cy] });
+
+/**
+ * Build a message by the sender with the given mentions.
+ * @param {Array<Object>} mentions - The mention entities
+ * @returns {Object} The Message document
+ */
+const mentioning = (mentions) => new Message({
+    id: objectId(),
+    text: 'Hello',
+    group: group._id,
+    user: { id: sender, name: 'Sam', email: 'sam@example.com' },
+    mentions,
+});
+
+describe('resolveMentions', () => {
+    it('parses plaintext against the members names', async (t) => {
+        stub(t, User, 'find', [{ _id: ann, name: 'Ann' }]);
+        const mentions = await resolveMentions(group, { text: 'hi @Ann' });
+        assert.deepEqual(mentions, [{ type: 'user', user: ann, offset: 3, length: 4 }]);
+    });
+
+    it('keeps only keywords and member IDs from the list an encrypted message sends', async () => {
+        const e2ee = new Group({ name: 'Secret', creator: sender, members: [sender, ann], e2ee: true });
+        const mentions = await resolveMentions(e2ee, {
+            mentions: ['here', ann, objectId(), 'nobody', ['all'], { $ne: null }, 42, null],
+        });
+        assert.deepEqual(mentions, [{ type: 'here' }, { type: 'user', user: ann }]);
+    });
+});
+
+describe('notifyMentions', () => {
+    it('notifies direct mentions over @all over @here, and never the sender', async (t) => {
+        stub(t, Presence, 'distinct', [bo, cy, sender]);
+        stub(t, User, 'find', []);
+        const insert = stub(t, Notification, 'insertMany', docs => docs.map(doc => new Notification(doc)));
+        const io = fakeIo();
+        await notifyMentions(io, group, mentioning([
+            { type: 'here' }, { type: 'all' }, { type: 'user', user: ann }, { type: 'user', user: sender },
+        ]));
+
+        const types = Object.fromEntries(insert.mock.calls[0].arguments[0].map(doc => [doc.user, doc.mentionType]));
+        assert.deepEqual(types, { [ann]: 'user', [bo]: 'all', [cy]: 'all' });
+        assert.deepEqual(io.sent.map(sent => sent.rooms).sort(), [`user:${ann}`, `user:${bo}`, `user:${cy}`].sort());
+    });
+
+    it('only reaches connected members with @here', async (t) => {
+        stub(t, Presence, 'distinct', [bo]);
+        stub(t, User, 'find', []);
+        const insert = stub(t, Notification, 'insertMany', docs => docs.map(doc => new Notification(doc)));
+        await notifyMentions(fakeIo(), group, mentioning([{ type: 'here' }]));
+        assert.deepEqual(insert.mock.calls[0].arguments[0].map(doc => doc.user), [bo]);
+    });
+
+    it('leaves out members who muted the group, unless mentioned directly', async (t) => {
+        const muted = stub(t, User, 'find', [{ _id: bo }]);
+        const insert = stub(t, Notification, 'insertMany', docs => docs.map(doc => new Notification(doc)));
+        await notifyMentions(fakeIo(), group, mentioning([{ type: 'all' }, { type: 'user', user: ann }]));
+
+        assert.deepEqual(insert.mock.calls[0].arguments[0].map(doc => doc.user).sort(), [ann, cy].sort());
+        assert.deepEqual(muted.mock.calls[0].arguments[0]._id.$in.sort(), [bo, cy].sort());
+    });
+
+    it('skips members who were already notified about the message', async (t) => {
+        const fresh = new Notification({ user: bo, type: 'mention', group: group._id });
+        stub(t, Notification, 'insertMany', () => {
+            throw Object.assign(new Error('duplicate key'), { code: 11000, insertedDocs: [fresh] });
+        });
+        const io = fakeIo();
+        const created = await notifyMentions(io, group, mentioning([{ type: 'user', user: ann }, { type: 'user', user: bo }]));
+        assert.deepEqual(created, [fresh]);
+        assert.deepEqual(io.sent.map(sent => sent.rooms), [`user:${bo}`]);
+    });
+});
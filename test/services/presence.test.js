@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const Presence = require('../../src/models/Presence');
+const User = require('../../src/models/User');
+const { presenceOf, trackConnection, trackDisconnect, setStatus } = require('../../src/services/presence');
+
+/**
+ * A fake Socket.IO server recording which rooms each event went to.
+ * @returns {Object} The server; `sent` lists `{ rooms, event, payload }`
+ */
+const fakeIo = () => {
+    const io = { sent: [] };
+    io.to = (rooms) => ({ emit: (event, payload) => io.sent.push({ rooms, event, payload }) });
+    return io;
+};
+
+/**
+ * Stub a user in one group, with a number of live connections.
+ * @param {Object} t - The test context
+ * @param {number} devices - How many connections the user has
+ * @param {Object} [fields] - User fields
+ * @returns {Object} `{ user, group }`
+ */
+const setup = (t, devices, fields = {}) => {
+    const user = new User({ name: 'Ann', email: 'ann@example.com', password: 'x', ...fields });
+    const group = new Group({ name: 'General', creator: user._id, members: [user._id] });
+    stub(t, User, 'findById', user);
+    stub(t, Group, 'find', [group]);
+    stub(t, Presence, 'countDocuments', devices);
+    stub(t, Presence, 'distinct', devices ? [user._id] : []);
+    return { user, group };
+};
+
+describe('presence tracking', () => {
+    it("announces a user's first device as online", async (t) => {
+        const { user, group } = setup(t, 1);
+        const create = stub(t, Presence, 'create', {});
+        const io = fakeIo();
+        await trackConnection(io, { id: 's1', user: { id: user._id.toString(), sessionId: objectId() } });
+        assert.equal(create.mock.calls[0].arguments[0].socketId, 's1');
+        assert.deepEqual(io.sent, [{
+            rooms: [group._id.toString()],
+            event: 'presenceUpdated',
+            payload: { userId: user._id, status: 'online', statusText: null, lastSeenAt: null },
+        }]);
+    });
+
+    it('stays quiet when another device connects', async (t) => {
+        const { user } = setup(t, 2);
+        stub(t, Presence, 'create', {});
+        const io = fakeIo();
+        await trackConnection(io, { id: 's2', user: { id: user._id.toString() } });
+        assert.equal(io.sent.length, 0);
+    });
+
+    it('marks the user offline when the last device disconnects', async (t) => {
+        const { user } = setup(t, 0, { lastSeenAt: new Date() });
+        stub(t, Presence, 'deleteOne', {});
+        const update = stub(t, User, 'updateOne', {});
+        const io = fakeIo();
+        await trackDisconnect(io, { id: 's1', user: { id: user._id.toString() } });
+        assert.ok(update.mock.calls[0].arguments[1].$set.lastSeenAt instanceof Date);
+        assert.equal(io.sent[0].payload.status, 'offline');
+        assert.equal(io.sent[0].payload.lastSeenAt, user.lastSeenAt);
+    });
+});
+
+describe('setStatus', () => {
+    it('rejects unknown statuses and overlong text', async () => {
+        assert.match(await setStatus(fakeIo(), objectId(), { status: 'busy' }), /Status must be one of/);
+        assert.match(await setStatus(fakeIo(), objectId(), { statusText: 'a'.repeat(141) }), /Status text/);
+    });
+
+    it('sets the status and clears the text', async (t) => {
+        const { user } = setup(t, 1, { status: 'dnd' });
+        const update = stub(t, User, 'updateOne', {});
+        const io = fakeIo();
+        assert.equal(await setStatus(io, user._id.toString(), { status: 'dnd', statusText: null }), null);
+        assert.deepEqual(update.mock.calls[0].arguments[1], { $set: { status: 'dnd' }, $unset: { statusText: 1 } });
+        assert.equal(io.sent[0].payload.status, 'dnd');
+    });
+});
+
+describe('presenceOf', () => {
+    it('reports connected users as online and the rest with their last seen time', async (t) => {
+        const lastSeenAt = new Date();
+        const [online, offline] = [new User({ name: 'Ann' }), new User({ name: 'Bea', lastSeenAt, status: 'away' })];
+        stub(t, User, 'find', [online, offline]);
+        stub(t, Presence, 'distinct', [online._id]);
+        const presence = await presenceOf([online._id, offline._id]);
+        assert.deepEqual(presence.map(({ name, status, lastSeenAt: seen }) => [name, status, seen]), [
+            ['Ann', 'online', null],
+            ['Bea', 'offline', lastSeenAt],
+        ]);
+    });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const Message = require('../../src/models/Message');
+const ReadState = require('../../src/models/ReadState');
+const User = require('../../src/models/User');
+const { markRead, unreadCounts, seenBy } = require('../../src/services/readState');
+
+/**
+ * A fake Socket.IO server recording which rooms each event went to.
+ * @returns {Object} The server; `sent` lists `{ rooms, event, payload }`
+ */
+const fakeIo = () => {
+    const io = { sent: [] };
+    io.to = (rooms) => ({ emit: (event, payload) => io.sent.push({ rooms, event, payload }) });
+    return io;
+};
+
+const groupId = objectId();
+const message = new Message({
+    id: 'm1',
+    text: 'Hello',
+    group: groupId,
+    user: { id: objectId(), name: 'Ann', email: 'ann@example.com' },
+    createdAt: new Date('2024-05-01T12:00:00Z'),
+});
+
+describe('markRead', () => {
+    it('only moves the cursor forward and tells the group and the reader', async (t) => {
+        const userId = objectId();
+        const update = stub(t, ReadState, 'findOneAndUpdate', new ReadState());
+        stub(t, Group, 'findByIdAndUpdate', null);
+        const io = fakeIo();
+        await markRead(io, userId, message);
+
+        const [filter, change, options] = update.mock.calls[0].arguments;
+        assert.deepEqual(filter.$or[0], { lastReadMessageAt: { $lt: message.createdAt } });
+        assert.deepEqual(change.$set, { lastReadMessage: message._id, lastReadMessageAt: message.createdAt });
+        assert.equal(options.upsert, true);
+        assert.deepEqual(io.sent[0].rooms, [groupId, `user:${userId}`]);
+        assert.equal(io.sent[0].event, 'messageRead');
+    });
+
+    it('does nothing if the reader already read further', async (t) => {
+        stub(t, ReadState, 'findOneAndUpdate', () => {
+            throw Object.assign(new Error('duplicate key'), { code: 11000 });
+        });
+        const io = fakeIo();
+        assert.equal(await markRead(io, objectId(), message), null);
+        assert.equal(io.sent.length, 0);
+    });
+});
+
+describe('unreadCounts', () => {
+    it('counts messages after the cursor, and mentions among them', async (t) => {
+        const user = new User({ name: 'Bea', email: 'bea@example.com', password: 'x' });
+        const [read, unread] = [{ _id: objectId() }, { _id: objectId() }];
+        stub(t, ReadState, 'find', [new ReadState({ group: read._id, user: user._id, lastReadMessage: message._id, lastReadMessageAt: message.createdAt })]);
+        const count = stub(t, Message, 'countDocuments', filter => (filter.$and ? 1 : 4));
+        const counts = await unreadCounts(user, [read, unread]);
+
+        assert.deepEqual(counts.get(read._id.toString()), { unreadCount: 4, mentionCount: 1, lastReadMessageId: message._id });
+        assert.equal(counts.get(unread._id.toString()).lastReadMessageId, null);
+        const [afterCursor, mentions] = count.mock.calls.map(call => call.arguments[0]);
+        assert.deepEqual(afterCursor['user.id'], { $ne: user._id });
+        assert.ok(afterCursor.$or);
+        const [, mentioned] = mentions.$and;
+        assert.deepEqual(mentioned.$or, [{ 'mentions.user': user._id }, { 'mentions.type': { $in: ['here', 'all'] } }]);
+    });
+});
+
+describe('seenBy', () => {
+    it("lists readers whose cursor is at or past the message, except its author", async (t) => {
+        const reader = new User({ name: 'Bea', email: 'bea@example.com', password: 'x' });
+        const find = stub(t, ReadState, 'find', [{ user: reader }, { user: null }]);
+        assert.deepEqual(await seenBy(message), [reader]);
+        assert.deepEqual(find.mock.calls[0].arguments[0].user, { $ne: message.user.id });
+    });
+});
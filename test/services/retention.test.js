@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const Message = require('../../src/models/Message');
+const Notification = require('../../src/models/Notification');
+const GroupEvent = require('../../src/models/GroupEvent');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const ScheduledMessage = require('../../src/models/ScheduledMessage');
+const storage = require('../../src/services/storage');
+const { validateRetention, describeRetention, purgeExpiredMessages } = require('../../src/services/retention');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('validateRetention', () => {
+    it('accepts the presets and other durations', () => {
+        assert.deepEqual(validateRetention('7d'), { retention: '7d' });
+        assert.deepEqual(validateRetention('30 D'), { retention: '30d' });
+    });
+
+    it('keeps messages forever for null or off', () => {
+        assert.deepEqual(validateRetention(null), { retention: null });
+        assert.deepEqual(validateRetention('off'), { retention: null });
+    });
+
+    it('rejects periods that are malformed or shorter than an hour', () => {
+        assert.ok(validateRetention('soon').error);
+        assert.equal(validateRetention('30m').error, 'Messages must be kept for at least 1 hour');
+    });
+});
+
+describe('describeRetention', () => {
+    it('describes a period in words', () => {
+        assert.equal(describeRetention(90 * DAY), '90 days');
+        assert.equal(describeRetention(60 * 60 * 1000), '1 hour');
+    });
+});
+
+describe('purgeExpiredMessages', () => {
+    it('leaves groups without a retention period alone', async (t) => {
+        const find = stub(t, Message, 'find', []);
+        const group = new Group({ name: 'General', creator: objectId() });
+        assert.deepEqual(await purgeExpiredMessages(null, group), { purged: 0, done: true });
+        assert.equal(find.mock.callCount(), 0);
+    });
+
+    it('deletes expired messages after their files and tells the group', async (t) => {
+        process.env.S3_BUCKET_NAME = 'chat-files';
+        process.env.AWS_REGION = 'eu-west-1';
+        t.after(() => {
+            delete process.env.S3_BUCKET_NAME;
+            delete process.env.AWS_REGION;
+        });
+        const order = [];
+        const expired = [
+            { _id: objectId(), mediaUrl: storage.fileUrl('uploads/cat.png') },
+            { _id: objectId(), mediaUrl: 'https://example.com/elsewhere.png' },
+            { _id: objectId() },
+        ];
+        const find = stub(t, Message, 'find', expired);
+        const deleteObjects = t.mock.method(storage.s3, 'send', async () => {
+            order.push('files');
+            return {};
+        });
+        const deleteMessages = stub(t, Message, 'deleteMany', () => {
+            order.push('messages');
+            return { deletedCount: expired.length };
+        });
+        const deleteNotifications = stub(t, Notification, 'deleteMany', { deletedCount: 0 });
+        for (const model of [GroupEvent, WebhookDelivery, ScheduledMessage]) {
+            stub(t, model, 'deleteMany', { deletedCount: 0 });
+        }
+        stub(t, Group, 'findByIdAndUpdate', null);
+        const unpin = stub(t, Group, 'findOneAndUpdate', null);
+        const emitted = [];
+        const io = { to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) };
+
+        const group = new Group({ name: 'General', creator: objectId(), retention: '7d' });
+        assert.deepEqual(await purgeExpiredMessages(io, group), { purged: 3, done: true });
+
+        assert.equal(find.mock.calls[0].arguments[0].group, group._id.toString());
+        const [command] = deleteObjects.mock.calls[0].arguments;
+        assert.deepEqual(command.input.Delete.Objects, [{ Key: 'uploads/cat.png' }]);
+        assert.deepEqual(order, ['files', 'messages']);
+        const ids = expired.map(message => message._id);
+        assert.deepEqual(deleteMessages.mock.calls[0].arguments[0], { _id: { $in: ids } });
+        assert.deepEqual(deleteNotifications.mock.calls[0].arguments[0], { message: { $in: ids } });
+        assert.deepEqual(unpin.mock.calls[0].arguments[0], { _id: group._id, 'pins.message': { $in: ids.map(String) } });
+        assert.equal(emitted[0].event, 'messagesExpired');
+        assert.equal(emitted[0].payload.count, 3);
+    });
+
+    it('keeps the messages when their files could not be deleted', async (t) => {
+        process.env.S3_BUCKET_NAME = 'chat-files';
+        process.env.AWS_REGION = 'eu-west-1';
+        t.after(() => {
+            delete process.env.S3_BUCKET_NAME;
+            delete process.env.AWS_REGION;
+        });
+        stub(t, Message, 'find', [{ _id: objectId(), mediaUrl: storage.fileUrl('uploads/cat.png') }]);
+        t.mock.method(storage.s3, 'send', async () => ({
+            Errors: [{ Key: 'uploads/cat.png', Code: 'AccessDenied', Message: 'Access Denied' }],
+        }));
+        const deleteMessages = stub(t, Message, 'deleteMany', { deletedCount: 1 });
+        const group = new Group({ name: 'General', creator: objectId(), retention: '7d' });
+        await assert.rejects(purgeExpiredMessages(null, group), /Failed to delete 1 objects/);
+        assert.equal(deleteMessages.mock.callCount(), 0);
+    });
+
+    it('deletes the records that copy expired messages', async (t) => {
+        stub(t, Message, 'find', []);
+        const deletions = [GroupEvent, WebhookDelivery, ScheduledMessage].map(model => stub(t, model, 'deleteMany', { deletedCount: 0 }));
+        const group = new Group({ name: 'General', creator: objectId(), retention: '7d' });
+        const started = Date.now();
+        assert.deepEqual(await purgeExpiredMessages(null, group), { purged: 0, done: true });
+        for (const deleteMany of deletions) {
+            const [filter] = deleteMany.mock.calls[0].arguments;
+            assert.equal(filter.group, group._id);
+            const cutoff = (filter.createdAt || filter.completedAt).$lt.getTime();
+            assert.ok(Math.abs(started - 7 * DAY - cutoff) < 1000);
+        }
+    });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, runJob, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const Job = require('../../src/models/Job');
+const Message = require('../../src/models/Message');
+const ScheduledMessage = require('../../src/models/ScheduledMessage');
+const User = require('../../src/models/User');
+const Webhook = require('../../src/models/Webhook');
+const { validateScheduledMessage } = require('../../src/services/scheduledMessages');
+
+/**
+ * A fake Socket.IO server recording which rooms each event went to.
+ * @returns {Object} The server; `sent` lists `{ rooms, event, payload }`
+ */
+const fakeIo = () => {
+    const io = { sent: [] };
+    io.to = (rooms) => ({ emit: (event, payload) => io.sent.push({ rooms, event, payload }) });
+    return io;
+};
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+describe('validateScheduledMessage', () => {
+    const group = new Group({ name: 'General', creator: objectId() });
+
+    it('accepts a message for later', () => {
+        assert.equal(validateScheduledMessage(group, inAnHour(), { text: 'Standup in 5' }), null);
+    });
+
+    it('rejects times in the past, commands and encrypted groups', () => {
+        assert.ok(validateScheduledMessage(group, new Date(Date.now() - 1000), { text: 'Too late' }));
+        assert.ok(validateScheduledMessage(group, inAnHour(), { text: '/topic Later' }));
+        assert.equal(validateScheduledMessage(group, inAnHour(), { text: '//topic is a command' }), null);
+        const e2ee = new Group({ name: 'Secret', creator: objectId(), e2ee: true });
+        assert.ok(validateScheduledMessage(e2ee, inAnHour(), { ciphertext: 'x', nonce: 'n', keyId: 'k' }));
+    });
+
+    it('rejects a poll that closes before it is sent', () => {
+        const sendAt = inAnHour();
+        const poll = { question: 'Lunch?', options: ['Yes', 'No'], closesAt: new Date(sendAt.getTime() - 1000) };
+        assert.ok(validateScheduledMessage(group, sendAt, { type: 'poll', poll }));
+    });
+});
+
+describe('sendScheduledMessage job', () => {
+    /**
+     * Stub a due scheduled message by a group member.
+     * @param {Object} t - The test context
+     * @returns {Object} `{ scheduled, group, author, finish }`; finish is the ScheduledMessage.updateOne mock
+     */
+    const setup = (t) => {
+        const author = new User({ name: 'Ann', email: 'ann@example.com', password: 'x' });
+        const group = new Group({ name: 'General', creator: author._id, members: [author._id] });
+        const scheduled = new ScheduledMessage({
+            user: author._id, group: group._id, text: 'Standup in 5', sendAt: new Date(), messageId: 'scheduled-1',
+        });
+        stub(t, ScheduledMessage, 'findOneAndUpdate', scheduled);
+        stub(t, User, 'findById', author);
+        stub(t, Group, 'findOne', group);
+        stub(t, Group, 'findByIdAndUpdate', null);
+        stub(t, Webhook, 'find', []);
+        stub(t, Job, 'create', {});
+        const finish = stub(t, ScheduledMessage, 'updateOne', { modifiedCount: 1 });
+        return { scheduled, group, author, finish };
+    };
+
+    /**
+     * The job that sends a scheduled message.
+     * @param {Object} scheduled - The ScheduledMessage document
+     * @returns {Object} The Job document
+     */
+    const sendJob = (scheduled) => new Job({
+        name: 'sendScheduledMessage', payload: { scheduledMessageId: scheduled._id.toString() }, attempts: 1,
+    });
+
+    it('sends the message with the id fixed when it was scheduled and tells the author', async (t) => {
+        const { scheduled, author, finish } = setup(t);
+        stub(t, Message, 'findOne', null);
+        const create = stub(t, Message, 'create', fields => new Message(fields));
+        const io = fakeIo();
+        await runJob(t, sendJob(scheduled), io);
+
+        assert.equal(create.mock.calls[0].arguments[0].id, 'scheduled-1');
+        assert.equal(create.mock.calls[0].arguments[0].text, 'Standup in 5');
+        assert.equal(finish.mock.calls[0].arguments[1].$set.status, 'sent');
+        assert.ok(io.sent.some(({ rooms, event }) => rooms === `user:${author._id}` && event === 'scheduledMessageSent'));
+    });
+
+    it("doesn't post the message again when a retry finds it was already sent", async (t) => {
+        const { scheduled, author, finish } = setup(t);
+        const sent = new Message({ id: 'scheduled-1', text: 'Standup in 5', group: scheduled.group, user: { id: author._id, name: 'Ann' } });
+        stub(t, Message, 'findOne', sent);
+        const create = stub(t, Message, 'create', fields => new Message(fields));
+        await runJob(t, sendJob(scheduled), fakeIo());
+
+        assert.equal(create.mock.callCount(), 0);
+        assert.equal(finish.mock.calls[0].arguments[1].$set.message, sent._id);
+    });
+
+    it('fails without retrying when the author left the group', async (t) => {
+        const { scheduled, finish } = setup(t);
+        stub(t, Group, 'findOne', null);
+        const { outcome } = await runJob(t, sendJob(scheduled), fakeIo());
+
+        assert.equal(finish.mock.calls[0].arguments[1].$set.status, 'failed');
+        assert.equal(outcome.mock.calls[0].arguments[1].$set.status, 'done');
+    });
+
+    it('leaves messages that were cancelled or moved alone', async (t) => {
+        const { scheduled, finish } = setup(t);
+        const claim = stub(t, ScheduledMessage, 'findOneAndUpdate', null);
+        await runJob(t, sendJob(scheduled), fakeIo());
+
+        assert.deepEqual(claim.mock.calls[0].arguments[0].status, { $in: ['pending', 'sending'] });
+        assert.equal(finish.mock.callCount(), 0);
+    });
+});
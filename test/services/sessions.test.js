@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stub, objectId } = require('../helpers');
+const Session = require('../../src/models/Session');
+const { hashToken, rotateRefreshToken } = require('../../src/services/sessions');
+
+/**
+ * A Socket.IO stand-in recording which session rooms were disconnected.
+ * @returns {Object} The io object, with `disconnected`
+ */
+const fakeIo = () => {
+    const io = { disconnected: [] };
+    io.in = (room) => ({ disconnectSockets: () => io.disconnected.push(room) });
+    return io;
+};
+
+describe('rotateRefreshToken', () => {
+    it('swaps the token for a new one', async (t) => {
+        const session = new Session({ user: objectId(), refreshTokenHash: hashToken('old'), expiresAt: new Date(Date.now() + 60000) });
+        const update = stub(t, Session, 'findOneAndUpdate', session);
+        const result = await rotateRefreshToken(fakeIo(), 'old');
+        assert.equal(result.session, session);
+        assert.ok(result.refreshToken && result.refreshToken !== 'old');
+        const [filter, changes] = update.mock.calls[0].arguments;
+        assert.equal(filter.refreshTokenHash, hashToken('old'));
+        assert.equal(changes.$set.refreshTokenHash, hashToken(result.refreshToken));
+        assert.deepEqual(changes.$push.usedTokenHashes.$each, [hashToken('old')]);
+    });
+
+    it('revokes the session when a rotated-out token is presented again', async (t) => {
+        const session = new Session({ user: objectId(), refreshTokenHash: hashToken('new'), usedTokenHashes: [hashToken('old')] });
+        stub(t, Session, 'findOneAndUpdate', null);
+        stub(t, Session, 'findOne', session);
+        const revoke = stub(t, Session, 'updateOne', {});
+        const io = fakeIo();
+        const result = await rotateRefreshToken(io, 'old');
+        assert.deepEqual(result, { error: 'Refresh token reuse detected' });
+        const [filter, changes] = revoke.mock.calls[0].arguments;
+        assert.equal(filter._id, session._id);
+        assert.equal(changes.$set.revokedReason, 'refresh_token_reuse');
+        assert.deepEqual(io.disconnected, [`session:${session._id}`]);
+    });
+
+    it('refuses unknown tokens without revoking anything', async (t) => {
+        stub(t, Session, 'findOneAndUpdate', null);
+        stub(t, Session, 'findOne', null);
+        const revoke = stub(t, Session, 'updateOne', {});
+        assert.deepEqual(await rotateRefreshToken(fakeIo(), 'made-up'), { error: 'Invalid or expired refresh token' });
+        assert.equal(revoke.mock.callCount(), 0);
+    });
+});
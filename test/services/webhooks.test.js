@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { stub, runJob, objectId } = require('../helpers');
+const Job = require('../../src/models/Job');
+const Webhook = require('../../src/models/Webhook');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const { signPayload, triggerWebhooks } = require('../../src/services/webhooks');
+
+describe('signPayload', () => {
+    it('signs the timestamp and body with the secret', () => {
+        const expected = crypto.createHmac('sha256', 's3cret').update('1700000000.{"a":1}').digest('hex');
+        assert.equal(signPayload('s3cret', 1700000000, '{"a":1}'), `sha256=${expected}`);
+    });
+});
+
+describe('triggerWebhooks', () => {
+    it('saves and schedules one delivery per subscribed webhook', async (t) => {
+        const groupId = objectId();
+        const find = stub(t, Webhook, 'find', [{ _id: objectId() }, { _id: objectId() }]);
+        const save = stub(t, WebhookDelivery.prototype, 'save', null);
+        const enqueue = stub(t, Job, 'create', {});
+        await triggerWebhooks(groupId, 'member.left', { userId: 'u1' });
+
+        assert.deepEqual(find.mock.calls[0].arguments[0], { group: groupId, active: true, events: 'member.left' });
+        const payloads = save.mock.calls.map(call => call.this.payload);
+        assert.equal(payloads.length, 2);
+        assert.deepEqual(payloads[0].data, { userId: 'u1' });
+        assert.equal(payloads[0].id, save.mock.calls[0].this._id.toString());
+        assert.deepEqual(enqueue.mock.calls.map(call => call.arguments[0].name), ['deliverWebhook', 'deliverWebhook']);
+    });
+
+    it('never throws', async (t) => {
+        stub(t, Webhook, 'find', () => {
+            throw new Error('database down');
+        });
+        await triggerWebhooks(objectId(), 'member.left', {});
+    });
+});
+
+describe('deliverWebhook job', () => {
+    it('records a failed attempt and retries when the URL points inside the network', async (t) => {
+        const webhook = new Webhook({ group: objectId(), url: 'http://127.0.0.1:8080/hook', secret: 's', events: ['member.left'] });
+        const delivery = new WebhookDelivery({ webhook: webhook._id, group: webhook.group, event: 'member.left', payload: {} });
+        stub(t, WebhookDelivery, 'findById', delivery);
+        stub(t, Webhook, 'findById', webhook);
+        stub(t, delivery, 'save', delivery);
+        const { outcome } = await runJob(t, new Job({ name: 'deliverWebhook', payload: { deliveryId: delivery._id }, attempts: 1, maxAttempts: 6 }));
+
+        assert.match(delivery.attempts[0].error, /private or loopback/);
+        assert.equal(delivery.status, 'pending');
+        assert.equal(outcome.mock.calls[0].arguments[1].$set.status, 'pending');
+    });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { configureAdapter } = require('../../src/sockets/adapter');
+
+/**
+ * A fake Socket.IO server recording the adapter it was given.
+ * @returns {Object} The server
+ */
+const fakeIo = () => {
+    const io = { adapters: [] };
+    io.adapter = (adapter) => io.adapters.push(adapter);
+    return io;
+};
+
+describe('configureAdapter', () => {
+    it('keeps the in-memory adapter by default', async () => {
+        const io = fakeIo();
+        await configureAdapter(io, 'memory');
+        assert.equal(io.adapters.length, 0);
+    });
+
+    it('rejects an unknown adapter', async () => {
+        await assert.rejects(configureAdapter(fakeIo(), 'redis'), /Unknown socket adapter "redis"/);
+    });
+
+    it('relays events through an expiring collection with the mongo adapter', async (t) => {
+        const created = [];
+        const indexes = [];
+        const db = {
+            listCollections: () => ({ hasNext: async () => false }),
+            createCollection: async (name) => created.push(name),
+            collection: () => ({ createIndex: async (...args) => indexes.push(args) }),
+        };
+        const { db: connected } = mongoose.connection;
+        mongoose.connection.db = db;
+        t.after(() => { mongoose.connection.db = connected; });
+        const io = fakeIo();
+        await configureAdapter(io, 'mongo');
+        assert.deepEqual(created, ['socket.io-adapter-events']);
+        assert.deepEqual(indexes, [[{ createdAt: 1 }, { expireAfterSeconds: 3600 }]]);
+        assert.equal(typeof io.adapters[0], 'function');
+    });
+});
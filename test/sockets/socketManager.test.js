@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { io: connectClient } = require('socket.io-client');
+const { stub, signIn, objectId } = require('../helpers');
+const Group = require('../../src/models/Group');
+const GroupEvent = require('../../src/models/GroupEvent');
+const Message = require('../../src/models/Message');
+const User = require('../../src/models/User');
+const { setupSocket } = require('../../src/sockets/socketManager');
+
+/**
+ * Start a Socket.IO server and connect a client to it.
+ * The server and client are closed when the test ends.
+ * @param {Object} t - The test context
+ * @param {Object} [auth] - The handshake auth payload
+ * @returns {Promise<Object>} `{ io, client }`, or `{ io, error }` if the connection was refused
+ */
+const connect = async (t, auth) => {
+    const server = http.createServer();
+    const io = setupSocket(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    const client = connectClient(`http://127.0.0.1:${server.address().port}`, { auth, transports: ['websocket'], reconnection: false });
+    t.after(() => {
+        client.close();
+        io.close();
+    });
+    return new Promise((resolve) => {
+        client.on('connect', () => resolve({ io, client }));
+        client.on('connect_error', error => resolve({ io, error }));
+    });
+};
+
+/**
+ * Stub a user and a group they are a member of.
+ * @param {Object} t - The test context
+ * @returns {Object} `{ user, group }`
+ */
+const setup = (t) => {
+    const user = new User({ name: 'Ann', email: 'ann@example.com', password: 'x' });
+    const group = new Group({ name: 'General', creator: user._id, members: [user._id] });
+    stub(t, User, 'findById', user);
+    stub(t, Group, 'findByIdAndUpdate', null);
+    stub(t, Group, 'findOne', ({ _id, members }) => (
+        group._id.equals(_id) && group.members.some(id => id.equals(members)) ? group : null
+    ));
+    return { user, group };
+};
+
+describe('Socket.IO connections', () => {
+    it('are refused without a token', async (t) => {
+        const { error } = await connect(t, {});
+        assert.match(error.message, /auth token/);
+    });
+
+    it('are refused with an invalid token', async (t) => {
+        const { error } = await connect(t, { token: 'not-a-jwt' });
+        assert.match(error.message, /Invalid or expired token/);
+    });
+
+    it('only join groups the user is a member of', async (t) => {
+        const { user } = setup(t);
+        const { client } = await connect(t, { token: signIn(t, user._id) });
+        const ack = await client.emitWithAck('joinGroup', objectId());
+        assert.deepEqual(ack, { error: 'You are not a member of this group' });
+    });
+
+    it('join the room events are sent to, however the ID is written', async (t) => {
+        const { user, group } = setup(t);
+        const { io, client } = await connect(t, { token: signIn(t, user._id) });
+        const ack = await client.emitWithAck('joinGroup', group._id.toString().toUpperCase());
+        assert.deepEqual(ack, { ok: true, seq: 0 });
+        const received = new Promise(resolve => client.on('ping test', resolve));
+        io.to(group._id.toString()).emit('ping test', 'hello');
+        assert.equal(await received, 'hello');
+    });
+
+    it('replay the events missed since lastSeq when rejoining', async (t) => {
+        const { user, group } = setup(t);
+        group.seq = 5;
+        const find = stub(t, GroupEvent, 'find', [4, 5].map(seq => (
+            new GroupEvent({ group: group._id, seq, event: 'chat message', payload: { text: `#${seq}`, seq } })
+        )));
+        const { client } = await connect(t, { token: signIn(t, user._id) });
+        const replayed = [];
+        client.on('chat message', message => replayed.push(message.text));
+        const ack = await client.emitWithAck('joinGroup', { groupId: group._id.toString(), lastSeq: 3 });
+        assert.deepEqual(ack, { ok: true, seq: 5, replayed: 2 });
+        assert.deepEqual(replayed, ['#4', '#5']);
+        assert.deepEqual(find.mock.calls[0].arguments[0].seq, { $gt: 3, $lte: 5 });
+    });
+
+    it('send messages as the authenticated user', async (t) => {
+        const { user, group } = setup(t);
+        stub(t, Message, 'findOne', null);
+        const create = stub(t, Message, 'create', (fields) => new Message(fields));
+        const { client } = await connect(t, { token: signIn(t, user._id) });
+        await client.emitWithAck('joinGroup', group._id.toString());
+        const received = new Promise(resolve => client.on('chat message', resolve));
+        const ack = await client.emitWithAck('chat message', {
+            id: 'm1',
+            groupId: group._id.toString(),
+            text: 'Hello',
+            user: { id: objectId(), name: 'Mallory' },
+        });
+        assert.equal(ack.ok, true);
+        assert.equal(ack.id, 'm1');
+        assert.equal(ack.duplicate, false);
+        assert.equal(create.mock.callCount(), 1);
+        const message = await received;
+        assert.equal(message.user.name, 'Ann');
+        assert.equal(message.user.id, user._id.toString());
+    });
+
+    it('do not store or broadcast a retried message twice', async (t) => {
+        const { user, group } = setup(t);
+        const original = new Message({ id: 'm1', text: 'Hello', group: group._id.toString(), user: { id: user._id, name: 'Ann' } });
+        stub(t, Message, 'findOne', original);
+        const create = stub(t, Message, 'create', null);
+        const { client } = await connect(t, { token: signIn(t, user._id) });
+        const ack = await client.emitWithAck('chat message', { id: 'm1', groupId: group._id.toString(), text: 'Hello' });
+        assert.deepEqual(ack, { ok: true, id: 'm1', _id: original._id.toString(), duplicate: true });
+        assert.equal(create.mock.callCount(), 0);
+    });
+
+    it('reject invalid messages', async (t) => {
+        const { user, group } = setup(t);
+        const { client } = await connect(t, { token: signIn(t, user._id) });
+        const ack = await client.emitWithAck('chat message', { groupId: group._id.toString(), text: '   ' });
+        assert.deepEqual(ack, { error: 'Message text is required' });
+    });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId } = require('../helpers');
+const { encodeMessageCursor, decodeMessageCursor, olderThan } = require('../../src/utils/cursor');
+
+describe('message cursors', () => {
+    it('round-trip a message position', () => {
+        const message = { _id: objectId(), createdAt: new Date('2024-05-01T12:00:00Z') };
+        const position = decodeMessageCursor(encodeMessageCursor(message));
+        assert.equal(position.createdAt.toISOString(), '2024-05-01T12:00:00.000Z');
+        assert.equal(position.id.toString(), message._id);
+    });
+
+    it('reject malformed cursors', () => {
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+        for (const cursor of ['not-a-cursor', encode({}), encode(['2024-05-01', 'nope']), encode(['never', objectId()])]) {
+            assert.equal(decodeMessageCursor(cursor), null, cursor);
+        }
+    });
+
+    it('break createdAt ties by _id', () => {
+        const position = { createdAt: new Date(), id: objectId() };
+        assert.deepEqual(olderThan(position), {
+            $or: [{ createdAt: { $lt: position.createdAt } }, { createdAt: position.createdAt, _id: { $lt: position.id } }],
+        });
+    });
+});
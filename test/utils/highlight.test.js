@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { highlightSnippet, searchTerms } = require('../../src/utils/highlight');
+
+describe('highlightSnippet', () => {
+    it('marks word prefixes of every term', () => {
+        assert.equal(highlightSnippet('Deployment after lunch', 'deploy lunch'), '<mark>Deployment</mark> after <mark>lunch</mark>');
+    });
+
+    it('escapes the message text', () => {
+        assert.equal(highlightSnippet('<b>lunch</b>', 'lunch'), '&lt;b&gt;<mark>lunch</mark>&lt;/b&gt;');
+    });
+
+    it('trims long text around the first match', () => {
+        const snippet = highlightSnippet(`${'a '.repeat(100)}lunch${' b'.repeat(100)}`, 'lunch', 10);
+        assert.match(snippet, /^…a a a a a <mark>lunch<\/mark>/);
+        assert.ok(snippet.endsWith('…'));
+    });
+});
+
+describe('searchTerms', () => {
+    it('drops negated terms and unquotes phrases', () => {
+        assert.deepEqual(searchTerms('"lunch today" -dinner'), ['lunch', 'today']);
+    });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMentions } = require('../../src/utils/mentions');
+
+const members = [
+    { _id: 'u1', name: 'Ann' },
+    { _id: 'u2', name: 'Ann Lee' },
+    { _id: 'u3', name: 'Bo' },
+];
+
+describe('parseMentions', () => {
+    it('finds keywords and member names with their position', () => {
+        assert.deepEqual(parseMentions('@here, ask @Bo', members), [
+            { type: 'here', offset: 0, length: 5 },
+            { type: 'user', user: 'u3', offset: 11, length: 3 },
+        ]);
+    });
+
+    it('prefers the longest matching name', () => {
+        assert.deepEqual(parseMentions('hi @ann lee!', members), [{ type: 'user', user: 'u2', offset: 3, length: 8 }]);
+    });
+
+    it('ignores e-mail addresses, partial names and unknown names', () => {
+        assert.deepEqual(parseMentions('mail ann@bo.com, @Bob or @Zed', members), []);
+        assert.deepEqual(parseMentions('@allison', members), []);
+    });
+});
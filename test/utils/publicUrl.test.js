@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const { isPrivateAddress, checkPublicUrl, postToPublicUrl } = require('../../src/utils/publicUrl');
+
+/**
+ * Start a local HTTP server counting the requests it receives.
+ * @param {Object} t - The test context
+ * @returns {Promise<Object>} `{ port, received }`; received is a one-element array holding the count
+ */
+const listen = async (t) => {
+    const received = [0];
+    const server = http.createServer((req, res) => {
+        received[0] += 1;
+        res.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { port: server.address().port, received };
+};
+
+describe('isPrivateAddress', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+        it(`blocks ${address}`, () => {
+            assert.equal(isPrivateAddress(address), true);
+        });
+    }
+
+    for (const address of ['93.184.215.14', '8.8.8.8', '2606:4700:4700::1111']) {
+        it(`allows ${address}`, () => {
+            assert.equal(isPrivateAddress(address), false);
+        });
+    }
+});
+
+describe('checkPublicUrl', () => {
+    it('rejects hosts that resolve to loopback', async () => {
+        assert.ok(await checkPublicUrl('http://localhost:8080/hook'));
+        assert.ok(await checkPublicUrl('http://2130706433/hook'));
+    });
+
+    it('accepts public addresses', async () => {
+        assert.equal(await checkPublicUrl('https://93.184.215.14/hook'), null);
+    });
+
+    it('rejects URLs it cannot parse', async () => {
+        assert.ok(await checkPublicUrl('not a url'));
+    });
+});
+
+describe('postToPublicUrl', () => {
+    it('refuses private IP literals without connecting', async (t) => {
+        const { port, received } = await listen(t);
+        await assert.rejects(postToPublicUrl(`http://127.0.0.1:${port}/hook`, { headers: {}, body: '{}', timeout: 1000 }), /private or loopback/);
+        assert.equal(received[0], 0);
+    });
+
+    it('refuses a host that resolves to a private address by the time it connects', async (t) => {
+        const { port, received } = await listen(t);
+        // The host looked public when it was checked, then was rebound to loopback
+        t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.215.14', family: 4 }]);
+        assert.equal(await checkPublicUrl(`http://rebound.test:${port}/hook`), null);
+        t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+        await assert.rejects(postToPublicUrl(`http://rebound.test:${port}/hook`, { headers: {}, body: '{}', timeout: 1000 }), /private or loopback/);
+        assert.equal(received[0], 0);
+    });
+});